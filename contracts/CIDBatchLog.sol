@@ -9,6 +9,39 @@ pragma solidity ^0.5.0;
  * - Deterministically concatenate (packed) them and hash the result.
  * - Release that aggregate hash to the receiver (explicit on-chain event).
  * - Log creation / release / optional proof verification.
+ * - Optionally commit to a Merkle root instead, so a single CID's inclusion
+ *   can be proven without resubmitting the whole list.
+ * - Or commit to the CID set rather than the list: sorted batches take their
+ *   CIDs in ascending order, so a receiver holding the same CIDs in any
+ *   order can verify after sorting them (src/batch.js canonicalizeCIDs).
+ *
+ * Duplicate CIDs:
+ * - createBatch and createMerkleBatch accept a CID more than once and count
+ *   every occurrence. createStrictBatch is the opt-in alternative that
+ *   reverts with "duplicate CID"; the check costs gas on every CID.
+ *
+ * Timelock:
+ * - The aggregate can only be released before the timelock.
+ * - Before the timelock the sender may cancel an unreleased batch; after it
+ *   the sender may close it as expired. Closed batches can't be verified,
+ *   in full or by Merkle proof.
+ * - Verification after the timelock is still accepted but recorded as late
+ *   (verifiedInTime = false).
+ *
+ * Acknowledgment:
+ * - The receiver signs ackHash(batchId) off-chain (EIP-191 personal
+ *   message); anyone can submit the signature with acknowledge().
+ *
+ * Multi-receiver batches:
+ * - createMultiBatch binds one CID set to a receiver list (logged once).
+ *   Each listed receiver verifies and acknowledges on its own; the batch
+ *   counts as verified once every receiver has verified. Per-receiver state
+ *   is read with getReceiverStatus / getReceivers.
+ *
+ * Message delivery:
+ * - The sender may post the message encrypted to the receiver (ECIES, see
+ *   src/ecies.js) with postMessage(); the contract only emits it. The
+ *   receiver decrypts off-chain and proves the plaintext with verifyMessage().
  */
 contract CIDBatchLog {
 
@@ -37,6 +70,55 @@ contract CIDBatchLog {
         address indexed verifier
     );
 
+    event CIDProofVerified(
+        bytes32 indexed batchId,
+        bytes32 indexed cid,
+        address indexed verifier
+    );
+
+    event BatchCancelled(
+        bytes32 indexed batchId,
+        address indexed sender
+    );
+
+    event BatchExpired(
+        bytes32 indexed batchId,
+        address indexed sender
+    );
+
+    event ReceiversListed(
+        bytes32 indexed batchId,
+        address[] receivers
+    );
+
+    event MessagePosted(
+        bytes32 indexed batchId,
+        bytes ciphertext
+    );
+
+    event BatchAcknowledged(
+        bytes32 indexed batchId,
+        address indexed receiver,
+        address relayer
+    );
+
+    // How aggregateHash commits to the CID list
+    enum AggregateMode {
+        Packed,   // sha256(count || cid1 || cid2 || ...)
+        Merkle,   // Merkle root over sha256 leaves, sorted-pair nodes
+        Sorted    // as Packed, over the CIDs in ascending order, no duplicates
+    }
+
+    // Lifecycle as reported by getBatchStatus
+    enum BatchStatus {
+        None,        // no such batch
+        Created,     // waiting for release, timelock not reached
+        Released,    // aggregate released
+        Verified,    // CID list verified
+        Expired,     // closed by the sender, or timelock passed unreleased
+        Cancelled    // cancelled by the sender before the timelock
+    }
+
     struct Batch {
         address sender;
         address receiver;
@@ -46,10 +128,33 @@ contract CIDBatchLog {
         uint timelock;
         bool released;
         bool verified;
+        AggregateMode mode;
+        bool cancelled;
+        bool expired;
+        bool verifiedInTime;
+        bool acknowledged;
+    }
+
+    // Per-receiver progress of a multi-receiver batch
+    struct ReceiverState {
+        bool listed;
+        bool verified;
+        bool verifiedInTime;
+        bool acknowledged;
+    }
+
+    struct ReceiverCounts {
+        uint verified;
+        uint acknowledged;
     }
 
     mapping(bytes32 => Batch) public batches;
 
+    // Multi-receiver batches only; Batch.receiver is address(0) for those
+    mapping(bytes32 => address[]) internal receiverLists;
+    mapping(bytes32 => mapping(address => ReceiverState)) internal receiverStates;
+    mapping(bytes32 => ReceiverCounts) internal receiverCounts;
+
     modifier futureTimelock(uint _time) {
         require(_time > now, "timelock time must be in the future");
         _;
@@ -80,6 +185,37 @@ contract CIDBatchLog {
         _;
     }
 
+    // Like notVerified, but also fails once any receiver of a multi batch verified
+    modifier noneVerified(bytes32 _batchId) {
+        require(
+            !batches[_batchId].verified && receiverCounts[_batchId].verified == 0,
+            "already verified"
+        );
+        _;
+    }
+
+    // Modifier bodies are inlined at every use; keeping the checks in
+    // _requireNotClosed holds the contract under the 24 KB code size limit
+    modifier notClosed(bytes32 _batchId) {
+        _requireNotClosed(_batchId);
+        _;
+    }
+
+    modifier beforeTimelock(bytes32 _batchId) {
+        require(now < batches[_batchId].timelock, "timelock expired");
+        _;
+    }
+
+    modifier afterTimelock(bytes32 _batchId) {
+        require(now >= batches[_batchId].timelock, "timelock not yet passed");
+        _;
+    }
+
+    function _requireNotClosed(bytes32 _batchId) internal view {
+        require(!batches[_batchId].cancelled, "batch cancelled");
+        require(!batches[_batchId].expired, "batch expired");
+    }
+
     /**
      * @dev Deterministic aggregation of a CID list.
      * Includes length to avoid ambiguity.
@@ -92,6 +228,125 @@ contract CIDBatchLog {
         return sha256(abi.encodePacked(uint256(_cids.length), _cids));
     }
 
+    /**
+     * @dev Aggregate of a CID set: computeAggregate over its CIDs in strictly
+     * ascending order. The order is required rather than sorted into on
+     * chain, which keeps the cost linear and rules out duplicates.
+     */
+    function computeSortedAggregate(bytes32[] memory _cids)
+        public
+        pure
+        returns (bytes32)
+    {
+        for (uint i = 1; i < _cids.length; i++) {
+            require(_cids[i] != _cids[i - 1], "duplicate CID");
+            require(_cids[i - 1] < _cids[i], "CIDs not in canonical order");
+        }
+        return computeAggregate(_cids);
+    }
+
+    /**
+     * @dev True when a CID appears more than once. Inserts each CID into an
+     * open-addressing hash set in memory (keccak256 of the CID picks the
+     * slot, at most half the slots are used), so the cost grows linearly
+     * with the list rather than with its square. The zero CID can't be
+     * stored in a slot, where it marks "empty", and is tracked on its own.
+     * The set's memory is released when no duplicate is found, so later
+     * allocations (the aggregate) reuse it instead of growing memory past it.
+     */
+    function hasDuplicateCIDs(bytes32[] memory _cids)
+        public
+        pure
+        returns (bool)
+    {
+        uint freeMemory;
+        assembly { freeMemory := mload(0x40) }
+
+        uint size = 2;
+        while (size < 2 * _cids.length) size <<= 1;
+        uint mask = size - 1;
+        bytes32[] memory slots = new bytes32[](size);
+        bool seenZero = false;
+
+        for (uint i = 0; i < _cids.length; i++) {
+            bytes32 cid = _cids[i];
+            if (cid == bytes32(0)) {
+                if (seenZero) return true;
+                seenZero = true;
+                continue;
+            }
+            uint j;
+            // keccak256 in scratch space: abi.encodePacked would allocate per CID
+            assembly {
+                mstore(0, cid)
+                j := and(keccak256(0, 32), mask)
+            }
+            while (slots[j] != bytes32(0)) {
+                if (slots[j] == cid) return true;
+                j = (j + 1) & mask;
+            }
+            slots[j] = cid;
+        }
+
+        assembly { mstore(0x40, freeMemory) }
+        return false;
+    }
+
+    /**
+     * @dev Merkle leaf for a CID. The 0x00 prefix keeps leaves and inner
+     * nodes in separate domains.
+     */
+    function hashLeaf(bytes32 _cid) public pure returns (bytes32) {
+        return sha256(abi.encodePacked(uint8(0), _cid));
+    }
+
+    /**
+     * @dev Merkle inner node. Children are sorted so proofs need no
+     * left/right flags.
+     */
+    function hashPair(bytes32 _a, bytes32 _b) public pure returns (bytes32) {
+        return _a < _b
+            ? sha256(abi.encodePacked(uint8(1), _a, _b))
+            : sha256(abi.encodePacked(uint8(1), _b, _a));
+    }
+
+    /**
+     * @dev Merkle root of a CID list. An unpaired node at the end of a level
+     * is promoted to the next level unchanged.
+     */
+    function computeMerkleRoot(bytes32[] memory _cids)
+        public
+        pure
+        returns (bytes32)
+    {
+        uint n = _cids.length;
+        if (n == 0) return bytes32(0);
+
+        bytes32[] memory level = new bytes32[](n);
+        for (uint i = 0; i < n; i++) {
+            level[i] = hashLeaf(_cids[i]);
+        }
+
+        while (n > 1) {
+            uint next = 0;
+            for (uint i = 0; i < n; i += 2) {
+                level[next++] = i + 1 < n ? hashPair(level[i], level[i + 1]) : level[i];
+            }
+            n = next;
+        }
+        return level[0];
+    }
+
+    function _aggregate(bytes32[] memory _cids, AggregateMode _mode)
+        internal
+        pure
+        returns (bytes32)
+    {
+        if (_mode == AggregateMode.Merkle) return computeMerkleRoot(_cids);
+        if (_mode == AggregateMode.Sorted) return computeSortedAggregate(_cids);
+        return computeAggregate(_cids);
+    }
+
     function createBatch(
         address _receiver,
         bytes32[] calldata _cids,
@@ -106,42 +361,250 @@ contract CIDBatchLog {
         require(_cids.length > 0, "empty CID list");
 
         aggregateHash = computeAggregate(_cids);
+        batchId = _storeBatch(
+            _receiver,
+            _cids.length,
+            aggregateHash,
+            _messageHash,
+            _timelock,
+            AggregateMode.Packed
+        );
+
+        // Logs the full CID list without storing it in contract storage
+        emit CIDsLogged(batchId, _cids);
+    }
+
+    /**
+     * @dev Same as createBatch, but aggregateHash is the Merkle root of the
+     * CID list so individual CIDs can be proven with verifyCIDProof.
+     */
+    function createMerkleBatch(
+        address _receiver,
+        bytes32[] calldata _cids,
+        bytes32 _messageHash,
+        uint _timelock
+    )
+        external
+        futureTimelock(_timelock)
+        returns (bytes32 batchId, bytes32 aggregateHash)
+    {
+        require(_receiver != address(0), "receiver=0");
+        require(_cids.length > 0, "empty CID list");
+
+        aggregateHash = computeMerkleRoot(_cids);
+        batchId = _storeBatch(
+            _receiver,
+            _cids.length,
+            aggregateHash,
+            _messageHash,
+            _timelock,
+            AggregateMode.Merkle
+        );
+
+        emit CIDsLogged(batchId, _cids);
+    }
+
+    /**
+     * @dev Same as createBatch, but the CIDs must be in ascending order
+     * without duplicates and aggregateHash commits to them as a set:
+     * verifyCIDs accepts the same CIDs, sorted, whatever order the receiver
+     * stores them in.
+     */
+    function createSortedBatch(
+        address _receiver,
+        bytes32[] calldata _cids,
+        bytes32 _messageHash,
+        uint _timelock
+    )
+        external
+        futureTimelock(_timelock)
+        returns (bytes32 batchId, bytes32 aggregateHash)
+    {
+        require(_receiver != address(0), "receiver=0");
+        require(_cids.length > 0, "empty CID list");
+
+        aggregateHash = computeSortedAggregate(_cids);
+        batchId = _storeBatch(
+            _receiver,
+            _cids.length,
+            aggregateHash,
+            _messageHash,
+            _timelock,
+            AggregateMode.Sorted
+        );
+
+        emit CIDsLogged(batchId, _cids);
+    }
+
+    /**
+     * @dev Strict mode: createBatch, createMerkleBatch or createSortedBatch
+     * (by _mode) that reverts with "duplicate CID" when the list repeats a
+     * CID. The batch is the same as the non-strict call would create; only
+     * the check differs. Sorted lists already refuse duplicates.
+     */
+    function createStrictBatch(
+        address _receiver,
+        bytes32[] calldata _cids,
+        bytes32 _messageHash,
+        uint _timelock,
+        AggregateMode _mode
+    )
+        external
+        futureTimelock(_timelock)
+        returns (bytes32 batchId, bytes32 aggregateHash)
+    {
+        require(_receiver != address(0), "receiver=0");
+        require(_cids.length > 0, "empty CID list");
+
+        // One memory copy for the check and the aggregate
+        bytes32[] memory cids = _cids;
+        require(
+            _mode == AggregateMode.Sorted || !hasDuplicateCIDs(cids),
+            "duplicate CID"
+        );
 
+        aggregateHash = _aggregate(cids, _mode);
+        batchId = _storeBatch(
+            _receiver,
+            _cids.length,
+            aggregateHash,
+            _messageHash,
+            _timelock,
+            _mode
+        );
+
+        emit CIDsLogged(batchId, _cids);
+    }
+
+    /**
+     * @dev One CID set for several receivers. The CID list is logged once;
+     * batchId commits to the receiver list through receiversHash. Each
+     * receiver verifies and acknowledges independently.
+     */
+    function createMultiBatch(
+        address[] calldata _receivers,
+        bytes32[] calldata _cids,
+        bytes32 _messageHash,
+        uint _timelock,
+        AggregateMode _mode
+    )
+        external
+        futureTimelock(_timelock)
+        returns (bytes32 batchId, bytes32 aggregateHash)
+    {
+        require(_receivers.length > 0, "empty receiver list");
+        require(_cids.length > 0, "empty CID list");
+
+        aggregateHash = _aggregate(_cids, _mode);
         batchId = sha256(
             abi.encodePacked(
                 msg.sender,
-                _receiver,
+                receiversHash(_receivers),
                 aggregateHash,
                 _messageHash,
                 _timelock
             )
         );
+        _writeBatch(
+            batchId,
+            address(0),
+            _cids.length,
+            aggregateHash,
+            _messageHash,
+            _timelock,
+            _mode
+        );
+
+        address[] storage list = receiverLists[batchId];
+        for (uint i = 0; i < _receivers.length; i++) {
+            address r = _receivers[i];
+            require(r != address(0), "receiver=0");
+            require(!receiverStates[batchId][r].listed, "duplicate receiver");
+            receiverStates[batchId][r].listed = true;
+            list.push(r);
+        }
+
+        emit ReceiversListed(batchId, _receivers);
+        emit CIDsLogged(batchId, _cids);
+    }
+
+    function receiversHash(address[] memory _receivers)
+        public
+        pure
+        returns (bytes32)
+    {
+        return sha256(abi.encodePacked(_receivers));
+    }
+
+    function _storeBatch(
+        address _receiver,
+        uint _cidCount,
+        bytes32 _aggregateHash,
+        bytes32 _messageHash,
+        uint _timelock,
+        AggregateMode _mode
+    )
+        internal
+        returns (bytes32 batchId)
+    {
+        batchId = sha256(
+            abi.encodePacked(
+                msg.sender,
+                _receiver,
+                _aggregateHash,
+                _messageHash,
+                _timelock
+            )
+        );
+        _writeBatch(
+            batchId,
+            _receiver,
+            _cidCount,
+            _aggregateHash,
+            _messageHash,
+            _timelock,
+            _mode
+        );
+    }
 
-        require(batches[batchId].sender == address(0), "batch exists");
+    function _writeBatch(
+        bytes32 _batchId,
+        address _receiver,
+        uint _cidCount,
+        bytes32 _aggregateHash,
+        bytes32 _messageHash,
+        uint _timelock,
+        AggregateMode _mode
+    )
+        internal
+    {
+        require(batches[_batchId].sender == address(0), "batch exists");
 
-        batches[batchId] = Batch(
+        batches[_batchId] = Batch(
             msg.sender,
             _receiver,
-            _cids.length,
-            aggregateHash,
+            _cidCount,
+            _aggregateHash,
             _messageHash,
             _timelock,
             false,
+            false,
+            _mode,
+            false,
+            false,
+            false,
             false
         );
 
         emit BatchCreated(
-            batchId,
+            _batchId,
             msg.sender,
             _receiver,
-            _cids.length,
-            aggregateHash,
+            _cidCount,
+            _aggregateHash,
             _messageHash,
             _timelock
         );
-
-        // Logs the full CID list without storing it in contract storage
-        emit CIDsLogged(batchId, _cids);
     }
 
     function releaseAggregate(bytes32 _batchId)
@@ -149,6 +612,8 @@ contract CIDBatchLog {
         batchExists(_batchId)
         onlySender(_batchId)
         notReleased(_batchId)
+        notClosed(_batchId)
+        beforeTimelock(_batchId)
         returns (bytes32 aggregateHash)
     {
         Batch storage b = batches[_batchId];
@@ -158,25 +623,199 @@ contract CIDBatchLog {
         return b.aggregateHash;
     }
 
+    /**
+     * @dev Sender withdraws an unreleased batch before its timelock.
+     */
+    function cancelBatch(bytes32 _batchId)
+        external
+        batchExists(_batchId)
+        onlySender(_batchId)
+        notReleased(_batchId)
+        noneVerified(_batchId)
+        notClosed(_batchId)
+        beforeTimelock(_batchId)
+    {
+        batches[_batchId].cancelled = true;
+        emit BatchCancelled(_batchId, msg.sender);
+    }
+
+    /**
+     * @dev Sender closes a batch that was not released before its timelock.
+     */
+    function expireBatch(bytes32 _batchId)
+        external
+        batchExists(_batchId)
+        onlySender(_batchId)
+        notReleased(_batchId)
+        noneVerified(_batchId)
+        notClosed(_batchId)
+        afterTimelock(_batchId)
+    {
+        batches[_batchId].expired = true;
+        emit BatchExpired(_batchId, msg.sender);
+    }
+
     /**
      * @dev Receiver (or anyone) proves a CID list matches the stored aggregate commitment.
      * Useful for "user independently checks inclusion" in your paper.
+     * On a multi-receiver batch only listed receivers may verify, each once;
+     * the batch is marked verified when the last of them has.
+     * A sorted batch takes the CIDs in ascending order.
      */
     function verifyCIDs(bytes32 _batchId, bytes32[] calldata _cids)
         external
         batchExists(_batchId)
         notVerified(_batchId)
+        notClosed(_batchId)
         returns (bool)
     {
         Batch storage b = batches[_batchId];
         require(_cids.length == b.cidCount, "CID count mismatch");
-        require(computeAggregate(_cids) == b.aggregateHash, "aggregate mismatch");
 
-        b.verified = true;
+        bytes32 aggregate = _aggregate(_cids, b.mode);
+        require(aggregate == b.aggregateHash, "aggregate mismatch");
+
+        if (receiverLists[_batchId].length > 0) {
+            _verifyReceiver(_batchId);
+        } else {
+            b.verified = true;
+            b.verifiedInTime = now < b.timelock;
+        }
         emit BatchVerified(_batchId, msg.sender);
         return true;
     }
 
+    function _verifyReceiver(bytes32 _batchId) internal {
+        ReceiverState storage r = receiverStates[_batchId][msg.sender];
+        require(r.listed, "only receiver");
+        require(!r.verified, "already verified");
+
+        Batch storage b = batches[_batchId];
+        r.verified = true;
+        r.verifiedInTime = now < b.timelock;
+
+        uint verified = ++receiverCounts[_batchId].verified;
+        if (verified == receiverLists[_batchId].length) {
+            b.verified = true;
+            // The last receiver verified latest, so this is in time only if all were
+            b.verifiedInTime = now < b.timelock;
+        }
+    }
+
+    /**
+     * @dev Proves a single CID is part of a Merkle batch without the rest of
+     * the list. _proof holds the sibling hashes from leaf to root, as
+     * produced by src/merkle.js.
+     */
+    function verifyCIDProof(
+        bytes32 _batchId,
+        bytes32 _cid,
+        bytes32[] calldata _proof
+    )
+        external
+        batchExists(_batchId)
+        notClosed(_batchId)
+        returns (bool)
+    {
+        Batch storage b = batches[_batchId];
+        require(b.mode == AggregateMode.Merkle, "not a merkle batch");
+
+        bytes32 node = hashLeaf(_cid);
+        for (uint i = 0; i < _proof.length; i++) {
+            node = hashPair(node, _proof[i]);
+        }
+        require(node == b.aggregateHash, "invalid proof");
+
+        emit CIDProofVerified(_batchId, _cid, msg.sender);
+        return true;
+    }
+
+    /**
+     * @dev What the receiver signs: the batch, its aggregate and this
+     * contract, so a signature can't be replayed on another deployment.
+     */
+    function ackHash(bytes32 _batchId) public view returns (bytes32) {
+        return keccak256(
+            abi.encodePacked(address(this), _batchId, batches[_batchId].aggregateHash)
+        );
+    }
+
+    /**
+     * @dev Marks a batch acknowledged by its receiver. _signature is the
+     * receiver's 65-byte EIP-191 signature of ackHash(_batchId)
+     * (eth_sign / personal_sign); any account may submit it. On a
+     * multi-receiver batch it acknowledges for whichever listed receiver
+     * signed; the batch is acknowledged once all of them have.
+     */
+    function acknowledge(bytes32 _batchId, bytes calldata _signature)
+        external
+        batchExists(_batchId)
+        notClosed(_batchId)
+        returns (bool)
+    {
+        Batch storage b = batches[_batchId];
+        require(!b.acknowledged, "already acknowledged");
+
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19Ethereum Signed Message:\n32", ackHash(_batchId))
+        );
+        address signer = _recoverSigner(digest, _signature);
+
+        if (receiverLists[_batchId].length > 0) {
+            ReceiverState storage r = receiverStates[_batchId][signer];
+            require(r.listed, "not signed by receiver");
+            require(!r.acknowledged, "already acknowledged");
+            r.acknowledged = true;
+            uint acknowledged = ++receiverCounts[_batchId].acknowledged;
+            if (acknowledged == receiverLists[_batchId].length) b.acknowledged = true;
+        } else {
+            require(signer == b.receiver, "not signed by receiver");
+            b.acknowledged = true;
+        }
+
+        emit BatchAcknowledged(_batchId, signer, msg.sender);
+        return true;
+    }
+
+    function _recoverSigner(bytes32 _digest, bytes memory _signature)
+        internal
+        pure
+        returns (address)
+    {
+        require(_signature.length == 65, "invalid signature");
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (v < 27) v += 27;
+        require(v == 27 || v == 28, "invalid signature");
+
+        address signer = ecrecover(_digest, v, r, s);
+        require(signer != address(0), "invalid signature");
+        return signer;
+    }
+
+    /**
+     * @dev Publishes the encrypted message for the receiver. Nothing is
+     * stored; the ciphertext is only readable from the MessagePosted log.
+     */
+    function postMessage(bytes32 _batchId, bytes calldata _ciphertext)
+        external
+        batchExists(_batchId)
+        onlySender(_batchId)
+        notClosed(_batchId)
+        returns (bool)
+    {
+        require(batches[_batchId].messageHash != bytes32(0), "no messageHash set");
+        require(_ciphertext.length > 0, "empty ciphertext");
+        emit MessagePosted(_batchId, _ciphertext);
+        return true;
+    }
+
     function verifyMessage(bytes32 _batchId, bytes calldata _message)
         external
         batchExists(_batchId)
@@ -199,7 +838,8 @@ contract CIDBatchLog {
             bytes32 messageHash,
             uint timelock,
             bool released,
-            bool verified
+            bool verified,
+            AggregateMode mode
         )
     {
         Batch storage b = batches[_batchId];
@@ -211,8 +851,55 @@ contract CIDBatchLog {
             b.messageHash,
             b.timelock,
             b.released,
-            b.verified
+            b.verified,
+            b.mode
         );
     }
-}
 
+    // Receiver list of a multi-receiver batch (empty for single-receiver ones)
+    function getReceivers(bytes32 _batchId) external view returns (address[] memory) {
+        return receiverLists[_batchId];
+    }
+
+    /**
+     * @dev Progress of one receiver. For a single-receiver batch this
+     * reflects the batch itself when _receiver is its receiver.
+     */
+    function getReceiverStatus(bytes32 _batchId, address _receiver)
+        external
+        view
+        returns (bool listed, bool verified, bool verifiedInTime, bool acknowledged)
+    {
+        Batch storage b = batches[_batchId];
+        if (receiverLists[_batchId].length == 0) {
+            if (b.sender == address(0) || _receiver != b.receiver) {
+                return (false, false, false, false);
+            }
+            return (true, b.verified, b.verifiedInTime, b.acknowledged);
+        }
+        ReceiverState storage r = receiverStates[_batchId][_receiver];
+        return (r.listed, r.verified, r.verifiedInTime, r.acknowledged);
+    }
+
+    /**
+     * @dev Lifecycle state of a batch. An unreleased batch past its timelock
+     * reports Expired even before the sender calls expireBatch.
+     */
+    function getBatchStatus(bytes32 _batchId)
+        external
+        view
+        returns (BatchStatus status, bool verifiedInTime, bool acknowledged)
+    {
+        Batch storage b = batches[_batchId];
+        acknowledged = b.acknowledged;
+        verifiedInTime = b.verifiedInTime;
+
+        if (b.sender == address(0)) status = BatchStatus.None;
+        else if (b.cancelled) status = BatchStatus.Cancelled;
+        else if (b.verified) status = BatchStatus.Verified;
+        else if (b.expired) status = BatchStatus.Expired;
+        else if (b.released) status = BatchStatus.Released;
+        else if (now >= b.timelock) status = BatchStatus.Expired;
+        else status = BatchStatus.Created;
+    }
+}
@@ -0,0 +1,757 @@
+/**
+ * scripts/cidbatch.js
+ *
+ * Command-line tool for day-to-day CIDBatchLog operations. Use bin/cidbatch,
+ * or run it through truffle directly:
+ *
+ *   truffle exec scripts/cidbatch.js <command> [options] --network development
+ *
+ * Commands:
+ *   create (--receiver <addr> | --receivers <addr,addr,...>) --cids-file <path>
+ *          [--message-file <path>]
+ *          [--timelock <unix>|+<seconds>] [--mode packed|merkle|sorted]
+ *          [--duplicates reject|dedupe|allow] [--strict]
+ *          [--encrypt-to <receiver pubkey> [--message-store <dir>]]
+ *   release <batchId>
+ *   cancel <batchId>                 (sender, before the timelock)
+ *   expire <batchId>                 (sender, after the timelock, unreleased)
+ *   verify <batchId> --cids-file <path>
+ *   verify-message <batchId> --message-file <path>
+ *   message-open <batchId> --key-file <path> [--message-store <dir>]
+ *                [--out <path>] [--verify]
+ *   pubkey --key-file <path>         (prints the public key for --encrypt-to)
+ *   ack-sign <batchId>               (receiver: prints a signed acknowledgment)
+ *   acknowledge <batchId> --signature <0x...>   (anyone: relays it)
+ *   status <batchId>
+ *   audit <batchId> [--cids-out <path>] [--from-block <n>]
+ *   lookup-cid <cid|digest> [--db <index file>]
+ *   estimate --receiver <addr> --cids-file <path> [--mode packed|merkle|sorted]
+ *            [--gas-ceiling <gas>] [--duplicates reject|dedupe|allow] [--strict]
+ *   create-set --receiver <addr> --cids-file <path> --manifest <path>
+ *              [--gas-ceiling <gas>] [--timelock <unix>|+<seconds>]
+ *              [--mode packed|merkle|sorted]
+ *              [--duplicates reject|dedupe|allow] [--strict]
+ *   release-set --manifest <path>
+ *   verify-set --manifest <path> --cids-file <path>   (receiver)
+ *   audit-set --manifest <path> [--cids-file <path>] [--cids-out <path>]
+ *
+ * Common options:
+ *   --from <address|account index>   sending account (default: the network's
+ *                                    `from` in truffle-config.js, else accounts[0])
+ *   --json                           machine-readable output
+ *
+ * CIDs files hold one CID (CIDv0/CIDv1 string or 0x bytes32 digest) per line;
+ * blank lines and lines starting with # are ignored. Message files are read as
+ * raw bytes.
+ *
+ * --receivers creates one multi-receiver batch: the CID list is logged once
+ * and every listed receiver verifies / acknowledges on its own; `status`
+ * then shows each receiver's progress.
+ *
+ * With --encrypt-to, `create` also encrypts the message to the receiver's
+ * secp256k1 public key and posts the envelope on chain (postMessage), or
+ * writes it to <message-store>/<batchId>.json instead. `message-open` is the
+ * receiver side: it fetches the envelope (store first, then chain), decrypts
+ * it with the private key in --key-file (one 0x hex line) and checks it
+ * against the batch's messageHash before anything is sent; --out saves the
+ * plaintext, --verify then calls verifyMessage.
+ *
+ * --mode sorted commits to the CIDs as a set: they are sent in ascending
+ * order, duplicates are refused, and `verify` / `verify-set` accept the
+ * same CIDs in any order.
+ *
+ * A CIDs file that lists a CID twice is refused before anything is sent
+ * (exit 9) unless --duplicates says otherwise: "dedupe" drops the repeats,
+ * "allow" sends them and counts each one. --strict creates through
+ * createStrictBatch, which also reverts on duplicates on chain (exit 35); it costs
+ * extra gas per CID and is not available with --receivers.
+ *
+ * `audit` recovers the CID list from the batch's CIDsLogged event and checks
+ * it against getBatch without sending a transaction; --cids-out saves the
+ * recovered list in the --cids-file format.
+ *
+ * `estimate` prints the create gas of a CID list and how it would be split
+ * under --gas-ceiling (default: 90% of the block gas limit). `create-set`
+ * creates it as a chunked set (src/chunking.js): one batch per chunk, linked
+ * by a shared messageHash, described by the manifest written to --manifest.
+ * If a chunk fails, the manifest of the chunks created so far is still
+ * written. `release-set`, `verify-set` and `audit-set` then act on every
+ * chunk of a manifest; `audit-set` sends nothing and exits 4 on mismatches.
+ *
+ * Exit codes: 0 ok, 1 unexpected error, 2 usage error or malformed CID (in
+ * --cids-file or as an argument), 3 other revert, 4 audit found mismatches,
+ * 5 message envelope does not decrypt, 6 decrypted message does not match
+ * messageHash, 7 no encrypted message found, 8 one CID exceeds the gas
+ * ceiling, 9 the CID list repeats a CID (--duplicates reject), 10+ specific
+ * revert reasons (see EXIT_CODES).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs } = require("../src/args");
+const { MODES, DUPLICATE_POLICIES } = require("../src/batch");
+const { CIDError, parseCIDList, toDigest } = require("../src/cid");
+const { CIDBatchLogClient } = require("../src/client");
+const errors = require("../src/errors");
+const { normalizePublicKey, publicKeyFromPrivate } = require("../src/ecies");
+const { MessageStore } = require("../src/message");
+const {
+  FileStore,
+  EventIndexer,
+  defaultIndexPath,
+  deployedContracts,
+} = require("../src/indexer");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const EXIT_CODES = new Map([
+  [errors.DecryptionError, 5],
+  [errors.MessageMismatchError, 6],
+  [errors.GasCeilingError, 8],
+  [errors.DuplicateCIDsFoundError, 9],
+  [errors.InvalidReceiverError, 10],
+  [errors.EmptyCIDListError, 11],
+  [errors.TimelockNotInFutureError, 12],
+  [errors.BatchExistsError, 13],
+  [errors.BatchNotFoundError, 14],
+  [errors.NotSenderError, 15],
+  [errors.NotReceiverError, 16],
+  [errors.AlreadyReleasedError, 17],
+  [errors.AlreadyVerifiedError, 18],
+  [errors.CIDCountMismatchError, 19],
+  [errors.AggregateMismatchError, 20],
+  [errors.NoMessageHashError, 21],
+  [errors.MessageHashMismatchError, 22],
+  [errors.NotMerkleBatchError, 23],
+  [errors.InvalidProofError, 24],
+  [errors.BatchCancelledError, 25],
+  [errors.BatchExpiredError, 26],
+  [errors.TimelockExpiredError, 27],
+  [errors.TimelockNotPassedError, 28],
+  [errors.AlreadyAcknowledgedError, 29],
+  [errors.InvalidSignatureError, 30],
+  [errors.NotSignedByReceiverError, 31],
+  [errors.EmptyCiphertextError, 32],
+  [errors.EmptyReceiverListError, 33],
+  [errors.DuplicateReceiverError, 34],
+  [errors.DuplicateCIDError, 35],
+  [errors.CIDOrderError, 36],
+]);
+
+class UsageError extends Error {}
+
+/* ───────────── Input helpers ───────────── */
+
+function requireOpt(args, key, flag) {
+  if (args[key] === undefined || args[key] === true) {
+    throw new UsageError(`missing ${flag}`);
+  }
+  return args[key];
+}
+
+function requireBatchId(args) {
+  const batchId = args._[1];
+  if (!batchId || !/^0x[0-9a-fA-F]{64}$/.test(batchId)) {
+    throw new UsageError("expected a 0x-prefixed bytes32 <batchId>");
+  }
+  return batchId;
+}
+
+function readCIDsFile(file) {
+  return parseCIDList(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+function readMessageFile(file) {
+  return "0x" + fs.readFileSync(path.resolve(file)).toString("hex");
+}
+
+function readKeyFile(file) {
+  const key = fs.readFileSync(path.resolve(file), "utf8").trim();
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(key)) {
+    throw new UsageError(`${file} does not hold a 32-byte hex private key`);
+  }
+  return key.startsWith("0x") ? key : "0x" + key;
+}
+
+function readManifest(file) {
+  const manifest = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (!Array.isArray(manifest.chunks) || !manifest.setHash) {
+    throw new UsageError(`${file} is not a chunked-set manifest`);
+  }
+  return manifest;
+}
+
+function writeManifest(file, manifest) {
+  fs.writeFileSync(path.resolve(file), JSON.stringify(manifest, null, 2) + "\n", {
+    encoding: "utf8",
+  });
+}
+
+function parseGasCeiling(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(String(value)) || Number(value) === 0) {
+    throw new UsageError(`invalid --gas-ceiling: ${value}`);
+  }
+  return Number(value);
+}
+
+function parseMode(value) {
+  if (value === undefined) return "packed";
+  if (!MODES.includes(value)) {
+    throw new UsageError(`--mode must be one of ${MODES.join(", ")}, got ${value}`);
+  }
+  return value;
+}
+
+function parseDuplicates(value) {
+  if (value === undefined) return undefined;
+  if (!DUPLICATE_POLICIES.includes(value)) {
+    throw new UsageError(`--duplicates must be one of ${DUPLICATE_POLICIES.join(", ")}, got ${value}`);
+  }
+  return value;
+}
+
+async function resolveFrom(value) {
+  const accounts = await web3.eth.getAccounts();
+  if (value === undefined) return CIDBatchLog.defaults().from || accounts[0];
+  if (/^\d+$/.test(value)) {
+    const account = accounts[Number(value)];
+    if (!account) throw new UsageError(`no account at index ${value}`);
+    return account;
+  }
+  if (!web3.utils.isAddress(value)) {
+    throw new UsageError(`--from is not an address or index: ${value}`);
+  }
+  return value;
+}
+
+async function resolveTimelock(client, value) {
+  if (value === undefined) return undefined;
+  const s = String(value);
+  if (s.startsWith("+")) return (await client.chainNow()) + Number(s.slice(1));
+  if (!/^\d+$/.test(s)) throw new UsageError(`invalid --timelock: ${s}`);
+  return Number(s);
+}
+
+// Appended to the "cids:" line when --duplicates dedupe dropped repeats
+function dedupedNote(result) {
+  return result.duplicatesRemoved > 0 ? `, ${result.duplicatesRemoved} duplicate(s) removed` : "";
+}
+
+/* ───────────── Commands ───────────── */
+
+async function createMulti(client, args, from) {
+  if (args.receiver !== undefined) {
+    throw new UsageError("use either --receiver or --receivers");
+  }
+  if (args.encryptTo !== undefined) {
+    throw new UsageError("--encrypt-to is not supported with --receivers");
+  }
+  if (args.strict !== undefined) {
+    throw new UsageError("--strict is not supported with --receivers");
+  }
+  const receivers = String(requireOpt(args, "receivers", "--receivers"))
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+  const bad = receivers.find((r) => !web3.utils.isAddress(r));
+  if (bad) throw new UsageError(`--receivers: not an address: ${bad}`);
+
+  const result = await client.createMultiBatch({
+    receivers,
+    cids: readCIDsFile(requireOpt(args, "cidsFile", "--cids-file")),
+    message: args.messageFile ? readMessageFile(args.messageFile) : undefined,
+    timelock: await resolveTimelock(client, args.timelock),
+    mode: parseMode(args.mode),
+    duplicates: parseDuplicates(args.duplicates),
+    from,
+  });
+  return {
+    result,
+    text: [
+      `batchId:       ${result.batchId}`,
+      `aggregateHash: ${result.aggregateHash}`,
+      `cids:          ${result.cidCount} (${result.mode})${dedupedNote(result)}`,
+      `receivers:     ${result.receivers.length}`,
+      `timelock:      ${result.timelock}`,
+      `gasUsed:       ${result.gasUsed} (block ${result.blockNumber})`,
+    ],
+  };
+}
+
+const COMMANDS = {
+  async create(client, args, from) {
+    if (args.receivers !== undefined) return createMulti(client, args, from);
+    const receiver = requireOpt(args, "receiver", "--receiver");
+    const cids = readCIDsFile(requireOpt(args, "cidsFile", "--cids-file"));
+    const message = args.messageFile
+      ? readMessageFile(args.messageFile)
+      : undefined;
+    const receiverPublicKey = args.encryptTo
+      ? requireOpt(args, "encryptTo", "--encrypt-to")
+      : undefined;
+    if (receiverPublicKey && !message) {
+      throw new UsageError("--encrypt-to needs --message-file");
+    }
+    if (receiverPublicKey) {
+      try {
+        normalizePublicKey(String(receiverPublicKey));
+      } catch (err) {
+        throw new UsageError(`--encrypt-to: ${err.message}`);
+      }
+    }
+
+    const result = await client.createBatch({
+      receiver,
+      cids,
+      message,
+      receiverPublicKey,
+      timelock: await resolveTimelock(client, args.timelock),
+      mode: parseMode(args.mode),
+      duplicates: parseDuplicates(args.duplicates),
+      strict: Boolean(args.strict),
+      from,
+    });
+    const text = [
+      `batchId:       ${result.batchId}`,
+      `aggregateHash: ${result.aggregateHash}`,
+      `cids:          ${result.cidCount} (${result.mode}${result.strict ? ", strict" : ""})${dedupedNote(result)}`,
+      `timelock:      ${result.timelock}`,
+      `gasUsed:       ${result.gasUsed} (block ${result.blockNumber})`,
+    ];
+
+    if (result.envelope) {
+      if (args.messageStore) {
+        const file = new MessageStore(path.resolve(args.messageStore)).put(result.envelope);
+        result.messageFile = file;
+        text.push(`message:       encrypted, written to ${file}`);
+      } else {
+        const posted = await client.postMessage(result.batchId, result.envelope.ciphertext, {
+          from,
+        });
+        result.messagePosted = posted;
+        text.push(
+          `message:       encrypted, posted (${posted.ciphertextBytes} bytes, gasUsed ${posted.gasUsed})`,
+        );
+      }
+    }
+    return { result, text };
+  },
+
+  async release(client, args, from) {
+    const result = await client.releaseAggregate(requireBatchId(args), {
+      from,
+    });
+    return {
+      result,
+      text: [
+        `released ${result.batchId}`,
+        `aggregateHash: ${result.aggregateHash}`,
+        `gasUsed:       ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async cancel(client, args, from) {
+    const result = await client.cancelBatch(requireBatchId(args), { from });
+    return {
+      result,
+      text: [
+        `cancelled ${result.batchId}`,
+        `gasUsed: ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async expire(client, args, from) {
+    const result = await client.expireBatch(requireBatchId(args), { from });
+    return {
+      result,
+      text: [
+        `expired ${result.batchId}`,
+        `gasUsed: ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async verify(client, args, from) {
+    const cids = readCIDsFile(requireOpt(args, "cidsFile", "--cids-file"));
+    const result = await client.verifyCIDs(requireBatchId(args), cids, {
+      from,
+    });
+    return {
+      result,
+      text: [
+        `verified ${result.batchId} (${cids.length} CIDs)`,
+        `gasUsed: ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async "verify-message"(client, args, from) {
+    const message = readMessageFile(
+      requireOpt(args, "messageFile", "--message-file"),
+    );
+    const result = await client.verifyMessage(requireBatchId(args), message, {
+      from,
+    });
+    return {
+      result,
+      text: [
+        `message matches ${result.batchId}`,
+        `gasUsed: ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async "message-open"(client, args, from) {
+    const batchId = requireBatchId(args);
+    const privateKey = readKeyFile(requireOpt(args, "keyFile", "--key-file"));
+    const store = args.messageStore
+      ? new MessageStore(path.resolve(args.messageStore))
+      : undefined;
+
+    const opened = await client.fetchMessage(batchId, { privateKey, store });
+    if (!opened) {
+      return {
+        result: { batchId, found: false },
+        exitCode: 7,
+        text: [`no encrypted message found for ${batchId}`],
+      };
+    }
+
+    const text = [
+      `batchId:     ${batchId}`,
+      `source:      ${opened.source}`,
+      `messageHash: ${opened.messageHash} (matches)`,
+    ];
+    if (args.out) {
+      fs.writeFileSync(path.resolve(args.out), Buffer.from(opened.message.slice(2), "hex"));
+      text.push(`message written to ${args.out}`);
+    } else {
+      text.push(`message:     ${opened.message}`);
+    }
+
+    const result = { ...opened, found: true };
+    if (args.verify) {
+      result.verified = await client.verifyMessage(batchId, opened.message, { from });
+      text.push(
+        `verifyMessage ok, gasUsed: ${result.verified.gasUsed} (block ${result.verified.blockNumber})`,
+      );
+    }
+    return { result, text };
+  },
+
+  async pubkey(client, args) {
+    const privateKey = readKeyFile(requireOpt(args, "keyFile", "--key-file"));
+    const publicKey = publicKeyFromPrivate(privateKey);
+    const address = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+    return {
+      result: { address, publicKey },
+      text: [`address:   ${address}`, `publicKey: ${publicKey}`],
+    };
+  },
+
+  async "ack-sign"(client, args, from) {
+    const batchId = requireBatchId(args);
+    const signature = await client.signAcknowledgment(batchId, { signer: from });
+    return {
+      result: { batchId, signer: from, signature },
+      text: [`signer:    ${from}`, `signature: ${signature}`],
+    };
+  },
+
+  async acknowledge(client, args, from) {
+    const signature = requireOpt(args, "signature", "--signature");
+    if (!/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+      throw new UsageError("--signature must be 65 bytes of 0x-prefixed hex");
+    }
+    const result = await client.acknowledge(requireBatchId(args), signature, {
+      from,
+    });
+    return {
+      result,
+      text: [
+        `acknowledged ${result.batchId} (relayed by ${result.relayer})`,
+        `gasUsed: ${result.gasUsed} (block ${result.blockNumber})`,
+      ],
+    };
+  },
+
+  async status(client, args) {
+    const batchId = requireBatchId(args);
+    const result = await client.getBatch(batchId);
+    if (!result) throw new errors.BatchNotFoundError("batch does not exist");
+    return {
+      result,
+      text: [
+        `batchId:       ${result.batchId}`,
+        `sender:        ${result.sender}`,
+        result.multi
+          ? `receivers:     ${result.receivers.length}`
+          : `receiver:      ${result.receiver}`,
+        `cids:          ${result.cidCount} (${result.mode})`,
+        `aggregateHash: ${result.aggregateHash}`,
+        `messageHash:   ${result.messageHash}`,
+        `timelock:      ${result.timelock}`,
+        `status:        ${result.status}`,
+        `released:      ${result.released}`,
+        `verified:      ${result.verified}${result.verified ? (result.verifiedInTime ? " (in time)" : " (late)") : ""}`,
+        `acknowledged:  ${result.acknowledged}`,
+        ...(result.multi
+          ? result.receivers.map(
+              (r) =>
+                `  ${r.address} verified=${r.verified}${r.verified && !r.verifiedInTime ? " (late)" : ""} acknowledged=${r.acknowledged}`,
+            )
+          : []),
+      ],
+    };
+  },
+
+  async audit(client, args) {
+    const batchId = requireBatchId(args);
+    let fromBlock = 0;
+    if (args.fromBlock !== undefined) {
+      if (!/^\d+$/.test(String(args.fromBlock))) {
+        throw new UsageError(`invalid --from-block: ${args.fromBlock}`);
+      }
+      fromBlock = Number(args.fromBlock);
+    }
+
+    const report = await client.auditBatch(batchId, { fromBlock });
+    if (!report.batch) throw new errors.BatchNotFoundError("batch does not exist");
+
+    if (args.cidsOut && report.cids) {
+      fs.writeFileSync(path.resolve(args.cidsOut), report.cids.join("\n") + "\n", {
+        encoding: "utf8",
+      });
+    }
+
+    const mark = (ok) => (ok ? "ok  " : "FAIL");
+    const c = report.checks;
+    return {
+      result: report,
+      exitCode: report.valid ? 0 : 4,
+      text: [
+        `batchId:       ${batchId}`,
+        `created:       ${report.createdTx ? `${report.createdTx.txHash} (block ${report.createdTx.blockNumber})` : "-"}`,
+        `cids:          ${report.cids ? report.cids.length : "-"} recovered, ${report.batch.cidCount} committed (${report.batch.mode})`,
+        `aggregateHash: ${report.batch.aggregateHash}`,
+        `recomputed:    ${report.recomputedAggregate || "-"}`,
+        `${mark(c.createdEvent)} BatchCreated event found`,
+        `${mark(c.eventMatchesState)} BatchCreated matches getBatch`,
+        `${mark(c.cidsLogged)} CIDsLogged event found`,
+        `${mark(c.cidCount)} CID count`,
+        `${mark(c.aggregateHash)} aggregate hash`,
+        ...report.problems.map((p) => `problem: ${p}`),
+        report.valid ? "audit passed" : "audit FAILED",
+        ...(args.cidsOut && report.cids ? [`CIDs written to ${args.cidsOut}`] : []),
+      ],
+    };
+  },
+
+  async estimate(client, args, from) {
+    const params = {
+      receiver: requireOpt(args, "receiver", "--receiver"),
+      cids: readCIDsFile(requireOpt(args, "cidsFile", "--cids-file")),
+      mode: parseMode(args.mode),
+      duplicates: parseDuplicates(args.duplicates),
+      strict: Boolean(args.strict),
+      gasCeiling: parseGasCeiling(args.gasCeiling),
+      from,
+    };
+    const plan = await client.planChunkedSet(params);
+    const single = plan.chunks.length === 1 ? plan.chunks[0].estimatedGas : null;
+    const cidCount = plan.chunks.reduce((n, c) => n + c.cidCount, 0);
+    const deduped = { duplicatesRemoved: params.cids.length - cidCount };
+    return {
+      result: { cidCount, mode: params.mode, strict: params.strict, ...deduped, ...plan },
+      text: [
+        `cids:        ${cidCount} (${params.mode}${params.strict ? ", strict" : ""})${dedupedNote(deduped)}`,
+        `gas ceiling: ${plan.gasCeiling}`,
+        `gas model:   ${plan.model.base} + ${plan.model.perCid} per CID`,
+        `per chunk:   up to ${plan.maxCIDsPerChunk} CIDs`,
+        single !== null
+          ? `fits one batch: ${single} gas`
+          : `needs ${plan.chunks.length} chunks:`,
+        ...(single !== null
+          ? []
+          : plan.chunks.map(
+              (c, i) => `  [${i}] offset=${c.offset} cids=${c.cidCount} gas=${c.estimatedGas}`,
+            )),
+      ],
+    };
+  },
+
+  async "create-set"(client, args, from) {
+    const manifestPath = requireOpt(args, "manifest", "--manifest");
+    let manifest;
+    try {
+      manifest = await client.createChunkedSet({
+        receiver: requireOpt(args, "receiver", "--receiver"),
+        cids: readCIDsFile(requireOpt(args, "cidsFile", "--cids-file")),
+        timelock: await resolveTimelock(client, args.timelock),
+        mode: parseMode(args.mode),
+        duplicates: parseDuplicates(args.duplicates),
+        strict: Boolean(args.strict),
+        gasCeiling: parseGasCeiling(args.gasCeiling),
+        from,
+      });
+    } catch (err) {
+      if (err.manifest && err.manifest.chunks.length > 0) writeManifest(manifestPath, err.manifest);
+      throw err;
+    }
+    writeManifest(manifestPath, manifest);
+    const gasUsed = manifest.chunks.reduce((sum, c) => sum + c.gasUsed, 0);
+    return {
+      result: manifest,
+      text: [
+        `setHash:     ${manifest.setHash}`,
+        `cids:        ${manifest.cidCount} (${manifest.mode}) in ${manifest.chunks.length} chunk(s)`,
+        `timelock:    ${manifest.timelock}`,
+        `gas ceiling: ${manifest.gasCeiling}`,
+        ...manifest.chunks.map(
+          (c) => `  [${c.index}] ${c.batchId} cids=${c.cidCount} gasUsed=${c.gasUsed}`,
+        ),
+        `gasUsed:     ${gasUsed} total`,
+        `manifest written to ${manifestPath}`,
+      ],
+    };
+  },
+
+  async "release-set"(client, args, from) {
+    const manifest = readManifest(requireOpt(args, "manifest", "--manifest"));
+    const released = await client.releaseChunkedSet(manifest, { from });
+    return {
+      result: { setHash: manifest.setHash, released },
+      text: [
+        `released ${released.length} chunk(s) of ${manifest.setHash}`,
+        `gasUsed: ${released.reduce((sum, r) => sum + r.gasUsed, 0)} total`,
+      ],
+    };
+  },
+
+  async "verify-set"(client, args, from) {
+    const manifest = readManifest(requireOpt(args, "manifest", "--manifest"));
+    const cids = readCIDsFile(requireOpt(args, "cidsFile", "--cids-file"));
+    const verified = await client.verifyChunkedSet(manifest, cids, { from });
+    return {
+      result: { setHash: manifest.setHash, verified },
+      text: [
+        `verified ${verified.length} chunk(s) of ${manifest.setHash} (${cids.length} CIDs)`,
+        `gasUsed: ${verified.reduce((sum, v) => sum + v.gasUsed, 0)} total`,
+      ],
+    };
+  },
+
+  async "audit-set"(client, args) {
+    const manifest = readManifest(requireOpt(args, "manifest", "--manifest"));
+    const cids = args.cidsFile ? readCIDsFile(args.cidsFile) : undefined;
+    const report = await client.auditChunkedSet(manifest, { cids });
+
+    if (args.cidsOut && report.cids) {
+      fs.writeFileSync(path.resolve(args.cidsOut), report.cids.join("\n") + "\n", {
+        encoding: "utf8",
+      });
+    }
+
+    return {
+      result: report,
+      exitCode: report.valid ? 0 : 4,
+      text: [
+        `setHash:     ${manifest.setHash}`,
+        `cids:        ${report.cids ? report.cids.length : "-"} recovered, ${manifest.cidCount} in the manifest`,
+        ...report.chunks.map(
+          (c) => `${c.valid ? "ok  " : "FAIL"} [${c.index}] ${c.batchId}`,
+        ),
+        ...report.problems.map((p) => `problem: ${p}`),
+        report.valid ? "audit passed" : "audit FAILED",
+        ...(args.cidsOut && report.cids ? [`CIDs written to ${args.cidsOut}`] : []),
+      ],
+    };
+  },
+
+  async "lookup-cid"(client, args) {
+    const cid = args._[1];
+    if (!cid) throw new UsageError("expected <cid>");
+    const digest = toDigest(cid);
+
+    const dbPath = args.db
+      ? path.resolve(args.db)
+      : defaultIndexPath(await web3.eth.net.getId());
+    const indexer = new EventIndexer({
+      web3,
+      contracts: await deployedContracts(artifacts),
+      store: new FileStore(dbPath),
+    });
+    await indexer.sync();
+
+    const batches = indexer.batchesByCID(digest).map((b) => ({
+      batchId: b.batchId,
+      sender: b.sender,
+      receiver: b.receiver,
+      cidCount: b.cidCount,
+      position: b.cids.findIndex((c) => c.toLowerCase() === digest),
+      status: b.status,
+      createdAt: b.createdAt,
+    }));
+    return {
+      result: { cid, digest, batches },
+      text: [
+        `${digest}: ${batches.length} batch(es)`,
+        ...batches.map(
+          (b) =>
+            `  ${b.batchId} position=${b.position} status=${b.status} sender=${b.sender} receiver=${b.receiver}`,
+        ),
+      ],
+    };
+  },
+};
+
+/* ───────────── Main ───────────── */
+
+function exitCodeFor(err) {
+  if (err instanceof UsageError || err instanceof CIDError) return 2;
+  for (const [ErrorClass, code] of EXIT_CODES) {
+    if (err instanceof ErrorClass) return code;
+  }
+  if (err instanceof errors.RevertError) return 3;
+  return 1;
+}
+
+module.exports = async function (callback) {
+  const args = parseArgs(scriptArgv(__filename), { boolean: ["json", "verify", "strict"] });
+
+  try {
+    const command = COMMANDS[args._[0]];
+    if (!command) {
+      throw new UsageError(
+        `unknown command "${args._[0] || ""}" (expected one of: ${Object.keys(COMMANDS).join(", ")})`,
+      );
+    }
+
+    const from = await resolveFrom(args.from);
+    const client = await CIDBatchLogClient.deployed(CIDBatchLog, { from });
+    const { result, text, exitCode = 0 } = await command(client, args, from);
+
+    console.log(args.json ? JSON.stringify(result, null, 2) : text.join("\n"));
+    if (exitCode !== 0) process.exit(exitCode);
+    callback();
+  } catch (err) {
+    const code = exitCodeFor(err);
+    if (args.json) {
+      console.log(
+        JSON.stringify({
+          error: err.name,
+          reason: err.reason || null,
+          message: err.message,
+          exitCode: code,
+        }),
+      );
+    } else {
+      console.error(`error: ${err.message}`);
+    }
+    process.exit(code);
+  }
+};
@@ -0,0 +1,447 @@
+/**
+ * scripts/cidbatchlog_bench.js
+ *
+ * Runs the CIDBatchLog create → releaseAggregate → verifyCIDs → verifyMessage
+ * flow once per batch size (and repetition) and writes one log per size as
+ * <out>/cidbatchlog_<n>cids.log, the format CIDBatchLog.ipynb parses.
+ *
+ * With --mode merkle the batch is created with createMerkleBatch and a
+ * single-CID verifyCIDProof is measured before the full-list verifyCIDs;
+ * logs go to <out>/cidbatchlog_merkle_<n>cids.log. With --mode sorted it is
+ * created with createSortedBatch (the client sends the CIDs in canonical
+ * order and verifies them in the order they were generated); logs go to
+ * <out>/cidbatchlog_sorted_<n>cids.log.
+ *
+ * Every transaction is also recorded in <out>/<log prefix>_results.jsonl and
+ * .csv (see src/results.js).
+ *
+ * Before creating, each run estimates the create gas of its CID list and
+ * logs the largest batch that fits the gas ceiling (src/chunking.js). Lists
+ * above it are created as a chunked set instead: one create, release and
+ * verifyCIDs per chunk, logged as "chunk[i] ..." lines (which
+ * src/logparse.js skips; the results files have one record per chunk
+ * transaction), then one audit of the whole set.
+ *
+ * With --inject every run also sends deliberately bad calls after the
+ * release (src/faults.js): tampered, reordered, truncated and padded CID
+ * lists, a wrong message, releaseAggregate from the receiver and verifyCIDs
+ * from a third account (accounts[2]). Each is logged as a "fault[name]"
+ * line with its revert reason, the gas spent up to the revert and whether
+ * the local pre-check (src/precheck.js) would have caught it, followed by a
+ * table; reverted faults are recorded as "<operation>[<fault>]" with
+ * success=false. A chunked set injects into its first chunk. The honest
+ * verifyCIDs that follows shows the batch was left untouched.
+ *
+ * On ganache a packed create costs about 168k + 958 gas per CID, so 10,000
+ * CIDs (11.5M) still fit one batch under the default 27M ceiling. A merkle
+ * create needs a gas limit of about 186k + 2,950 per CID and grows faster
+ * with memory: 10,000 CIDs become two chunks of about 5,000.
+ *
+ * Inputs are generated from a seed (src/seed.js) recorded in each log
+ * header, with an independent stream per batch size and repetition: the
+ * same seed gives the same CIDs, message and proof index in packed and
+ * merkle mode. --replay <log> reruns a previous log with the same seed,
+ * batch size, repetitions, mode and timelock offset, checks the regenerated
+ * CIDs against the ones in the log and writes to <log dir>/replay/.
+ *
+ * Run:
+ *   truffle migrate --reset --network development
+ *   truffle exec scripts/cidbatchlog_bench.js --network development \
+ *     --sizes 1,5,10,25,50,75,100,1000,10000 --reps 1 --out test
+ *
+ * Options:
+ *   --sizes  comma-separated batch sizes   (default 1,5,10,25,50,75,100,1000,10000)
+ *   --reps   repetitions per batch size    (default 1)
+ *   --out    directory for the log files   (default test/)
+ *   --mode   packed | merkle | sorted      (default packed)
+ *   --seed   input seed                     (default: random, logged)
+ *   --timelock-offset  seconds after chain time for the timelock (default 600)
+ *   --gas-ceiling      gas per create transaction (default: 90% of the
+ *                      block gas limit, at most 27000000)
+ *   --inject [faults]  inject failures before verifying; all faults, or a
+ *                      comma-separated list of tampered-cid, reordered,
+ *                      truncated, padded, wrong-message, release-by-receiver,
+ *                      verify-by-stranger
+ *   --replay <log>     regenerate and rerun the run recorded in a log file
+ *
+ *   truffle exec scripts/cidbatchlog_bench.js --network development \
+ *     --sizes 10 --seed demo --out test/seeded
+ *   truffle exec scripts/cidbatchlog_bench.js --network development \
+ *     --replay test/seeded/cidbatchlog_10cids.log
+ *
+ * (The committed test/cidbatchlog_*.log files predate seeding and have no
+ * "Seed:" header, so they cannot be replayed.)
+ *
+ *   truffle exec scripts/cidbatchlog_bench.js --network development \
+ *     --sizes 10,100 --inject --out test/faults
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs, parseIntList } = require("../src/args");
+const { MODES, CREATE_METHODS, canonicalizeCIDs, computeAggregate } = require("../src/batch");
+const { CIDBatchLogClient, DEFAULT_TIMELOCK_SECONDS } = require("../src/client");
+const { parseFaultList, runFaults } = require("../src/faults");
+const merkle = require("../src/merkle");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const { SeededRandom, resolveSeed, seedLine, readSeed } = require("../src/seed");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const DEFAULT_SIZES = "1,5,10,25,50,75,100,1000,10000";
+const DEFAULT_OUT = path.join(__dirname, "..", "test");
+
+/* ───────────────── Helpers ───────────────── */
+
+// Inputs of one batch run, drawn in a fixed order from its own stream
+function generateInputs(rng, cidCount) {
+  const cids = Array.from({ length: cidCount }, () => rng.bytes32());
+  const message = rng.hex(64);
+  const proofIndex = rng.int(cidCount);
+  return { cids, message, proofIndex };
+}
+
+function runStream(seed, size, rep) {
+  return new SeededRandom(seed).fork(`cidbatchlog:${size}:${rep}`);
+}
+
+/* ───────────────── Replay ───────────────── */
+
+/**
+ * Reads the parameters of a previous run back from its log: mode and size
+ * from the title, seed, timelock offset, gas ceiling and injected faults
+ * from the header,
+ * repetitions from the RUN markers and the logged CID lists for comparison.
+ */
+function planFromLog(logPath) {
+  const text = fs.readFileSync(logPath, "utf8");
+  const title = text.match(/^CIDBatchLog(?: \((merkle|sorted)\))? – (\d+) CID test/);
+  if (!title) throw new Error(`${logPath}: not a CIDBatchLog benchmark log`);
+
+  const seed = readSeed(text);
+  if (!seed) {
+    throw new Error(`${logPath}: no "Seed:" header (written before seeded runs)`);
+  }
+  const offset = text.match(/^Timelock offset: (\d+)s/m);
+  const ceiling = text.match(/^Gas ceiling: (\d+)/m);
+  const injected = text.match(/^Fault injection: (.+)$/m);
+  const runs = text.match(/=== RUN \d+\/(\d+) ===/);
+
+  const logged = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/Generated \d+ CIDs/.test(line)) logged.push([]);
+    const m = line.match(/CID\[\d+\]: (0x[0-9a-fA-F]{64})/);
+    if (m && logged.length > 0) logged[logged.length - 1].push(m[1].toLowerCase());
+  }
+
+  return {
+    mode: title[1] || "packed",
+    sizes: [Number(title[2])],
+    reps: runs ? Number(runs[1]) : 1,
+    seed,
+    timelockOffset: offset ? Number(offset[1]) : DEFAULT_TIMELOCK_SECONDS,
+    gasCeiling: ceiling ? Number(ceiling[1]) : undefined,
+    faults: injected ? parseFaultList(injected[1]) : null,
+    outDir: path.join(path.dirname(path.resolve(logPath)), "replay"),
+    logged,
+  };
+}
+
+function checkReplay(plan) {
+  const size = plan.sizes[0];
+  for (let r = 1; r <= plan.reps; r++) {
+    const { cids } = generateInputs(runStream(plan.seed, size, r), size);
+    const logged = plan.logged[r - 1] || [];
+    if (logged.length !== cids.length || logged.some((c, i) => c !== cids[i])) {
+      throw new Error(
+        `run ${r}: regenerated CIDs do not match the log (seed ${plan.seed})`,
+      );
+    }
+  }
+}
+
+/* ───────────────── One batch run ───────────────── */
+
+async function runBatch(client, results, opts, log) {
+  const { sender, receiver, stranger, cidCount, mode, timelockOffset, faults, rng } = opts;
+  const { cids, message, proofIndex } = generateInputs(rng, cidCount);
+
+  log(`Generated ${cidCount} CIDs`);
+  cids.forEach((cid, i) => log(`CID[${i}]: ${cid}`));
+
+  const now = await client.chainNow();
+  const timelock = now + timelockOffset;
+
+  const plan = await client.planChunkedSet({
+    receiver,
+    cids,
+    timelock,
+    mode,
+    gasCeiling: opts.gasCeiling,
+    from: sender,
+  });
+  log(
+    `Gas model: ${plan.model.base} + ${plan.model.perCid} per CID; ` +
+      `at most ${plan.maxCIDsPerChunk} CIDs per batch under a ${plan.gasCeiling} gas ceiling`,
+  );
+  if (plan.chunks.length > 1) {
+    log(`${cidCount} CIDs exceed one batch; creating ${plan.chunks.length} chunks`);
+    return runChunked(client, results, { ...opts, cids, timelock, plan }, log);
+  }
+  log(`Estimated create gas: ${plan.chunks[0].estimatedGas}`);
+
+  const tree = mode === "merkle" ? merkle.buildTree(cids) : null;
+  log(`Local aggregateHash: ${computeAggregate(cids, mode)}`);
+
+  const measure = (operation, send) =>
+    results.measure(
+      { contract: "CIDBatchLog", operation, batchSize: cidCount },
+      send,
+    );
+
+  /* ───────────── CREATE BATCH ───────────── */
+
+  log("Creating batch...");
+  const created = await measure(
+    CREATE_METHODS[mode],
+    () =>
+      client.createBatch({
+        receiver,
+        cids,
+        message,
+        timelock,
+        mode,
+        from: sender,
+      }),
+  );
+
+  const batchId = created.batchId;
+  log(`batchId: ${batchId}`);
+  log(`create gasUsed: ${created.gasUsed}`);
+
+  /* ───────────── RELEASE ───────────── */
+
+  log("Releasing aggregate...");
+  const released = await measure("releaseAggregate", () =>
+    client.releaseAggregate(batchId, { from: sender }),
+  );
+  log(`release gasUsed: ${released.gasUsed}`);
+
+  /* ───────────── VERIFY ONE CID (MERKLE) ───────────── */
+
+  if (tree) {
+    const index = proofIndex;
+    const proof = merkle.getProof(tree, index);
+    log(`Verifying proof for CID[${index}] (proof length ${proof.length})...`);
+    const proved = await measure("verifyCIDProof", () =>
+      client.verifyCIDProof(batchId, cids[index], proof, { from: receiver }),
+    );
+    log(`verifyCIDProof gasUsed: ${proved.gasUsed}`);
+  }
+
+  /* ───────────── INJECT FAULTS ───────────── */
+
+  if (faults) {
+    // Faults bypass the client, so a sorted batch's honest list is the canonical one
+    const honest = mode === "sorted" ? canonicalizeCIDs(cids) : cids;
+    await runFaults(client, results, { batchId, cids: honest, message, receiver, stranger }, faults, log);
+  }
+
+  /* ───────────── VERIFY CIDS ───────────── */
+
+  log("Verifying CIDs...");
+  const verified = await measure("verifyCIDs", () =>
+    client.verifyCIDs(batchId, cids, { from: receiver }),
+  );
+  log(`verifyCIDs gasUsed: ${verified.gasUsed}`);
+
+  /* ───────────── VERIFY MESSAGE ───────────── */
+
+  log("Verifying message...");
+  const checked = await measure("verifyMessage", () =>
+    client.verifyMessage(batchId, message, { from: receiver }),
+  );
+  log(`verifyMessage gasUsed: ${checked.gasUsed}`);
+
+  /* ───────────── FINAL STATE ───────────── */
+
+  const b = await client.getBatch(batchId);
+  log(
+    `Final state: released=${b.released} verified=${b.verified} cidCount=${b.cidCount}`,
+  );
+}
+
+/* ───────────────── Chunked set run ───────────────── */
+
+async function runChunked(client, results, opts, log) {
+  const { sender, receiver, stranger, cids, mode, timelock, plan, faults } = opts;
+  const createOp = CREATE_METHODS[mode];
+  // Chunk offsets index a sorted set in canonical order
+  const list = mode === "sorted" ? canonicalizeCIDs(cids) : cids;
+  const measure = (operation, batchSize, send) =>
+    results.measure({ contract: "CIDBatchLog", operation, batchSize }, send);
+
+  log("Creating chunked set...");
+  let last = Date.now();
+  const manifest = await client.createChunkedSet({
+    receiver,
+    cids,
+    timelock,
+    mode,
+    plan,
+    from: sender,
+    onChunk: (c) => {
+      const now = Date.now();
+      results.record({
+        contract: "CIDBatchLog",
+        operation: createOp,
+        batchSize: c.cidCount,
+        batchId: c.batchId,
+        gasUsed: c.gasUsed,
+        blockNumber: c.blockNumber,
+        txHash: c.txHash,
+        latencyMs: now - last,
+      });
+      last = now;
+      log(
+        `chunk[${c.index}] ${c.batchId} cids=${c.cidCount} ` +
+          `create gasUsed: ${c.gasUsed} (estimated ${c.estimatedGas})`,
+      );
+    },
+  });
+  log(`setHash: ${manifest.setHash}`);
+
+  log("Releasing chunks...");
+  for (const c of manifest.chunks) {
+    const released = await measure("releaseAggregate", c.cidCount, () =>
+      client.releaseAggregate(c.batchId, { from: sender }),
+    );
+    log(`chunk[${c.index}] release gasUsed: ${released.gasUsed}`);
+  }
+
+  if (faults) {
+    const first = manifest.chunks[0];
+    const target = {
+      batchId: first.batchId,
+      cids: list.slice(first.offset, first.offset + first.cidCount),
+      message: manifest.descriptor,
+      receiver,
+      stranger,
+    };
+    await runFaults(client, results, target, faults, log);
+  }
+
+  log("Verifying chunks...");
+  for (const c of manifest.chunks) {
+    const slice = list.slice(c.offset, c.offset + c.cidCount);
+    const verified = await measure("verifyCIDs", c.cidCount, () =>
+      client.verifyCIDs(c.batchId, slice, { from: receiver }),
+    );
+    log(`chunk[${c.index}] verifyCIDs gasUsed: ${verified.gasUsed}`);
+  }
+
+  const report = await client.auditChunkedSet(manifest, { cids });
+  report.problems.forEach((p) => log(`audit problem: ${p}`));
+  const total = (key) => manifest.chunks.reduce((sum, c) => sum + c[key], 0);
+  log(
+    `Final state: chunks=${manifest.chunks.length} cidCount=${manifest.cidCount} ` +
+      `create gas total=${total("gasUsed")} audit=${report.valid ? "passed" : "FAILED"}`,
+  );
+}
+
+/* ───────────────── Script ───────────────── */
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename));
+    let plan;
+    if (args.replay) {
+      plan = planFromLog(args.replay);
+      checkReplay(plan);
+      if (args.out) plan.outDir = path.resolve(args.out);
+      console.log(`Replaying ${args.replay} (seed ${plan.seed})`);
+    } else {
+      plan = {
+        sizes: parseIntList(args.sizes || DEFAULT_SIZES, "--sizes"),
+        reps: parseIntList(args.reps || "1", "--reps")[0],
+        outDir: args.out ? path.resolve(args.out) : DEFAULT_OUT,
+        mode: args.mode || "packed",
+        seed: resolveSeed(args.seed),
+        timelockOffset: args.timelockOffset
+          ? parseIntList(args.timelockOffset, "--timelock-offset")[0]
+          : DEFAULT_TIMELOCK_SECONDS,
+        gasCeiling: args.gasCeiling
+          ? parseIntList(args.gasCeiling, "--gas-ceiling")[0]
+          : undefined,
+        faults: args.inject ? parseFaultList(args.inject) : null,
+      };
+    }
+    const { sizes, reps, outDir, mode, seed, timelockOffset, gasCeiling, faults } = plan;
+    if (!MODES.includes(mode)) {
+      throw new Error(`--mode must be one of ${MODES.join(", ")}, got "${mode}"`);
+    }
+    const prefix = mode === "packed" ? "cidbatchlog" : `cidbatchlog_${mode}`;
+    const title = mode === "packed" ? "CIDBatchLog" : `CIDBatchLog (${mode})`;
+
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const accounts = await web3.eth.getAccounts();
+    const sender = accounts[0];
+    const receiver = accounts[1];
+    const stranger = accounts[2];
+    if (faults && !stranger) {
+      throw new Error(`--inject needs 3 unlocked accounts, the node has ${accounts.length}`);
+    }
+    const client = await CIDBatchLogClient.deployed(CIDBatchLog);
+    const results = new ResultsWriter(path.join(outDir, `${prefix}_results`), {
+      web3,
+    });
+
+    for (const size of sizes) {
+      const logPath = path.join(outDir, `${prefix}_${size}cids.log`);
+      const log = makeLogger(logPath);
+
+      fs.writeFileSync(
+        logPath,
+        `${title} – ${size} CID test\nStarted: ${new Date().toISOString()}\n` +
+          `${seedLine(seed)}\nTimelock offset: ${timelockOffset}s\n` +
+          (gasCeiling ? `Gas ceiling: ${gasCeiling}\n` : "") +
+          (faults ? `Fault injection: ${faults.join(",")}\n` : "") +
+          "\n",
+      );
+
+      log(`Sender:   ${sender}`);
+      log(`Receiver: ${receiver}`);
+      log(`Contract: ${client.address}`);
+
+      for (let r = 1; r <= reps; r++) {
+        if (reps > 1) log(`\n=== RUN ${r}/${reps} ===`);
+        await runBatch(
+          client,
+          results,
+          {
+            sender,
+            receiver,
+            stranger,
+            cidCount: size,
+            mode,
+            timelockOffset,
+            gasCeiling,
+            faults,
+            rng: runStream(seed, size, r),
+          },
+          log,
+        );
+      }
+
+      log("\nTest complete.");
+    }
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
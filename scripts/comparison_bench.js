@@ -0,0 +1,290 @@
+/**
+ * scripts/comparison_bench.js
+ *
+ * Pushes one CID set through all three contracts and compares them side by
+ * side:
+ *   HashedTimelock     newContract + withdraw per CID (the CID is the
+ *                      preimage, hashlock = sha256(CID), 300000 wei locked)
+ *   HashedTimelockLog  newContract + verifyLog per CID (same hashlock,
+ *                      message = the CID)
+ *   CIDBatchLog        one createBatch (createMerkleBatch, createSortedBatch) +
+ *                      releaseAggregate + verifyCIDs + verifyMessage for the
+ *                      whole set (message: 64 seeded bytes); a set above the
+ *                      gas ceiling becomes a chunked set (src/chunking.js)
+ *                      with one of each per chunk, verifying the set
+ *                      descriptor as its message
+ *
+ * Writes <out>/comparison_<n>cids.log with every step and a summary table
+ * (total gas, gas per CID, transactions, wall-clock time) and records each
+ * transaction in <out>/comparison_results.jsonl and .csv (src/results.js).
+ *
+ * Run:
+ *   truffle migrate --reset --network development
+ *   truffle exec scripts/comparison_bench.js --network development \
+ *     --cids 100 --out test
+ *
+ * Options:
+ *   --cids   CIDs in the set                          (default 100)
+ *   --mode   packed | merkle | sorted (CIDBatchLog)   (default packed)
+ *   --seed   input seed                               (default: random, logged)
+ *   --out    directory for the log files              (default test/)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs, parseIntList } = require("../src/args");
+const { MODES, CREATE_METHODS, canonicalizeCIDs } = require("../src/batch");
+const { CIDBatchLogClient } = require("../src/client");
+const evm = require("../src/evm");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const { SeededRandom, resolveSeed, seedLine } = require("../src/seed");
+
+const HashedTimelock = artifacts.require("HashedTimelock");
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const DEFAULT_CIDS = "100";
+const DEFAULT_OUT = path.join(__dirname, "..", "test");
+const TIMELOCK_SECONDS = 3600;
+const HTLC_VALUE_WEI = "300000";
+
+/* ───────────────── Helpers ───────────────── */
+
+// hashlock = sha256(abi.encodePacked(bytes32 preimage))
+function sha256Bytes32(hex0x) {
+  return "0x" + crypto.createHash("sha256").update(Buffer.from(hex0x.slice(2), "hex")).digest("hex");
+}
+
+// Totals of one contract's run
+function tally() {
+  return { gas: 0, txs: 0, ms: 0 };
+}
+
+function add(t, gasUsed) {
+  t.gas += gasUsed;
+  t.txs += 1;
+}
+
+function formatSummary(rows, cidCount) {
+  const batch = rows.find((r) => r.contract === "CIDBatchLog");
+  const header = ["contract", "txs", "total gas", "gas / CID", "seconds", "x CIDBatchLog"];
+  const lines = [
+    header,
+    ...rows.map((r) => [
+      r.contract,
+      r.txs,
+      r.gas,
+      Math.round(r.gas / cidCount),
+      (r.ms / 1000).toFixed(1),
+      (r.gas / batch.gas).toFixed(2),
+    ].map(String)),
+  ];
+  const widths = header.map((_, i) => Math.max(...lines.map((l) => l[i].length)));
+  return lines.map((l) =>
+    l.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  "),
+  );
+}
+
+/* ───────────────── Per contract ───────────────── */
+
+async function runHTLC(instance, measure, opts, log) {
+  const { sender, receiver, cids } = opts;
+  const t = tally();
+  const started = Date.now();
+
+  for (const [i, cid] of cids.entries()) {
+    const timelock = (await evm.chainNow(web3)) + TIMELOCK_SECONDS;
+    const created = await measure("HashedTimelock", "newContract", 1, () =>
+      instance.newContract(receiver, sha256Bytes32(cid), timelock, {
+        from: sender,
+        value: HTLC_VALUE_WEI,
+      }),
+    );
+    const { contractId } = created.logs.find((l) => l.event === "LogHTLCNew").args;
+    const withdrawn = await measure("HashedTimelock", "withdraw", 1, () =>
+      instance.withdraw(contractId, cid, { from: receiver }),
+    );
+    add(t, created.receipt.gasUsed);
+    add(t, withdrawn.receipt.gasUsed);
+    log(`CID[${i}] newContract ${created.receipt.gasUsed}, withdraw ${withdrawn.receipt.gasUsed}`);
+  }
+
+  t.ms = Date.now() - started;
+  return t;
+}
+
+async function runHTLCLog(instance, measure, opts, log) {
+  const { sender, receiver, cids } = opts;
+  const t = tally();
+  const started = Date.now();
+
+  for (const [i, cid] of cids.entries()) {
+    const timelock = (await evm.chainNow(web3)) + TIMELOCK_SECONDS;
+    const created = await measure("HashedTimelockLog", "newContract", 1, () =>
+      instance.newContract(receiver, sha256Bytes32(cid), web3.utils.keccak256(cid), timelock, {
+        from: sender,
+      }),
+    );
+    const { contractId } = created.logs.find((l) => l.event === "LogHTLCNew").args;
+    const verified = await measure("HashedTimelockLog", "verifyLog", 1, () =>
+      instance.verifyLog(contractId, cid, { from: receiver }),
+    );
+    add(t, created.receipt.gasUsed);
+    add(t, verified.receipt.gasUsed);
+    log(`CID[${i}] newContract ${created.receipt.gasUsed}, verifyLog ${verified.receipt.gasUsed}`);
+  }
+
+  t.ms = Date.now() - started;
+  return t;
+}
+
+async function runBatch(client, results, opts, log) {
+  const { sender, receiver, cids, message, mode } = opts;
+  const createOp = CREATE_METHODS[mode];
+  const measure = (operation, batchSize, send) =>
+    results.measure({ contract: "CIDBatchLog", operation, batchSize }, send);
+  const t = tally();
+  const started = Date.now();
+
+  const timelock = (await client.chainNow()) + TIMELOCK_SECONDS;
+  const plan = await client.planChunkedSet({ receiver, cids, timelock, mode, from: sender });
+
+  // One { batchId, offset, cidCount } per batch sent, and the message they verify
+  let batches;
+  let verifiedMessage = message;
+  if (plan.chunks.length === 1) {
+    const created = await measure(createOp, cids.length, () =>
+      client.createBatch({ receiver, cids, message, timelock, mode, from: sender }),
+    );
+    add(t, created.gasUsed);
+    log(`${createOp} ${created.batchId}: ${created.gasUsed}`);
+    batches = [{ batchId: created.batchId, offset: 0, cidCount: cids.length }];
+  } else {
+    log(`${cids.length} CIDs exceed one batch; creating ${plan.chunks.length} chunks`);
+    const manifest = await client.createChunkedSet({
+      receiver,
+      cids,
+      timelock,
+      mode,
+      plan,
+      from: sender,
+      // Chunks are sent inside createChunkedSet, so they are recorded here
+      onChunk: (c) => {
+        results.record({
+          contract: "CIDBatchLog",
+          operation: createOp,
+          batchSize: c.cidCount,
+          batchId: c.batchId,
+          gasUsed: c.gasUsed,
+          blockNumber: c.blockNumber,
+          txHash: c.txHash,
+        });
+        add(t, c.gasUsed);
+        log(`chunk[${c.index}] ${createOp} ${c.batchId} (${c.cidCount} CIDs): ${c.gasUsed}`);
+      },
+    });
+    batches = manifest.chunks;
+    // Chunks carry the set's messageHash; the descriptor is their message
+    verifiedMessage = manifest.descriptor;
+  }
+
+  // Chunk offsets index a sorted set in canonical order
+  const list = mode === "sorted" ? canonicalizeCIDs(cids) : cids;
+  for (const b of batches) {
+    const released = await measure("releaseAggregate", b.cidCount, () =>
+      client.releaseAggregate(b.batchId, { from: sender }),
+    );
+    const verified = await measure("verifyCIDs", b.cidCount, () =>
+      client.verifyCIDs(b.batchId, list.slice(b.offset, b.offset + b.cidCount), {
+        from: receiver,
+      }),
+    );
+    const checked = await measure("verifyMessage", b.cidCount, () =>
+      client.verifyMessage(b.batchId, verifiedMessage, { from: receiver }),
+    );
+    add(t, released.gasUsed);
+    add(t, verified.gasUsed);
+    add(t, checked.gasUsed);
+    log(
+      `releaseAggregate ${released.gasUsed}, verifyCIDs ${verified.gasUsed}, ` +
+        `verifyMessage ${checked.gasUsed}`,
+    );
+  }
+
+  t.ms = Date.now() - started;
+  return t;
+}
+
+/* ───────────────── Script ───────────────── */
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename));
+    const cidCount = parseIntList(args.cids || DEFAULT_CIDS, "--cids")[0];
+    const mode = args.mode || "packed";
+    const seed = resolveSeed(args.seed);
+    const outDir = args.out ? path.resolve(args.out) : DEFAULT_OUT;
+    if (!MODES.includes(mode)) {
+      throw new Error(`--mode must be one of ${MODES.join(", ")}, got "${mode}"`);
+    }
+
+    const accounts = await web3.eth.getAccounts();
+    const sender = accounts[0];
+    const receiver = accounts[1];
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, `comparison_${cidCount}cids.log`);
+    const log = makeLogger(logPath);
+    fs.writeFileSync(
+      logPath,
+      `Contract comparison – ${cidCount} CID set (CIDBatchLog ${mode})\n` +
+        `Started: ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
+    );
+
+    const results = new ResultsWriter(path.join(outDir, "comparison_results"), { web3 });
+    const measure = (contract, operation, batchSize, send) =>
+      results.measure({ contract, operation, batchSize }, send);
+
+    const htlc = await HashedTimelock.deployed();
+    const htlcLog = await HashedTimelockLog.deployed();
+    const client = await CIDBatchLogClient.deployed(CIDBatchLog);
+
+    log(`Sender:   ${sender}`);
+    log(`Receiver: ${receiver}`);
+    log(`HashedTimelock:    ${htlc.address}`);
+    log(`HashedTimelockLog: ${htlcLog.address}`);
+    log(`CIDBatchLog:       ${client.address}`);
+
+    const rng = new SeededRandom(seed).fork(`comparison:${cidCount}`);
+    const cids = Array.from({ length: cidCount }, () => rng.bytes32());
+    const message = rng.hex(64);
+    log(`Generated ${cidCount} CIDs`);
+    cids.forEach((cid, i) => log(`CID[${i}]: ${cid}`));
+    log(`Message: ${message}`);
+    const opts = { sender, receiver, cids, message, mode };
+
+    log("\n=== HashedTimelock ===");
+    const a = await runHTLC(htlc, measure, opts, log);
+    log("\n=== HashedTimelockLog ===");
+    const b = await runHTLCLog(htlcLog, measure, opts, log);
+    log("\n=== CIDBatchLog ===");
+    const c = await runBatch(client, results, opts, log);
+
+    const rows = [
+      { contract: "HashedTimelock", ...a },
+      { contract: "HashedTimelockLog", ...b },
+      { contract: "CIDBatchLog", ...c },
+    ];
+    log(`\nSummary (${cidCount} CIDs):`);
+    formatSummary(rows, cidCount).forEach((line) => log(line));
+    log("\nTest complete.");
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * scripts/convert_logs.js
+ *
+ * Converts existing text benchmark logs into the structured results format
+ * (JSON Lines + CSV) written by the benchmark scripts.
+ *
+ * Run (plain node, no chain needed):
+ *   node scripts/convert_logs.js test/*.log --out results/historical
+ *
+ * Options:
+ *   --out  output path without extension   (default results/historical)
+ */
+
+const path = require("path");
+
+const { parseArgs } = require("../src/args");
+const { parseLogFile } = require("../src/logparse");
+const { writeResults } = require("../src/results");
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = args._;
+  if (files.length === 0) {
+    console.error("usage: node scripts/convert_logs.js <log files...> [--out <base>]");
+    process.exit(2);
+  }
+
+  const base = args.out
+    ? path.resolve(args.out)
+    : path.join(__dirname, "..", "results", "historical");
+
+  const records = [];
+  for (const file of files) {
+    const parsed = parseLogFile(file);
+    console.log(`${file}: ${parsed.length} records`);
+    records.push(...parsed);
+  }
+
+  writeResults(base, records);
+  console.log(`Wrote ${records.length} records to ${base}.jsonl and ${base}.csv`);
+}
+
+main();
@@ -0,0 +1,105 @@
+/**
+ * scripts/gas_report.js
+ *
+ * Gas-per-CID comparison of CIDBatchLog against HashedTimelock and
+ * HashedTimelockLog, rendered as a standalone SVG chart and an HTML report
+ * with tables. The HTLC reference values come from actual benchmark runs,
+ * not constants.
+ *
+ * Run (plain node, no chain needed):
+ *   truffle exec scripts/htlc_100tests.js --network development
+ *   truffle exec scripts/hashedtimelocklog_100calls.js --network development
+ *   node scripts/gas_report.js --out report
+ *
+ * Inputs are any mix of text logs and results .jsonl files. Without
+ * arguments it reads test/cidbatchlog_<n>cids.log plus the HTLC logs the
+ * scripts above write to the repository root.
+ *
+ * Options:
+ *   --out  output directory   (default report/)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseArgs } = require("../src/args");
+const { parseLogFile } = require("../src/logparse");
+const { computeGasPerCID, renderSVG, renderHTML } = require("../src/report");
+const { readResults } = require("../src/results");
+
+const ROOT = path.join(__dirname, "..");
+
+function defaultInputs() {
+  const testDir = path.join(ROOT, "test");
+  const batchLogs = fs
+    .readdirSync(testDir)
+    .filter((f) => /^cidbatchlog_\d+cids\.log$/.test(f))
+    .map((f) => path.join(testDir, f));
+  const htlcLogs = [
+    "hashedtimelock_100tests_log.txt",
+    "hashedtimelocklog_100calls_log.txt",
+  ]
+    .map((f) => path.join(ROOT, f))
+    .filter((f) => fs.existsSync(f));
+  return [...batchLogs, ...htlcLogs];
+}
+
+function loadRecords(file) {
+  return file.endsWith(".jsonl") ? readResults(file) : parseLogFile(file);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const inputs = args._.length ? args._.map((f) => path.resolve(f)) : defaultInputs();
+  const outDir = args.out ? path.resolve(args.out) : path.join(ROOT, "report");
+
+  const records = [];
+  for (const file of inputs) {
+    const parsed = loadRecords(file);
+    console.log(`${path.relative(ROOT, file)}: ${parsed.length} records`);
+    records.push(...parsed);
+  }
+
+  const summary = computeGasPerCID(records);
+  if (summary.batch.length === 0) {
+    throw new Error("no CIDBatchLog runs found in the inputs");
+  }
+  const missing = ["HashedTimelock", "HashedTimelockLog"].filter(
+    (c) => !summary.htlc.some((h) => h.contract === c),
+  );
+  if (missing.length) {
+    throw new Error(
+      `no ${missing.join(" / ")} runs found; run scripts/htlc_100tests.js and ` +
+        "scripts/hashedtimelocklog_100calls.js first or pass their logs/results",
+    );
+  }
+
+  for (const h of summary.htlc) {
+    console.log(`${h.label}: ${Math.round(h.gasPerCID)} gas/CID over ${h.contracts} contracts`);
+  }
+  for (const s of summary.batch) {
+    for (const p of s.points) {
+      console.log(`${s.label} n=${p.batchSize}: ${Math.round(p.gasPerCID)} gas/CID`);
+    }
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const svgPath = path.join(outDir, "gas_per_cid.svg");
+  const htmlPath = path.join(outDir, "gas_per_cid.html");
+  fs.writeFileSync(svgPath, renderSVG(summary), { encoding: "utf8" });
+  fs.writeFileSync(
+    htmlPath,
+    renderHTML(summary, {
+      sources: inputs.map((f) => path.relative(ROOT, f)),
+    }),
+    { encoding: "utf8" },
+  );
+  console.log(`Wrote ${svgPath} and ${htmlPath}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,58 @@
+/**
+ * scripts/generate_abi.js
+ *
+ * Regenerates src/abi/<Contract>.js (ABI + deployed addresses) and the
+ * src/abi.js index from the truffle build output, or checks that the
+ * committed ABIs still match the compiled contracts.
+ *
+ * Run (plain node, after `truffle compile` or `truffle migrate`):
+ *   node scripts/generate_abi.js
+ *   node scripts/generate_abi.js --check
+ *
+ * Options:
+ *   --build     truffle build directory          (default build/contracts)
+ *   --networks  comma-separated network ids whose addresses are kept
+ *               (default: every network in the artifacts)
+ *   --check     compare instead of writing; exits 1 on ABI drift
+ */
+
+const path = require("path");
+
+const { parseArgs } = require("../src/args");
+const {
+  DEFAULT_BUILD_DIR,
+  loadArtifacts,
+  writeModules,
+  checkDrift,
+} = require("../src/abigen");
+
+function main() {
+  const args = parseArgs(process.argv.slice(2), { boolean: ["check"] });
+  const buildDir = args.build ? path.resolve(args.build) : DEFAULT_BUILD_DIR;
+  const networks =
+    args.networks && args.networks !== true ? String(args.networks).split(",") : undefined;
+
+  const artifacts = loadArtifacts(buildDir, { networks });
+  if (artifacts.length === 0) {
+    console.error(`no contract artifacts in ${buildDir}`);
+    process.exit(2);
+  }
+
+  if (args.check) {
+    const { ok, problems } = checkDrift(artifacts);
+    if (!ok) {
+      console.error("ABI drift between src/abi/ and the compiled contracts:");
+      problems.forEach((p) => console.error(`  ${p}`));
+      console.error("Run `node scripts/generate_abi.js` and commit the result.");
+      process.exit(1);
+    }
+    console.log(`src/abi/ matches ${artifacts.length} compiled contracts`);
+    return;
+  }
+
+  for (const file of writeModules(artifacts)) {
+    console.log(`wrote ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+main();
@@ -3,12 +3,18 @@
  *
  * Run:
  *   truffle migrate --reset --network development
- *   truffle exec scripts/hashedtimelock_10tests.js --network development
+ *   truffle exec scripts/hashedtimelock_10tests.js --network development [--seed <seed>]
+ *   truffle exec scripts/hashedtimelock_10tests.js --network development --replay <log>
  *
  * Notes:
- * - Uses CID-style 32-byte preimages (0x + 64 hex chars).
+ * - Uses CID-style 32-byte preimages (0x + 64 hex chars), generated from
+ *   --seed (random if omitted, recorded in the log header) so a run can be
+ *   repeated with the same preimages. --replay <log> reruns a previous log
+ *   with its seed, checks the regenerated preimages against the logged ones
+ *   and writes to <log dir>/replay/.
  * - Computes hashlock = sha256(preimage) (matches your Solidity hashlock check).
  * - Sets timelock from chain time each test with a safe future buffer.
+ * - Records every transaction in hashedtimelock_testlog_results.jsonl/.csv.
  *
  * IMPORTANT: Your Solidity must enforce 32 bytes, not 256:
  *   require(_preimage.length == 32, "preimage must be 32 bytes");
@@ -18,15 +24,23 @@ const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
-const HashedTimelock = artifacts.require("HashedTimelock");
+const { scriptArgv, parseArgs } = require("../src/args");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const {
+  SeededRandom,
+  resolveSeed,
+  seedLine,
+  replaySeed,
+  replayDir,
+  checkReplay,
+} = require("../src/seed");
 
-const LOG_PATH = path.join(__dirname, "..", "hashedtimelock_testlog.txt");
+const HashedTimelock = artifacts.require("HashedTimelock");
 
-function logLine(line) {
-  const stamped = `[${new Date().toISOString()}] ${line}`;
-  console.log(stamped);
-  fs.appendFileSync(LOG_PATH, stamped + "\n", { encoding: "utf8" });
-}
+const ROOT = path.join(__dirname, "..");
+const LOG_FILE = "hashedtimelock_testlog.txt";
+const RESULTS_FILE = "hashedtimelock_testlog_results";
 
 async function chainNow() {
   const b = await web3.eth.getBlock("latest");
@@ -34,8 +48,8 @@ async function chainNow() {
 }
 
 // 32-byte CID-style digest (0x + 64 hex chars)
-function makePreimage32B() {
-  return web3.utils.randomHex(32);
+function makePreimage32B(rng) {
+  return rng.bytes32();
 }
 
 // sha256(bytes) -> bytes32 (0x + 64 hex chars)
@@ -58,12 +72,31 @@ function extractContractIdFromReceipt(receipt) {
 
 module.exports = async function (callback) {
   try {
+    const args = parseArgs(scriptArgv(__filename));
+    const seed = args.replay ? replaySeed(args.replay) : resolveSeed(args.seed);
+    const rng = new SeededRandom(seed);
+    const preimages = Array.from({ length: 10 }, () => makePreimage32B(rng));
+    if (args.replay) checkReplay(args.replay, "preimage(32B)", preimages);
+
+    // A replay goes next to the log it replays, never over it
+    const outDir = args.replay ? replayDir(args.replay) : ROOT;
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, LOG_FILE);
+    const logLine = makeLogger(logPath);
+
     fs.writeFileSync(
-      LOG_PATH,
-      `HashedTimelock 10-test run @ ${new Date().toISOString()}\n\n`,
+      logPath,
+      `HashedTimelock 10-test run @ ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
       { encoding: "utf8" },
     );
 
+    const results = new ResultsWriter(path.join(outDir, RESULTS_FILE), { web3 });
+    const measure = (operation, send) =>
+      results.measure(
+        { contract: "HashedTimelock", operation, batchSize: 1 },
+        send,
+      );
+
     const accounts = await web3.eth.getAccounts();
     const sender = accounts[0];
     const receiver = accounts[1];
@@ -81,7 +114,7 @@ module.exports = async function (callback) {
     const STAGGER_SECONDS = 2;
 
     for (let i = 1; i <= 10; i++) {
-      const preimage32 = makePreimage32B(); // 32 bytes
+      const preimage32 = preimages[i - 1]; // 32 bytes
       const hashlock = sha256HexOfBytesHex(preimage32); // 32 bytes
       const now = await chainNow();
       const timelock = now + FUTURE_BUFFER_SECONDS + i * STAGGER_SECONDS;
@@ -95,10 +128,12 @@ module.exports = async function (callback) {
       // CREATE
       let createTx;
       try {
-        createTx = await instance.newContract(receiver, hashlock, timelock, {
-          from: sender,
-          value: valueWei,
-        });
+        createTx = await measure("newContract", () =>
+          instance.newContract(receiver, hashlock, timelock, {
+            from: sender,
+            value: valueWei,
+          }),
+        );
       } catch (e) {
         logLine(`CREATE FAILED (test ${i}): ${e && e.message ? e.message : e}`);
         continue;
@@ -120,9 +155,9 @@ module.exports = async function (callback) {
 
       // WITHDRAW (receiver, before timelock)
       try {
-        const withdrawTx = await instance.withdraw(contractId, preimage32, {
-          from: receiver,
-        });
+        const withdrawTx = await measure("withdraw", () =>
+          instance.withdraw(contractId, preimage32, { from: receiver }),
+        );
         logLine(`withdraw tx: ${withdrawTx.tx}`);
         logLine(`withdraw gasUsed: ${withdrawTx.receipt.gasUsed}`);
         logLine(`WITHDRAW SUCCESS`);
@@ -146,7 +181,7 @@ module.exports = async function (callback) {
       }
     }
 
-    logLine(`\nDone. Log written to: ${LOG_PATH}`);
+    logLine(`\nDone. Log written to: ${logPath}`);
     callback();
   } catch (err) {
     console.error(err);
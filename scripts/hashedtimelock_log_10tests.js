@@ -3,29 +3,42 @@
  *
  * Run:
  *   truffle migrate --reset --network development
- *   truffle exec scripts/hashedtimelock_log_10tests.js --network development
+ *   truffle exec scripts/hashedtimelock_log_10tests.js --network development [--seed <seed>]
+ *   truffle exec scripts/hashedtimelock_log_10tests.js --network development --replay <log>
  *
  * Matches HashedTimelockLog (32-byte preimage):
  *   newContract(address receiver, bytes32 hashlock, bytes32 messageHash, uint timelock)
  *   withdraw(bytes32 contractId, bytes32 preimage32)
  *   verifyLog(bytes32 contractId, bytes message)
+ *
+ * Every transaction is also recorded in hashedtimelock_log_testlog_results.jsonl/.csv.
+ * Preimages and messages come from --seed (random if omitted, recorded in the
+ * log header). --replay <log> reruns a previous log with its seed, checks the
+ * regenerated preimages and message hashes against the logged ones and
+ * writes to <log dir>/replay/.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
-const HashedTimelockLog = artifacts.require("HashedTimelockLog");
-
-const LOG_PATH = path.join(__dirname, "..", "hashedtimelock_log_testlog.txt");
+const { scriptArgv, parseArgs } = require("../src/args");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const {
+  SeededRandom,
+  resolveSeed,
+  seedLine,
+  replaySeed,
+  replayDir,
+  checkReplay,
+} = require("../src/seed");
 
-/* ───────────── Logging helpers ───────────── */
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
 
-function logLine(line) {
-  const stamped = `[${new Date().toISOString()}] ${line}`;
-  console.log(stamped);
-  fs.appendFileSync(LOG_PATH, stamped + "\n", { encoding: "utf8" });
-}
+const ROOT = path.join(__dirname, "..");
+const LOG_FILE = "hashedtimelock_log_testlog.txt";
+const RESULTS_FILE = "hashedtimelock_log_testlog_results";
 
 /* ───────────── Helpers ───────────── */
 
@@ -41,12 +54,12 @@ async function chainNow() {
 }
 
 // CID-style digest (bytes32)
-function randomPreimage32() {
-  return web3.utils.randomHex(32); // 0x + 64 hex chars
+function randomPreimage32(rng) {
+  return rng.bytes32(); // 0x + 64 hex chars
 }
 
-function randomMessage() {
-  return web3.utils.randomHex(64);
+function randomMessage(rng) {
+  return rng.hex(64);
 }
 
 function extractContractId(receipt) {
@@ -61,12 +74,37 @@ function extractContractId(receipt) {
 
 module.exports = async function (callback) {
   try {
+    const args = parseArgs(scriptArgv(__filename));
+    const seed = args.replay ? replaySeed(args.replay) : resolveSeed(args.seed);
+    const rng = new SeededRandom(seed);
+    const inputs = Array.from({ length: 10 }, () => ({
+      preimage: randomPreimage32(rng),
+      message: randomMessage(rng),
+    }));
+    if (args.replay) {
+      checkReplay(args.replay, "preimage(32B)", inputs.map((x) => x.preimage));
+      checkReplay(args.replay, "messageHash", inputs.map((x) => web3.utils.keccak256(x.message)));
+    }
+
+    // A replay goes next to the log it replays, never over it
+    const outDir = args.replay ? replayDir(args.replay) : ROOT;
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, LOG_FILE);
+    const logLine = makeLogger(logPath);
+
     fs.writeFileSync(
-      LOG_PATH,
-      `HashedTimelockLog 10-test run @ ${new Date().toISOString()}\n\n`,
+      logPath,
+      `HashedTimelockLog 10-test run @ ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
       { encoding: "utf8" },
     );
 
+    const results = new ResultsWriter(path.join(outDir, RESULTS_FILE), { web3 });
+    const measure = (operation, send) =>
+      results.measure(
+        { contract: "HashedTimelockLog", operation, batchSize: 1 },
+        send,
+      );
+
     const accounts = await web3.eth.getAccounts();
     const sender = accounts[0];
     const receiver = accounts[1];
@@ -87,10 +125,9 @@ module.exports = async function (callback) {
       const timelock = now + FUTURE_BUFFER_SECONDS + i * STAGGER_SECONDS;
 
       // 32B CID-digest preimage and commitment
-      const preimage32 = randomPreimage32();
+      const { preimage: preimage32, message } = inputs[i - 1];
       const hashlock = sha256OfBytes32Hex(preimage32);
 
-      const message = randomMessage();
       const messageHash = web3.utils.keccak256(message);
 
       logLine(`preimage(32B): ${preimage32}`);
@@ -99,12 +136,10 @@ module.exports = async function (callback) {
       logLine(`timelock(unix): ${timelock} (chainNow=${now})`);
 
       /* ---- CREATE ---- */
-      const createTx = await htlc.newContract(
-        receiver,
-        hashlock,
-        messageHash,
-        timelock,
-        { from: sender },
+      const createTx = await measure("newContract", () =>
+        htlc.newContract(receiver, hashlock, messageHash, timelock, {
+          from: sender,
+        }),
       );
 
       const contractId = extractContractId(createTx.receipt);
@@ -120,16 +155,16 @@ module.exports = async function (callback) {
       }
 
       /* ---- REVEAL / WITHDRAW ---- */
-      const withdrawTx = await htlc.withdraw(contractId, preimage32, {
-        from: receiver,
-      });
+      const withdrawTx = await measure("withdraw", () =>
+        htlc.withdraw(contractId, preimage32, { from: receiver }),
+      );
       logLine(`withdraw tx: ${withdrawTx.tx}`);
       logLine(`withdraw gasUsed: ${withdrawTx.receipt.gasUsed}`);
 
       /* ---- VERIFY ---- */
-      const verifyTx = await htlc.verifyLog(contractId, message, {
-        from: receiver,
-      });
+      const verifyTx = await measure("verifyLog", () =>
+        htlc.verifyLog(contractId, message, { from: receiver }),
+      );
       logLine(`verify tx: ${verifyTx.tx}`);
       logLine(`verify gasUsed: ${verifyTx.receipt.gasUsed}`);
 
@@ -141,7 +176,7 @@ module.exports = async function (callback) {
     }
 
     logLine(`\nAll 10 tests completed successfully.`);
-    logLine(`Log written to: ${LOG_PATH}`);
+    logLine(`Log written to: ${logPath}`);
     callback();
   } catch (err) {
     console.error(err);
@@ -1,30 +1,41 @@
 /**
- * Call HashedTimelockLog 100 times (1 CID per call) + log to file
+ * Call HashedTimelockLog 100 times (1 CID per call) + log to file.
+ * Every transaction is also recorded in hashedtimelocklog_100calls_results.jsonl/.csv.
  *
  * Run:
- *   truffle exec scripts/hashedtimelocklog_100calls.js --network development
+ *   truffle exec scripts/hashedtimelocklog_100calls.js --network development [--seed <seed>]
+ *   truffle exec scripts/hashedtimelocklog_100calls.js --network development --replay <log>
+ *
+ * CIDs and messages come from --seed (random if omitted, recorded in the log
+ * header). --replay <log> reruns a previous log with its seed, checks the
+ * regenerated CIDs and message hashes against the logged ones and writes to
+ * <log dir>/replay/.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
-const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+const { scriptArgv, parseArgs } = require("../src/args");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const {
+  SeededRandom,
+  resolveSeed,
+  seedLine,
+  replaySeed,
+  replayDir,
+  checkReplay,
+} = require("../src/seed");
 
-const LOG_PATH = path.join(
-  __dirname,
-  "..",
-  "hashedtimelocklog_100calls_log.txt",
-);
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
 
-function log(line) {
-  const msg = `[${new Date().toISOString()}] ${line}`;
-  console.log(msg);
-  fs.appendFileSync(LOG_PATH, msg + "\n", { encoding: "utf8" });
-}
+const ROOT = path.join(__dirname, "..");
+const LOG_FILE = "hashedtimelocklog_100calls_log.txt";
+const RESULTS_FILE = "hashedtimelocklog_100calls_results";
 
-function randomCID32() {
-  return web3.utils.randomHex(32); // 32 bytes
+function randomCID32(rng) {
+  return rng.bytes32(); // 32 bytes
 }
 
 function sha256Hex(hex0x) {
@@ -47,12 +58,37 @@ function extractContractId(receipt) {
 
 module.exports = async function (callback) {
   try {
+    const args = parseArgs(scriptArgv(__filename));
+    const seed = args.replay ? replaySeed(args.replay) : resolveSeed(args.seed);
+    const rng = new SeededRandom(seed);
+    const inputs = Array.from({ length: 100 }, () => ({
+      cid: randomCID32(rng),
+      message: rng.hex(64),
+    }));
+    if (args.replay) {
+      checkReplay(args.replay, "CID", inputs.map((x) => x.cid));
+      checkReplay(args.replay, "messageHash", inputs.map((x) => web3.utils.keccak256(x.message)));
+    }
+
+    // A replay goes next to the log it replays, never over it
+    const outDir = args.replay ? replayDir(args.replay) : ROOT;
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, LOG_FILE);
+    const log = makeLogger(logPath);
+
     fs.writeFileSync(
-      LOG_PATH,
-      `HashedTimelockLog – 100 single-CID calls @ ${new Date().toISOString()}\n\n`,
+      logPath,
+      `HashedTimelockLog – 100 single-CID calls @ ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
       { encoding: "utf8" },
     );
 
+    const results = new ResultsWriter(path.join(outDir, RESULTS_FILE), { web3 });
+    const measure = (operation, send) =>
+      results.measure(
+        { contract: "HashedTimelockLog", operation, batchSize: 1 },
+        send,
+      );
+
     const accounts = await web3.eth.getAccounts();
     const sender = accounts[0];
     const receiver = accounts[1];
@@ -76,11 +112,9 @@ module.exports = async function (callback) {
     for (let i = 0; i < 100; i++) {
       log(`\n=== CALL ${i + 1}/100 ===`);
 
-      const cid = randomCID32();
-      const hashlock = sha256Hex(cid);
-
       // message is arbitrary payload; stored via messageHash commitment
-      const message = web3.utils.randomHex(64);
+      const { cid, message } = inputs[i];
+      const hashlock = sha256Hex(cid);
       const messageHash = web3.utils.keccak256(message);
 
       // IMPORTANT: derive timelock from chain time immediately before tx
@@ -96,12 +130,10 @@ module.exports = async function (callback) {
       // ---- CREATE ----
       let createTx;
       try {
-        createTx = await instance.newContract(
-          receiver,
-          hashlock,
-          messageHash,
-          timelock,
-          { from: sender },
+        createTx = await measure("newContract", () =>
+          instance.newContract(receiver, hashlock, messageHash, timelock, {
+            from: sender,
+          }),
         );
       } catch (e) {
         log(`CREATE FAILED: ${e.reason || e.message || e}`);
@@ -123,9 +155,9 @@ module.exports = async function (callback) {
 
       // ---- VERIFY ----
       try {
-        const verifyTx = await instance.verifyLog(contractId, message, {
-          from: receiver,
-        });
+        const verifyTx = await measure("verifyLog", () =>
+          instance.verifyLog(contractId, message, { from: receiver }),
+        );
         verifyOk++;
         const verifyGas = verifyTx.receipt.gasUsed;
         totalVerifyGas += verifyGas;
@@ -146,7 +178,7 @@ module.exports = async function (callback) {
     log(
       `Avg verify gas: ${verifyOk ? Math.round(totalVerifyGas / verifyOk) : 0}`,
     );
-    log(`\nDone. Log written to: ${LOG_PATH}`);
+    log(`\nDone. Log written to: ${logPath}`);
 
     callback();
   } catch (err) {
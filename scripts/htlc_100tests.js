@@ -1,26 +1,40 @@
 /**
  * scripts/hashedtimelock_100tests.js
  *
- * Runs 100 HTLC create + withdraw cycles and logs results to a file.
+ * Runs 100 HTLC create + withdraw cycles and logs results to a file. Every
+ * transaction is also recorded in hashedtimelock_100tests_results.jsonl/.csv.
  *
  * Run:
  *   truffle migrate --reset --network development
- *   truffle exec scripts/hashedtimelock_100tests.js --network development
+ *   truffle exec scripts/htlc_100tests.js --network development [--seed <seed>]
+ *   truffle exec scripts/htlc_100tests.js --network development --replay <log>
+ *
+ * Preimages come from --seed (random if omitted, recorded in the log header).
+ * --replay <log> reruns a previous log with its seed, checks the regenerated
+ * preimages against the logged ones and writes to <log dir>/replay/.
  */
 
 const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
 
+const { scriptArgv, parseArgs } = require("../src/args");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const {
+  SeededRandom,
+  resolveSeed,
+  seedLine,
+  replaySeed,
+  replayDir,
+  checkReplay,
+} = require("../src/seed");
+
 const HashedTimelock = artifacts.require("HashedTimelock");
 
-const LOG_PATH = path.join(__dirname, "..", "hashedtimelock_100tests_log.txt");
-
-function logLine(line) {
-  const stamped = `[${new Date().toISOString()}] ${line}`;
-  console.log(stamped);
-  fs.appendFileSync(LOG_PATH, stamped + "\n", { encoding: "utf8" });
-}
+const ROOT = path.join(__dirname, "..");
+const LOG_FILE = "hashedtimelock_100tests_log.txt";
+const RESULTS_FILE = "hashedtimelock_100tests_results";
 
 async function chainNow() {
   const b = await web3.eth.getBlock("latest");
@@ -28,9 +42,9 @@ async function chainNow() {
 }
 
 // 32-byte preimage, matches the contract signature withdraw(bytes32 _preimage)
-function randomPreimage32() {
+function randomPreimage32(rng) {
   // returns 0x + 64 hex
-  return web3.utils.randomHex(32);
+  return rng.bytes32();
 }
 
 // contract checks: hashlock == sha256(abi.encodePacked(_preimage))
@@ -52,12 +66,31 @@ function extractContractIdFromReceipt(receipt) {
 
 module.exports = async function (callback) {
   try {
+    const args = parseArgs(scriptArgv(__filename));
+    const seed = args.replay ? replaySeed(args.replay) : resolveSeed(args.seed);
+    const rng = new SeededRandom(seed);
+    const preimages = Array.from({ length: 100 }, () => randomPreimage32(rng));
+    if (args.replay) checkReplay(args.replay, "preimage32", preimages);
+
+    // A replay goes next to the log it replays, never over it
+    const outDir = args.replay ? replayDir(args.replay) : ROOT;
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, LOG_FILE);
+    const logLine = makeLogger(logPath);
+
     fs.writeFileSync(
-      LOG_PATH,
-      `HashedTimelock 100-test run @ ${new Date().toISOString()}\n\n`,
+      logPath,
+      `HashedTimelock 100-test run @ ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
       { encoding: "utf8" },
     );
 
+    const results = new ResultsWriter(path.join(outDir, RESULTS_FILE), { web3 });
+    const measure = (operation, send) =>
+      results.measure(
+        { contract: "HashedTimelock", operation, batchSize: 1 },
+        send,
+      );
+
     const accounts = await web3.eth.getAccounts();
     const sender = accounts[0];
     const receiver = accounts[1];
@@ -85,7 +118,7 @@ module.exports = async function (callback) {
       const now = await chainNow();
       const timelock = now + FUTURE_BUFFER_SECONDS + i * STAGGER_SECONDS;
 
-      const preimage32 = randomPreimage32(); // bytes32
+      const preimage32 = preimages[i - 1]; // bytes32
       const hashlock = sha256Bytes32(preimage32); // bytes32
 
       logLine(`preimage32: ${preimage32}`);
@@ -96,10 +129,12 @@ module.exports = async function (callback) {
       // CREATE
       let createTx;
       try {
-        createTx = await instance.newContract(receiver, hashlock, timelock, {
-          from: sender,
-          value: valueWei.toString(),
-        });
+        createTx = await measure("newContract", () =>
+          instance.newContract(receiver, hashlock, timelock, {
+            from: sender,
+            value: valueWei.toString(),
+          }),
+        );
         createOk++;
         totalCreateGas = totalCreateGas.add(
           web3.utils.toBN(createTx.receipt.gasUsed),
@@ -125,9 +160,9 @@ module.exports = async function (callback) {
 
       // WITHDRAW (receiver must call, and must be before timelock)
       try {
-        const withdrawTx = await instance.withdraw(contractId, preimage32, {
-          from: receiver,
-        });
+        const withdrawTx = await measure("withdraw", () =>
+          instance.withdraw(contractId, preimage32, { from: receiver }),
+        );
         withdrawOk++;
         totalWithdrawGas = totalWithdrawGas.add(
           web3.utils.toBN(withdrawTx.receipt.gasUsed),
@@ -166,7 +201,7 @@ module.exports = async function (callback) {
     logLine(`Avg create gas: ${avgCreate}`);
     logLine(`Total withdraw gas: ${totalWithdrawGas.toString()}`);
     logLine(`Avg withdraw gas: ${avgWithdraw}`);
-    logLine(`Log written to: ${LOG_PATH}`);
+    logLine(`Log written to: ${logPath}`);
 
     callback();
   } catch (err) {
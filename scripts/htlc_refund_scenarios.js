@@ -0,0 +1,244 @@
+/**
+ * scripts/htlc_refund_scenarios.js
+ *
+ * Exercises the HashedTimelock refund and expiry branches that the
+ * create → withdraw scripts never reach, moving the chain clock with
+ * evm_increaseTime. Every scenario runs inside an evm_snapshot and is
+ * reverted afterwards, so the chain is left as it was found.
+ *
+ * Run (ganache / development chains only):
+ *   truffle migrate --reset --network development
+ *   truffle exec scripts/htlc_refund_scenarios.js --network development [--seed <seed>]
+ *
+ * Scenarios:
+ *   1. refund after expiry
+ *   2. refund before expiry          → "refundable: timelock not yet passed"
+ *   3. withdraw after expiry         → "withdrawable: timelock time must be in the future"
+ *   4. double refund                 → "refundable: already refunded"
+ *   5. refund by non-sender          → "refundable: not sender"
+ *   6. refund after withdraw         → "refundable: already withdrawn"
+ *   7. create with a past timelock   → "timelock time must be in the future"
+ *
+ * Output: hashedtimelock_refund_scenarios.txt plus every transaction in
+ * hashedtimelock_refund_scenarios_results.jsonl/.csv. Exits non-zero when a
+ * scenario does not behave as expected.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { scriptArgv, parseArgs } = require("../src/args");
+const evm = require("../src/evm");
+const { revertReason } = require("../src/errors");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const { SeededRandom, resolveSeed, seedLine } = require("../src/seed");
+
+const HashedTimelock = artifacts.require("HashedTimelock");
+
+const LOG_PATH = path.join(__dirname, "..", "hashedtimelock_refund_scenarios.txt");
+const RESULTS_PATH = path.join(
+  __dirname,
+  "..",
+  "hashedtimelock_refund_scenarios_results",
+);
+const logLine = makeLogger(LOG_PATH);
+
+const VALUE_WEI = "300000";
+const LOCK_SECONDS = 300;
+
+// sha256(bytes) -> bytes32 (0x + 64 hex chars)
+function sha256HexOfBytesHex(hex0x) {
+  const buf = Buffer.from(hex0x.slice(2), "hex");
+  return "0x" + crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+/* ───────────── Scenarios ───────────── */
+
+// Steps are ["wait", fn] or [operation, from, send, expectedReason]; a null
+// expectedReason means the transaction must succeed
+const SCENARIOS = [
+  {
+    name: "refund after expiry",
+    steps: (h) => [
+      ["wait", () => h.expire()],
+      ["refund", h.sender, () => h.refund(h.sender), null],
+    ],
+  },
+  {
+    name: "refund before expiry",
+    steps: (h) => [
+      ["refund", h.sender, () => h.refund(h.sender), "refundable: timelock not yet passed"],
+    ],
+  },
+  {
+    name: "withdraw after expiry",
+    steps: (h) => [
+      ["wait", () => h.expire()],
+      [
+        "withdraw",
+        h.receiver,
+        () => h.withdraw(h.receiver),
+        "withdrawable: timelock time must be in the future",
+      ],
+    ],
+  },
+  {
+    name: "double refund",
+    steps: (h) => [
+      ["wait", () => h.expire()],
+      ["refund", h.sender, () => h.refund(h.sender), null],
+      ["refund", h.sender, () => h.refund(h.sender), "refundable: already refunded"],
+    ],
+  },
+  {
+    name: "refund by non-sender",
+    steps: (h) => [
+      ["wait", () => h.expire()],
+      ["refund", h.receiver, () => h.refund(h.receiver), "refundable: not sender"],
+    ],
+  },
+  {
+    name: "refund after withdraw",
+    steps: (h) => [
+      ["withdraw", h.receiver, () => h.withdraw(h.receiver), null],
+      ["wait", () => h.expire()],
+      ["refund", h.sender, () => h.refund(h.sender), "refundable: already withdrawn"],
+    ],
+  },
+  {
+    name: "create with a past timelock",
+    create: false,
+    steps: (h) => [
+      [
+        "create",
+        h.sender,
+        () => h.create(h.now - 1),
+        "timelock time must be in the future",
+      ],
+    ],
+  },
+];
+
+async function runScenario(index, scenario, ctx) {
+  const { instance, measure, sender, receiver, seed } = ctx;
+  const preimage = new SeededRandom(seed).fork(`scenario:${index}`).bytes32();
+  const hashlock = sha256HexOfBytesHex(preimage);
+  const now = await evm.chainNow(web3);
+
+  const h = {
+    sender,
+    receiver,
+    now,
+    contractId: null,
+    timelock: now + LOCK_SECONDS,
+    create: (timelock) =>
+      measure("newContract", () =>
+        instance.newContract(receiver, hashlock, timelock, {
+          from: sender,
+          value: VALUE_WEI,
+        }),
+      ),
+    withdraw: (from) =>
+      measure("withdraw", () => instance.withdraw(h.contractId, preimage, { from })),
+    refund: (from) => measure("refund", () => instance.refund(h.contractId, { from })),
+    expire: async () => {
+      const t = await evm.increaseTimeTo(web3, h.timelock);
+      logLine(`chain time advanced to ${t} (timelock ${h.timelock})`);
+    },
+  };
+
+  logLine(`\n=== TEST ${index}/${SCENARIOS.length}: ${scenario.name} ===`);
+
+  if (scenario.create !== false) {
+    const createTx = await h.create(h.timelock);
+    h.contractId = createTx.logs[0].args.contractId;
+    logLine(`create tx: ${createTx.tx}`);
+    logLine(`create gasUsed: ${createTx.receipt.gasUsed}`);
+    logLine(`contractId: ${h.contractId}`);
+    logLine(`timelock(unix): ${h.timelock}`);
+  }
+
+  let passed = true;
+  for (const [label, ...rest] of scenario.steps(h)) {
+    if (label === "wait") {
+      await rest[0]();
+      continue;
+    }
+    const [from, send, expectedReason] = rest;
+    const who = from === sender ? "sender" : "receiver";
+    logLine(`${label} from ${who}`);
+    try {
+      const tx = await send();
+      logLine(`${label} tx: ${tx.tx}`);
+      logLine(`${label} gasUsed: ${tx.receipt.gasUsed}`);
+      if (expectedReason) {
+        logLine(`UNEXPECTED SUCCESS: expected revert "${expectedReason}"`);
+        passed = false;
+      }
+    } catch (e) {
+      const reason = revertReason(e) || (e && e.message ? e.message : String(e));
+      logLine(`${label.toUpperCase()} FAILED (test ${index}): ${reason}`);
+      if (reason !== expectedReason) {
+        logLine(
+          expectedReason
+            ? `UNEXPECTED REVERT: expected "${expectedReason}"`
+            : `UNEXPECTED REVERT: expected success`,
+        );
+        passed = false;
+      }
+    }
+  }
+
+  if (h.contractId) {
+    const c = await instance.getContract(h.contractId);
+    logLine(`state: withdrawn=${c.withdrawn} refunded=${c.refunded}`);
+  }
+  logLine(`RESULT: ${passed ? "PASS" : "FAIL"}`);
+  return passed;
+}
+
+module.exports = async function (callback) {
+  try {
+    const seed = resolveSeed(parseArgs(scriptArgv(__filename)).seed);
+
+    fs.writeFileSync(
+      LOG_PATH,
+      `HashedTimelock refund scenario run @ ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
+      { encoding: "utf8" },
+    );
+
+    const results = new ResultsWriter(RESULTS_PATH, { web3 });
+    const measure = (operation, send) =>
+      results.measure({ contract: "HashedTimelock", operation, batchSize: 1 }, send);
+
+    const accounts = await web3.eth.getAccounts();
+    const sender = accounts[0];
+    const receiver = accounts[1];
+
+    logLine(`Using sender:   ${sender}`);
+    logLine(`Using receiver: ${receiver}`);
+
+    const instance = await HashedTimelock.deployed();
+    logLine(`HashedTimelock deployed at: ${instance.address}`);
+
+    const ctx = { instance, measure, sender, receiver, seed };
+    let failed = 0;
+    for (let i = 0; i < SCENARIOS.length; i++) {
+      const passed = await evm.withSnapshot(web3, () =>
+        runScenario(i + 1, SCENARIOS[i], ctx),
+      );
+      if (!passed) failed++;
+    }
+
+    logLine(`\n${SCENARIOS.length - failed}/${SCENARIOS.length} scenarios passed`);
+    logLine(`Done. Log written to: ${LOG_PATH}`);
+
+    if (failed > 0) throw new Error(`${failed} refund scenario(s) failed`);
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
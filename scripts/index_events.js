@@ -0,0 +1,102 @@
+/**
+ * scripts/index_events.js
+ *
+ * Syncs the local event index (CIDBatchLog + HTLC contracts) and optionally
+ * runs a query against it.
+ *
+ * Run:
+ *   truffle exec scripts/index_events.js --network development
+ *   truffle exec scripts/index_events.js --network development --cid <cid|digest>
+ *   truffle exec scripts/index_events.js --network development \
+ *     --sender 0x... --receiver 0x... --status released --since 1700000000
+ *
+ * Options:
+ *   --db             index file             (default index/<network id>.json)
+ *   --chunk          blocks per query       (default 1000)
+ *   --confirmations  reorg rollback depth   (default 6)
+ *   --start-block    first block to scan    (default 0)
+ *   --cid --sender --receiver --status --since --until   query filters
+ */
+
+const path = require("path");
+
+const { scriptArgv, parseArgs } = require("../src/args");
+const {
+  FileStore,
+  EventIndexer,
+  INDEXED_CONTRACTS,
+  defaultIndexPath,
+  deployedContracts,
+} = require("../src/indexer");
+const { makeLogger } = require("../src/log");
+
+const logLine = makeLogger();
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename));
+    const dbPath = args.db
+      ? path.resolve(args.db)
+      : defaultIndexPath(await web3.eth.net.getId());
+
+    const contracts = await deployedContracts(artifacts);
+    for (const name of INDEXED_CONTRACTS) {
+      if (!contracts[name]) logLine(`${name} not deployed, skipping`);
+    }
+
+    const indexer = new EventIndexer({
+      web3,
+      contracts,
+      store: new FileStore(dbPath),
+      chunkSize: args.chunk ? Number(args.chunk) : undefined,
+      confirmations:
+        args.confirmations != null ? Number(args.confirmations) : undefined,
+      startBlock: args.startBlock ? Number(args.startBlock) : undefined,
+    });
+
+    const result = await indexer.sync(({ fromBlock, toBlock, events }) =>
+      logLine(`blocks ${fromBlock}-${toBlock}: ${events} events`),
+    );
+    if (result.rolledBack !== null) {
+      logLine(`reorg detected, rolled back to block ${result.rolledBack}`);
+    }
+    logLine(
+      `indexed up to block ${result.toBlock} (${result.events} new events) -> ${dbPath}`,
+    );
+
+    const filter = {
+      cid: args.cid,
+      sender: args.sender,
+      receiver: args.receiver,
+      status: args.status,
+      since: args.since != null ? Number(args.since) : undefined,
+      until: args.until != null ? Number(args.until) : undefined,
+    };
+    const hasQuery = Object.values(filter).some((v) => v !== undefined);
+
+    if (hasQuery) {
+      const batches = indexer.findBatches(filter);
+      logLine(`${batches.length} matching batches`);
+      for (const b of batches) {
+        logLine(
+          `batch ${b.batchId} sender=${b.sender} ${b.multi ? `receivers=${b.receivers.length}` : `receiver=${b.receiver}`} cids=${b.cidCount} status=${b.status} createdAt=${b.createdAt}`,
+        );
+      }
+
+      if (!filter.cid) {
+        const htlcs = indexer.findHTLCs(filter);
+        logLine(`${htlcs.length} matching HTLCs`);
+        for (const h of htlcs) {
+          logLine(
+            `${h.contract} ${h.contractId} sender=${h.sender} receiver=${h.receiver} status=${h.status} createdAt=${h.createdAt}`,
+          );
+        }
+      }
+    }
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
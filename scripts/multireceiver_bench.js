@@ -0,0 +1,237 @@
+/**
+ * scripts/multireceiver_bench.js
+ *
+ * Gas of distributing one CID set to N receivers: one createMultiBatch plus
+ * one verifyCIDs per receiver, against N createBatch calls (one per
+ * receiver) plus their N verifyCIDs. Both sides release once per batch.
+ *
+ * Writes <out>/multireceiver_<n>cids.log with every step and a summary
+ * table, and records each transaction in <out>/multireceiver_results.jsonl
+ * and .csv (src/results.js). Operations carry the receiver count, e.g.
+ * "createMultiBatch[5]" or "createBatch[5]" (one of the five single batches).
+ *
+ * Receivers are accounts[1..N], so N must be below the node's account
+ * count (ganache: `-a <count>`).
+ *
+ * With --inject the multi-receiver batch also gets the faults of
+ * src/faults.js after its release, sent by the first receiver or, for
+ * verify-by-stranger, by accounts[N+1], which a multi-receiver batch turns
+ * away with "only receiver". Outcomes are logged as in
+ * scripts/cidbatchlog_bench.js and reverted faults recorded as
+ * "<operation>[<fault>]" with success=false.
+ *
+ * Run:
+ *   truffle migrate --reset --network development
+ *   truffle exec scripts/multireceiver_bench.js --network development \
+ *     --receivers 1,2,4,8 --cids 25 --out test
+ *
+ * Options:
+ *   --receivers  comma-separated receiver counts   (default 1,2,4,8)
+ *   --cids       CIDs per batch                    (default 25)
+ *   --mode       packed | merkle | sorted          (default packed)
+ *   --seed       input seed                        (default: random, logged)
+ *   --out        directory for the log files       (default test/)
+ *   --inject     inject failures (all, or a comma-separated list of
+ *                fault names, see src/faults.js)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs, parseIntList } = require("../src/args");
+const { MODES, canonicalizeCIDs } = require("../src/batch");
+const { CIDBatchLogClient } = require("../src/client");
+const { parseFaultList, runFaults } = require("../src/faults");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const { SeededRandom, resolveSeed, seedLine } = require("../src/seed");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const DEFAULT_RECEIVERS = "1,2,4,8";
+const DEFAULT_CIDS = "25";
+const DEFAULT_OUT = path.join(__dirname, "..", "test");
+const TIMELOCK_SECONDS = 3600;
+
+/* ───────────────── Helpers ───────────────── */
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function formatSummary(rows) {
+  const header = [
+    "receivers",
+    "multi create",
+    "multi verify",
+    "multi total",
+    "single create",
+    "single verify",
+    "single total",
+    "saving %",
+  ];
+  const lines = [
+    header,
+    ...rows.map((r) => [
+      r.receivers,
+      r.multi.create,
+      r.multi.verify,
+      r.multi.total,
+      r.single.create,
+      r.single.verify,
+      r.single.total,
+      ((100 * (r.single.total - r.multi.total)) / r.single.total).toFixed(1),
+    ].map(String)),
+  ];
+  const widths = header.map((_, i) => Math.max(...lines.map((l) => l[i].length)));
+  return lines.map((l) => l.map((c, i) => c.padStart(widths[i])).join("  "));
+}
+
+/* ───────────────── One receiver count ───────────────── */
+
+async function runMulti(client, measure, opts, log) {
+  const { sender, receivers, stranger, cids, mode, timelock, faults, results } = opts;
+  const n = receivers.length;
+
+  log(`Creating one ${mode} batch for ${n} receiver(s)...`);
+  const created = await measure(`createMultiBatch[${n}]`, () =>
+    client.createMultiBatch({ receivers, cids, timelock, mode, from: sender }),
+  );
+  log(`batchId: ${created.batchId}`);
+  log(`createMultiBatch gasUsed: ${created.gasUsed}`);
+
+  const released = await measure(`releaseAggregate[${n}]`, () =>
+    client.releaseAggregate(created.batchId, { from: sender }),
+  );
+  log(`releaseAggregate gasUsed: ${released.gasUsed}`);
+
+  if (faults) {
+    // Faults bypass the client, so a sorted batch's honest list is the canonical one
+    const honest = mode === "sorted" ? canonicalizeCIDs(cids) : cids;
+    const target = { batchId: created.batchId, cids: honest, receiver: receivers[0], stranger };
+    await runFaults(client, results, target, faults, log);
+  }
+
+  const verifyGas = [];
+  for (const receiver of receivers) {
+    const v = await measure(`verifyCIDs[${n}]`, () =>
+      client.verifyCIDs(created.batchId, cids, { from: receiver }),
+    );
+    log(`verifyCIDs by ${receiver} gasUsed: ${v.gasUsed}`);
+    verifyGas.push(v.gasUsed);
+  }
+
+  const b = await client.getBatch(created.batchId);
+  log(`Final state: status=${b.status} receivers verified=${b.receivers.filter((r) => r.verified).length}/${n}`);
+
+  const create = created.gasUsed + released.gasUsed;
+  const verify = sum(verifyGas);
+  return { create, verify, total: create + verify };
+}
+
+async function runSingles(client, measure, opts, log) {
+  const { sender, receivers, cids, mode, timelock } = opts;
+  const n = receivers.length;
+
+  log(`Creating ${n} separate ${mode} batch(es)...`);
+  let create = 0;
+  let verify = 0;
+  for (const receiver of receivers) {
+    const created = await measure(`createBatch[${n}]`, () =>
+      client.createBatch({ receiver, cids, timelock, mode, from: sender }),
+    );
+    const released = await measure(`releaseAggregate[${n}]`, () =>
+      client.releaseAggregate(created.batchId, { from: sender }),
+    );
+    const v = await measure(`verifyCIDs[${n}]`, () =>
+      client.verifyCIDs(created.batchId, cids, { from: receiver }),
+    );
+    log(
+      `batch for ${receiver}: create ${created.gasUsed}, release ${released.gasUsed}, verify ${v.gasUsed}`,
+    );
+    create += created.gasUsed + released.gasUsed;
+    verify += v.gasUsed;
+  }
+  return { create, verify, total: create + verify };
+}
+
+/* ───────────────── Script ───────────────── */
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename));
+    const counts = parseIntList(args.receivers || DEFAULT_RECEIVERS, "--receivers");
+    const cidCount = parseIntList(args.cids || DEFAULT_CIDS, "--cids")[0];
+    const mode = args.mode || "packed";
+    const seed = resolveSeed(args.seed);
+    const outDir = args.out ? path.resolve(args.out) : DEFAULT_OUT;
+    const faults = args.inject ? parseFaultList(args.inject) : null;
+    if (!MODES.includes(mode)) {
+      throw new Error(`--mode must be one of ${MODES.join(", ")}, got "${mode}"`);
+    }
+
+    const accounts = await web3.eth.getAccounts();
+    // Plus one stranger with --inject
+    const needed = Math.max(...counts) + (faults ? 2 : 1);
+    if (accounts.length < needed) {
+      throw new Error(
+        `--receivers ${Math.max(...counts)}${faults ? " --inject" : ""} needs ${needed} ` +
+          `unlocked accounts, the node has ${accounts.length}`,
+      );
+    }
+    const sender = accounts[0];
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, `multireceiver_${cidCount}cids.log`);
+    const log = makeLogger(logPath);
+    fs.writeFileSync(
+      logPath,
+      `CIDBatchLog multi-receiver – ${cidCount} CID test (${mode})\n` +
+        `Started: ${new Date().toISOString()}\n${seedLine(seed)}\n` +
+        (faults ? `Fault injection: ${faults.join(",")}\n` : "") +
+        "\n",
+    );
+
+    const client = await CIDBatchLogClient.deployed(CIDBatchLog);
+    const results = new ResultsWriter(path.join(outDir, "multireceiver_results"), {
+      web3,
+    });
+    const measure = (operation, send) =>
+      results.measure({ contract: "CIDBatchLog", operation, batchSize: cidCount }, send);
+
+    log(`Sender:   ${sender}`);
+    log(`Contract: ${client.address}`);
+
+    const rows = [];
+    for (const n of counts) {
+      log(`\n=== ${n} RECEIVER(S) ===`);
+      // Same CIDs for both sides of a comparison
+      const rng = new SeededRandom(seed).fork(`multireceiver:${cidCount}:${n}`);
+      const cids = Array.from({ length: cidCount }, () => rng.bytes32());
+      const opts = {
+        sender,
+        receivers: accounts.slice(1, n + 1),
+        stranger: accounts[n + 1],
+        cids,
+        mode,
+        timelock: (await client.chainNow()) + TIMELOCK_SECONDS,
+        faults,
+        results,
+      };
+
+      const multi = await runMulti(client, measure, opts, log);
+      const single = await runSingles(client, measure, opts, log);
+      log(`multi total: ${multi.total}, ${n} single batch(es) total: ${single.total}`);
+      rows.push({ receivers: n, multi, single });
+    }
+
+    log("\nSummary (gas; create includes releaseAggregate):");
+    formatSummary(rows).forEach((line) => log(line));
+    log("\nTest complete.");
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
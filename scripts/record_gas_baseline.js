@@ -0,0 +1,51 @@
+/**
+ * scripts/record_gas_baseline.js
+ *
+ * Re-records test/gas_baseline.json, the gas budget checked by
+ * test/gas_budget.js. Run after a change that is meant to alter gas usage and
+ * commit the updated file with it.
+ *
+ * Run:
+ *   truffle exec scripts/record_gas_baseline.js --network development
+ */
+
+const {
+  BASELINE_PATH,
+  measureGas,
+  loadBaseline,
+  saveBaseline,
+  compareToBaseline,
+  formatDiffTable,
+} = require("../src/gasbudget");
+
+const fs = require("fs");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+const HashedTimelock = artifacts.require("HashedTimelock");
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+
+module.exports = async function (callback) {
+  try {
+    const accounts = await web3.eth.getAccounts();
+    const measured = await measureGas({
+      web3,
+      sender: accounts[0],
+      receiver: accounts[1],
+      cidBatchLog: await CIDBatchLog.new(),
+      hashedTimelock: await HashedTimelock.new(),
+      hashedTimelockLog: await HashedTimelockLog.new(),
+    });
+
+    if (fs.existsSync(BASELINE_PATH)) {
+      const rows = compareToBaseline(measured, loadBaseline().gas, 0);
+      console.log(formatDiffTable(rows));
+    }
+
+    saveBaseline(measured);
+    console.log(`\nBaseline written to: ${BASELINE_PATH}`);
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
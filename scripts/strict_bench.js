@@ -0,0 +1,168 @@
+/**
+ * scripts/strict_bench.js
+ *
+ * Gas overhead of strict mode: the same CID list created with createBatch
+ * (or createMerkleBatch) and with createStrictBatch, whose on-chain
+ * duplicate check is the only difference. For every size it also mines a
+ * strict create whose last CID repeats the first, the worst case for the
+ * check, to show what a duplicate costs when it is only caught on chain;
+ * the client's default "reject" policy refuses the same list for free.
+ *
+ * Writes <out>/strict_bench.log with every step and a summary table, and
+ * records each transaction in <out>/strict_results.jsonl and .csv
+ * (src/results.js). The reverted strict creates are recorded as
+ * "createStrictBatch[duplicate]" with success=false.
+ *
+ * Run:
+ *   truffle migrate --reset --network development
+ *   truffle exec scripts/strict_bench.js --network development \
+ *     --sizes 1,10,100,1000 --out test
+ *
+ * Options:
+ *   --sizes  comma-separated batch sizes   (default 1,10,100,1000)
+ *   --mode   packed | merkle                (default packed; sorted batches
+ *                                           refuse duplicates anyway)
+ *   --seed   input seed                     (default: random, logged)
+ *   --out    directory for the log files   (default test/)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs, parseIntList } = require("../src/args");
+const { MODES, CREATE_METHODS, ZERO_BYTES32 } = require("../src/batch");
+const { DEFAULT_CEILING_MAX } = require("../src/chunking");
+const { CIDBatchLogClient } = require("../src/client");
+const { DuplicateCIDsFoundError, revertReason } = require("../src/errors");
+const { makeLogger } = require("../src/log");
+const { ResultsWriter } = require("../src/results");
+const { SeededRandom, resolveSeed, seedLine } = require("../src/seed");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const DEFAULT_SIZES = "1,10,100,1000";
+const DEFAULT_OUT = path.join(__dirname, "..", "test");
+const TIMELOCK_SECONDS = 3600;
+
+/* ───────────────── Helpers ───────────────── */
+
+function formatSummary(rows) {
+  const header = ["CIDs", "create", "strict", "overhead", "overhead %", "per CID", "dup revert"];
+  const lines = [
+    header,
+    ...rows.map((r) => [
+      r.size,
+      r.create,
+      r.strict,
+      r.strict - r.create,
+      ((100 * (r.strict - r.create)) / r.create).toFixed(1),
+      r.size > 1 ? Math.round((r.strict - r.create) / r.size) : "-",
+      r.duplicateRevert === null ? "-" : r.duplicateRevert,
+    ].map(String)),
+  ];
+  const widths = header.map((_, i) => Math.max(...lines.map((l) => l[i].length)));
+  return lines.map((l) => l.map((c, i) => c.padStart(widths[i])).join("  "));
+}
+
+/* ───────────────── One size ───────────────── */
+
+async function runSize(client, results, opts, log) {
+  const { sender, receiver, cids, mode, gas } = opts;
+  const size = cids.length;
+  const createOp = CREATE_METHODS[mode];
+  const measure = (operation, send) =>
+    results.measure({ contract: "CIDBatchLog", operation, batchSize: size }, send);
+  const timelock = (await client.chainNow()) + TIMELOCK_SECONDS;
+
+  const created = await measure(createOp, () =>
+    client.createBatch({ receiver, cids, timelock, mode, from: sender }),
+  );
+  log(`${createOp} gasUsed: ${created.gasUsed}`);
+
+  // Same list; the timelock keeps the batchId apart from the batch above
+  const strict = await measure("createStrictBatch", () =>
+    client.createBatch({ receiver, cids, timelock: timelock + 1, mode, strict: true, from: sender }),
+  );
+  log(`createStrictBatch gasUsed: ${strict.gasUsed} (+${strict.gasUsed - created.gasUsed})`);
+
+  // A single CID can't repeat
+  let duplicateRevert = null;
+  if (size > 1) {
+    const duplicated = [...cids.slice(0, -1), cids[0]];
+    const refused = await client
+      .createBatch({ receiver, cids: duplicated, timelock, mode, from: sender })
+      .then(() => null, (err) => err);
+    if (!(refused instanceof DuplicateCIDsFoundError)) {
+      throw refused || new Error("the client accepted a duplicated CID list");
+    }
+    log(`client, policy "reject": ${refused.name}, nothing sent`);
+
+    // Past the client's dry run, with a fixed gas limit so the revert is mined
+    const args = [receiver, duplicated, ZERO_BYTES32, timelock + 2, MODES.indexOf(mode)];
+    try {
+      await measure("createStrictBatch[duplicate]", () =>
+        client.contract.createStrictBatch(...args, { from: sender, gas }),
+      );
+      throw new Error("createStrictBatch accepted a duplicated CID list");
+    } catch (err) {
+      if (!err.receipt) throw err;
+      duplicateRevert = err.receipt.gasUsed;
+      log(`createStrictBatch, last CID repeated: reverted "${revertReason(err)}", gas ${duplicateRevert}`);
+    }
+  }
+
+  return { size, create: created.gasUsed, strict: strict.gasUsed, duplicateRevert };
+}
+
+/* ───────────────── Script ───────────────── */
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename));
+    const sizes = parseIntList(args.sizes || DEFAULT_SIZES, "--sizes");
+    const mode = args.mode || "packed";
+    const seed = resolveSeed(args.seed);
+    const outDir = args.out ? path.resolve(args.out) : DEFAULT_OUT;
+    if (!["packed", "merkle"].includes(mode)) {
+      throw new Error(`--mode must be packed or merkle, got "${mode}"`);
+    }
+
+    const accounts = await web3.eth.getAccounts();
+    const sender = accounts[0];
+    const receiver = accounts[1];
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const logPath = path.join(outDir, "strict_bench.log");
+    const log = makeLogger(logPath);
+    fs.writeFileSync(
+      logPath,
+      `CIDBatchLog strict mode – duplicate check overhead (${mode})\n` +
+        `Started: ${new Date().toISOString()}\n${seedLine(seed)}\n\n`,
+    );
+
+    const client = await CIDBatchLogClient.deployed(CIDBatchLog);
+    const results = new ResultsWriter(path.join(outDir, "strict_results"), { web3 });
+    const gas = Math.min(await client.blockGasLimit(), DEFAULT_CEILING_MAX);
+
+    log(`Sender:   ${sender}`);
+    log(`Receiver: ${receiver}`);
+    log(`Contract: ${client.address}`);
+
+    const rows = [];
+    for (const size of sizes) {
+      log(`\n=== ${size} CIDs ===`);
+      const rng = new SeededRandom(seed).fork(`strict:${size}`);
+      const cids = Array.from({ length: size }, () => rng.bytes32());
+      rows.push(await runSize(client, results, { sender, receiver, cids, mode, gas }, log));
+    }
+
+    log("\nSummary (gasUsed; dup revert: strict create with the last CID repeated):");
+    formatSummary(rows).forEach((line) => log(line));
+    log("\nTest complete.");
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
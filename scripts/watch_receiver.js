@@ -0,0 +1,181 @@
+/**
+ * scripts/watch_receiver.js
+ *
+ * Long-running receiver service (src/watcher.js): watches CIDBatchLog for
+ * batches addressed to the given receivers and, once a batch's aggregate is
+ * released and buried by --confirmations blocks, matches it to a CID list in
+ * --cids-dir and checks it off-chain. With --submit it also sends
+ * verifyCIDs, and verifyMessage when --key-file can decrypt the batch's
+ * message. Runs until interrupted (Ctrl-C / SIGTERM); --once polls once and
+ * exits.
+ *
+ * Progress is kept in --db, so a restart neither processes a batch twice nor
+ * skips the blocks it was down for. Every line of --cids-dir files is a CID
+ * (CIDv0/CIDv1 string or 0x bytes32 digest); files can be added while it
+ * runs.
+ *
+ * Run:
+ *   truffle exec scripts/watch_receiver.js --network development \
+ *     --receivers 1 --cids-dir cids --submit
+ *
+ * Options:
+ *   --receivers      comma-separated addresses or account indexes
+ *                    (default: accounts[1])
+ *   --cids-dir       directory of CID list files (required)
+ *   --submit         send verifyCIDs / verifyMessage (default: only check)
+ *   --key-file       receiver private key (one 0x hex line) to decrypt
+ *                    messages; with several receivers, the first one's
+ *   --message-store  MessageStore directory searched before the chain
+ *   --db             progress file        (default watch/<network id>.json)
+ *   --confirmations  blocks to wait       (default 2)
+ *   --interval       seconds between polls (default 15)
+ *   --chunk          blocks per query      (default 1000)
+ *   --start-block    first block to scan on a fresh --db (default 0)
+ *   --once           poll once and exit
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { scriptArgv, parseArgs } = require("../src/args");
+const { CIDBatchLogClient } = require("../src/client");
+const { FileStore } = require("../src/indexer");
+const { makeLogger } = require("../src/log");
+const { MessageStore } = require("../src/message");
+const {
+  CIDLibrary,
+  ReceiverWatcher,
+  EMPTY_WATCH_STATE,
+  defaultWatchPath,
+} = require("../src/watcher");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const logLine = makeLogger();
+
+async function resolveReceivers(value) {
+  const accounts = await web3.eth.getAccounts();
+  if (value === undefined) return [accounts[1]];
+  return String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      if (/^\d+$/.test(s)) {
+        if (!accounts[Number(s)]) throw new Error(`no account at index ${s}`);
+        return accounts[Number(s)];
+      }
+      if (!web3.utils.isAddress(s)) throw new Error(`--receivers: not an address: ${s}`);
+      return s;
+    });
+}
+
+function readKeyFile(file) {
+  const key = fs.readFileSync(path.resolve(file), "utf8").trim();
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error(`${file} does not hold a 32-byte hex private key`);
+  }
+  return key.startsWith("0x") ? key : "0x" + key;
+}
+
+// One log line per watcher event
+function describe(e) {
+  const id = e.batchId ? `${e.batchId} ` : "";
+  const who = e.receiver ? ` (${e.receiver})` : "";
+  switch (e.type) {
+    case "list-loaded":
+      return `loaded CID list ${e.name}`;
+    case "tracked":
+      return `${id}created for ${e.receivers.join(", ")}`;
+    case "released":
+      return `${id}released in block ${e.blockNumber}`;
+    case "unmatched":
+      return `${id}no local list with ${e.cidCount} CIDs matches (${e.mode}); will retry`;
+    case "matched":
+      return `${id}matches ${e.list}`;
+    case "ready":
+      return `${id}checks out off-chain${who}; not submitted`;
+    case "verified":
+      return e.txHash
+        ? `${id}verifyCIDs sent${who}: ${e.txHash}, gas ${e.gasUsed}`
+        : `${id}already verified on chain${who}`;
+    case "message-waiting":
+      return `${id}no encrypted message found yet${who}`;
+    case "message-ready":
+      return `${id}message decrypts and matches (${e.source})${who}; not submitted`;
+    case "message-verified":
+      return `${id}verifyMessage sent${who}: ${e.txHash}`;
+    case "verify-failed":
+    case "message-failed":
+      return `${id}${e.type}${who}: ${e.reason}`;
+    case "closed":
+      return `${id}closed: ${e.reason}`;
+    case "error":
+      return e.batchId ? `${id}failed: ${e.error}; will retry` : `poll failed: ${e.error}; retrying`;
+    default:
+      return `${id}${e.type}`;
+  }
+}
+
+module.exports = async function (callback) {
+  try {
+    const args = parseArgs(scriptArgv(__filename), { boolean: ["submit", "once"] });
+    if (!args.cidsDir || args.cidsDir === true) throw new Error("missing --cids-dir");
+    const receivers = await resolveReceivers(args.receivers);
+    const privateKey = args.keyFile ? readKeyFile(args.keyFile) : undefined;
+    const dbPath = args.db
+      ? path.resolve(args.db)
+      : defaultWatchPath(await web3.eth.net.getId());
+
+    const library = CIDLibrary.fromDir(path.resolve(args.cidsDir));
+    for (const [name, problem] of library.problems) logLine(`skipping ${name}: ${problem}`);
+
+    const watcher = new ReceiverWatcher({
+      client: await CIDBatchLogClient.deployed(CIDBatchLog),
+      receivers: receivers.map((address, i) => ({
+        address,
+        privateKey: i === 0 ? privateKey : undefined,
+      })),
+      library,
+      store: new FileStore(dbPath, EMPTY_WATCH_STATE),
+      submit: args.submit,
+      messageStore: args.messageStore ? new MessageStore(path.resolve(args.messageStore)) : null,
+      confirmations: args.confirmations != null ? Number(args.confirmations) : undefined,
+      pollSeconds: args.interval != null ? Number(args.interval) : undefined,
+      chunkSize: args.chunk ? Number(args.chunk) : undefined,
+      startBlock: args.startBlock ? Number(args.startBlock) : undefined,
+      onEvent: (e) => logLine(describe(e)),
+    });
+
+    logLine(`watching ${receivers.join(", ")} with ${library.lists.size} CID list(s)`);
+    logLine(
+      `${args.submit ? "submitting" : "checking only"}, ${watcher.confirmations} confirmation(s), progress in ${dbPath}`,
+    );
+
+    if (args.once) {
+      const { toBlock, processed } = await watcher.poll();
+      logLine(`scanned up to block ${toBlock}, ${processed} batch(es) processed`);
+    } else {
+      const stop = () => {
+        logLine("stopping after the current poll");
+        watcher.stop();
+      };
+      process.once("SIGINT", stop);
+      process.once("SIGTERM", stop);
+      await watcher.run();
+      process.removeListener("SIGINT", stop);
+      process.removeListener("SIGTERM", stop);
+    }
+
+    const counts = {};
+    for (const b of watcher.batches) counts[b.status] = (counts[b.status] || 0) + 1;
+    logLine(
+      `tracked batches: ${Object.entries(counts).map(([s, n]) => `${n} ${s}`).join(", ") || "none"}`,
+    );
+
+    callback();
+  } catch (err) {
+    console.error(err);
+    callback(err);
+  }
+};
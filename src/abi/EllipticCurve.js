@@ -0,0 +1,12 @@
+/**
+ * src/abi/EllipticCurve.js
+ *
+ * Generated by scripts/generate_abi.js from the truffle build output.
+ * Do not edit; regenerate with `node scripts/generate_abi.js`.
+ */
+
+module.exports = {
+  contractName: "EllipticCurve",
+  abi: [],
+  networks: {},
+};
@@ -0,0 +1,180 @@
+/**
+ * src/abigen.js
+ *
+ * Builds the per-contract ABI modules in src/abi/ from truffle build
+ * artifacts and compares committed modules against freshly compiled ones.
+ * Driven by scripts/generate_abi.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_BUILD_DIR = path.join(__dirname, "..", "build", "contracts");
+const ABI_DIR = path.join(__dirname, "abi");
+const INDEX_PATH = path.join(__dirname, "abi.js");
+
+// Deployment and test helpers, not part of the project's interface
+const EXCLUDED = new Set(["Migrations", "EllipticCurveHarness"]);
+
+/* ───────────── Artifacts ───────────── */
+
+/**
+ * @param {string} [buildDir]
+ * @param {object} [opts]
+ * @param {string[]} [opts.networks] network ids to keep (default: all)
+ * @return {object[]} [{ contractName, abi, networks }] sorted by name
+ */
+function loadArtifacts(buildDir = DEFAULT_BUILD_DIR, opts = {}) {
+  if (!fs.existsSync(buildDir)) {
+    throw new Error(`${buildDir} not found; run \`truffle compile\` first`);
+  }
+  const keep = opts.networks ? new Set(opts.networks.map(String)) : null;
+
+  return fs
+    .readdirSync(buildDir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => JSON.parse(fs.readFileSync(path.join(buildDir, f), "utf8")))
+    .filter((a) => a.contractName && Array.isArray(a.abi) && !EXCLUDED.has(a.contractName))
+    .map((a) => {
+      const networks = {};
+      for (const id of Object.keys(a.networks || {}).sort()) {
+        if (keep && !keep.has(id)) continue;
+        const n = a.networks[id];
+        if (!n.address) continue;
+        networks[id] = { address: n.address, transactionHash: n.transactionHash || null };
+      }
+      return { contractName: a.contractName, abi: a.abi, networks };
+    })
+    .sort((a, b) => a.contractName.localeCompare(b.contractName));
+}
+
+/* ───────────── Rendering ───────────── */
+
+function indent(json, spaces) {
+  return json.replace(/\n/g, "\n" + " ".repeat(spaces));
+}
+
+function renderModule(artifact) {
+  const { contractName, abi, networks } = artifact;
+  return `/**
+ * src/abi/${contractName}.js
+ *
+ * Generated by scripts/generate_abi.js from the truffle build output.
+ * Do not edit; regenerate with \`node scripts/generate_abi.js\`.
+ */
+
+module.exports = {
+  contractName: ${JSON.stringify(contractName)},
+  abi: ${indent(JSON.stringify(abi, null, 2), 2)},
+  networks: ${indent(JSON.stringify(networks, null, 2), 2)},
+};
+`;
+}
+
+function renderIndex(names) {
+  return `/**
+ * src/abi.js
+ *
+ * ABIs and deployed addresses of every contract, one module per contract in
+ * src/abi/. Generated by scripts/generate_abi.js; do not edit.
+ *
+ *   const { CIDBatchLog } = require("./abi");
+ *   new web3.eth.Contract(CIDBatchLog.abi, CIDBatchLog.networks[networkId].address);
+ */
+
+module.exports = {
+${names.map((n) => `  ${n}: require("./abi/${n}"),`).join("\n")}
+};
+`;
+}
+
+/**
+ * @return {string[]} paths written
+ */
+function writeModules(artifacts, abiDir = ABI_DIR, indexPath = INDEX_PATH) {
+  fs.mkdirSync(abiDir, { recursive: true });
+  const written = [];
+  for (const a of artifacts) {
+    const file = path.join(abiDir, `${a.contractName}.js`);
+    fs.writeFileSync(file, renderModule(a), { encoding: "utf8" });
+    written.push(file);
+  }
+  fs.writeFileSync(indexPath, renderIndex(artifacts.map((a) => a.contractName)), {
+    encoding: "utf8",
+  });
+  written.push(indexPath);
+  return written;
+}
+
+/* ───────────── Drift check ───────────── */
+
+// "function getBatch(bytes32)", "event BatchCreated(bytes32,address,...)"
+function entryKey(entry) {
+  const types = (entry.inputs || []).map((i) => i.type).join(",");
+  return entry.name === undefined ? `${entry.type}(${types})` : `${entry.type} ${entry.name}(${types})`;
+}
+
+function diffABI(committed, compiled) {
+  const before = new Map(committed.map((e) => [entryKey(e), JSON.stringify(e)]));
+  const after = new Map(compiled.map((e) => [entryKey(e), JSON.stringify(e)]));
+  const changes = [];
+  for (const [key, json] of after) {
+    if (!before.has(key)) changes.push(`+ ${key}`);
+    else if (before.get(key) !== json) changes.push(`~ ${key}`);
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key)) changes.push(`- ${key}`);
+  }
+  return changes;
+}
+
+function loadCommitted(abiDir = ABI_DIR) {
+  if (!fs.existsSync(abiDir)) return [];
+  return fs
+    .readdirSync(abiDir)
+    .filter((f) => f.endsWith(".js"))
+    .map((f) => {
+      const file = path.join(abiDir, f);
+      delete require.cache[require.resolve(file)];
+      return require(file);
+    });
+}
+
+/**
+ * Compares committed modules with compiled artifacts. Only ABIs are
+ * compared; deployed addresses differ between machines.
+ *
+ * @return {{ ok: boolean, problems: string[] }}
+ */
+function checkDrift(artifacts, abiDir = ABI_DIR) {
+  const committed = new Map(loadCommitted(abiDir).map((m) => [m.contractName, m]));
+  const problems = [];
+
+  for (const a of artifacts) {
+    const mod = committed.get(a.contractName);
+    if (!mod) {
+      problems.push(`${a.contractName}: no committed ABI module`);
+      continue;
+    }
+    for (const change of diffABI(mod.abi, a.abi)) {
+      problems.push(`${a.contractName}: ${change}`);
+    }
+    committed.delete(a.contractName);
+  }
+  for (const name of committed.keys()) {
+    problems.push(`${name}: committed ABI module has no compiled contract`);
+  }
+
+  return { ok: problems.length === 0, problems };
+}
+
+module.exports = {
+  DEFAULT_BUILD_DIR,
+  ABI_DIR,
+  INDEX_PATH,
+  loadArtifacts,
+  renderModule,
+  writeModules,
+  diffABI,
+  checkDrift,
+};
@@ -0,0 +1,56 @@
+/**
+ * src/ack.js
+ *
+ * Receiver-signed delivery acknowledgments for CIDBatchLog batches.
+ *
+ * The receiver signs ackHash = keccak256(contract || batchId || aggregateHash)
+ * as an EIP-191 personal message (eth_sign). Anyone can then relay the
+ * signature to CIDBatchLog.acknowledge, which only accepts it if the
+ * recovered signer is the batch's stored receiver.
+ *
+ *   const sig = await signAck(web3, { contract, batchId, aggregateHash, signer: receiver });
+ *   await instance.acknowledge(batchId, sig, { from: anyone });
+ */
+
+function hexToBuf(hex0x) {
+  return Buffer.from(hex0x.slice(2), "hex");
+}
+
+/**
+ * Same as CIDBatchLog.ackHash(batchId).
+ * @param {object} web3
+ * @param {{ contract: string, batchId: string, aggregateHash: string }} ack
+ */
+function ackHash(web3, ack) {
+  return web3.utils.keccak256(
+    "0x" +
+      Buffer.concat([
+        hexToBuf(ack.contract),
+        hexToBuf(ack.batchId),
+        hexToBuf(ack.aggregateHash),
+      ]).toString("hex"),
+  );
+}
+
+/**
+ * Signs an acknowledgment, either with an unlocked node account
+ * (`signer`, via eth_sign) or a local private key (`privateKey`).
+ * @return {Promise<string>} 65-byte signature
+ */
+async function signAck(web3, ack) {
+  const hash = ackHash(web3, ack);
+  if (ack.privateKey) return web3.eth.accounts.sign(hash, ack.privateKey).signature;
+  if (!ack.signer) throw new Error("signAck needs a signer address or privateKey");
+  return web3.eth.sign(hash, ack.signer);
+}
+
+// Address that produced `signature`, as the contract would recover it
+function recoverAckSigner(web3, ack, signature) {
+  return web3.eth.accounts.recover(ackHash(web3, ack), signature);
+}
+
+module.exports = {
+  ackHash,
+  signAck,
+  recoverAckSigner,
+};
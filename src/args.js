@@ -0,0 +1,78 @@
+/**
+ * src/args.js
+ *
+ * Minimal option parsing for `truffle exec` scripts.
+ *
+ * truffle leaves its own arguments (exec, the script path, --network ...) in
+ * process.argv, so parsing starts right after the script path. Options are
+ * `--key value`, `--key=value` or a bare `--flag` (true). Keys are
+ * camel-cased: `--cids-file` becomes `cidsFile`.
+ */
+
+const path = require("path");
+
+function camelCase(key) {
+  return key.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+// Arguments that follow the script path in process.argv
+function scriptArgv(scriptPath, argv = process.argv) {
+  const base = path.basename(scriptPath);
+  const idx = argv.findIndex((a) => path.basename(a) === base);
+  return idx === -1 ? argv.slice(2) : argv.slice(idx + 1);
+}
+
+/**
+ * @param {string[]} argv
+ * @param {{ boolean?: string[] }} [spec] options that never take a value
+ * @return {{ _: string[], [key: string]: any }}
+ */
+function parseArgs(argv, spec = {}) {
+  const booleans = new Set((spec.boolean || []).map(camelCase));
+  const opts = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      opts._.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      opts[camelCase(arg.slice(2, eq))] = arg.slice(eq + 1);
+      continue;
+    }
+
+    const key = camelCase(arg.slice(2));
+    const next = argv[i + 1];
+    if (booleans.has(key) || next === undefined || next.startsWith("--")) {
+      opts[key] = true;
+    } else {
+      opts[key] = next;
+      i++;
+    }
+  }
+
+  return opts;
+}
+
+// "1,5,10" -> [1, 5, 10]
+function parseIntList(value, name = "list") {
+  return String(value)
+    .split(",")
+    .filter((s) => s.trim() !== "")
+    .map((s) => {
+      const n = Number(s.trim());
+      if (!Number.isInteger(n) || n <= 0) {
+        throw new Error(`invalid ${name} entry: "${s}"`);
+      }
+      return n;
+    });
+}
+
+module.exports = {
+  scriptArgv,
+  parseArgs,
+  parseIntList,
+};
@@ -0,0 +1,161 @@
+/**
+ * src/audit.js
+ *
+ * Off-chain batch audit: recovers a batch's CID list from its CIDsLogged
+ * event and checks it against the stored commitment, without sending a
+ * transaction. Works for anyone with RPC access, whether or not they hold
+ * the CID list, and regardless of whether verifyCIDs was already called.
+ *
+ *   const { auditBatch } = require("../src/audit");
+ *   const report = await auditBatch(instance, batchId);
+ *   if (report.valid) fs.writeFileSync("cids.txt", report.cids.join("\n"));
+ */
+
+const { MODES, computeAggregate } = require("./batch");
+
+function sameHex(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function byPosition(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * BatchCreated and CIDsLogged events of one batch, in chain order.
+ *
+ * @param {object} contract truffle contract instance of CIDBatchLog
+ * @param {string} batchId
+ * @param {object} [opts]
+ * @param {number} [opts.fromBlock=0]
+ * @param {number|string} [opts.toBlock="latest"]
+ */
+async function fetchBatchEvents(contract, batchId, opts = {}) {
+  const range = {
+    filter: { batchId },
+    fromBlock: opts.fromBlock || 0,
+    toBlock: opts.toBlock === undefined ? "latest" : opts.toBlock,
+  };
+  const [created, logged] = await Promise.all([
+    contract.getPastEvents("BatchCreated", range),
+    contract.getPastEvents("CIDsLogged", range),
+  ]);
+  return {
+    created: created.sort(byPosition),
+    logged: logged.sort(byPosition),
+  };
+}
+
+/**
+ * CID list of a batch as logged on chain. Returns null when no CIDsLogged
+ * event exists for the batch.
+ */
+async function recoverCIDs(contract, batchId, opts = {}) {
+  const { logged } = await fetchBatchEvents(contract, batchId, opts);
+  if (logged.length === 0) return null;
+  return logged.flatMap((e) => e.returnValues.cids);
+}
+
+/**
+ * @param {object} contract truffle contract instance of CIDBatchLog
+ * @param {string} batchId
+ * @param {object} [opts] see fetchBatchEvents
+ * @return {Promise<object>} report:
+ *   { batchId, valid, problems: string[], batch (getBatch, decoded),
+ *     createdTx: { txHash, blockNumber }, cids, recomputedAggregate,
+ *     checks: { exists, createdEvent, cidsLogged, eventMatchesState,
+ *               cidCount, aggregateHash } }
+ */
+async function auditBatch(contract, batchId, opts = {}) {
+  const report = {
+    batchId,
+    valid: false,
+    problems: [],
+    batch: null,
+    createdTx: null,
+    cids: null,
+    recomputedAggregate: null,
+    checks: {
+      exists: false,
+      createdEvent: false,
+      cidsLogged: false,
+      eventMatchesState: false,
+      cidCount: false,
+      aggregateHash: false,
+    },
+  };
+  const { checks, problems } = report;
+
+  const b = await contract.getBatch(batchId);
+  checks.exists = !/^0x0{40}$/.test(b.sender);
+  if (!checks.exists) {
+    problems.push("batch does not exist");
+    return report;
+  }
+  report.batch = {
+    sender: b.sender,
+    receiver: b.receiver,
+    cidCount: Number(b.cidCount),
+    aggregateHash: b.aggregateHash,
+    messageHash: b.messageHash,
+    timelock: Number(b.timelock),
+    released: b.released,
+    verified: b.verified,
+    mode: MODES[Number(b.mode)],
+  };
+
+  const { created, logged } = await fetchBatchEvents(contract, batchId, opts);
+
+  checks.createdEvent = created.length === 1;
+  if (created.length === 0) {
+    problems.push("no BatchCreated event in the searched block range");
+  } else if (created.length > 1) {
+    problems.push(`${created.length} BatchCreated events for one batchId`);
+  }
+  if (created.length > 0) {
+    const ev = created[0];
+    const v = ev.returnValues;
+    report.createdTx = { txHash: ev.transactionHash, blockNumber: ev.blockNumber };
+    checks.eventMatchesState =
+      sameHex(v.sender, report.batch.sender) &&
+      sameHex(v.receiver, report.batch.receiver) &&
+      Number(v.cidCount) === report.batch.cidCount &&
+      sameHex(v.aggregateHash, report.batch.aggregateHash) &&
+      sameHex(v.messageHash, report.batch.messageHash) &&
+      Number(v.timelock) === report.batch.timelock;
+    if (!checks.eventMatchesState) {
+      problems.push("BatchCreated event does not match getBatch");
+    }
+  }
+
+  checks.cidsLogged = logged.length > 0;
+  if (!checks.cidsLogged) {
+    problems.push("no CIDsLogged event in the searched block range");
+    return report;
+  }
+  report.cids = logged.flatMap((e) => e.returnValues.cids);
+
+  checks.cidCount = report.cids.length === report.batch.cidCount;
+  if (!checks.cidCount) {
+    problems.push(
+      `recovered ${report.cids.length} CIDs, batch commits to ${report.batch.cidCount}`,
+    );
+  }
+
+  report.recomputedAggregate = computeAggregate(report.cids, report.batch.mode);
+  checks.aggregateHash = sameHex(report.recomputedAggregate, report.batch.aggregateHash);
+  if (!checks.aggregateHash) {
+    problems.push(
+      `recomputed ${report.batch.mode} aggregate ${report.recomputedAggregate} does not match ${report.batch.aggregateHash}`,
+    );
+  }
+
+  report.valid = Object.values(checks).every(Boolean);
+  return report;
+}
+
+module.exports = {
+  fetchBatchEvents,
+  recoverCIDs,
+  auditBatch,
+};
@@ -0,0 +1,209 @@
+/**
+ * src/batch.js
+ *
+ * Local re-implementations of the CIDBatchLog hashing, so batch ids and
+ * aggregate hashes can be known before a transaction is sent.
+ */
+
+const crypto = require("crypto");
+
+const { DuplicateCIDsFoundError } = require("./errors");
+const merkle = require("./merkle");
+
+// Same order as CIDBatchLog.AggregateMode
+const MODES = ["packed", "merkle", "sorted"];
+
+// CIDBatchLog function that creates a single-receiver batch in each mode
+const CREATE_METHODS = {
+  packed: "createBatch",
+  merkle: "createMerkleBatch",
+  sorted: "createSortedBatch",
+};
+
+// What the client does with a CID list that repeats a CID (see applyDuplicatePolicy)
+const DUPLICATE_POLICIES = ["reject", "dedupe", "allow"];
+
+// Same order as CIDBatchLog.BatchStatus
+const STATUSES = ["none", "created", "released", "verified", "expired", "cancelled"];
+
+function hexToBuf(hex0x) {
+  return Buffer.from(hex0x.slice(2), "hex");
+}
+
+function uint256Buf(n) {
+  const buf = Buffer.alloc(32);
+  buf.write(BigInt(n).toString(16).padStart(64, "0"), "hex");
+  return buf;
+}
+
+function sha256Hex(buf) {
+  return "0x" + crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function sha256PackedCIDs(cids) {
+  // Matches Solidity: sha256(abi.encodePacked(uint256(len), cids))
+  const packed = Buffer.concat([uint256Buf(cids.length), ...cids.map(hexToBuf)]);
+  return sha256Hex(packed);
+}
+
+/**
+ * Canonical order of a sorted batch: ascending by value. Lower-cases the
+ * hex so the order does not depend on how the digests were spelled;
+ * duplicates are kept (the contract refuses them, see canonicalOrderError).
+ */
+function canonicalizeCIDs(cids) {
+  return cids.map((c) => c.toLowerCase()).sort();
+}
+
+/**
+ * The require() message createSortedBatch / verifyCIDs fail a sorted-mode
+ * list with, or null when it is in canonical order.
+ */
+function canonicalOrderError(cids) {
+  for (let i = 1; i < cids.length; i++) {
+    const prev = cids[i - 1].toLowerCase();
+    const cid = cids[i].toLowerCase();
+    if (cid === prev) return "duplicate CID";
+    if (prev > cid) return "CIDs not in canonical order";
+  }
+  return null;
+}
+
+/**
+ * CIDs that appear more than once, compared case-insensitively.
+ * @return {object[]} { cid, indexes } per repeated CID, in order of first
+ *   appearance; empty when every CID is unique
+ */
+function findDuplicateCIDs(cids) {
+  const seen = new Map();
+  cids.forEach((c, i) => {
+    const key = c.toLowerCase();
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push(i);
+  });
+  return [...seen.entries()]
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([cid, indexes]) => ({ cid, indexes }));
+}
+
+// First occurrence of each CID, in list order
+function dedupeCIDs(cids) {
+  const seen = new Set();
+  return cids.filter((c) => {
+    const key = c.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Applies a duplicate policy to a CID list before it is sent:
+ *   reject  throws DuplicateCIDsFoundError
+ *   dedupe  drops every repeat, keeping first occurrences
+ *   allow   sends the list as is; each repeat counts toward cidCount
+ * @return {object} { cids, duplicates } where duplicates is
+ *   findDuplicateCIDs() of the original list
+ */
+function applyDuplicatePolicy(cids, policy = "reject") {
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(`duplicate policy must be one of ${DUPLICATE_POLICIES.join(", ")}, got "${policy}"`);
+  }
+  const duplicates = findDuplicateCIDs(cids);
+  if (duplicates.length === 0 || policy === "allow") return { cids, duplicates };
+  if (policy === "dedupe") return { cids: dedupeCIDs(cids), duplicates };
+  const [first] = duplicates;
+  const more = duplicates.length > 1 ? ` and ${duplicates.length - 1} more` : "";
+  throw new DuplicateCIDsFoundError(
+    `duplicate CID ${first.cid} at indexes ${first.indexes.join(", ")}${more}; nothing sent`,
+    duplicates,
+  );
+}
+
+/**
+ * aggregateHash as createBatch / createMerkleBatch / createSortedBatch would
+ * compute it. In sorted mode the list is canonicalized first, so any order
+ * of the same CIDs gives the same hash.
+ * @param {string[]} cids bytes32 digests
+ * @param {string} [mode="packed"] "packed", "merkle" or "sorted"
+ */
+function computeAggregate(cids, mode = "packed") {
+  if (mode === "merkle") return merkle.merkleRoot(cids);
+  if (mode === "packed") return sha256PackedCIDs(cids);
+  if (mode === "sorted") return sha256PackedCIDs(canonicalizeCIDs(cids));
+  throw new Error(`unknown aggregate mode "${mode}"`);
+}
+
+// sha256(abi.encodePacked(sender, receiver, aggregateHash, messageHash, timelock))
+function computeBatchId(sender, receiver, aggregateHash, messageHash, timelock) {
+  return sha256Hex(
+    Buffer.concat([
+      hexToBuf(sender),
+      hexToBuf(receiver),
+      hexToBuf(aggregateHash),
+      hexToBuf(messageHash),
+      uint256Buf(timelock),
+    ]),
+  );
+}
+
+// sha256(abi.encodePacked(receivers)); packed arrays still pad each address to 32 bytes
+function receiversHash(receivers) {
+  return sha256Hex(
+    Buffer.concat(receivers.map((r) => Buffer.concat([Buffer.alloc(12), hexToBuf(r)]))),
+  );
+}
+
+// createMultiBatch: receiversHash(receivers) takes the receiver's place
+function computeMultiBatchId(sender, receivers, aggregateHash, messageHash, timelock) {
+  return sha256Hex(
+    Buffer.concat([
+      hexToBuf(sender),
+      hexToBuf(receiversHash(receivers)),
+      hexToBuf(aggregateHash),
+      hexToBuf(messageHash),
+      uint256Buf(timelock),
+    ]),
+  );
+}
+
+/**
+ * Lifecycle status of a batch from its flags, as CIDBatchLog.getBatchStatus
+ * computes it. `now` (unix seconds) is needed to report an unreleased batch
+ * past its timelock as expired before expireBatch is called.
+ */
+function lifecycleStatus(b, now) {
+  if (b.cancelled) return "cancelled";
+  if (b.verified) return "verified";
+  if (b.expired) return "expired";
+  if (b.released) return "released";
+  if (now != null && now >= b.timelock) return "expired";
+  return "created";
+}
+
+function extractBatchId(receipt) {
+  for (const l of receipt.logs || []) {
+    if (l.args && l.args.batchId) return l.args.batchId;
+  }
+  return null;
+}
+
+module.exports = {
+  MODES,
+  CREATE_METHODS,
+  DUPLICATE_POLICIES,
+  STATUSES,
+  ZERO_BYTES32: "0x" + "00".repeat(32),
+  sha256PackedCIDs,
+  canonicalizeCIDs,
+  canonicalOrderError,
+  findDuplicateCIDs,
+  dedupeCIDs,
+  applyDuplicatePolicy,
+  computeAggregate,
+  computeBatchId,
+  receiversHash,
+  computeMultiBatchId,
+  lifecycleStatus,
+  extractBatchId,
+};
@@ -0,0 +1,258 @@
+/**
+ * src/chunking.js
+ *
+ * CID lists too large for one createBatch become a chunked set: consecutive
+ * slices, each created as its own batch under a gas ceiling, linked by a
+ * shared messageHash. That hash is the keccak256 of the set descriptor
+ *
+ *   uint256(total CID count) || aggregateHash of chunk 0 || chunk 1 || ...
+ *
+ * so verifyMessage(chunkId, descriptor) shows on chain that a chunk belongs
+ * to the set, and the descriptor pins every other chunk's CIDs. A manifest
+ * (JSON) records the descriptor and each chunk's batchId and CID range;
+ * auditManifest checks it against the chain.
+ *
+ * createBatch gas grows about linearly with the CID count (calldata, the
+ * CIDsLogged event, the aggregate hash), so the chunk size comes from a
+ * two-point fit of eth_estimateGas; each chunk is then re-estimated with its
+ * own CIDs and shrunk until it fits. The estimate is the gas limit a
+ * transaction needs, which in merkle mode runs well above gasUsed and grows
+ * faster than linearly (memory), so merkle chunks usually shrink a few
+ * times. verifyCIDs costs less than creation in both modes, so a chunk that
+ * could be created can be verified.
+ *
+ *   const plan = await planChunks(cids, { estimate, gasCeiling });
+ *   // plan.chunks: [{ offset, cidCount, estimatedGas }, ...]
+ */
+
+const { canonicalizeCIDs, computeAggregate } = require("./batch");
+const { auditBatch } = require("./audit");
+const { GasCeilingError } = require("./errors");
+
+const MANIFEST_VERSION = 1;
+// Default ceiling: 90% of the block gas limit, but no more than 90% of a 30M
+// public-chain block. ganache's own limit is far higher, and estimating a
+// 10,000-CID merkle create against it exhausted ganache's heap.
+const DEFAULT_CEILING_RATIO = 0.9;
+const DEFAULT_CEILING_MAX = 27000000;
+// CIDs in the second sample of the linear fit
+const FIT_SAMPLE = 64;
+
+function sameHex(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function uint256Hex(n) {
+  return BigInt(n).toString(16).padStart(64, "0");
+}
+
+/* ───────────── Set descriptor ───────────── */
+
+/**
+ * @param {number} cidCount CIDs in the whole set
+ * @param {string[]} aggregates aggregateHash of each chunk, in order
+ * @return {string} 0x hex; pass to verifyMessage
+ */
+function setDescriptor(cidCount, aggregates) {
+  return "0x" + uint256Hex(cidCount) + aggregates.map((a) => a.slice(2)).join("");
+}
+
+// messageHash every chunk of the set is created with
+function setHash(web3, descriptor) {
+  return web3.utils.keccak256(descriptor);
+}
+
+/* ───────────── Planning ───────────── */
+
+/**
+ * gas(n) ~ base + perCid * n for a create call, from estimates at 1 and
+ * FIT_SAMPLE CIDs.
+ *
+ * @param {string[]} cids
+ * @param {function(string[]): Promise<number>} estimate gas of creating a slice
+ */
+async function fitGasModel(cids, estimate) {
+  const one = await estimate(cids.slice(0, 1));
+  const k = Math.min(FIT_SAMPLE, cids.length);
+  if (k < 2) return { base: one, perCid: 0, one };
+  const many = await estimate(cids.slice(0, k));
+  const perCid = (many - one) / (k - 1);
+  return { base: one - perCid, perCid, one };
+}
+
+/**
+ * Splits `cids` into consecutive chunks whose estimated create gas stays at
+ * or below `gasCeiling`. Throws GasCeilingError when a single CID does not
+ * fit, naming its offset.
+ *
+ * @param {string[]} cids
+ * @param {object} opts
+ * @param {function(string[]): Promise<number>} opts.estimate
+ * @param {number} opts.gasCeiling
+ * @return {Promise<object>} { gasCeiling, model: { base, perCid },
+ *   maxCIDsPerChunk, chunks: [{ offset, cidCount, estimatedGas }] }
+ */
+async function planChunks(cids, opts) {
+  const { estimate, gasCeiling } = opts;
+  if (cids.length === 0) throw new Error("empty CID list");
+
+  const model = await fitGasModel(cids, estimate);
+  if (model.one > gasCeiling) {
+    throw new GasCeilingError(
+      `one CID needs ${model.one} gas, above the ceiling of ${gasCeiling}`,
+    );
+  }
+  const maxCIDsPerChunk =
+    model.perCid > 0
+      ? Math.max(1, Math.floor((gasCeiling - model.base) / model.perCid))
+      : cids.length;
+
+  const chunks = [];
+  for (let offset = 0; offset < cids.length; ) {
+    let size = Math.min(maxCIDsPerChunk, cids.length - offset);
+    let gas = await estimate(cids.slice(offset, offset + size));
+    while (gas > gasCeiling) {
+      // Calldata cost differs per CID (zero bytes are cheaper), so the check
+      // on cids[0] above does not cover every CID
+      if (size === 1) {
+        throw new GasCeilingError(
+          `the CID at offset ${offset} needs ${gas} gas, above the ceiling of ${gasCeiling}`,
+        );
+      }
+      size = Math.max(1, Math.min(size - 1, Math.floor((size * gasCeiling) / gas)));
+      gas = await estimate(cids.slice(offset, offset + size));
+    }
+    chunks.push({ offset, cidCount: size, estimatedGas: gas });
+    offset += size;
+  }
+
+  return {
+    gasCeiling,
+    model: { base: Math.round(model.base), perCid: Math.round(model.perCid) },
+    maxCIDsPerChunk,
+    chunks,
+  };
+}
+
+/**
+ * Aggregates, descriptor and set hash of a plan. Two chunks with identical
+ * CID lists would get the same batchId, so they are refused here.
+ */
+function sealPlan(web3, cids, plan, mode) {
+  const aggregates = plan.chunks.map((c) =>
+    computeAggregate(cids.slice(c.offset, c.offset + c.cidCount), mode),
+  );
+  aggregates.forEach((a, i) => {
+    const j = aggregates.findIndex((b) => sameHex(a, b));
+    if (j !== i) {
+      throw new Error(`chunks ${j} and ${i} hold the same CIDs; their batchIds would collide`);
+    }
+  });
+  const descriptor = setDescriptor(cids.length, aggregates);
+  return { aggregates, descriptor, setHash: setHash(web3, descriptor) };
+}
+
+/* ───────────── Verification ───────────── */
+
+/**
+ * Off-chain check of a manifest: the descriptor matches the chunks, the
+ * chunks cover 0..cidCount without gaps, and every chunk exists, passes
+ * auditBatch, carries the set's messageHash and accepts the descriptor in
+ * verifyMessage (eth_call). With `opts.cids` each chunk's recovered CIDs
+ * must also equal that slice of the list (of the canonical order, for a
+ * sorted set).
+ *
+ * @param {object} contract truffle contract instance of CIDBatchLog
+ * @param {object} web3
+ * @param {object} manifest
+ * @param {object} [opts] `cids`, plus the auditBatch block range
+ * @return {Promise<object>} { valid, problems: string[], cidCount,
+ *   chunks: [{ index, batchId, valid, problems }], cids (recovered, or null) }
+ */
+async function auditManifest(contract, web3, manifest, opts = {}) {
+  const problems = [];
+  const chunks = manifest.chunks || [];
+
+  const descriptor = setDescriptor(
+    manifest.cidCount,
+    chunks.map((c) => c.aggregateHash),
+  );
+  if (!sameHex(descriptor, manifest.descriptor)) {
+    problems.push("descriptor does not match the chunks' aggregate hashes");
+  }
+  if (!sameHex(setHash(web3, descriptor), manifest.setHash)) {
+    problems.push("setHash is not the keccak256 of the descriptor");
+  }
+
+  let expected = 0;
+  for (const c of chunks) {
+    if (c.offset !== expected) {
+      problems.push(`chunk ${c.index} starts at ${c.offset}, expected ${expected}`);
+    }
+    expected = c.offset + c.cidCount;
+  }
+  if (expected !== manifest.cidCount) {
+    problems.push(`chunks cover ${expected} CIDs, the set has ${manifest.cidCount}`);
+  }
+  if (opts.cids && opts.cids.length !== manifest.cidCount) {
+    problems.push(`CID list has ${opts.cids.length} entries, the set has ${manifest.cidCount}`);
+  }
+
+  const cids = opts.cids && manifest.mode === "sorted" ? canonicalizeCIDs(opts.cids) : opts.cids;
+  const results = [];
+  const recovered = [];
+  for (const c of chunks) {
+    const report = await auditBatch(contract, c.batchId, opts);
+    const own = report.problems.slice();
+    const b = report.batch;
+    if (b) {
+      if (!sameHex(b.messageHash, manifest.setHash)) own.push("messageHash is not the setHash");
+      if (!sameHex(b.aggregateHash, c.aggregateHash)) own.push("aggregateHash differs from the manifest");
+      if (b.cidCount !== c.cidCount) own.push(`holds ${b.cidCount} CIDs, manifest says ${c.cidCount}`);
+      if (!sameHex(b.sender, manifest.sender)) own.push("sender differs from the manifest");
+      if (!sameHex(b.receiver, manifest.receiver)) own.push("receiver differs from the manifest");
+      if (b.mode !== manifest.mode) own.push(`mode is ${b.mode}, manifest says ${manifest.mode}`);
+      if (b.timelock !== manifest.timelock) own.push("timelock differs from the manifest");
+      if (!(await acceptsDescriptor(contract, c.batchId, manifest.descriptor))) {
+        own.push("verifyMessage rejects the descriptor");
+      }
+    }
+    if (report.cids && cids) {
+      const slice = cids.slice(c.offset, c.offset + c.cidCount);
+      if (slice.length !== report.cids.length || slice.some((cid, i) => !sameHex(cid, report.cids[i]))) {
+        own.push("logged CIDs differ from the given list");
+      }
+    }
+    recovered.push(report.cids);
+    results.push({ index: c.index, batchId: c.batchId, valid: own.length === 0, problems: own });
+    own.forEach((p) => problems.push(`chunk ${c.index}: ${p}`));
+  }
+
+  return {
+    valid: problems.length === 0,
+    problems,
+    cidCount: manifest.cidCount,
+    chunks: results,
+    cids: recovered.every(Boolean) ? recovered.flat() : null,
+  };
+}
+
+async function acceptsDescriptor(contract, batchId, descriptor) {
+  try {
+    return await contract.verifyMessage.call(batchId, descriptor);
+  } catch (err) {
+    return false;
+  }
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  DEFAULT_CEILING_RATIO,
+  DEFAULT_CEILING_MAX,
+  setDescriptor,
+  setHash,
+  fitGasModel,
+  planChunks,
+  sealPlan,
+  auditManifest,
+};
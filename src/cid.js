@@ -0,0 +1,313 @@
+/**
+ * src/cid.js
+ *
+ * IPFS CID <-> bytes32 digest conversion for CIDBatchLog.
+ *
+ * CIDBatchLog.createBatch takes each CID as the 32-byte sha2-256 digest of its
+ * multihash. This module parses CIDv0 (base58btc "Qm...") and CIDv1 (multibase
+ * base32 "b..." / base36 "k..." / base58btc "z...") strings, checks that the
+ * multihash is sha2-256 with a 32-byte digest, and rebuilds the CID string from
+ * a digest plus codec when reading CIDsLogged events back.
+ *
+ * The codec is not stored on chain, so the caller must know it (or agree on
+ * one) to reconstruct the exact original string.
+ */
+
+const SHA2_256 = 0x12;
+const DIGEST_LENGTH = 32;
+
+// multicodec content types we accept
+const CODECS = {
+  "dag-pb": 0x70,
+  raw: 0x55,
+  "dag-cbor": 0x71,
+  "dag-json": 0x0129,
+};
+
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const BASE36_ALPHABET = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE58_ALPHABET =
+  "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+class CIDError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CIDError";
+  }
+}
+
+/* ───────────── Base encodings ───────────── */
+
+// Big-number base conversion (base58btc, base36). Leading zero bytes map to
+// leading "zero" characters.
+function encodeBaseX(bytes, alphabet) {
+  const base = BigInt(alphabet.length);
+  let n = BigInt("0x" + (Buffer.from(bytes).toString("hex") || "0"));
+  let out = "";
+  while (n > 0n) {
+    out = alphabet[Number(n % base)] + out;
+    n /= base;
+  }
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = alphabet[0] + out;
+  }
+  return out;
+}
+
+function decodeBaseX(str, alphabet, name) {
+  const base = BigInt(alphabet.length);
+  let n = 0n;
+  for (const ch of str) {
+    const v = alphabet.indexOf(ch);
+    if (v === -1) throw new CIDError(`invalid ${name} character "${ch}"`);
+    n = n * base + BigInt(v);
+  }
+  let hex = n === 0n ? "" : n.toString(16);
+  if (hex.length % 2) hex = "0" + hex;
+  let zeros = 0;
+  while (zeros < str.length && str[zeros] === alphabet[0]) zeros++;
+  return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, "hex")]);
+}
+
+// RFC 4648 base32, lowercase, no padding
+function encodeBase32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function decodeBase32(str) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of str) {
+    const v = BASE32_ALPHABET.indexOf(ch);
+    if (v === -1) throw new CIDError(`invalid base32 character "${ch}"`);
+    value = (value << 5) | v;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  // Unpadded base32 ends with fewer than 5 spare bits, all zero; anything
+  // else is a stray trailing character, not part of the bytes
+  if (bits >= 5 || (value & ((1 << bits) - 1)) !== 0) {
+    throw new CIDError("trailing base32 data after the last byte");
+  }
+  return Buffer.from(out);
+}
+
+/* ───────────── Varints ───────────── */
+
+function readVarint(buf, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < buf.length && shift < 35; i++) {
+    const b = buf[i];
+    value += (b & 0x7f) * 2 ** shift;
+    shift += 7;
+    if ((b & 0x80) === 0) return [value, i + 1];
+  }
+  throw new CIDError("truncated or oversized varint");
+}
+
+function writeVarint(value) {
+  const out = [];
+  do {
+    let b = value & 0x7f;
+    value = Math.floor(value / 128);
+    if (value > 0) b |= 0x80;
+    out.push(b);
+  } while (value > 0);
+  return Buffer.from(out);
+}
+
+/* ───────────── Helpers ───────────── */
+
+function codecName(code) {
+  for (const [name, c] of Object.entries(CODECS)) {
+    if (c === code) return name;
+  }
+  return null;
+}
+
+function parseMultihash(buf, offset) {
+  const [code, afterCode] = readVarint(buf, offset);
+  const [length, afterLength] = readVarint(buf, afterCode);
+
+  if (code !== SHA2_256) {
+    throw new CIDError(
+      `unsupported multihash function 0x${code.toString(16)} (only sha2-256 is supported)`,
+    );
+  }
+  if (length !== DIGEST_LENGTH) {
+    throw new CIDError(
+      `unsupported sha2-256 digest length ${length} (expected ${DIGEST_LENGTH})`,
+    );
+  }
+  if (buf.length - afterLength !== length) {
+    throw new CIDError(
+      `multihash declares ${length} digest bytes but ${buf.length - afterLength} are present`,
+    );
+  }
+
+  return buf.slice(afterLength);
+}
+
+function decodeMultibase(str) {
+  const prefix = str[0];
+  const body = str.slice(1);
+  switch (prefix) {
+    case "b":
+      return decodeBase32(body);
+    case "B":
+      return decodeBase32(body.toLowerCase());
+    case "k":
+      return decodeBaseX(body, BASE36_ALPHABET, "base36");
+    case "K":
+      return decodeBaseX(body.toLowerCase(), BASE36_ALPHABET, "base36");
+    case "z":
+      return decodeBaseX(body, BASE58_ALPHABET, "base58btc");
+    default:
+      throw new CIDError(`unsupported multibase prefix "${prefix}"`);
+  }
+}
+
+function isDigest(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value);
+}
+
+/* ───────────── Public API ───────────── */
+
+/**
+ * Parse a CIDv0 or CIDv1 string.
+ *
+ * @param {string} str
+ * @return {{ version: number, codec: string, digest: string }}
+ *   digest is the 0x-prefixed bytes32 value CIDBatchLog stores.
+ */
+function parseCID(str) {
+  if (typeof str !== "string" || str.length === 0) {
+    throw new CIDError("CID must be a non-empty string");
+  }
+  str = str.trim();
+
+  // CIDv0: bare base58btc sha2-256 multihash, always dag-pb
+  if (str.startsWith("Qm")) {
+    if (str.length !== 46) {
+      throw new CIDError(`CIDv0 must be 46 characters, got ${str.length}`);
+    }
+    const mh = decodeBaseX(str, BASE58_ALPHABET, "base58btc");
+    const digest = parseMultihash(mh, 0);
+    return { version: 0, codec: "dag-pb", digest: "0x" + digest.toString("hex") };
+  }
+
+  const bytes = decodeMultibase(str);
+  const [version, afterVersion] = readVarint(bytes, 0);
+  if (version !== 1) {
+    throw new CIDError(`unsupported CID version ${version}`);
+  }
+
+  const [codecCode, afterCodec] = readVarint(bytes, afterVersion);
+  const codec = codecName(codecCode);
+  if (!codec) {
+    throw new CIDError(`unsupported codec 0x${codecCode.toString(16)}`);
+  }
+
+  const digest = parseMultihash(bytes, afterCodec);
+  return { version: 1, codec, digest: "0x" + digest.toString("hex") };
+}
+
+// CID string -> bytes32 digest for CIDBatchLog.createBatch
+function cidToDigest(str) {
+  return parseCID(str).digest;
+}
+
+/**
+ * Rebuild a CID string from a bytes32 digest.
+ *
+ * @param {string} digest 0x-prefixed 32-byte sha2-256 digest
+ * @param {object} [opts]
+ * @param {string} [opts.codec="dag-pb"] one of the supported codec names
+ * @param {number} [opts.version=1] 0 (dag-pb only) or 1
+ * @param {string} [opts.base="base32"] base32, base36 or base58btc (CIDv1)
+ * @return {string}
+ */
+function digestToCID(digest, opts = {}) {
+  const { codec = "dag-pb", version = 1, base = "base32" } = opts;
+
+  if (!isDigest(digest)) {
+    throw new CIDError(`digest must be 0x-prefixed bytes32, got "${digest}"`);
+  }
+  const codecCode = CODECS[codec];
+  if (codecCode === undefined) {
+    throw new CIDError(`unsupported codec "${codec}"`);
+  }
+
+  const multihash = Buffer.concat([
+    Buffer.from([SHA2_256, DIGEST_LENGTH]),
+    Buffer.from(digest.slice(2), "hex"),
+  ]);
+
+  if (version === 0) {
+    if (codec !== "dag-pb") {
+      throw new CIDError(`CIDv0 only supports dag-pb, got "${codec}"`);
+    }
+    return encodeBaseX(multihash, BASE58_ALPHABET);
+  }
+  if (version !== 1) {
+    throw new CIDError(`unsupported CID version ${version}`);
+  }
+
+  const bytes = Buffer.concat([writeVarint(1), writeVarint(codecCode), multihash]);
+  switch (base) {
+    case "base32":
+      return "b" + encodeBase32(bytes);
+    case "base36":
+      return "k" + encodeBaseX(bytes, BASE36_ALPHABET);
+    case "base58btc":
+      return "z" + encodeBaseX(bytes, BASE58_ALPHABET);
+    default:
+      throw new CIDError(`unsupported multibase "${base}"`);
+  }
+}
+
+// Accept either a CID string or an already-extracted bytes32 digest
+function toDigest(value) {
+  return isDigest(value) ? value.toLowerCase() : cidToDigest(value);
+}
+
+/**
+ * Digests of a CID list file: one CID (CIDv0/CIDv1 string or 0x bytes32
+ * digest) per line; blank lines and lines starting with # are ignored.
+ */
+function parseCIDList(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#"))
+    .map(toDigest);
+}
+
+module.exports = {
+  CODECS,
+  CIDError,
+  parseCID,
+  cidToDigest,
+  digestToCID,
+  toDigest,
+  isDigest,
+  parseCIDList,
+};
@@ -0,0 +1,595 @@
+/**
+ * src/client.js
+ *
+ * Client wrapper around a deployed CIDBatchLog (truffle contract instance).
+ *
+ * Every state-changing method:
+ *   1) pre-computes what it can locally (aggregateHash, batchId),
+ *   2) dry-runs the call with eth_call so reverts such as "batch exists" or
+ *      "already released" surface as typed errors before any gas is spent,
+ *   3) sends the transaction and returns a decoded result instead of the raw
+ *      receipt.
+ *
+ * Sorted batches commit to a CID set: the client sends their CIDs in
+ * canonical order (src/batch.js canonicalizeCIDs) on create and verify, so
+ * callers may pass them in any order.
+ *
+ * A CID list that repeats a CID is handled by the duplicate policy
+ * (src/batch.js applyDuplicatePolicy) before anything is sent: "reject"
+ * (the default) throws DuplicateCIDsFoundError, "dedupe" keeps the first of
+ * each, "allow" sends the list unchanged. `strict: true` creates through
+ * createStrictBatch, which also rejects duplicates on chain.
+ *
+ * Usage (inside truffle exec / truffle console):
+ *   const { CIDBatchLogClient } = require("../src/client");
+ *   const client = await CIDBatchLogClient.deployed(artifacts.require("CIDBatchLog"));
+ *   const { batchId } = await client.createBatch({ receiver, cids, message });
+ */
+
+const {
+  MODES,
+  CREATE_METHODS,
+  STATUSES,
+  ZERO_BYTES32,
+  applyDuplicatePolicy,
+  canonicalizeCIDs,
+  computeAggregate,
+  computeBatchId,
+  computeMultiBatchId,
+} = require("./batch");
+const { signAck } = require("./ack");
+const { auditBatch } = require("./audit");
+const {
+  MANIFEST_VERSION,
+  DEFAULT_CEILING_RATIO,
+  DEFAULT_CEILING_MAX,
+  planChunks,
+  sealPlan,
+  auditManifest,
+} = require("./chunking");
+const { mapRevert } = require("./errors");
+const { sealMessage, openMessage, fetchPostedMessage } = require("./message");
+
+const DEFAULT_TIMELOCK_SECONDS = 600;
+
+class CIDBatchLogClient {
+  /**
+   * @param {object} contract truffle contract instance of CIDBatchLog
+   * @param {object} [opts]
+   * @param {object} [opts.web3] defaults to the contract abstraction's web3
+   * @param {string} [opts.from] default sending account
+   * @param {string} [opts.duplicates="reject"] default duplicate policy:
+   *   "reject", "dedupe" or "allow"
+   */
+  constructor(contract, opts = {}) {
+    this.contract = contract;
+    this.web3 = opts.web3 || contract.constructor.web3;
+    this.from = opts.from || null;
+    this.duplicates = opts.duplicates || "reject";
+  }
+
+  static async deployed(artifact, opts = {}) {
+    return new CIDBatchLogClient(await artifact.deployed(), opts);
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  async chainNow() {
+    const b = await this.web3.eth.getBlock("latest");
+    return Number(b.timestamp);
+  }
+
+  async blockGasLimit() {
+    const b = await this.web3.eth.getBlock("latest");
+    return Number(b.gasLimit);
+  }
+
+  /* ───────────── Transactions ───────────── */
+
+  /**
+   * @param {object} params
+   * @param {string} params.receiver
+   * @param {string[]} params.cids bytes32 digests
+   * @param {string} [params.message] hex payload; its keccak256 becomes messageHash
+   * @param {string} [params.messageHash] used when no message is given
+   * @param {string} [params.receiverPublicKey] also encrypt `message` to this
+   *   key; the result then carries `envelope` for postMessage or a MessageStore
+   * @param {number} [params.timelock] defaults to chain time + 600s
+   * @param {string} [params.mode="packed"] "packed", "merkle" or "sorted"
+   * @param {string} [params.duplicates] duplicate policy for this call
+   * @param {boolean} [params.strict] create through createStrictBatch
+   * @param {string} [params.from]
+   */
+  async createBatch(params) {
+    const { receiver, mode = "packed", strict = false } = params;
+    const cids = canonicalFor(mode, this._uniqueCIDs(params));
+    if (params.receiverPublicKey && !params.message) {
+      throw new Error("receiverPublicKey needs a message to encrypt");
+    }
+    const { from, messageHash, timelock } = await this._batchParams(params);
+
+    const aggregateHash = computeAggregate(cids, mode);
+    const batchId = computeBatchId(
+      from,
+      receiver,
+      aggregateHash,
+      messageHash,
+      timelock,
+    );
+
+    const { method, args } = this._createCall(mode, strict, [receiver, cids, messageHash, timelock]);
+
+    const simulated = await this._dryRun(method, args, from);
+    if (simulated.batchId !== batchId) {
+      throw new Error(
+        `local batchId ${batchId} does not match contract ${simulated.batchId}`,
+      );
+    }
+
+    // Sealed before sending so a bad key fails without spending gas
+    const envelope = params.receiverPublicKey
+      ? sealMessage(this.web3, {
+          batchId,
+          message: params.message,
+          receiverPublicKey: params.receiverPublicKey,
+        })
+      : undefined;
+
+    const tx = await this._send(method, args, from);
+    return {
+      batchId,
+      aggregateHash,
+      cidCount: cids.length,
+      duplicatesRemoved: params.cids.length - cids.length,
+      messageHash,
+      timelock,
+      mode,
+      strict,
+      ...(envelope ? { envelope } : {}),
+      ...txInfo(tx),
+    };
+  }
+
+  /**
+   * One CID set for several receivers (createMultiBatch). Each receiver
+   * verifies and acknowledges on its own; see getBatch().receivers.
+   *
+   * @param {object} params as createBatch, with `receivers` (string[])
+   *   instead of `receiver`; no message encryption and no strict mode
+   */
+  async createMultiBatch(params) {
+    const { receivers, mode = "packed" } = params;
+    if (params.strict) throw new Error("strict mode is only available for single-receiver batches");
+    const cids = canonicalFor(mode, this._uniqueCIDs(params));
+    const { from, messageHash, timelock } = await this._batchParams(params);
+
+    const aggregateHash = computeAggregate(cids, mode);
+    const batchId = computeMultiBatchId(
+      from,
+      receivers,
+      aggregateHash,
+      messageHash,
+      timelock,
+    );
+
+    const method = this.contract.createMultiBatch;
+    const args = [receivers, cids, messageHash, timelock, MODES.indexOf(mode)];
+
+    const simulated = await this._dryRun(method, args, from);
+    if (simulated.batchId !== batchId) {
+      throw new Error(
+        `local batchId ${batchId} does not match contract ${simulated.batchId}`,
+      );
+    }
+
+    const tx = await this._send(method, args, from);
+    return {
+      batchId,
+      aggregateHash,
+      cidCount: cids.length,
+      duplicatesRemoved: params.cids.length - cids.length,
+      receivers,
+      messageHash,
+      timelock,
+      mode,
+      ...txInfo(tx),
+    };
+  }
+
+  async releaseAggregate(batchId, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.releaseAggregate;
+    const aggregateHash = await this._dryRun(method, [batchId], from);
+    const tx = await this._send(method, [batchId], from);
+    return { batchId, aggregateHash, ...txInfo(tx) };
+  }
+
+  // Sender only, before the timelock and before release
+  async cancelBatch(batchId, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.cancelBatch;
+    await this._dryRun(method, [batchId], from);
+    const tx = await this._send(method, [batchId], from);
+    return { batchId, status: "cancelled", ...txInfo(tx) };
+  }
+
+  // Sender only, after the timelock if the batch was never released
+  async expireBatch(batchId, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.expireBatch;
+    await this._dryRun(method, [batchId], from);
+    const tx = await this._send(method, [batchId], from);
+    return { batchId, status: "expired", ...txInfo(tx) };
+  }
+
+  /**
+   * Receiver side: sign a delivery acknowledgment for a batch. Nothing is
+   * sent; hand the signature to any relayer for acknowledge().
+   * @param {object} [opts] `signer` (unlocked account, default: the
+   *   receiver) or `privateKey`
+   */
+  async signAcknowledgment(batchId, opts = {}) {
+    const b = await this.getBatch(batchId);
+    if (!b) throw mapRevert(new Error("revert batch does not exist"));
+    if (b.multi && !opts.signer && !opts.privateKey) {
+      throw new Error("multi-receiver batch: pass the signing receiver as `signer`");
+    }
+    return signAck(this.web3, {
+      contract: this.address,
+      batchId,
+      aggregateHash: b.aggregateHash,
+      signer: opts.signer || b.receiver,
+      privateKey: opts.privateKey,
+    });
+  }
+
+  // Relays a receiver's signature; any account can send it
+  async acknowledge(batchId, signature, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.acknowledge;
+    await this._dryRun(method, [batchId, signature], from);
+    const tx = await this._send(method, [batchId, signature], from);
+    return { batchId, acknowledged: true, relayer: from, ...txInfo(tx) };
+  }
+
+  async verifyCIDs(batchId, cids, opts = {}) {
+    const from = await this._sender(opts);
+    const b = await this.contract.getBatch(batchId);
+    const args = [batchId, canonicalFor(MODES[Number(b.mode)], cids)];
+    const method = this.contract.verifyCIDs;
+    await this._dryRun(method, args, from);
+    const tx = await this._send(method, args, from);
+    return { batchId, verified: true, ...txInfo(tx) };
+  }
+
+  async verifyCIDProof(batchId, cid, proof, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.verifyCIDProof;
+    await this._dryRun(method, [batchId, cid, proof], from);
+    const tx = await this._send(method, [batchId, cid, proof], from);
+    return { batchId, cid, verified: true, ...txInfo(tx) };
+  }
+
+  // Sender only: publishes an envelope from createBatch in a MessagePosted log
+  async postMessage(batchId, ciphertext, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.postMessage;
+    await this._dryRun(method, [batchId, ciphertext], from);
+    const tx = await this._send(method, [batchId, ciphertext], from);
+    return { batchId, ciphertextBytes: (ciphertext.length - 2) / 2, ...txInfo(tx) };
+  }
+
+  async verifyMessage(batchId, message, opts = {}) {
+    const from = await this._sender(opts);
+    const method = this.contract.verifyMessage;
+    await this._dryRun(method, [batchId, message], from);
+    const tx = await this._send(method, [batchId, message], from);
+    return { batchId, valid: true, ...txInfo(tx) };
+  }
+
+  /* ───────────── Chunked sets ───────────── */
+
+  /**
+   * eth_estimateGas of the create call for `params` (as createBatch,
+   * without encryption); nothing is sent.
+   * @return {Promise<number>}
+   */
+  async estimateCreateGas(params) {
+    const { receiver, mode = "packed", strict = false } = params;
+    const cids = canonicalFor(mode, this._uniqueCIDs(params));
+    const { from, messageHash, timelock } = await this._batchParams(params);
+    const { method, args } = this._createCall(mode, strict, [receiver, cids, messageHash, timelock]);
+    try {
+      return Number(await method.estimateGas(...args, { from }));
+    } catch (err) {
+      throw mapRevert(err);
+    }
+  }
+
+  /**
+   * Splits a CID list into chunks that each fit `gasCeiling` (see
+   * src/chunking.js) without sending anything.
+   *
+   * @param {object} params as createBatch, plus `gasCeiling` (default: 90%
+   *   of the latest block's gas limit, at most 27M)
+   * @return {Promise<object>} planChunks() result
+   */
+  async planChunkedSet(params) {
+    const { from, timelock } = await this._batchParams(params);
+    const gasCeiling =
+      params.gasCeiling != null
+        ? Number(params.gasCeiling)
+        : Math.min(
+            Math.floor((await this.blockGasLimit()) * DEFAULT_CEILING_RATIO),
+            DEFAULT_CEILING_MAX,
+          );
+    // The real messageHash depends on every chunk; any non-zero hash costs the same
+    const placeholder = this.web3.utils.keccak256("0x00");
+    const estimate = (cids) =>
+      this.estimateCreateGas({ ...params, cids, from, timelock, messageHash: placeholder });
+    return planChunks(canonicalFor(params.mode, this._uniqueCIDs(params)), { estimate, gasCeiling });
+  }
+
+  /**
+   * Creates a CID list of any length as a chunked set: one batch per chunk,
+   * all with the same receiver, timelock and mode, linked by the set's
+   * messageHash. The duplicate policy applies to the whole list, and a
+   * sorted set is split after canonicalizing it, so chunk offsets refer to
+   * the CIDs as sent.
+   *
+   * @param {object} params as planChunkedSet; `message` / `messageHash` are
+   *   not accepted (the set hash takes their place)
+   * @param {object} [params.plan] planChunkedSet() result for these CIDs,
+   *   to skip planning again
+   * @param {function(object)} [params.onChunk] called after each chunk is created
+   * @return {Promise<object>} the manifest. If a chunk fails, the error
+   *   carries the manifest of the chunks created so far as `err.manifest`.
+   */
+  async createChunkedSet(params) {
+    const { receiver, mode = "packed" } = params;
+    const cids = canonicalFor(mode, this._uniqueCIDs(params));
+    if (params.message || params.messageHash) {
+      throw new Error("a chunked set links its chunks through messageHash; no message can be attached");
+    }
+    const { from, timelock } = await this._batchParams(params);
+    const plan = params.plan || (await this.planChunkedSet({ ...params, cids, from, timelock }));
+    const planned = plan.chunks.reduce((n, c) => n + c.cidCount, 0);
+    if (planned !== cids.length) {
+      throw new Error(`plan covers ${planned} CIDs, the list has ${cids.length}`);
+    }
+    const sealed = sealPlan(this.web3, cids, plan, mode);
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      contract: this.address,
+      sender: from,
+      receiver,
+      mode,
+      timelock,
+      cidCount: cids.length,
+      gasCeiling: plan.gasCeiling,
+      descriptor: sealed.descriptor,
+      setHash: sealed.setHash,
+      chunks: [],
+    };
+    for (const [index, c] of plan.chunks.entries()) {
+      try {
+        const created = await this.createBatch({
+          receiver,
+          cids: cids.slice(c.offset, c.offset + c.cidCount),
+          messageHash: sealed.setHash,
+          timelock,
+          mode,
+          strict: params.strict,
+          duplicates: params.duplicates,
+          from,
+        });
+        const chunk = {
+          index,
+          batchId: created.batchId,
+          offset: c.offset,
+          cidCount: c.cidCount,
+          aggregateHash: created.aggregateHash,
+          estimatedGas: c.estimatedGas,
+          gasUsed: created.gasUsed,
+          txHash: created.txHash,
+          blockNumber: created.blockNumber,
+        };
+        manifest.chunks.push(chunk);
+        if (params.onChunk) params.onChunk(chunk);
+      } catch (err) {
+        err.manifest = manifest;
+        throw err;
+      }
+    }
+    return manifest;
+  }
+
+  // Sender: releaseAggregate for every chunk of a manifest
+  async releaseChunkedSet(manifest, opts = {}) {
+    const released = [];
+    for (const c of manifest.chunks) {
+      released.push(await this.releaseAggregate(c.batchId, opts));
+    }
+    return released;
+  }
+
+  // Receiver: verifyCIDs for every chunk with its slice of the full list
+  async verifyChunkedSet(manifest, cids, opts = {}) {
+    if (cids.length !== manifest.cidCount) {
+      throw new Error(`CID list has ${cids.length} entries, the set has ${manifest.cidCount}`);
+    }
+    const list = canonicalFor(manifest.mode, cids);
+    const verified = [];
+    for (const c of manifest.chunks) {
+      const slice = list.slice(c.offset, c.offset + c.cidCount);
+      verified.push(await this.verifyCIDs(c.batchId, slice, opts));
+    }
+    return verified;
+  }
+
+  /**
+   * Checks a manifest against the chain without sending a transaction (see
+   * auditManifest in src/chunking.js). `opts.cids` also compares the CIDs.
+   */
+  auditChunkedSet(manifest, opts = {}) {
+    return auditManifest(this.contract, this.web3, manifest, opts);
+  }
+
+  /* ───────────── Views ───────────── */
+
+  /**
+   * @return {Promise<object|null>} decoded batch, or null if it does not exist.
+   *   `status` is one of created, released, verified, expired, cancelled.
+   *   `receivers` lists { address, verified, verifiedInTime, acknowledged }
+   *   per receiver; `multi` is set for multi-receiver batches, whose
+   *   `receiver` is the zero address.
+   */
+  async getBatch(batchId) {
+    const b = await this.contract.getBatch(batchId);
+    if (/^0x0{40}$/.test(b.sender)) return null;
+    const s = await this.contract.getBatchStatus(batchId);
+    const listed = await this.contract.getReceivers(batchId);
+    const addresses = listed.length > 0 ? listed : [b.receiver];
+    const receivers = await Promise.all(
+      addresses.map((address) => this.getReceiverStatus(batchId, address)),
+    );
+    return {
+      batchId,
+      sender: b.sender,
+      receiver: b.receiver,
+      cidCount: Number(b.cidCount),
+      aggregateHash: b.aggregateHash,
+      messageHash: b.messageHash,
+      timelock: Number(b.timelock),
+      released: b.released,
+      verified: b.verified,
+      mode: MODES[Number(b.mode)],
+      status: STATUSES[Number(s.status)],
+      verifiedInTime: s.verifiedInTime,
+      acknowledged: s.acknowledged,
+      multi: listed.length > 0,
+      receivers,
+    };
+  }
+
+  async getReceiverStatus(batchId, address) {
+    const r = await this.contract.getReceiverStatus(batchId, address);
+    return {
+      address,
+      listed: r.listed,
+      verified: r.verified,
+      verifiedInTime: r.verifiedInTime,
+      acknowledged: r.acknowledged,
+    };
+  }
+
+  /**
+   * Receiver side: fetches the batch's encrypted message from `opts.store`
+   * (a MessageStore) or, failing that, its MessagePosted log, and decrypts
+   * it. Throws DecryptionError / MessageMismatchError before any
+   * transaction; pass the returned `message` to verifyMessage().
+   *
+   * @param {object} opts `privateKey` (receiver), optional `store`, `fromBlock`
+   * @return {Promise<object|null>} { batchId, message, messageHash, source },
+   *   or null when no envelope is found
+   */
+  async fetchMessage(batchId, opts = {}) {
+    const b = await this.getBatch(batchId);
+    if (!b) throw mapRevert(new Error("revert batch does not exist"));
+    if (b.messageHash === ZERO_BYTES32) {
+      throw mapRevert(new Error("revert no messageHash set"));
+    }
+
+    let envelope = opts.store ? opts.store.get(batchId) : null;
+    const source = envelope ? "store" : "chain";
+    if (!envelope) {
+      envelope = await fetchPostedMessage(this.contract, batchId, opts);
+    }
+    if (!envelope) return null;
+
+    const message = openMessage(this.web3, envelope, {
+      privateKey: opts.privateKey,
+      messageHash: b.messageHash,
+    });
+    return { batchId, message, messageHash: b.messageHash, source };
+  }
+
+  /**
+   * Recovers the batch's CID list from its events and checks it against the
+   * stored commitment, without a transaction (see src/audit.js).
+   */
+  auditBatch(batchId, opts = {}) {
+    return auditBatch(this.contract, batchId, opts);
+  }
+
+  /* ───────────── Internals ───────────── */
+
+  // Sender, messageHash and timelock shared by the create* methods
+  async _batchParams(params) {
+    const from = await this._sender(params);
+    const messageHash = params.message
+      ? this.web3.utils.keccak256(params.message)
+      : params.messageHash || ZERO_BYTES32;
+    const timelock =
+      params.timelock != null
+        ? Number(params.timelock)
+        : (await this.chainNow()) + DEFAULT_TIMELOCK_SECONDS;
+    return { from, messageHash, timelock };
+  }
+
+  // CID list after the call's duplicate policy (default: the client's)
+  _uniqueCIDs(params) {
+    return applyDuplicatePolicy(params.cids, params.duplicates || this.duplicates).cids;
+  }
+
+  // Create method and arguments for a single-receiver batch
+  _createCall(mode, strict, args) {
+    if (!CREATE_METHODS[mode]) throw new Error(`unknown aggregate mode "${mode}"`);
+    if (strict) return { method: this.contract.createStrictBatch, args: [...args, MODES.indexOf(mode)] };
+    return { method: this.contract[CREATE_METHODS[mode]], args };
+  }
+
+  async _sender(opts) {
+    if (opts.from) return opts.from;
+    if (this.from) return this.from;
+    const accounts = await this.web3.eth.getAccounts();
+    return accounts[0];
+  }
+
+  async _dryRun(method, args, from) {
+    try {
+      return await method.call(...args, { from });
+    } catch (err) {
+      throw mapRevert(err);
+    }
+  }
+
+  async _send(method, args, from) {
+    try {
+      return await method(...args, { from });
+    } catch (err) {
+      throw mapRevert(err);
+    }
+  }
+}
+
+// CIDs in the order a batch of `mode` takes them
+function canonicalFor(mode, cids) {
+  return mode === "sorted" ? canonicalizeCIDs(cids) : cids;
+}
+
+function txInfo(tx) {
+  return {
+    txHash: tx.tx,
+    gasUsed: tx.receipt.gasUsed,
+    blockNumber: tx.receipt.blockNumber,
+  };
+}
+
+module.exports = {
+  CIDBatchLogClient,
+  DEFAULT_TIMELOCK_SECONDS,
+};
@@ -0,0 +1,151 @@
+/**
+ * src/ecies.js
+ *
+ * ECIES over secp256k1 (the curve of Ethereum account keys), so a message can
+ * be encrypted to a batch receiver's account key:
+ *
+ *   shared = ECDH(ephemeral private key, receiver public key).x
+ *   key    = HKDF-SHA256(shared, salt = ephemeral public key, info = KDF_INFO)
+ *   box    = AES-256-GCM(key, random iv, plaintext, aad)
+ *
+ * Envelope layout (bytes):
+ *   version (1) || ephemeral public key, uncompressed (65) || iv (12) ||
+ *   GCM tag (16) || ciphertext
+ *
+ *   const box = encrypt(receiverPublicKey, Buffer.from("hi"), { aad: batchId });
+ *   decrypt(receiverPrivateKey, box, { aad: batchId }); // Buffer "hi"
+ */
+
+const crypto = require("crypto");
+
+const { DecryptionError } = require("./errors");
+
+const CURVE = "secp256k1";
+const VERSION = 1;
+const KDF_INFO = Buffer.from("cidbatchlog-ecies-v1");
+
+const PUBKEY_BYTES = 65;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = 1 + PUBKEY_BYTES + IV_BYTES + TAG_BYTES;
+
+/* ───────────── Keys ───────────── */
+
+// Buffers pass through; hex strings may carry a 0x prefix
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  return Buffer.from(String(value).replace(/^0x/, ""), "hex");
+}
+
+/**
+ * Uncompressed (0x04 || x || y) form of a public key given as 64 raw bytes
+ * (x || y), 65 uncompressed bytes or 33 compressed bytes.
+ * @return {Buffer}
+ */
+function normalizePublicKey(publicKey) {
+  let key = toBuffer(publicKey);
+  if (key.length === 64) key = Buffer.concat([Buffer.from([4]), key]);
+  try {
+    return crypto.ECDH.convertKey(key, CURVE, undefined, undefined, "uncompressed");
+  } catch (err) {
+    throw new Error(`not a ${CURVE} public key: ${err.message}`);
+  }
+}
+
+/**
+ * @param {string|Buffer} privateKey 32-byte account key
+ * @return {string} 0x-prefixed uncompressed public key
+ */
+function publicKeyFromPrivate(privateKey) {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.setPrivateKey(toBuffer(privateKey));
+  return "0x" + ecdh.getPublicKey("hex", "uncompressed");
+}
+
+function deriveKey(ecdh, peerPublicKey, ephemeralPublicKey) {
+  const shared = ecdh.computeSecret(peerPublicKey);
+  return Buffer.from(crypto.hkdfSync("sha256", shared, ephemeralPublicKey, KDF_INFO, 32));
+}
+
+/* ───────────── Encrypt / decrypt ───────────── */
+
+/**
+ * @param {string|Buffer} publicKey receiver public key (see normalizePublicKey)
+ * @param {string|Buffer} plaintext Buffer, or 0x hex
+ * @param {object} [opts]
+ * @param {string|Buffer} [opts.aad] authenticated but unencrypted context;
+ *   decrypt() must be given the same value
+ * @return {Buffer} envelope
+ */
+function encrypt(publicKey, plaintext, opts = {}) {
+  const ephemeral = crypto.createECDH(CURVE);
+  const ephemeralPublicKey = ephemeral.generateKeys(null, "uncompressed");
+  const key = deriveKey(ephemeral, normalizePublicKey(publicKey), ephemeralPublicKey);
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  if (opts.aad !== undefined) cipher.setAAD(toBuffer(opts.aad));
+  const ciphertext = Buffer.concat([cipher.update(toBuffer(plaintext)), cipher.final()]);
+
+  return Buffer.concat([
+    Buffer.from([VERSION]),
+    ephemeralPublicKey,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext,
+  ]);
+}
+
+/**
+ * Throws DecryptionError for a malformed envelope, the wrong key or aad, or
+ * any modified byte: the ephemeral key feeds the KDF and the GCM tag covers
+ * the rest.
+ *
+ * @param {string|Buffer} privateKey receiver account key
+ * @param {string|Buffer} envelope as returned by encrypt(), Buffer or 0x hex
+ * @param {object} [opts] `aad`, see encrypt()
+ * @return {Buffer} plaintext
+ */
+function decrypt(privateKey, envelope, opts = {}) {
+  const box = toBuffer(envelope);
+  if (box.length < HEADER_BYTES) {
+    throw new DecryptionError(`envelope too short (${box.length} bytes)`);
+  }
+  if (box[0] !== VERSION) {
+    throw new DecryptionError(`unsupported envelope version ${box[0]}`);
+  }
+
+  let offset = 1;
+  const ephemeralPublicKey = box.subarray(offset, (offset += PUBKEY_BYTES));
+  const iv = box.subarray(offset, (offset += IV_BYTES));
+  const tag = box.subarray(offset, (offset += TAG_BYTES));
+  const ciphertext = box.subarray(offset);
+
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.setPrivateKey(toBuffer(privateKey));
+  let key;
+  try {
+    key = deriveKey(ecdh, ephemeralPublicKey, ephemeralPublicKey);
+  } catch (err) {
+    throw new DecryptionError(`invalid ephemeral public key: ${err.message}`);
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  if (opts.aad !== undefined) decipher.setAAD(toBuffer(opts.aad));
+  try {
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    throw new DecryptionError("authentication failed (tampered envelope or wrong key)");
+  }
+}
+
+module.exports = {
+  CURVE,
+  VERSION,
+  HEADER_BYTES,
+  normalizePublicKey,
+  publicKeyFromPrivate,
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,187 @@
+/**
+ * src/errors.js
+ *
+ * Typed errors for contract reverts. Each require() message in CIDBatchLog
+ * maps to one class so callers can branch on `instanceof` instead of matching
+ * strings; unknown reasons fall back to RevertError.
+ *
+ * The off-chain checks that guard a transaction (decrypting a message
+ * envelope, fitting a CID list under a gas ceiling, the duplicate CID
+ * policy) have their own classes below the revert map.
+ */
+
+class RevertError extends Error {
+  constructor(reason, cause) {
+    super(reason ? `reverted: ${reason}` : "reverted without a reason");
+    this.name = new.target.name;
+    this.reason = reason || null;
+    this.cause = cause;
+  }
+}
+
+class InvalidReceiverError extends RevertError {}
+class EmptyCIDListError extends RevertError {}
+class TimelockNotInFutureError extends RevertError {}
+class BatchExistsError extends RevertError {}
+class BatchNotFoundError extends RevertError {}
+class NotSenderError extends RevertError {}
+class NotReceiverError extends RevertError {}
+class AlreadyReleasedError extends RevertError {}
+class AlreadyVerifiedError extends RevertError {}
+class CIDCountMismatchError extends RevertError {}
+class AggregateMismatchError extends RevertError {}
+class NoMessageHashError extends RevertError {}
+class MessageHashMismatchError extends RevertError {}
+class NotMerkleBatchError extends RevertError {}
+class InvalidProofError extends RevertError {}
+class BatchCancelledError extends RevertError {}
+class BatchExpiredError extends RevertError {}
+class TimelockExpiredError extends RevertError {}
+class TimelockNotPassedError extends RevertError {}
+class AlreadyAcknowledgedError extends RevertError {}
+class InvalidSignatureError extends RevertError {}
+class NotSignedByReceiverError extends RevertError {}
+class EmptyCiphertextError extends RevertError {}
+class EmptyReceiverListError extends RevertError {}
+class DuplicateReceiverError extends RevertError {}
+class DuplicateCIDError extends RevertError {}
+class CIDOrderError extends RevertError {}
+
+const REVERT_REASONS = {
+  "receiver=0": InvalidReceiverError,
+  "empty CID list": EmptyCIDListError,
+  "timelock time must be in the future": TimelockNotInFutureError,
+  "batch exists": BatchExistsError,
+  "batch does not exist": BatchNotFoundError,
+  "only sender": NotSenderError,
+  "only receiver": NotReceiverError,
+  "already released": AlreadyReleasedError,
+  "already verified": AlreadyVerifiedError,
+  "CID count mismatch": CIDCountMismatchError,
+  "aggregate mismatch": AggregateMismatchError,
+  "no messageHash set": NoMessageHashError,
+  "message hash mismatch": MessageHashMismatchError,
+  "not a merkle batch": NotMerkleBatchError,
+  "invalid proof": InvalidProofError,
+  "batch cancelled": BatchCancelledError,
+  "batch expired": BatchExpiredError,
+  "timelock expired": TimelockExpiredError,
+  "timelock not yet passed": TimelockNotPassedError,
+  "already acknowledged": AlreadyAcknowledgedError,
+  "invalid signature": InvalidSignatureError,
+  "not signed by receiver": NotSignedByReceiverError,
+  "empty ciphertext": EmptyCiphertextError,
+  "empty receiver list": EmptyReceiverListError,
+  "duplicate receiver": DuplicateReceiverError,
+  "duplicate CID": DuplicateCIDError,
+  "CIDs not in canonical order": CIDOrderError,
+};
+
+/* ───────────── Off-chain ───────────── */
+
+// Envelope malformed, tampered with, or not encrypted to this key
+class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+// Decrypted message does not hash to the batch's messageHash
+class MessageMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+// A single CID already costs more than the gas ceiling a CID list is chunked to
+class GasCeilingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = new.target.name;
+  }
+}
+
+// The duplicate policy "reject" refused a CID list before anything was sent;
+// `duplicates` is findDuplicateCIDs() of the list. On chain, strict mode
+// reverts with DuplicateCIDError instead.
+class DuplicateCIDsFoundError extends Error {
+  constructor(message, duplicates) {
+    super(message);
+    this.name = new.target.name;
+    this.duplicates = duplicates;
+  }
+}
+
+// Pull the require() message out of a truffle / web3 / ganache error
+function revertReason(err) {
+  if (!err) return null;
+  if (err.reason) return err.reason;
+
+  const msg = String(err.message || err);
+  const patterns = [
+    /Reason given: (.*?)\.?$/m,
+    /reverted with reason string '([^']*)'/,
+    /revert (.+)$/m,
+  ];
+  for (const re of patterns) {
+    const m = msg.match(re);
+    if (m) return m[1].trim();
+  }
+  return null;
+}
+
+function isRevert(err) {
+  const msg = String((err && err.message) || err);
+  return Boolean(err && err.reason) || /revert/i.test(msg);
+}
+
+/**
+ * Convert a revert into its typed error. Non-revert errors (network,
+ * nonce, ...) are returned unchanged.
+ */
+function mapRevert(err) {
+  if (err instanceof RevertError || !isRevert(err)) return err;
+  const reason = revertReason(err);
+  const ErrorClass = REVERT_REASONS[reason] || RevertError;
+  return new ErrorClass(reason, err);
+}
+
+module.exports = {
+  RevertError,
+  InvalidReceiverError,
+  EmptyCIDListError,
+  TimelockNotInFutureError,
+  BatchExistsError,
+  BatchNotFoundError,
+  NotSenderError,
+  NotReceiverError,
+  AlreadyReleasedError,
+  AlreadyVerifiedError,
+  CIDCountMismatchError,
+  AggregateMismatchError,
+  NoMessageHashError,
+  MessageHashMismatchError,
+  NotMerkleBatchError,
+  InvalidProofError,
+  BatchCancelledError,
+  BatchExpiredError,
+  TimelockExpiredError,
+  TimelockNotPassedError,
+  AlreadyAcknowledgedError,
+  InvalidSignatureError,
+  NotSignedByReceiverError,
+  EmptyCiphertextError,
+  EmptyReceiverListError,
+  DuplicateReceiverError,
+  DuplicateCIDError,
+  CIDOrderError,
+  REVERT_REASONS,
+  DecryptionError,
+  MessageMismatchError,
+  GasCeilingError,
+  DuplicateCIDsFoundError,
+  revertReason,
+  mapRevert,
+};
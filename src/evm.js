@@ -0,0 +1,83 @@
+/**
+ * src/evm.js
+ *
+ * Chain clock and state helpers for development chains (ganache). They use
+ * the non-standard evm_* RPC methods and do not work against a real network.
+ *
+ *   const evm = require("../src/evm");
+ *   const id = await evm.snapshot(web3);
+ *   await evm.increaseTime(web3, 3600);   // + mines a block
+ *   ...
+ *   await evm.revert(web3, id);           // ids are single-use
+ */
+
+function rpc(web3, method, params = []) {
+  const provider = web3.currentProvider;
+  const payload = { jsonrpc: "2.0", id: Date.now(), method, params };
+  const send = (provider.sendAsync || provider.send).bind(provider);
+  return new Promise((resolve, reject) =>
+    send(payload, (err, res) => {
+      if (err) return reject(err);
+      if (res && res.error) return reject(new Error(`${method}: ${res.error.message}`));
+      resolve(res ? res.result : undefined);
+    }),
+  );
+}
+
+async function chainNow(web3) {
+  const b = await web3.eth.getBlock("latest");
+  return Number(b.timestamp);
+}
+
+// Mines one block, optionally at the given unix timestamp
+function mine(web3, timestamp) {
+  return rpc(web3, "evm_mine", timestamp === undefined ? [] : [timestamp]);
+}
+
+// Moves the chain clock forward by `seconds` and mines a block so the next
+// `now` reflects it
+async function increaseTime(web3, seconds) {
+  await rpc(web3, "evm_increaseTime", [Number(seconds)]);
+  await mine(web3);
+  return chainNow(web3);
+}
+
+// Moves the chain clock to just after `timestamp` (no-op if already past it)
+async function increaseTimeTo(web3, timestamp) {
+  const now = await chainNow(web3);
+  if (timestamp < now) return now;
+  return increaseTime(web3, timestamp - now + 1);
+}
+
+function snapshot(web3) {
+  return rpc(web3, "evm_snapshot");
+}
+
+async function revert(web3, id) {
+  const ok = await rpc(web3, "evm_revert", [id]);
+  if (!ok) throw new Error(`evm_revert: unknown snapshot ${id}`);
+}
+
+/**
+ * Runs fn between a snapshot and a revert, so time travel and transactions
+ * inside it leave no trace on the chain.
+ */
+async function withSnapshot(web3, fn) {
+  const id = await snapshot(web3);
+  try {
+    return await fn();
+  } finally {
+    await revert(web3, id);
+  }
+}
+
+module.exports = {
+  rpc,
+  chainNow,
+  mine,
+  increaseTime,
+  increaseTimeTo,
+  snapshot,
+  revert,
+  withSnapshot,
+};
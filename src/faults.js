@@ -0,0 +1,297 @@
+/**
+ * src/faults.js
+ *
+ * Failure injection for the CIDBatchLog benchmarks. Each fault is a bad
+ * variant of a call the benchmark makes honestly: a tampered, reordered,
+ * truncated or padded CID list for verifyCIDs, a wrong message for
+ * verifyMessage, or a call from the wrong account.
+ *
+ * injectFaults sends them without the client's eth_call dry run, with a
+ * fixed gas limit, so a reverting fault is mined and its receipt shows the
+ * gas spent up to the revert. Every outcome also says whether the local
+ * pre-check (src/precheck.js) would have caught the fault before sending.
+ *
+ * A fault the contract accepts would change the batch (on a single-receiver
+ * batch anyone may verifyCIDs, which marks it verified), so each fault is
+ * tried with eth_call first and only sent when that reverts. Faults are run
+ * after releaseAggregate and before the honest verifyCIDs, which then shows
+ * that none of them touched the batch.
+ *
+ *   const outcomes = await injectFaults(client, { batchId, cids, message, receiver, stranger });
+ */
+
+const { DEFAULT_CEILING_MAX } = require("./chunking");
+const { revertReason } = require("./errors");
+const {
+  precheckReleaseAggregate,
+  precheckVerifyCIDs,
+  precheckVerifyMessage,
+} = require("./precheck");
+
+// Same hex string with the lowest bit of its last byte flipped
+function flipLastBit(hex0x) {
+  const last = parseInt(hex0x.slice(-2), 16) ^ 1;
+  return hex0x.slice(0, -2) + last.toString(16).padStart(2, "0");
+}
+
+/* ───────────── Faults ───────────── */
+
+// build(h) returns { args, from } for the contract method, or null when the
+// fault does not apply to this batch
+const FAULTS = [
+  {
+    name: "tampered-cid",
+    operation: "verifyCIDs",
+    description: "middle CID with one bit flipped",
+    build: (h) => {
+      const cids = [...h.cids];
+      const i = Math.floor(cids.length / 2);
+      cids[i] = flipLastBit(cids[i]);
+      return { args: [h.batchId, cids], from: h.receiver };
+    },
+  },
+  {
+    name: "reordered",
+    operation: "verifyCIDs",
+    description: "first and last CID swapped",
+    build: (h) => {
+      if (h.cids.length < 2) return null;
+      const cids = [...h.cids];
+      [cids[0], cids[cids.length - 1]] = [cids[cids.length - 1], cids[0]];
+      return { args: [h.batchId, cids], from: h.receiver };
+    },
+  },
+  {
+    name: "truncated",
+    operation: "verifyCIDs",
+    description: "last CID dropped",
+    build: (h) => ({ args: [h.batchId, h.cids.slice(0, -1)], from: h.receiver }),
+  },
+  {
+    name: "padded",
+    operation: "verifyCIDs",
+    description: "last CID repeated",
+    build: (h) => ({ args: [h.batchId, [...h.cids, h.cids[h.cids.length - 1]]], from: h.receiver }),
+  },
+  {
+    name: "wrong-message",
+    operation: "verifyMessage",
+    description: "message with one bit flipped",
+    build: (h) => ({
+      args: [h.batchId, h.message && h.message.length > 2 ? flipLastBit(h.message) : "0x00"],
+      from: h.receiver,
+    }),
+  },
+  {
+    name: "release-by-receiver",
+    operation: "releaseAggregate",
+    description: "releaseAggregate sent by the receiver",
+    build: (h) => ({ args: [h.batchId], from: h.receiver }),
+  },
+  {
+    name: "verify-by-stranger",
+    operation: "verifyCIDs",
+    description: "correct CID list sent by an account that is not a receiver",
+    build: (h) => ({ args: [h.batchId, h.cids], from: h.stranger }),
+  },
+];
+
+const FAULT_NAMES = FAULTS.map((f) => f.name);
+
+// Local prediction of each operation's revert (src/precheck.js)
+const PRECHECKS = {
+  releaseAggregate: (h, call) => precheckReleaseAggregate(h.batch, call.from, h.now),
+  verifyCIDs: (h, call) => precheckVerifyCIDs(h.batch, call.args[1], call.from),
+  verifyMessage: (h, call) => precheckVerifyMessage(h.web3, h.batch, call.args[1]),
+};
+
+/**
+ * `--inject` value to fault names: a bare flag selects every fault,
+ * otherwise a comma-separated list.
+ */
+function parseFaultList(value) {
+  if (value === true) return FAULT_NAMES.slice();
+  const names = String(value)
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!FAULT_NAMES.includes(name)) {
+      throw new Error(`unknown fault "${name}"; expected one of ${FAULT_NAMES.join(", ")}`);
+    }
+  }
+  return names;
+}
+
+/* ───────────── Injection ───────────── */
+
+/**
+ * @param {object} client CIDBatchLogClient
+ * @param {object} target { batchId, cids, message, receiver, stranger }
+ * @param {object} [opts]
+ * @param {string[]} [opts.faults] names to run (default: all, in FAULTS order)
+ * @param {number} [opts.gas] gas limit of each forced transaction (default:
+ *   the block gas limit, at most DEFAULT_CEILING_MAX)
+ * @return {Promise<object[]>} one outcome per fault: { fault, operation,
+ *   description, from, skipped, sent, reverted, revertReason, gasUsed,
+ *   calldataBytes, txHash, blockNumber, latencyMs, predicted, caughtLocally }
+ */
+async function injectFaults(client, target, opts = {}) {
+  const names = opts.faults || FAULT_NAMES;
+  const gas = opts.gas || Math.min(await client.blockGasLimit(), DEFAULT_CEILING_MAX);
+  const h = {
+    ...target,
+    web3: client.web3,
+    batch: await client.getBatch(target.batchId),
+    now: await client.chainNow(),
+  };
+
+  const outcomes = [];
+  for (const fault of FAULTS.filter((f) => names.includes(f.name))) {
+    outcomes.push(await injectFault(client, fault, h, gas));
+  }
+  return outcomes;
+}
+
+async function injectFault(client, fault, h, gas) {
+  const outcome = {
+    fault: fault.name,
+    operation: fault.operation,
+    description: fault.description,
+    from: null,
+    skipped: false,
+    sent: false,
+    reverted: false,
+    revertReason: null,
+    gasUsed: null,
+    calldataBytes: null,
+    txHash: null,
+    blockNumber: null,
+    latencyMs: null,
+    predicted: null,
+    caughtLocally: false,
+  };
+  const call = fault.build(h);
+  if (!call) return { ...outcome, skipped: true };
+
+  outcome.from = call.from;
+  outcome.predicted = PRECHECKS[fault.operation](h, call);
+  outcome.caughtLocally = outcome.predicted !== null;
+
+  const method = client.contract[fault.operation];
+  try {
+    await method.call(...call.args, { from: call.from });
+    // Accepted: sending it would change the batch
+    return outcome;
+  } catch (err) {
+    outcome.revertReason = revertReason(err);
+  }
+
+  const started = Date.now();
+  let receipt = null;
+  try {
+    receipt = (await method(...call.args, { from: call.from, gas })).receipt;
+    // eth_call reverted but the mined transaction did not
+    outcome.revertReason = null;
+  } catch (err) {
+    receipt = err.receipt || null;
+    outcome.reverted = true;
+    outcome.revertReason = revertReason(err) || outcome.revertReason || String(err.message || err);
+  }
+  outcome.latencyMs = Date.now() - started;
+  if (!receipt) return outcome;
+
+  const tx = await h.web3.eth.getTransaction(receipt.transactionHash);
+  return {
+    ...outcome,
+    sent: true,
+    gasUsed: receipt.gasUsed,
+    calldataBytes: (tx.input.length - 2) / 2,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+  };
+}
+
+/* ───────────── Reporting ───────────── */
+
+/**
+ * One results record per fault that reached the chain; the operation carries
+ * the fault name, e.g. "verifyCIDs[tampered-cid]".
+ */
+function faultRecord(outcome, batchSize, batchId) {
+  return {
+    contract: "CIDBatchLog",
+    operation: `${outcome.operation}[${outcome.fault}]`,
+    batchSize,
+    batchId,
+    gasUsed: outcome.gasUsed,
+    calldataBytes: outcome.calldataBytes,
+    blockNumber: outcome.blockNumber,
+    txHash: outcome.txHash,
+    latencyMs: outcome.latencyMs,
+    success: !outcome.reverted,
+    revertReason: outcome.revertReason,
+    caughtLocally: outcome.caughtLocally,
+  };
+}
+
+// What happened on chain, for logs and the summary table
+function describeOutcome(o) {
+  if (o.skipped) return "skipped (does not apply)";
+  if (!o.reverted) return o.sent ? "ACCEPTED (sent)" : "accepted (eth_call, not sent)";
+  return `reverted "${o.revertReason}"`;
+}
+
+function describePrecheck(o) {
+  if (o.skipped) return "-";
+  if (!o.reverted) return o.caughtLocally ? `false alarm "${o.predicted}"` : "agrees";
+  if (!o.caughtLocally) return "missed";
+  return o.predicted === o.revertReason ? "caught" : `caught as "${o.predicted}"`;
+}
+
+/**
+ * Benchmark step: sends `faults` against one released batch (see
+ * injectFaults), records each fault that reached the chain in `results`
+ * (a ResultsWriter) and logs every outcome plus the summary table.
+ */
+async function runFaults(client, results, target, faults, log) {
+  log(`Injecting ${faults.length} fault(s)...`);
+  const outcomes = await injectFaults(client, target, { faults });
+  for (const o of outcomes) {
+    if (o.sent) results.record(faultRecord(o, target.cids.length, target.batchId));
+    const gas = o.gasUsed === null ? "" : `, gas ${o.gasUsed}`;
+    log(`fault[${o.fault}] ${o.operation}: ${describeOutcome(o)}${gas}; pre-check ${describePrecheck(o)}`);
+  }
+  formatFaultTable(outcomes).forEach((line) => log(line));
+  return outcomes;
+}
+
+function formatFaultTable(outcomes) {
+  const header = ["fault", "operation", "outcome", "gasUsed", "pre-check"];
+  const lines = [
+    header,
+    ...outcomes.map((o) => [
+      o.fault,
+      o.operation,
+      describeOutcome(o),
+      o.gasUsed === null ? "-" : String(o.gasUsed),
+      describePrecheck(o),
+    ]),
+  ];
+  const widths = header.map((_, i) => Math.max(...lines.map((l) => l[i].length)));
+  return lines.map((l) =>
+    l.map((c, i) => (i === 3 ? c.padStart(widths[i]) : c.padEnd(widths[i]))).join("  ").trimEnd(),
+  );
+}
+
+module.exports = {
+  FAULTS,
+  FAULT_NAMES,
+  parseFaultList,
+  injectFaults,
+  faultRecord,
+  describeOutcome,
+  describePrecheck,
+  formatFaultTable,
+  runFaults,
+};
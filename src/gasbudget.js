@@ -0,0 +1,218 @@
+/**
+ * src/gasbudget.js
+ *
+ * Gas measurements for the standard operations of all three contracts,
+ * shared by the budget test (test/gas_budget.js) and the baseline recorder
+ * (scripts/record_gas_baseline.js).
+ *
+ * Inputs are derived deterministically from their index so calldata (and with
+ * it gasUsed) is the same on every run. Keys look like
+ * "CIDBatchLog.createBatch@10" (batch size) or "HashedTimelock.withdraw".
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { chainNow } = require("./evm");
+const merkle = require("./merkle");
+
+const STANDARD_SIZES = [1, 5, 10, 25, 50, 75, 100];
+const DEFAULT_TOLERANCE_PERCENT = 1;
+const BASELINE_PATH = path.join(__dirname, "..", "test", "gas_baseline.json");
+
+function fixedBytes32(label) {
+  return "0x" + crypto.createHash("sha256").update(label).digest("hex");
+}
+
+/**
+ * @param {object} ctx
+ * @param {object} ctx.web3
+ * @param {string} ctx.sender
+ * @param {string} ctx.receiver
+ * @param {object} ctx.cidBatchLog        CIDBatchLog instance
+ * @param {object} ctx.hashedTimelock     HashedTimelock instance
+ * @param {object} ctx.hashedTimelockLog  HashedTimelockLog instance
+ * @param {number[]} [ctx.sizes]
+ * @return {Promise<Object<string, number>>} key -> gasUsed
+ */
+async function measureGas(ctx) {
+  const { web3, sender, receiver } = ctx;
+  const sizes = ctx.sizes || STANDARD_SIZES;
+  const gas = {};
+  const message = fixedBytes32("message") + fixedBytes32("message:2").slice(2);
+  const messageHash = web3.utils.keccak256(message);
+
+  /* ───────────── CIDBatchLog ───────────── */
+
+  const batch = ctx.cidBatchLog;
+  for (const n of sizes) {
+    const cids = Array.from({ length: n }, (_, i) => fixedBytes32(`cid:${n}:${i}`));
+    const timelock = (await chainNow(web3)) + 3600;
+
+    let tx = await batch.createBatch(receiver, cids, messageHash, timelock, {
+      from: sender,
+    });
+    const batchId = tx.logs.find((l) => l.event === "BatchCreated").args.batchId;
+    gas[`CIDBatchLog.createBatch@${n}`] = tx.receipt.gasUsed;
+
+    tx = await batch.releaseAggregate(batchId, { from: sender });
+    gas[`CIDBatchLog.releaseAggregate@${n}`] = tx.receipt.gasUsed;
+
+    tx = await batch.verifyCIDs(batchId, cids, { from: receiver });
+    gas[`CIDBatchLog.verifyCIDs@${n}`] = tx.receipt.gasUsed;
+
+    tx = await batch.verifyMessage(batchId, message, { from: receiver });
+    gas[`CIDBatchLog.verifyMessage@${n}`] = tx.receipt.gasUsed;
+
+    // Merkle mode
+    tx = await batch.createMerkleBatch(receiver, cids, messageHash, timelock, {
+      from: sender,
+    });
+    const merkleId = tx.logs.find((l) => l.event === "BatchCreated").args.batchId;
+    gas[`CIDBatchLog.createMerkleBatch@${n}`] = tx.receipt.gasUsed;
+
+    const tree = merkle.buildTree(cids);
+    tx = await batch.verifyCIDProof(merkleId, cids[0], merkle.getProof(tree, 0), {
+      from: receiver,
+    });
+    gas[`CIDBatchLog.verifyCIDProof@${n}`] = tx.receipt.gasUsed;
+
+    tx = await batch.verifyCIDs(merkleId, cids, { from: receiver });
+    gas[`CIDBatchLog.verifyCIDs(merkle)@${n}`] = tx.receipt.gasUsed;
+
+    // Sorted mode; a single CID aggregates as in packed mode, so the
+    // timelock keeps the batchId apart
+    const sorted = [...cids].sort();
+    tx = await batch.createSortedBatch(receiver, sorted, messageHash, timelock + 1, {
+      from: sender,
+    });
+    const sortedId = tx.logs.find((l) => l.event === "BatchCreated").args.batchId;
+    gas[`CIDBatchLog.createSortedBatch@${n}`] = tx.receipt.gasUsed;
+
+    tx = await batch.verifyCIDs(sortedId, sorted, { from: receiver });
+    gas[`CIDBatchLog.verifyCIDs(sorted)@${n}`] = tx.receipt.gasUsed;
+
+    // Strict mode: createBatch plus the on-chain duplicate check
+    tx = await batch.createStrictBatch(receiver, cids, messageHash, timelock + 2, 0, {
+      from: sender,
+    });
+    gas[`CIDBatchLog.createStrictBatch@${n}`] = tx.receipt.gasUsed;
+  }
+
+  /* ───────────── HashedTimelock ───────────── */
+
+  const htlc = ctx.hashedTimelock;
+  const preimage = fixedBytes32("preimage");
+  const hashlock = fixedBytes32(Buffer.from(preimage.slice(2), "hex"));
+  let timelock = (await chainNow(web3)) + 3600;
+
+  let tx = await htlc.newContract(receiver, hashlock, timelock, {
+    from: sender,
+    value: "300000",
+  });
+  const contractId = tx.logs[0].args.contractId;
+  gas["HashedTimelock.newContract"] = tx.receipt.gasUsed;
+
+  tx = await htlc.withdraw(contractId, preimage, { from: receiver });
+  gas["HashedTimelock.withdraw"] = tx.receipt.gasUsed;
+
+  /* ───────────── HashedTimelockLog ───────────── */
+
+  const htlcLog = ctx.hashedTimelockLog;
+  timelock = (await chainNow(web3)) + 3600;
+
+  tx = await htlcLog.newContract(receiver, hashlock, messageHash, timelock, {
+    from: sender,
+  });
+  const logId = tx.logs[0].args.contractId;
+  gas["HashedTimelockLog.newContract"] = tx.receipt.gasUsed;
+
+  tx = await htlcLog.verifyLog(logId, message, { from: receiver });
+  gas["HashedTimelockLog.verifyLog"] = tx.receipt.gasUsed;
+
+  return gas;
+}
+
+/* ───────────── Baseline ───────────── */
+
+// "op@5" before "op@10"
+function byKey(a, b) {
+  return a.localeCompare(b, "en", { numeric: true });
+}
+
+function loadBaseline(file = BASELINE_PATH) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveBaseline(gas, file = BASELINE_PATH) {
+  const sorted = {};
+  for (const key of Object.keys(gas).sort(byKey)) sorted[key] = gas[key];
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ recordedAt: new Date().toISOString(), gas: sorted }, null, 2) +
+      "\n",
+    { encoding: "utf8" },
+  );
+}
+
+/**
+ * @return {object[]} one row per key in either set:
+ *   { key, baseline, measured, diff, diffPercent, ok }
+ */
+function compareToBaseline(measured, baseline, tolerancePercent) {
+  const keys = new Set([...Object.keys(baseline), ...Object.keys(measured)]);
+  return Array.from(keys)
+    .sort(byKey)
+    .map((key) => {
+      const base = baseline[key];
+      const got = measured[key];
+      if (base === undefined || got === undefined) {
+        return { key, baseline: base, measured: got, diff: null, diffPercent: null, ok: false };
+      }
+      const diff = got - base;
+      const diffPercent = (diff / base) * 100;
+      return {
+        key,
+        baseline: base,
+        measured: got,
+        diff,
+        diffPercent,
+        ok: diffPercent <= tolerancePercent,
+      };
+    });
+}
+
+function formatDiffTable(rows) {
+  const header = ["operation", "baseline", "measured", "diff", "diff %", ""];
+  const body = rows.map((r) => [
+    r.key,
+    r.baseline === undefined ? "-" : String(r.baseline),
+    r.measured === undefined ? "-" : String(r.measured),
+    r.diff === null ? "-" : (r.diff > 0 ? "+" : "") + r.diff,
+    r.diffPercent === null ? "-" : (r.diffPercent > 0 ? "+" : "") + r.diffPercent.toFixed(2),
+    r.ok ? "" : "FAIL",
+  ]);
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...body.map((row) => row[i].length)),
+  );
+  const line = (cells) =>
+    cells
+      .map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i])))
+      .join("  ")
+      .trimEnd();
+  return [line(header), line(widths.map((w) => "-".repeat(w))), ...body.map(line)].join(
+    "\n",
+  );
+}
+
+module.exports = {
+  STANDARD_SIZES,
+  DEFAULT_TOLERANCE_PERCENT,
+  BASELINE_PATH,
+  measureGas,
+  loadBaseline,
+  saveBaseline,
+  compareToBaseline,
+  formatDiffTable,
+};
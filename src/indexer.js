@@ -0,0 +1,438 @@
+/**
+ * src/indexer.js
+ *
+ * Local event indexer for CIDBatchLog, HashedTimelock and HashedTimelockLog.
+ *
+ * CIDBatchLog keeps CID lists only in CIDsLogged events, so questions like
+ * "which batches contain this CID" need an off-chain index. The indexer:
+ *   - scans contract events in fixed-size block ranges (getPastEvents),
+ *   - stores the raw events in a JSON file and resumes from the last block,
+ *   - remembers the hashes of the most recent `confirmations` blocks and, if
+ *     one of them changed (reorg), drops everything above the confirmation
+ *     depth and re-scans it,
+ *   - rebuilds batch / HTLC views from the stored events for querying.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { lifecycleStatus } = require("./batch");
+const { toDigest } = require("./cid");
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CONFIRMATIONS = 6;
+
+const INDEXED_CONTRACTS = ["CIDBatchLog", "HashedTimelock", "HashedTimelockLog"];
+
+/* ───────────── Store ───────────── */
+
+const EMPTY_INDEX = { lastBlock: -1, recentBlocks: [], events: [] };
+
+class FileStore {
+  /**
+   * @param {string} filePath
+   * @param {object} [empty] state load() returns while the file does not
+   *   exist (default: an empty index)
+   */
+  constructor(filePath, empty = EMPTY_INDEX) {
+    this.filePath = filePath;
+    this.empty = empty;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return JSON.parse(JSON.stringify(this.empty));
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  save(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = this.filePath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(state), { encoding: "utf8" });
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+/* ───────────── Helpers ───────────── */
+
+function receiverEntry(address) {
+  return { address, verified: false, verifiedInTime: false, acknowledged: false };
+}
+
+// web3 returnValues carry both positional and named keys; keep named ones
+function namedValues(returnValues) {
+  const out = {};
+  for (const [k, v] of Object.entries(returnValues || {})) {
+    if (!/^\d+$/.test(k)) out[k] = v;
+  }
+  return out;
+}
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/* ───────────── Indexer ───────────── */
+
+class EventIndexer {
+  /**
+   * @param {object} opts
+   * @param {object} opts.web3
+   * @param {object} opts.contracts name -> truffle contract instance, e.g.
+   *   { CIDBatchLog, HashedTimelock, HashedTimelockLog }
+   * @param {FileStore} opts.store
+   * @param {number} [opts.chunkSize=1000] blocks per getPastEvents call
+   * @param {number} [opts.confirmations=6] reorg rollback depth
+   * @param {number} [opts.startBlock=0] first block to scan on a fresh store
+   */
+  constructor(opts) {
+    this.web3 = opts.web3;
+    this.contracts = opts.contracts;
+    this.store = opts.store;
+    this.chunkSize = opts.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.confirmations =
+      opts.confirmations != null ? opts.confirmations : DEFAULT_CONFIRMATIONS;
+    this.startBlock = opts.startBlock || 0;
+
+    this.state = this.store.load();
+    if (this.state.lastBlock < this.startBlock - 1) {
+      this.state.lastBlock = this.startBlock - 1;
+    }
+    this._rebuild();
+  }
+
+  /**
+   * Index everything up to the current head.
+   * @return {Promise<{ fromBlock: number, toBlock: number, events: number, rolledBack: number|null }>}
+   */
+  async sync(onProgress = () => {}) {
+    const rolledBack = await this._checkReorg();
+
+    const head = await this.web3.eth.getBlockNumber();
+    const fromBlock = this.state.lastBlock + 1;
+    let added = 0;
+
+    for (let start = fromBlock; start <= head; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, head);
+      const events = await this._fetchRange(start, end);
+      this.state.events.push(...events);
+      this.state.lastBlock = end;
+      added += events.length;
+      await this._rememberRecentBlocks(end);
+      this.store.save(this.state);
+      onProgress({ fromBlock: start, toBlock: end, events: events.length });
+    }
+
+    // unreleased batches past their timelock count as expired from here on
+    this.state.headTime = Number((await this.web3.eth.getBlock(head)).timestamp);
+    this.store.save(this.state);
+
+    this._rebuild();
+    return { fromBlock, toBlock: head, events: added, rolledBack };
+  }
+
+  /* ───────────── Queries ───────────── */
+
+  getBatch(batchId) {
+    return this.batches.get(batchId.toLowerCase()) || null;
+  }
+
+  // Accepts a bytes32 digest or a CID string
+  batchesByCID(cid) {
+    const ids = this.cidIndex.get(toDigest(cid)) || [];
+    return ids.map((id) => this.batches.get(id));
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.cid]
+   * @param {string} [filter.sender]
+   * @param {string} [filter.receiver] also matches any receiver of a
+   *   multi-receiver batch
+   * @param {string} [filter.status] created | released | verified | expired | cancelled
+   * @param {number} [filter.since] unix seconds, inclusive (creation time)
+   * @param {number} [filter.until] unix seconds, inclusive
+   */
+  findBatches(filter = {}) {
+    const pool = filter.cid
+      ? this.batchesByCID(filter.cid)
+      : Array.from(this.batches.values());
+    return pool.filter(
+      (b) =>
+        (!filter.sender || sameAddress(b.sender, filter.sender)) &&
+        (!filter.receiver ||
+          b.receivers.some((r) => sameAddress(r.address, filter.receiver))) &&
+        (!filter.status || b.status === filter.status) &&
+        (filter.since == null || b.createdAt >= filter.since) &&
+        (filter.until == null || b.createdAt <= filter.until),
+    );
+  }
+
+  /**
+   * Same filters as findBatches (minus cid), plus `contract`
+   * (HashedTimelock or HashedTimelockLog). Status is open | withdrawn |
+   * refunded | verified.
+   */
+  findHTLCs(filter = {}) {
+    return Array.from(this.htlcs.values()).filter(
+      (h) =>
+        (!filter.contract || h.contract === filter.contract) &&
+        (!filter.sender || sameAddress(h.sender, filter.sender)) &&
+        (!filter.receiver || sameAddress(h.receiver, filter.receiver)) &&
+        (!filter.status || h.status === filter.status) &&
+        (filter.since == null || h.createdAt >= filter.since) &&
+        (filter.until == null || h.createdAt <= filter.until),
+    );
+  }
+
+  // Everything `sender` sent to `receiver` across all indexed contracts
+  transfers(sender, receiver) {
+    return {
+      batches: this.findBatches({ sender, receiver }),
+      htlcs: this.findHTLCs({ sender, receiver }),
+    };
+  }
+
+  /* ───────────── Internals ───────────── */
+
+  async _fetchRange(fromBlock, toBlock) {
+    const out = [];
+    for (const [name, instance] of Object.entries(this.contracts)) {
+      const raw = await instance.getPastEvents("allEvents", {
+        fromBlock,
+        toBlock,
+      });
+      for (const e of raw) {
+        out.push({
+          contract: name,
+          event: e.event,
+          blockNumber: e.blockNumber,
+          logIndex: e.logIndex,
+          transactionHash: e.transactionHash,
+          args: namedValues(e.returnValues),
+        });
+      }
+    }
+
+    const timestamps = new Map();
+    for (const e of out) {
+      if (!timestamps.has(e.blockNumber)) {
+        const b = await this.web3.eth.getBlock(e.blockNumber);
+        timestamps.set(e.blockNumber, Number(b.timestamp));
+      }
+      e.timestamp = timestamps.get(e.blockNumber);
+    }
+
+    return out.sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+    );
+  }
+
+  async _rememberRecentBlocks(toBlock) {
+    const from = Math.max(toBlock - this.confirmations + 1, 0);
+    const kept = this.state.recentBlocks.filter(
+      (b) => b.number >= from && b.number <= toBlock,
+    );
+    const known = new Set(kept.map((b) => b.number));
+    for (let n = from; n <= toBlock; n++) {
+      if (known.has(n)) continue;
+      const b = await this.web3.eth.getBlock(n);
+      kept.push({ number: n, hash: b.hash });
+    }
+    this.state.recentBlocks = kept.sort((a, b) => a.number - b.number);
+  }
+
+  // Returns the block rolled back to, or null if the recent blocks still match
+  async _checkReorg() {
+    let firstMismatch = null;
+    for (const { number, hash } of this.state.recentBlocks) {
+      const b = await this.web3.eth.getBlock(number);
+      if (!b || b.hash !== hash) {
+        firstMismatch = number;
+        break;
+      }
+    }
+    if (firstMismatch === null) return null;
+
+    const target = Math.max(
+      Math.min(firstMismatch - 1, this.state.lastBlock - this.confirmations),
+      this.startBlock - 1,
+    );
+    this.state.events = this.state.events.filter(
+      (e) => e.blockNumber <= target,
+    );
+    this.state.recentBlocks = [];
+    this.state.lastBlock = target;
+    this.store.save(this.state);
+    this._rebuild();
+    return target;
+  }
+
+  _rebuild() {
+    this.batches = new Map();
+    this.htlcs = new Map();
+    this.cidIndex = new Map();
+
+    for (const e of this.state.events) {
+      if (e.contract === "CIDBatchLog") this._applyBatchEvent(e);
+      else this._applyHTLCEvent(e);
+    }
+    for (const b of this.batches.values()) {
+      b.status = lifecycleStatus(b, this.state.headTime);
+    }
+  }
+
+  _applyBatchEvent(e) {
+    const id = e.args.batchId.toLowerCase();
+    const b = this.batches.get(id);
+
+    switch (e.event) {
+      case "BatchCreated":
+        this.batches.set(id, {
+          batchId: e.args.batchId,
+          sender: e.args.sender,
+          receiver: e.args.receiver,
+          cidCount: Number(e.args.cidCount),
+          aggregateHash: e.args.aggregateHash,
+          messageHash: e.args.messageHash,
+          timelock: Number(e.args.timelock),
+          cids: [],
+          released: false,
+          verified: false,
+          verifiedInTime: false,
+          acknowledged: false,
+          cancelled: false,
+          expired: false,
+          verifiers: [],
+          // Replaced by ReceiversListed for multi-receiver batches
+          multi: false,
+          receivers: [receiverEntry(e.args.receiver)],
+          status: "created",
+          createdBlock: e.blockNumber,
+          createdAt: e.timestamp,
+          transactionHash: e.transactionHash,
+        });
+        return;
+      case "ReceiversListed":
+        if (!b) return;
+        b.multi = true;
+        b.receivers = e.args.receivers.map(receiverEntry);
+        return;
+      case "CIDsLogged":
+        if (!b) return;
+        b.cids = e.args.cids;
+        for (const cid of b.cids) {
+          const key = cid.toLowerCase();
+          const ids = this.cidIndex.get(key) || [];
+          if (!ids.includes(id)) ids.push(id);
+          this.cidIndex.set(key, ids);
+        }
+        return;
+      case "AggregateReleased":
+        if (b) b.released = true;
+        return;
+      case "BatchVerified": {
+        if (!b) return;
+        const inTime = e.timestamp < b.timelock;
+        b.verifiers.push(e.args.verifier);
+        // Anyone may verify a single-receiver batch; it counts for its receiver
+        const r = b.multi
+          ? b.receivers.find((x) => sameAddress(x.address, e.args.verifier))
+          : b.receivers[0];
+        if (r) {
+          r.verified = true;
+          r.verifiedInTime = inTime;
+        }
+        if (b.receivers.every((x) => x.verified)) {
+          b.verified = true;
+          b.verifiedInTime = inTime;
+        }
+        return;
+      }
+      case "BatchAcknowledged": {
+        if (!b) return;
+        const r = b.receivers.find((x) => sameAddress(x.address, e.args.receiver));
+        if (r) r.acknowledged = true;
+        b.acknowledged = b.receivers.every((x) => x.acknowledged);
+        return;
+      }
+      case "BatchCancelled":
+        if (b) b.cancelled = true;
+        return;
+      case "BatchExpired":
+        if (b) b.expired = true;
+        return;
+      default:
+        return;
+    }
+  }
+
+  _applyHTLCEvent(e) {
+    const key = `${e.contract}:${e.args.contractId.toLowerCase()}`;
+    const h = this.htlcs.get(key);
+
+    switch (e.event) {
+      case "LogHTLCNew":
+        this.htlcs.set(key, {
+          contract: e.contract,
+          contractId: e.args.contractId,
+          sender: e.args.sender,
+          receiver: e.args.receiver,
+          amount: e.args.amount != null ? String(e.args.amount) : null,
+          hashlock: e.args.hashlock,
+          messageHash: e.args.messageHash || null,
+          timelock: Number(e.args.timelock),
+          status: "open",
+          createdBlock: e.blockNumber,
+          createdAt: e.timestamp,
+          transactionHash: e.transactionHash,
+        });
+        return;
+      case "LogHTLCWithdraw":
+        if (h) h.status = "withdrawn";
+        return;
+      case "LogHTLCRefund":
+        if (h) h.status = "refunded";
+        return;
+      case "LogVerified":
+        if (h) h.status = "verified";
+        return;
+      default:
+        return;
+    }
+  }
+}
+
+/* ───────────── Setup helpers ───────────── */
+
+function defaultIndexPath(networkId) {
+  return path.join(__dirname, "..", "index", `${networkId}.json`);
+}
+
+/**
+ * Deployed instances of the indexed contracts, keyed by name. Contracts that
+ * are not deployed on the current network are left out.
+ * @param {object} artifacts truffle's artifacts global
+ */
+async function deployedContracts(artifacts, names = INDEXED_CONTRACTS) {
+  const out = {};
+  for (const name of names) {
+    try {
+      out[name] = await artifacts.require(name).deployed();
+    } catch (e) {
+      // not deployed here
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  FileStore,
+  EventIndexer,
+  INDEXED_CONTRACTS,
+  defaultIndexPath,
+  deployedContracts,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CONFIRMATIONS,
+};
@@ -0,0 +1,25 @@
+/**
+ * src/log.js
+ *
+ * Timestamped log lines for the scripts. Every line is printed as
+ * "[<ISO time>] <line>", the format src/logparse.js reads back, and appended
+ * to a log file when one is given.
+ *
+ *   const log = makeLogger("test/cidbatchlog_10cids.log");
+ *   log("create gasUsed: 123456");
+ */
+
+const fs = require("fs");
+
+// log(line) prints a timestamped line and, with `logPath`, appends it there
+function makeLogger(logPath) {
+  return function log(line) {
+    const msg = `[${new Date().toISOString()}] ${line}`;
+    console.log(msg);
+    if (logPath) fs.appendFileSync(logPath, msg + "\n");
+  };
+}
+
+module.exports = {
+  makeLogger,
+};
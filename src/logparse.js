@@ -0,0 +1,196 @@
+/**
+ * src/logparse.js
+ *
+ * Converts the free-form benchmark text logs into src/results.js records, so
+ * historical runs can be analysed alongside new structured results.
+ *
+ * Supported formats (detected from the first line):
+ *   CIDBatchLog – <n> CID test            (test/cidbatchlog_<n>cids.log)
+ *   CIDBatchLog (merkle) – <n> CID test   (cidbatchlog_merkle_<n>cids.log)
+ *   CIDBatchLog (sorted) – <n> CID test   (cidbatchlog_sorted_<n>cids.log)
+ *   HashedTimelock ... run @ ...          (hashedtimelock_*.txt, incl. refund scenarios)
+ *   HashedTimelockLog ... @ ...           (hashedtimelock_log_*.txt, hashedtimelocklog_*.txt)
+ *
+ * Text logs do not contain every field: block numbers are never logged, tx
+ * hashes only by the HTLC scripts, and calldata size is derived from the ABI
+ * encoding where the log has enough information (batch size, proof length).
+ *
+ * The "[<ISO time>] <line>" format read here is what src/log.js writes.
+ */
+
+const fs = require("fs");
+
+const LINE_RE = /^\[(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\] ?(.*)$/;
+const GAS_RE = /^(\w+) gasUsed: ([\d,]+)/;
+const TX_RE = /^(\w+) tx: (0x[0-9a-fA-F]{64})/;
+const FAILED_RE = /^(\w+) FAILED(?: \(test \d+\))?: (.*)$/;
+
+// ABI calldata: 4-byte selector + 32-byte words
+const CIDBATCH_CALLDATA = {
+  createBatch: (n) => 4 + 32 * 4 + 32 + 32 * n,
+  createMerkleBatch: (n) => 4 + 32 * 4 + 32 + 32 * n,
+  createSortedBatch: (n) => 4 + 32 * 4 + 32 + 32 * n,
+  releaseAggregate: () => 4 + 32,
+  verifyCIDs: (n) => 4 + 32 * 2 + 32 + 32 * n,
+  verifyCIDProof: (n, proofLength) =>
+    proofLength == null ? null : 4 + 32 * 3 + 32 + 32 * proofLength,
+};
+
+const HTLC_OPERATIONS = {
+  HashedTimelock: {
+    create: ["newContract", 4 + 32 * 3],
+    withdraw: ["withdraw", 4 + 32 * 2],
+    refund: ["refund", 4 + 32],
+  },
+  HashedTimelockLog: {
+    create: ["newContract", 4 + 32 * 4],
+    withdraw: ["withdraw", 4 + 32 * 2],
+    verify: ["verifyLog", null],
+  },
+};
+
+function splitLines(text) {
+  return text.split(/\r?\n/).map((raw) => {
+    const m = raw.match(LINE_RE);
+    return m
+      ? { time: Date.parse(m[1]), iso: m[1], text: m[2].trim() }
+      : { time: null, iso: null, text: raw.trim() };
+  });
+}
+
+function detectFormat(text) {
+  const first = text.split(/\r?\n/, 1)[0];
+  if (/^CIDBatchLog \(merkle\)/.test(first)) return "CIDBatchLog-merkle";
+  if (/^CIDBatchLog \(sorted\)/.test(first)) return "CIDBatchLog-sorted";
+  if (/^CIDBatchLog/.test(first)) return "CIDBatchLog";
+  if (/^HashedTimelockLog/.test(first)) return "HashedTimelockLog";
+  if (/^HashedTimelock/.test(first)) return "HashedTimelock";
+  return null;
+}
+
+// createOp: the operation the log's "create gasUsed" lines stand for
+function parseCIDBatchLog(text, createOp = "createBatch") {
+  const records = [];
+  let batchSize = null;
+  let proofLength = null;
+  let startedAt = null;
+
+  for (const line of splitLines(text)) {
+    let m;
+    if ((m = line.text.match(/^Generated (\d+) CIDs/))) {
+      batchSize = Number(m[1]);
+      continue;
+    }
+    if ((m = line.text.match(/proof length (\d+)/))) {
+      proofLength = Number(m[1]);
+    }
+    if (/\.\.\.$/.test(line.text)) {
+      startedAt = line.time;
+      continue;
+    }
+    if (!(m = line.text.match(GAS_RE))) continue;
+
+    let operation = m[1];
+    if (operation === "create") {
+      operation = createOp;
+    } else if (operation === "release") {
+      operation = "releaseAggregate";
+    }
+    const calldata = CIDBATCH_CALLDATA[operation];
+
+    records.push({
+      timestamp: line.iso,
+      contract: "CIDBatchLog",
+      operation,
+      batchSize,
+      gasUsed: Number(m[2].replace(/,/g, "")),
+      calldataBytes: calldata ? calldata(batchSize, proofLength) : null,
+      latencyMs:
+        startedAt !== null && line.time !== null ? line.time - startedAt : null,
+      success: true,
+    });
+    startedAt = null;
+  }
+
+  return records;
+}
+
+function parseHTLCLog(text, contract) {
+  const operations = HTLC_OPERATIONS[contract];
+  const records = [];
+  const txHashes = {};
+
+  for (const line of splitLines(text)) {
+    let m;
+    if ((m = line.text.match(TX_RE))) {
+      txHashes[m[1]] = m[2];
+      continue;
+    }
+    if ((m = line.text.match(FAILED_RE))) {
+      const op = operations[m[1].toLowerCase()];
+      if (!op) continue;
+      records.push({
+        timestamp: line.iso,
+        contract,
+        operation: op[0],
+        batchSize: 1,
+        success: false,
+        revertReason: m[2],
+      });
+      continue;
+    }
+    if (!(m = line.text.match(GAS_RE))) continue;
+
+    const op = operations[m[1]];
+    if (!op) continue;
+    records.push({
+      timestamp: line.iso,
+      contract,
+      operation: op[0],
+      batchSize: 1,
+      gasUsed: Number(m[2].replace(/,/g, "")),
+      calldataBytes: op[1],
+      txHash: txHashes[m[1]] || null,
+      success: true,
+    });
+    delete txHashes[m[1]];
+  }
+
+  return records;
+}
+
+/**
+ * @param {string} text log file contents
+ * @return {object[]} result records (see src/results.js RESULT_FIELDS)
+ */
+function parseLogText(text) {
+  const format = detectFormat(text);
+  switch (format) {
+    case "CIDBatchLog":
+      return parseCIDBatchLog(text);
+    case "CIDBatchLog-merkle":
+      return parseCIDBatchLog(text, "createMerkleBatch");
+    case "CIDBatchLog-sorted":
+      return parseCIDBatchLog(text, "createSortedBatch");
+    case "HashedTimelock":
+    case "HashedTimelockLog":
+      return parseHTLCLog(text, format);
+    default:
+      throw new Error("unrecognised benchmark log format");
+  }
+}
+
+function parseLogFile(file) {
+  try {
+    return parseLogText(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
+
+module.exports = {
+  detectFormat,
+  parseLogText,
+  parseLogFile,
+};
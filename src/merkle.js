@@ -0,0 +1,90 @@
+/**
+ * src/merkle.js
+ *
+ * Merkle trees over CID digests, matching CIDBatchLog's Merkle aggregate mode
+ * (createMerkleBatch / computeMerkleRoot / verifyCIDProof):
+ *
+ *   leaf = sha256(0x00 || cid)
+ *   node = sha256(0x01 || min(a, b) || max(a, b))
+ *
+ * An unpaired node at the end of a level is promoted unchanged, so proofs for
+ * such leaves are shorter than ceil(log2(n)).
+ */
+
+const crypto = require("crypto");
+
+function toBuf(hex0x) {
+  return Buffer.from(hex0x.slice(2), "hex");
+}
+
+function sha256Hex(buf) {
+  return "0x" + crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+function hashLeaf(cid) {
+  return sha256Hex(Buffer.concat([Buffer.from([0]), toBuf(cid)]));
+}
+
+function hashPair(a, b) {
+  const [lo, hi] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return sha256Hex(Buffer.concat([Buffer.from([1]), toBuf(lo), toBuf(hi)]));
+}
+
+/**
+ * @param {string[]} cids bytes32 CID digests, in batch order
+ * @return {{ root: string, levels: string[][] }} levels[0] are the leaves
+ */
+function buildTree(cids) {
+  if (cids.length === 0) throw new Error("empty CID list");
+
+  const levels = [cids.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return { root: levels[levels.length - 1][0], levels };
+}
+
+function merkleRoot(cids) {
+  return buildTree(cids).root;
+}
+
+/**
+ * Sibling hashes from leaf to root for the CID at `index`.
+ * @return {string[]}
+ */
+function getProof(tree, index) {
+  const leaves = tree.levels[0];
+  if (!Number.isInteger(index) || index < 0 || index >= leaves.length) {
+    throw new Error(`leaf index ${index} out of range (0..${leaves.length - 1})`);
+  }
+
+  const proof = [];
+  for (let d = 0; d < tree.levels.length - 1; d++) {
+    const level = tree.levels[d];
+    const sibling = index ^ 1;
+    if (sibling < level.length) proof.push(level[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+function verifyProof(cid, proof, root) {
+  let node = hashLeaf(cid);
+  for (const sibling of proof) node = hashPair(node, sibling);
+  return node.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  hashLeaf,
+  hashPair,
+  buildTree,
+  merkleRoot,
+  getProof,
+  verifyProof,
+};
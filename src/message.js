@@ -0,0 +1,136 @@
+/**
+ * src/message.js
+ *
+ * Encrypted delivery of a batch's message. The sender seals the plaintext to
+ * the receiver's public key (src/ecies.js, with the batchId as associated
+ * data) and either posts the envelope with CIDBatchLog.postMessage or drops
+ * it in a MessageStore directory. The receiver fetches it from whichever,
+ * opens it and only then calls verifyMessage with the plaintext.
+ *
+ *   const env = sealMessage(web3, { batchId, message, receiverPublicKey });
+ *   await instance.postMessage(batchId, env.ciphertext, { from: sender });
+ *   ...
+ *   const env2 = await fetchPostedMessage(instance, batchId);
+ *   const message = openMessage(web3, env2, { privateKey, messageHash });
+ *   await instance.verifyMessage(batchId, message, { from: receiver });
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ecies = require("./ecies");
+const { DecryptionError, MessageMismatchError } = require("./errors");
+
+/**
+ * @param {object} web3
+ * @param {object} params
+ * @param {string} params.batchId
+ * @param {string} params.message 0x hex plaintext
+ * @param {string|Buffer} params.receiverPublicKey
+ * @return {{ batchId: string, messageHash: string, ciphertext: string }}
+ */
+function sealMessage(web3, params) {
+  const { batchId, message, receiverPublicKey } = params;
+  const box = ecies.encrypt(receiverPublicKey, message, { aad: batchId });
+  return {
+    batchId,
+    messageHash: web3.utils.keccak256(message),
+    ciphertext: "0x" + box.toString("hex"),
+  };
+}
+
+/**
+ * Decrypts an envelope and checks the plaintext against the batch's
+ * messageHash, so nothing tampered or misaddressed reaches verifyMessage.
+ * Throws DecryptionError or MessageMismatchError.
+ *
+ * @param {object} web3
+ * @param {{ batchId: string, ciphertext: string }} envelope
+ * @param {object} opts
+ * @param {string} opts.privateKey receiver account key
+ * @param {string} opts.messageHash the batch's on-chain messageHash
+ * @return {string} 0x hex plaintext
+ */
+function openMessage(web3, envelope, opts) {
+  const plain = ecies.decrypt(opts.privateKey, envelope.ciphertext, {
+    aad: envelope.batchId,
+  });
+  const message = "0x" + plain.toString("hex");
+  const hash = web3.utils.keccak256(message);
+  if (hash.toLowerCase() !== String(opts.messageHash).toLowerCase()) {
+    throw new MessageMismatchError(
+      `decrypted message hashes to ${hash}, batch commits to ${opts.messageHash}`,
+    );
+  }
+  return message;
+}
+
+/* ───────────── Sources ───────────── */
+
+/**
+ * Latest MessagePosted envelope of a batch, or null when none was posted.
+ *
+ * @param {object} contract truffle contract instance of CIDBatchLog
+ * @param {string} batchId
+ * @param {object} [opts] `fromBlock` (default 0)
+ */
+async function fetchPostedMessage(contract, batchId, opts = {}) {
+  const events = await contract.getPastEvents("MessagePosted", {
+    filter: { batchId },
+    fromBlock: opts.fromBlock || 0,
+    toBlock: "latest",
+  });
+  if (events.length === 0) return null;
+  const last = events.sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex,
+  )[events.length - 1];
+  return {
+    batchId,
+    ciphertext: last.returnValues.ciphertext,
+    txHash: last.transactionHash,
+    blockNumber: last.blockNumber,
+  };
+}
+
+// One JSON file per batch: <dir>/<batchId>.json
+class MessageStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  pathFor(batchId) {
+    return path.join(this.dir, `${batchId.toLowerCase()}.json`);
+  }
+
+  put(envelope) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = this.pathFor(envelope.batchId);
+    fs.writeFileSync(file, JSON.stringify(envelope, null, 2) + "\n", {
+      encoding: "utf8",
+    });
+    return file;
+  }
+
+  get(batchId) {
+    const file = this.pathFor(batchId);
+    if (!fs.existsSync(file)) return null;
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) throw err;
+      throw new DecryptionError(`${file} is not a JSON envelope`);
+    }
+    if (String(envelope.batchId).toLowerCase() !== batchId.toLowerCase()) {
+      throw new DecryptionError(`${file} holds the envelope of ${envelope.batchId}`);
+    }
+    return envelope;
+  }
+}
+
+module.exports = {
+  sealMessage,
+  openMessage,
+  fetchPostedMessage,
+  MessageStore,
+};
@@ -0,0 +1,81 @@
+/**
+ * src/precheck.js
+ *
+ * Local pre-checks: from a batch decoded by CIDBatchLogClient.getBatch,
+ * predict the require() message a call would revert with, in the contract's
+ * modifier order, without asking the node. Each check returns that reason,
+ * or null when the call should pass.
+ *
+ * expireBatch can only close an unreleased batch past its timelock, and
+ * getBatchStatus reads such a batch as "expired" whether or not it was
+ * called, so the "batch expired" revert cannot be predicted here and is left
+ * to the node.
+ *
+ *   const reason = precheckVerifyCIDs(await client.getBatch(batchId), cids, receiver);
+ */
+
+const { canonicalOrderError, computeAggregate, ZERO_BYTES32 } = require("./batch");
+
+function sameHex(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// notClosed, as far as getBatch shows it
+function closedReason(b) {
+  return b.status === "cancelled" ? "batch cancelled" : null;
+}
+
+/**
+ * @param {object|null} b decoded batch (null: does not exist)
+ * @param {string} from caller
+ * @param {number} now chain time
+ */
+function precheckReleaseAggregate(b, from, now) {
+  if (!b) return "batch does not exist";
+  if (!sameHex(from, b.sender)) return "only sender";
+  if (b.released) return "already released";
+  const closed = closedReason(b);
+  if (closed) return closed;
+  if (now >= b.timelock) return "timelock expired";
+  return null;
+}
+
+/**
+ * @param {object|null} b decoded batch
+ * @param {string[]} cids list the caller would submit
+ * @param {string} from caller; only checked on multi-receiver batches
+ */
+function precheckVerifyCIDs(b, cids, from) {
+  if (!b) return "batch does not exist";
+  if (b.verified) return "already verified";
+  const closed = closedReason(b);
+  if (closed) return closed;
+  if (cids.length !== b.cidCount) return "CID count mismatch";
+  const order = b.mode === "sorted" ? canonicalOrderError(cids) : null;
+  if (order) return order;
+  if (!sameHex(computeAggregate(cids, b.mode), b.aggregateHash)) return "aggregate mismatch";
+  if (b.multi) {
+    const r = b.receivers.find((x) => sameHex(x.address, from));
+    if (!r || !r.listed) return "only receiver";
+    if (r.verified) return "already verified";
+  }
+  return null;
+}
+
+/**
+ * @param {object} web3
+ * @param {object|null} b decoded batch
+ * @param {string} message 0x hex
+ */
+function precheckVerifyMessage(web3, b, message) {
+  if (!b) return "batch does not exist";
+  if (sameHex(b.messageHash, ZERO_BYTES32)) return "no messageHash set";
+  if (!sameHex(web3.utils.keccak256(message), b.messageHash)) return "message hash mismatch";
+  return null;
+}
+
+module.exports = {
+  precheckReleaseAggregate,
+  precheckVerifyCIDs,
+  precheckVerifyMessage,
+};
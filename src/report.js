@@ -0,0 +1,297 @@
+/**
+ * src/report.js
+ *
+ * Gas-per-CID comparison between CIDBatchLog and the two HTLC baselines,
+ * computed from benchmark result records (src/results.js / src/logparse.js)
+ * and rendered as a standalone SVG chart and an HTML report.
+ *
+ * Gas per CID:
+ *   - CIDBatchLog: (create + release + verifyCIDs + verifyMessage) / batch size,
+ *     averaged over the runs for each batch size. Single-CID verifyCIDProof
+ *     calls are optional and left out.
+ *   - HashedTimelock / HashedTimelockLog: total gas of all successful
+ *     transactions / number of contracts created (one CID per contract).
+ */
+
+const CREATE_OPERATIONS = {
+  createBatch: "CIDBatchLog (batched)",
+  createMerkleBatch: "CIDBatchLog (merkle)",
+  createSortedBatch: "CIDBatchLog (sorted)",
+  createStrictBatch: "CIDBatchLog (strict)",
+};
+
+const HTLC_LABELS = {
+  HashedTimelock: "HTLC (ETH transfer)",
+  HashedTimelockLog: "HTLC (logging-only)",
+};
+
+const COLORS = ["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd"];
+
+/* ───────────── Aggregation ───────────── */
+
+/**
+ * Split CIDBatchLog records into runs, one per batch: records carrying a
+ * batchId are grouped by it, so a chunked set's releases and verifies stay
+ * with their own chunk. Records without one (converted text logs) go to the
+ * run of the create before them. Batches created by any other create*
+ * operation, e.g. createMultiBatch, are left out.
+ */
+function batchRuns(records) {
+  const runs = [];
+  const byBatch = new Map();
+  let run = null;
+  for (const r of records) {
+    if (r.contract !== "CIDBatchLog" || !r.success) continue;
+    const key = r.batchId ? r.batchId.toLowerCase() : null;
+    if (r.operation.startsWith("create")) {
+      run = CREATE_OPERATIONS[r.operation]
+        ? { kind: r.operation, batchSize: r.batchSize, gas: 0, ops: {} }
+        : null;
+      if (run) runs.push(run);
+      if (key) byBatch.set(key, run);
+    }
+    const target = key ? byBatch.get(key) : run;
+    if (!target || r.operation === "verifyCIDProof") continue;
+    target.gas += r.gasUsed;
+    target.ops[r.operation] = (target.ops[r.operation] || 0) + r.gasUsed;
+  }
+  return runs;
+}
+
+/**
+ * @param {object[]} records result records, in the order they were produced
+ * @return {{ batch: object[], htlc: object[] }}
+ *   batch: [{ label, points: [{ batchSize, runs, totalGas, gasPerCID }] }]
+ *   htlc:  [{ contract, label, contracts, totalGas, gasPerCID, operations }]
+ */
+function computeGasPerCID(records) {
+  const series = new Map();
+  for (const run of batchRuns(records)) {
+    const label = CREATE_OPERATIONS[run.kind];
+    if (!series.has(label)) series.set(label, new Map());
+    const bySize = series.get(label);
+    const agg = bySize.get(run.batchSize) || { runs: 0, gas: 0 };
+    agg.runs++;
+    agg.gas += run.gas;
+    bySize.set(run.batchSize, agg);
+  }
+
+  const batch = Array.from(series, ([label, bySize]) => ({
+    label,
+    points: Array.from(bySize, ([batchSize, agg]) => ({
+      batchSize,
+      runs: agg.runs,
+      totalGas: Math.round(agg.gas / agg.runs),
+      gasPerCID: agg.gas / agg.runs / batchSize,
+    })).sort((a, b) => a.batchSize - b.batchSize),
+  }));
+
+  const htlc = [];
+  for (const contract of Object.keys(HTLC_LABELS)) {
+    const ok = records.filter((r) => r.contract === contract && r.success);
+    const created = ok.filter((r) => r.operation === "newContract").length;
+    if (created === 0) continue;
+
+    const operations = {};
+    for (const r of ok) {
+      const o = operations[r.operation] || { count: 0, gas: 0 };
+      o.count++;
+      o.gas += r.gasUsed;
+      operations[r.operation] = o;
+    }
+    const totalGas = ok.reduce((sum, r) => sum + r.gasUsed, 0);
+    htlc.push({
+      contract,
+      label: HTLC_LABELS[contract],
+      contracts: created,
+      totalGas,
+      gasPerCID: totalGas / created,
+      operations,
+    });
+  }
+
+  return { batch, htlc };
+}
+
+/* ───────────── SVG ───────────── */
+
+function niceStep(range, targetTicks) {
+  const raw = range / targetTicks;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const norm = raw / mag;
+  const step = norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10;
+  return step * mag;
+}
+
+function escapeXML(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Line chart of kGas per CID against batch size, in the layout of the
+ * original notebook figure.
+ */
+function renderSVG(summary, opts = {}) {
+  const width = opts.width || 960;
+  const height = opts.height || 480;
+  const m = { top: 20, right: 240, bottom: 60, left: 80 };
+  const plotW = width - m.left - m.right;
+  const plotH = height - m.top - m.bottom;
+
+  const allSizes = summary.batch.flatMap((s) => s.points.map((p) => p.batchSize));
+  const xMax = Math.max(1, ...allSizes);
+  const yValues = [
+    ...summary.batch.flatMap((s) => s.points.map((p) => p.gasPerCID / 1000)),
+    ...summary.htlc.map((h) => h.gasPerCID / 1000),
+  ];
+  const yStep = niceStep(Math.max(1, ...yValues), 6);
+  const yMax = Math.ceil((Math.max(1, ...yValues) * 1.05) / yStep) * yStep;
+  const xStep = niceStep(xMax, 10);
+
+  const x = (v) => +(m.left + (v / xMax) * plotW).toFixed(2);
+  const y = (v) => +(m.top + plotH - (v / yMax) * plotH).toFixed(2);
+  const out = [];
+
+  out.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="12">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+  );
+
+  // grid + ticks
+  for (let v = 0; v <= yMax + 1e-9; v += yStep) {
+    out.push(
+      `<line x1="${m.left}" x2="${m.left + plotW}" y1="${y(v)}" y2="${y(v)}" stroke="#ddd" stroke-dasharray="4 4"/>`,
+      `<text x="${m.left - 8}" y="${y(v) + 4}" text-anchor="end">${+v.toFixed(2)}</text>`,
+    );
+  }
+  for (let v = 0; v <= xMax + 1e-9; v += xStep) {
+    out.push(
+      `<line x1="${x(v)}" x2="${x(v)}" y1="${m.top}" y2="${m.top + plotH}" stroke="#ddd" stroke-dasharray="4 4"/>`,
+      `<text x="${x(v)}" y="${m.top + plotH + 18}" text-anchor="middle">${+v.toFixed(2)}</text>`,
+    );
+  }
+  out.push(
+    `<rect x="${m.left}" y="${m.top}" width="${plotW}" height="${plotH}" fill="none" stroke="#333"/>`,
+    `<text x="${m.left + plotW / 2}" y="${height - 15}" text-anchor="middle" font-size="14">Number of CIDs Exchanged</text>`,
+    `<text transform="translate(20 ${m.top + plotH / 2}) rotate(-90)" text-anchor="middle" font-size="14">Gas Consumption per Swapped CID (kGas)</text>`,
+  );
+
+  const legend = [];
+  let colorIdx = 0;
+
+  // HTLC reference lines
+  for (const h of summary.htlc) {
+    const color = COLORS[colorIdx++ % COLORS.length];
+    const v = h.gasPerCID / 1000;
+    out.push(
+      `<line x1="${x(Math.min(1, xMax))}" x2="${x(xMax)}" y1="${y(v)}" y2="${y(v)}" stroke="${color}" stroke-width="2" stroke-dasharray="8 5"/>`,
+    );
+    legend.push({ label: h.label, color, dashed: true });
+  }
+
+  // CIDBatchLog curves
+  for (const s of summary.batch) {
+    const color = COLORS[colorIdx++ % COLORS.length];
+    const pts = s.points.map((p) => `${x(p.batchSize)},${y(p.gasPerCID / 1000)}`);
+    out.push(
+      `<polyline points="${pts.join(" ")}" fill="none" stroke="${color}" stroke-width="3"/>`,
+      ...s.points.map(
+        (p) =>
+          `<circle cx="${x(p.batchSize)}" cy="${y(p.gasPerCID / 1000)}" r="4" fill="${color}"/>`,
+      ),
+    );
+    legend.push({ label: s.label, color, dashed: false });
+  }
+
+  legend.forEach((l, i) => {
+    const ly = m.top + 10 + i * 24;
+    const lx = m.left + plotW + 20;
+    out.push(
+      `<line x1="${lx}" x2="${lx + 30}" y1="${ly}" y2="${ly}" stroke="${l.color}" stroke-width="${l.dashed ? 2 : 3}"${l.dashed ? ' stroke-dasharray="8 5"' : ""}/>`,
+      `<text x="${lx + 38}" y="${ly + 4}" font-size="13">${escapeXML(l.label)}</text>`,
+    );
+  });
+
+  out.push("</svg>");
+  return out.join("\n") + "\n";
+}
+
+/* ───────────── HTML ───────────── */
+
+function fmt(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+function renderHTML(summary, opts = {}) {
+  const title = opts.title || "CIDBatchLog gas per CID";
+  const sources = opts.sources || [];
+  const rows = [];
+
+  rows.push(`<h2>HTLC baselines</h2>`);
+  rows.push(
+    `<table><tr><th>Contract</th><th>Contracts</th><th>Operations (avg gas)</th><th>Total gas</th><th>Gas per CID</th></tr>`,
+  );
+  for (const h of summary.htlc) {
+    const ops = Object.entries(h.operations)
+      .map(([op, o]) => `${op}: ${fmt(o.gas / o.count)} (×${o.count})`)
+      .join("<br>");
+    rows.push(
+      `<tr><td>${escapeXML(h.label)}</td><td>${h.contracts}</td><td>${ops}</td><td>${fmt(h.totalGas)}</td><td>${fmt(h.gasPerCID)}</td></tr>`,
+    );
+  }
+  rows.push(`</table>`);
+
+  for (const s of summary.batch) {
+    rows.push(`<h2>${escapeXML(s.label)}</h2>`);
+    rows.push(
+      `<table><tr><th>CIDs</th><th>Runs</th><th>Total gas (avg)</th><th>Gas per CID</th>${summary.htlc
+        .map((h) => `<th>vs ${escapeXML(h.label)}</th>`)
+        .join("")}</tr>`,
+    );
+    for (const p of s.points) {
+      const ratios = summary.htlc
+        .map((h) => `<td>${((p.gasPerCID / h.gasPerCID) * 100).toFixed(1)}%</td>`)
+        .join("");
+      rows.push(
+        `<tr><td>${p.batchSize}</td><td>${p.runs}</td><td>${fmt(p.totalGas)}</td><td>${fmt(p.gasPerCID)}</td>${ratios}</tr>`,
+      );
+    }
+    rows.push(`</table>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeXML(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }
+  th { background: #f4f4f4; }
+  td:first-child { text-align: left; }
+</style>
+</head>
+<body>
+<h1>${escapeXML(title)}</h1>
+<p>Generated ${new Date().toISOString()}</p>
+${renderSVG(summary)}
+${rows.join("\n")}
+<h2>Sources</h2>
+<ul>
+${sources.map((s) => `<li>${escapeXML(s)}</li>`).join("\n")}
+</ul>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  computeGasPerCID,
+  renderSVG,
+  renderHTML,
+};
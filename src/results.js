@@ -0,0 +1,163 @@
+/**
+ * src/results.js
+ *
+ * Machine-readable benchmark results. Every transaction a benchmark sends is
+ * recorded once, to both <base>.jsonl and <base>.csv, with the fields in
+ * RESULT_FIELDS. src/logparse.js produces the same records from the older
+ * free-form text logs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { revertReason } = require("./errors");
+
+const RESULT_FIELDS = [
+  "timestamp",
+  "contract",
+  "operation",
+  "batchSize",
+  // CIDBatchLog batch the transaction acted on; src/report.js groups by it
+  "batchId",
+  "gasUsed",
+  "calldataBytes",
+  "blockNumber",
+  "txHash",
+  "latencyMs",
+  "success",
+  "revertReason",
+  // Failure injection (src/faults.js): would src/precheck.js have caught it
+  "caughtLocally",
+];
+
+function normalizeRecord(rec) {
+  const out = {};
+  for (const f of RESULT_FIELDS) out[f] = rec[f] === undefined ? null : rec[f];
+  if (out.timestamp === null) out.timestamp = new Date().toISOString();
+  if (out.success === null) out.success = true;
+  return out;
+}
+
+function csvCell(value) {
+  if (value === null) return "";
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCSV(records) {
+  const lines = [RESULT_FIELDS.join(",")];
+  for (const r of records) {
+    lines.push(RESULT_FIELDS.map((f) => csvCell(r[f])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function toJSONL(records) {
+  return records.map((r) => JSON.stringify(r) + "\n").join("");
+}
+
+class ResultsWriter {
+  /**
+   * @param {string} basePath output path without extension
+   * @param {object} [opts]
+   * @param {object} [opts.web3] used to look up calldata size per tx
+   */
+  constructor(basePath, opts = {}) {
+    this.jsonlPath = basePath + ".jsonl";
+    this.csvPath = basePath + ".csv";
+    this.web3 = opts.web3 || null;
+
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+    fs.writeFileSync(this.jsonlPath, "", { encoding: "utf8" });
+    fs.writeFileSync(this.csvPath, RESULT_FIELDS.join(",") + "\n", {
+      encoding: "utf8",
+    });
+  }
+
+  record(rec) {
+    const r = normalizeRecord(rec);
+    fs.appendFileSync(this.jsonlPath, JSON.stringify(r) + "\n", {
+      encoding: "utf8",
+    });
+    fs.appendFileSync(
+      this.csvPath,
+      RESULT_FIELDS.map((f) => csvCell(r[f])).join(",") + "\n",
+      { encoding: "utf8" },
+    );
+    return r;
+  }
+
+  /**
+   * Send a transaction and record it. Accepts both truffle results
+   * ({ tx, receipt }) and CIDBatchLogClient results ({ txHash, gasUsed,
+   * blockNumber }). Failures are recorded and re-thrown. The batchId comes
+   * from `meta` or, for a create, from the client result.
+   *
+   * @param {{ contract: string, operation: string, batchSize?: number, batchId?: string }} meta
+   * @param {() => Promise<object>} send
+   */
+  async measure(meta, send) {
+    const started = Date.now();
+    let result;
+    try {
+      result = await send();
+    } catch (err) {
+      this.record({
+        ...meta,
+        latencyMs: Date.now() - started,
+        gasUsed: err.receipt ? err.receipt.gasUsed : null,
+        success: false,
+        revertReason: revertReason(err) || String(err.message || err),
+      });
+      throw err;
+    }
+    const latencyMs = Date.now() - started;
+
+    const txHash = result.tx || result.txHash;
+    const receipt = result.receipt || {};
+    this.record({
+      batchId: result.batchId,
+      ...meta,
+      gasUsed: receipt.gasUsed != null ? receipt.gasUsed : result.gasUsed,
+      blockNumber:
+        receipt.blockNumber != null ? receipt.blockNumber : result.blockNumber,
+      txHash,
+      calldataBytes: await this._calldataBytes(txHash),
+      latencyMs,
+      success: true,
+    });
+    return result;
+  }
+
+  async _calldataBytes(txHash) {
+    if (!this.web3 || !txHash) return null;
+    const tx = await this.web3.eth.getTransaction(txHash);
+    return tx && tx.input ? (tx.input.length - 2) / 2 : null;
+  }
+}
+
+// Writes a complete record set in one go (used for converted logs)
+function writeResults(basePath, records) {
+  const normalized = records.map(normalizeRecord);
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+  fs.writeFileSync(basePath + ".jsonl", toJSONL(normalized), {
+    encoding: "utf8",
+  });
+  fs.writeFileSync(basePath + ".csv", toCSV(normalized), { encoding: "utf8" });
+}
+
+function readResults(jsonlPath) {
+  return fs
+    .readFileSync(jsonlPath, "utf8")
+    .split("\n")
+    .filter((l) => l.trim())
+    .map((l) => JSON.parse(l));
+}
+
+module.exports = {
+  RESULT_FIELDS,
+  ResultsWriter,
+  writeResults,
+  readResults,
+  toCSV,
+};
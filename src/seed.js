@@ -0,0 +1,131 @@
+/**
+ * src/seed.js
+ *
+ * Seeded generation of benchmark inputs (CIDs, messages, preimages) so a run
+ * can be reproduced exactly. Bytes come from sha256(seed ":" counter), read
+ * as one continuous stream.
+ *
+ * Each benchmark writes "Seed: <seed>" into its log header; readSeed() gets
+ * it back so the same inputs can be regenerated from a log file. For a
+ * `--replay <log>` option, replaySeed() reads the seed, checkReplay() fails
+ * unless the regenerated inputs are the logged ones, and the rerun is
+ * written to replayDir(), next to the log instead of over it.
+ *
+ *   const rng = new SeededRandom(seed).fork("cidbatchlog:10:1");
+ *   const cids = Array.from({ length: 10 }, () => rng.bytes32());
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const SEED_RE = /^Seed: (\S+)\s*$/m;
+
+class SeededRandom {
+  constructor(seed) {
+    if (seed === undefined || seed === null || String(seed) === "") {
+      throw new Error("seed must not be empty");
+    }
+    this.seed = String(seed);
+    this._counter = 0;
+    this._buf = Buffer.alloc(0);
+  }
+
+  bytes(n) {
+    while (this._buf.length < n) {
+      const block = crypto
+        .createHash("sha256")
+        .update(`${this.seed}:${this._counter++}`)
+        .digest();
+      this._buf = Buffer.concat([this._buf, block]);
+    }
+    const out = this._buf.subarray(0, n);
+    this._buf = this._buf.subarray(n);
+    return Buffer.from(out);
+  }
+
+  // 0x-prefixed hex string of n random bytes (like web3.utils.randomHex)
+  hex(n) {
+    return "0x" + this.bytes(n).toString("hex");
+  }
+
+  bytes32() {
+    return this.hex(32);
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    if (!Number.isInteger(max) || max <= 0) {
+      throw new Error(`int(max): max must be a positive integer, got ${max}`);
+    }
+    return this.bytes(6).readUIntBE(0, 6) % max;
+  }
+
+  /**
+   * Independent stream for one part of a run, so e.g. the 10-CID batch of
+   * a run does not depend on which sizes ran before it.
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}/${label}`);
+  }
+}
+
+function randomSeed() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+// `--seed` if given, otherwise a fresh one
+function resolveSeed(value) {
+  return value === undefined || value === true ? randomSeed() : String(value);
+}
+
+function seedLine(seed) {
+  return `Seed: ${seed}`;
+}
+
+// Seed recorded in a log's header, or null for logs written before seeding
+function readSeed(text) {
+  const m = text.match(SEED_RE);
+  return m ? m[1] : null;
+}
+
+// Seed of the run recorded in a log file, for `--replay <log>`
+function replaySeed(logPath) {
+  if (typeof logPath !== "string") throw new Error("--replay needs a log file");
+  const seed = readSeed(fs.readFileSync(logPath, "utf8"));
+  if (!seed) throw new Error(`${logPath}: no "Seed:" header (written before seeded runs)`);
+  return seed;
+}
+
+// Where a replay of `logPath` writes its log and results: <log dir>/replay/
+function replayDir(logPath) {
+  return path.join(path.dirname(path.resolve(logPath)), "replay");
+}
+
+/**
+ * Throws unless the "<label>: <value>" lines of a log list exactly `values`,
+ * in order, e.g. checkReplay(log, "preimage32", preimages).
+ */
+function checkReplay(logPath, label, values) {
+  const prefix = `] ${label}: `;
+  const logged = fs
+    .readFileSync(logPath, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.includes(prefix))
+    .map((line) => line.slice(line.indexOf(prefix) + prefix.length).trim().toLowerCase());
+  const expected = values.map((v) => String(v).toLowerCase());
+  if (logged.length !== expected.length || logged.some((v, i) => v !== expected[i])) {
+    throw new Error(`${logPath}: regenerated ${label} values do not match the log`);
+  }
+}
+
+module.exports = {
+  SeededRandom,
+  randomSeed,
+  resolveSeed,
+  seedLine,
+  readSeed,
+  replaySeed,
+  replayDir,
+  checkReplay,
+};
@@ -0,0 +1,496 @@
+/**
+ * src/watcher.js
+ *
+ * Receiver-side watch service: follows CIDBatchLog for batches addressed to
+ * a set of receiver accounts and verifies each one as soon as its aggregate
+ * is released, instead of someone running `cidbatch verify` by hand.
+ *
+ * Each poll:
+ *   - scans the contract's events up to `confirmations` blocks below the
+ *     head (getPastEvents in fixed-size ranges, as src/indexer.js does) and
+ *     tracks every BatchCreated / ReceiversListed naming a watched receiver,
+ *   - on AggregateReleased, matches the batch to a locally held CID list
+ *     (CIDLibrary: same count and aggregate hash, in the batch's mode) and
+ *     checks it off-chain with the pre-checks of src/precheck.js,
+ *   - with `submit`, sends verifyCIDs from the receiver and, when the batch
+ *     has a messageHash and the receiver's key is configured, decrypts the
+ *     posted message (store first, then chain) and sends verifyMessage.
+ *
+ * Progress (last scanned block and every tracked batch) is saved to a
+ * FileStore after each range and each batch, so a restart resumes where it
+ * stopped. Only confirmed blocks are scanned, so a reorg above the
+ * confirmation depth is never seen and nothing has to be rolled back. A
+ * batch whose list is not in the library yet stays "unmatched" and is
+ * retried on every poll; so is a message that was not posted yet, and a
+ * batch whose processing failed for any reason other than a revert or a
+ * bad message (reported as an "error" event with its batchId).
+ *
+ * It polls rather than subscribing: that works over plain HTTP providers,
+ * and catching up after a restart is then the same code path as a poll.
+ *
+ *   const watcher = new ReceiverWatcher({
+ *     client, receivers: [{ address }], library: CIDLibrary.fromDir("cids"),
+ *     store: new FileStore("watch/5777.json", EMPTY_WATCH_STATE), submit: true,
+ *   });
+ *   await watcher.run();   // until watcher.stop()
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { ZERO_BYTES32, canonicalizeCIDs, computeAggregate } = require("./batch");
+const { parseCIDList } = require("./cid");
+const { RevertError, DecryptionError, MessageMismatchError } = require("./errors");
+const { precheckVerifyCIDs } = require("./precheck");
+
+const DEFAULT_CONFIRMATIONS = 2;
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_POLL_SECONDS = 15;
+
+const EMPTY_WATCH_STATE = { lastBlock: -1, batches: {} };
+
+// Per-receiver outcomes after which a batch needs nothing more
+const FINAL_VERIFY = ["ready", "verified", "failed"];
+const FINAL_MESSAGE = ["none", "no key", "ready", "verified", "failed"];
+
+function sameAddress(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function errorMessage(err) {
+  return String((err && err.message) || err);
+}
+
+/* ───────────── CID library ───────────── */
+
+/**
+ * The CID lists a receiver holds, by name. A batch matches a list with the
+ * same number of CIDs whose aggregate, computed in the batch's mode, equals
+ * the batch's aggregateHash.
+ */
+class CIDLibrary {
+  constructor() {
+    this.lists = new Map();
+    // "<name>:<mode>" -> aggregate hash
+    this._aggregates = new Map();
+    // Directory files: name -> { mtimeMs, size }
+    this._files = new Map();
+    this.problems = new Map();
+    this.dir = null;
+  }
+
+  // Every regular file in `dir` is read as a CIDs file (see parseCIDList)
+  static fromDir(dir) {
+    const library = new CIDLibrary();
+    library.dir = dir;
+    library.reload();
+    return library;
+  }
+
+  add(name, cids) {
+    this.lists.set(name, cids);
+    for (const key of this._aggregates.keys()) {
+      if (key.startsWith(`${name}:`)) this._aggregates.delete(key);
+    }
+    return this;
+  }
+
+  /**
+   * Re-reads the directory: new and changed files are parsed, removed ones
+   * dropped. Files that don't parse are skipped and listed in `problems`.
+   * @return {string[]} names added or changed
+   */
+  reload() {
+    if (!this.dir) return [];
+    const changed = [];
+    const names = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir).filter((f) => !f.startsWith("."))
+      : [];
+    for (const name of names) {
+      const file = path.join(this.dir, name);
+      const stat = fs.statSync(file);
+      if (!stat.isFile()) continue;
+      const seen = this._files.get(name);
+      if (seen && seen.mtimeMs === stat.mtimeMs && seen.size === stat.size) continue;
+      this._files.set(name, { mtimeMs: stat.mtimeMs, size: stat.size });
+      try {
+        this.add(name, parseCIDList(fs.readFileSync(file, "utf8")));
+        this.problems.delete(name);
+        changed.push(name);
+      } catch (err) {
+        this.lists.delete(name);
+        this.problems.set(name, errorMessage(err));
+      }
+    }
+    for (const name of [...this._files.keys()]) {
+      if (names.includes(name)) continue;
+      this._files.delete(name);
+      this.lists.delete(name);
+      this.problems.delete(name);
+    }
+    return changed;
+  }
+
+  /**
+   * @param {object} b batch as decoded by CIDBatchLogClient.getBatch
+   * @return {{ name: string, cids: string[] }|null}
+   */
+  match(b) {
+    for (const [name, cids] of this.lists) {
+      if (cids.length !== b.cidCount) continue;
+      const key = `${name}:${b.mode}`;
+      if (!this._aggregates.has(key)) this._aggregates.set(key, computeAggregate(cids, b.mode));
+      if (this._aggregates.get(key).toLowerCase() === b.aggregateHash.toLowerCase()) {
+        return { name, cids };
+      }
+    }
+    return null;
+  }
+}
+
+/* ───────────── Watcher ───────────── */
+
+class ReceiverWatcher {
+  /**
+   * @param {object} opts
+   * @param {object} opts.client CIDBatchLogClient
+   * @param {object[]} opts.receivers { address, privateKey? } per watched
+   *   account; privateKey only decrypts messages, transactions are sent
+   *   from `address` through the node
+   * @param {CIDLibrary} opts.library
+   * @param {FileStore} opts.store created with EMPTY_WATCH_STATE
+   * @param {boolean} [opts.submit=false] send verifyCIDs / verifyMessage;
+   *   otherwise batches that check out are only marked "ready"
+   * @param {object} [opts.messageStore] MessageStore searched before the chain
+   * @param {number} [opts.confirmations=2] blocks an event must be buried by
+   * @param {number} [opts.chunkSize=1000] blocks per getPastEvents call
+   * @param {number} [opts.startBlock=0] first block to scan on a fresh store
+   * @param {number} [opts.pollSeconds=15] pause between polls in run()
+   * @param {function(object)} [opts.onEvent] called with { type, batchId, ... }
+   *   for everything the watcher does
+   */
+  constructor(opts) {
+    this.client = opts.client;
+    this.receivers = opts.receivers;
+    this.library = opts.library;
+    this.store = opts.store;
+    this.submit = Boolean(opts.submit);
+    this.messageStore = opts.messageStore || null;
+    this.confirmations =
+      opts.confirmations != null ? opts.confirmations : DEFAULT_CONFIRMATIONS;
+    this.chunkSize = opts.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.pollSeconds = opts.pollSeconds != null ? opts.pollSeconds : DEFAULT_POLL_SECONDS;
+    this.onEvent = opts.onEvent || (() => {});
+
+    this.state = this.store.load();
+    const startBlock = opts.startBlock || 0;
+    if (this.state.lastBlock < startBlock - 1) this.state.lastBlock = startBlock - 1;
+    this._stopped = false;
+    this._timer = null;
+    this._wake = null;
+  }
+
+  // Tracked batches, oldest first
+  get batches() {
+    return Object.values(this.state.batches).sort((a, b) => a.createdBlock - b.createdBlock);
+  }
+
+  getBatch(batchId) {
+    return this.state.batches[batchId.toLowerCase()] || null;
+  }
+
+  /**
+   * Scans the confirmed blocks not seen yet, then works through every
+   * released batch that still needs something.
+   * @return {Promise<{ fromBlock: number, toBlock: number, processed: number }>}
+   */
+  async poll() {
+    for (const name of this.library.reload()) this.onEvent({ type: "list-loaded", name });
+
+    const head = await this.client.web3.eth.getBlockNumber();
+    const safe = head - this.confirmations;
+    const fromBlock = this.state.lastBlock + 1;
+    for (let start = fromBlock; start <= safe; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, safe);
+      const events = await this.client.contract.getPastEvents("allEvents", {
+        fromBlock: start,
+        toBlock: end,
+      });
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+      for (const e of events) this._apply(e);
+      this.state.lastBlock = end;
+      this.store.save(this.state);
+    }
+
+    let processed = 0;
+    for (const entry of this.batches) {
+      if (!this._needsWork(entry)) continue;
+      try {
+        await this._process(entry);
+        processed++;
+      } catch (err) {
+        // Reported and retried on the next poll; the batches after it still run
+        this.onEvent({ type: "error", batchId: entry.batchId, error: errorMessage(err) });
+      }
+      this.store.save(this.state);
+    }
+    return { fromBlock, toBlock: Math.max(safe, this.state.lastBlock), processed };
+  }
+
+  // Polls until stop(); a failed poll is reported and retried on the next one
+  async run() {
+    this._stopped = false;
+    while (!this._stopped) {
+      try {
+        await this.poll();
+      } catch (err) {
+        this.onEvent({ type: "error", error: errorMessage(err) });
+      }
+      if (this._stopped) break;
+      await new Promise((resolve) => {
+        this._wake = resolve;
+        this._timer = setTimeout(resolve, this.pollSeconds * 1000);
+      });
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    if (this._wake) this._wake();
+  }
+
+  /* ───────────── Internals ───────────── */
+
+  // Released and not finished, or checked earlier without submit and now submitting
+  _needsWork(entry) {
+    if (entry.status === "released" || entry.status === "unmatched") return true;
+    return (
+      entry.status === "done" &&
+      this.submit &&
+      Object.values(entry.receivers).some((r) => r.verify === "ready" || r.message === "ready")
+    );
+  }
+
+  _watched(address) {
+    return this.receivers.find((r) => sameAddress(r.address, address)) || null;
+  }
+
+  _track(e, receivers) {
+    const batchId = e.returnValues.batchId;
+    const entry = this.state.batches[batchId.toLowerCase()] || {
+      batchId,
+      status: "created",
+      createdBlock: e.blockNumber,
+      releasedBlock: null,
+      list: null,
+      reason: null,
+      receivers: {},
+    };
+    for (const r of receivers) {
+      if (entry.receivers[r.address.toLowerCase()]) continue;
+      entry.receivers[r.address.toLowerCase()] = {
+        address: r.address,
+        verify: "pending",
+        verifyTx: null,
+        message: "pending",
+        messageTx: null,
+        reason: null,
+      };
+    }
+    this.state.batches[batchId.toLowerCase()] = entry;
+    this.onEvent({ type: "tracked", batchId, receivers: receivers.map((r) => r.address) });
+  }
+
+  _apply(e) {
+    const v = e.returnValues;
+    if (e.event === "BatchCreated") {
+      const r = this._watched(v.receiver);
+      if (r) this._track(e, [r]);
+      return;
+    }
+    if (e.event === "ReceiversListed") {
+      const watched = v.receivers.map((a) => this._watched(a)).filter(Boolean);
+      if (watched.length > 0) this._track(e, watched);
+      return;
+    }
+
+    const entry = v.batchId ? this.getBatch(v.batchId) : null;
+    if (!entry) return;
+    if (e.event === "AggregateReleased" && entry.status === "created") {
+      entry.status = "released";
+      entry.releasedBlock = e.blockNumber;
+      this.onEvent({ type: "released", batchId: entry.batchId, blockNumber: e.blockNumber });
+    } else if (
+      (e.event === "BatchCancelled" || e.event === "BatchExpired") &&
+      entry.status !== "done"
+    ) {
+      this._close(entry, e.event === "BatchCancelled" ? "batch cancelled" : "batch expired");
+    }
+  }
+
+  _close(entry, reason) {
+    entry.status = "closed";
+    entry.reason = reason;
+    this.onEvent({ type: "closed", batchId: entry.batchId, reason });
+  }
+
+  async _process(entry) {
+    const { batchId } = entry;
+    const b = await this.client.getBatch(batchId);
+    if (b.status === "cancelled" || b.status === "expired") {
+      this._close(entry, `batch ${b.status}`);
+      return;
+    }
+
+    const match = this.library.match(b);
+    if (!match) {
+      if (entry.status !== "unmatched") {
+        this.onEvent({ type: "unmatched", batchId, cidCount: b.cidCount, mode: b.mode });
+      }
+      entry.status = "unmatched";
+      return;
+    }
+    if (entry.list !== match.name) {
+      entry.list = match.name;
+      this.onEvent({ type: "matched", batchId, list: match.name });
+    }
+    entry.status = "released";
+
+    const cids = b.mode === "sorted" ? canonicalizeCIDs(match.cids) : match.cids;
+    for (const r of Object.values(entry.receivers)) {
+      await this._verifyCIDs(entry, b, r, cids);
+      if (r.verify !== "failed") await this._verifyMessage(entry, b, r);
+    }
+
+    const done = Object.values(entry.receivers).every(
+      (r) =>
+        FINAL_VERIFY.includes(r.verify) &&
+        (r.verify === "failed" || FINAL_MESSAGE.includes(r.message)),
+    );
+    if (done) entry.status = "done";
+  }
+
+  async _verifyCIDs(entry, b, r, cids) {
+    if (r.verify === "verified" || r.verify === "failed") return;
+    if (r.verify === "ready" && !this.submit) return;
+
+    const onChain = b.receivers.find((x) => sameAddress(x.address, r.address));
+    if (onChain && onChain.verified) {
+      r.verify = "verified";
+      this.onEvent({ type: "verified", batchId: entry.batchId, receiver: r.address, txHash: null });
+      return;
+    }
+
+    const reason = precheckVerifyCIDs(b, cids, r.address);
+    if (reason) {
+      this._fail(entry, r, "verify", reason);
+      return;
+    }
+    if (!this.submit) {
+      r.verify = "ready";
+      this.onEvent({ type: "ready", batchId: entry.batchId, receiver: r.address });
+      return;
+    }
+    try {
+      const tx = await this.client.verifyCIDs(entry.batchId, cids, { from: r.address });
+      r.verify = "verified";
+      r.verifyTx = tx.txHash;
+      this.onEvent({
+        type: "verified",
+        batchId: entry.batchId,
+        receiver: r.address,
+        txHash: tx.txHash,
+        gasUsed: tx.gasUsed,
+      });
+    } catch (err) {
+      // Anything but a revert (node down, nonce) is retried on the next poll
+      if (!(err instanceof RevertError)) throw err;
+      this._fail(entry, r, "verify", err.reason || errorMessage(err));
+    }
+  }
+
+  async _verifyMessage(entry, b, r) {
+    if (FINAL_MESSAGE.includes(r.message) && !(r.message === "ready" && this.submit)) return;
+    if (b.messageHash === ZERO_BYTES32) {
+      r.message = "none";
+      return;
+    }
+    const { privateKey } = this._watched(r.address) || {};
+    if (!privateKey) {
+      r.message = "no key";
+      return;
+    }
+
+    let fetched;
+    try {
+      fetched = await this.client.fetchMessage(entry.batchId, {
+        privateKey,
+        store: this.messageStore,
+      });
+    } catch (err) {
+      if (
+        err instanceof RevertError ||
+        err instanceof DecryptionError ||
+        err instanceof MessageMismatchError
+      ) {
+        this._fail(entry, r, "message", errorMessage(err));
+        return;
+      }
+      throw err;
+    }
+    if (!fetched) {
+      if (r.message !== "waiting") {
+        this.onEvent({ type: "message-waiting", batchId: entry.batchId, receiver: r.address });
+      }
+      r.message = "waiting";
+      return;
+    }
+    if (!this.submit) {
+      r.message = "ready";
+      this.onEvent({
+        type: "message-ready",
+        batchId: entry.batchId,
+        receiver: r.address,
+        source: fetched.source,
+      });
+      return;
+    }
+    try {
+      const tx = await this.client.verifyMessage(entry.batchId, fetched.message, { from: r.address });
+      r.message = "verified";
+      r.messageTx = tx.txHash;
+      this.onEvent({
+        type: "message-verified",
+        batchId: entry.batchId,
+        receiver: r.address,
+        source: fetched.source,
+        txHash: tx.txHash,
+      });
+    } catch (err) {
+      if (!(err instanceof RevertError)) throw err;
+      this._fail(entry, r, "message", err.reason || errorMessage(err));
+    }
+  }
+
+  _fail(entry, r, step, reason) {
+    r[step] = "failed";
+    r.reason = reason;
+    this.onEvent({ type: `${step}-failed`, batchId: entry.batchId, receiver: r.address, reason });
+  }
+}
+
+/* ───────────── Setup helpers ───────────── */
+
+function defaultWatchPath(networkId) {
+  return path.join(__dirname, "..", "watch", `${networkId}.json`);
+}
+
+module.exports = {
+  CIDLibrary,
+  ReceiverWatcher,
+  EMPTY_WATCH_STATE,
+  defaultWatchPath,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_POLL_SECONDS,
+};
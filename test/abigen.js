@@ -0,0 +1,99 @@
+/**
+ * test/abigen.js
+ *
+ * ABI drift check (src/abigen.js): added, removed and changed entries between
+ * a committed module and the compiled artifact, and modules left over from a
+ * contract that no longer compiles.
+ *
+ * Run:
+ *   truffle test test/abigen.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { writeModules, diffABI, checkDrift } = require("../src/abigen");
+
+const getBatch = {
+  type: "function",
+  name: "getBatch",
+  inputs: [{ name: "_batchId", type: "bytes32" }],
+  outputs: [{ name: "sender", type: "address" }],
+  stateMutability: "view",
+};
+const released = {
+  type: "event",
+  name: "AggregateReleased",
+  inputs: [{ name: "batchId", type: "bytes32", indexed: true }],
+  anonymous: false,
+};
+const constructor = { type: "constructor", inputs: [], stateMutability: "nonpayable" };
+
+describe("diffABI", () => {
+  it("finds nothing between equal ABIs", () => {
+    assert.deepEqual(diffABI([getBatch, released], [released, getBatch]), []);
+  });
+
+  it("lists added, changed and removed entries by signature", () => {
+    const view = { ...getBatch, outputs: [...getBatch.outputs, { name: "receiver", type: "address" }] };
+    const overload = { ...getBatch, inputs: [...getBatch.inputs, { name: "_index", type: "uint256" }] };
+
+    assert.deepEqual(diffABI([getBatch, released], [view, overload, constructor]), [
+      "~ function getBatch(bytes32)",
+      "+ function getBatch(bytes32,uint256)",
+      "+ constructor()",
+      "- event AggregateReleased(bytes32)",
+    ]);
+  });
+});
+
+describe("checkDrift", () => {
+  let dir;
+  let abiDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-abi-"));
+    abiDir = path.join(dir, "abi");
+    writeModules(
+      [
+        { contractName: "CIDBatchLog", abi: [getBatch, released], networks: {} },
+        { contractName: "Retired", abi: [constructor], networks: {} },
+      ],
+      abiDir,
+      path.join(dir, "abi.js"),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("passes compiled artifacts that match the committed modules", () => {
+    const networks = { 5777: { address: "0x" + "11".repeat(20), transactionHash: null } };
+    const result = checkDrift(
+      [
+        { contractName: "CIDBatchLog", abi: [released, getBatch], networks },
+        { contractName: "Retired", abi: [constructor], networks: {} },
+      ],
+      abiDir,
+    );
+    assert.deepEqual(result, { ok: true, problems: [] });
+  });
+
+  it("reports ABI changes, new contracts and modules with no compiled contract", () => {
+    const result = checkDrift(
+      [
+        { contractName: "CIDBatchLog", abi: [getBatch], networks: {} },
+        { contractName: "HashedTimelock", abi: [constructor], networks: {} },
+      ],
+      abiDir,
+    );
+    assert.isFalse(result.ok);
+    assert.deepEqual(result.problems, [
+      "CIDBatchLog: - event AggregateReleased(bytes32)",
+      "HashedTimelock: no committed ABI module",
+      "Retired: committed ABI module has no compiled contract",
+    ]);
+  });
+});
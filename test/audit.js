@@ -0,0 +1,101 @@
+/**
+ * test/audit.js
+ *
+ * Off-chain audit of a single batch (src/audit.js): recovering the CID list
+ * from CIDsLogged, and the problems reported when the logged list does not
+ * match the stored commitment or the batch does not exist.
+ *
+ * Run:
+ *   truffle test test/audit.js
+ */
+
+const { computeAggregate } = require("../src/batch");
+const { recoverCIDs, auditBatch } = require("../src/audit");
+const { CIDBatchLogClient } = require("../src/client");
+const { bytes32, list } = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+// The contract as seen through a node whose CIDsLogged events say `edit(cids)`
+function tampered(contract, edit) {
+  return {
+    getBatch: (batchId) => contract.getBatch(batchId),
+    async getPastEvents(name, range) {
+      const events = await contract.getPastEvents(name, range);
+      if (name !== "CIDsLogged") return events;
+      return events.map((e) => ({
+        ...e,
+        returnValues: { ...e.returnValues, cids: edit([...e.returnValues.cids]) },
+      }));
+    },
+  };
+}
+
+contract("auditBatch", (accounts) => {
+  const [sender, receiver] = accounts;
+  const cids = list(4);
+
+  let instance;
+  let created;
+
+  beforeEach(async () => {
+    instance = await CIDBatchLog.new();
+    const client = new CIDBatchLogClient(instance, { from: sender });
+    created = await client.createBatch({ receiver, cids, message: bytes32("msg") });
+  });
+
+  it("recovers the CID list of a batch", async () => {
+    assert.deepEqual(await recoverCIDs(instance, created.batchId), cids);
+  });
+
+  it("passes a batch whose logged CIDs match its commitment", async () => {
+    const report = await auditBatch(instance, created.batchId);
+
+    assert.isTrue(report.valid, report.problems.join("; "));
+    assert.isEmpty(report.problems);
+    assert.isTrue(Object.values(report.checks).every(Boolean));
+    assert.deepEqual(report.cids, cids);
+    assert.equal(report.recomputedAggregate, created.aggregateHash);
+    assert.include(report.batch, { receiver, cidCount: 4, mode: "packed", released: false });
+    assert.deepEqual(report.createdTx, { txHash: created.txHash, blockNumber: created.blockNumber });
+  });
+
+  it("reports a logged list with a CID missing", async () => {
+    const report = await auditBatch(
+      tampered(instance, (logged) => logged.slice(0, -1)),
+      created.batchId,
+    );
+
+    assert.isFalse(report.valid);
+    assert.isFalse(report.checks.cidCount);
+    assert.isFalse(report.checks.aggregateHash);
+    assert.include(report.problems, "recovered 3 CIDs, batch commits to 4");
+  });
+
+  it("reports a logged list that hashes to another aggregate", async () => {
+    const other = [...cids];
+    other[2] = bytes32("other");
+    const report = await auditBatch(tampered(instance, () => other), created.batchId);
+
+    assert.isFalse(report.valid);
+    assert.isTrue(report.checks.cidCount);
+    assert.isFalse(report.checks.aggregateHash);
+    assert.deepEqual(report.cids, other);
+    assert.equal(report.recomputedAggregate, computeAggregate(other, "packed"));
+    assert.deepEqual(report.problems, [
+      `recomputed packed aggregate ${report.recomputedAggregate} does not match ${created.aggregateHash}`,
+    ]);
+  });
+
+  it("reports an unknown batchId", async () => {
+    const unknown = bytes32("no such batch");
+    const report = await auditBatch(instance, unknown);
+
+    assert.isFalse(report.valid);
+    assert.isFalse(report.checks.exists);
+    assert.deepEqual(report.problems, ["batch does not exist"]);
+    assert.isNull(report.batch);
+    assert.isNull(report.cids);
+    assert.isNull(await recoverCIDs(instance, unknown));
+  });
+});
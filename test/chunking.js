@@ -0,0 +1,193 @@
+/**
+ * test/chunking.js
+ *
+ * Chunked sets (src/chunking.js): planning under a gas ceiling, creating the
+ * linked batches through CIDBatchLogClient, and auditing a manifest.
+ *
+ * Run:
+ *   truffle test test/chunking.js
+ */
+
+const { canonicalizeCIDs, computeAggregate } = require("../src/batch");
+const { setDescriptor, planChunks } = require("../src/chunking");
+const { CIDBatchLogClient } = require("../src/client");
+const { DuplicateCIDsFoundError, GasCeilingError } = require("../src/errors");
+const { bytes32, list, chainNow, rejects } = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+/* ───────────── Planning ───────────── */
+
+describe("planChunks", () => {
+  const cids = list(100);
+
+  it("splits a linear cost into equal chunks under the ceiling", async () => {
+    const estimate = async (slice) => 1000 + 100 * slice.length;
+    const plan = await planChunks(cids, { estimate, gasCeiling: 5000 });
+
+    assert.deepEqual(plan.model, { base: 1000, perCid: 100 });
+    assert.equal(plan.maxCIDsPerChunk, 40);
+    assert.deepEqual(
+      plan.chunks.map((c) => [c.offset, c.cidCount, c.estimatedGas]),
+      [[0, 40, 5000], [40, 40, 5000], [80, 20, 3000]],
+    );
+  });
+
+  it("shrinks chunks the linear fit overshoots", async () => {
+    const estimate = async (slice) => 1000 + 100 * slice.length + slice.length ** 2;
+    const plan = await planChunks(cids, { estimate, gasCeiling: 5000 });
+
+    assert.isAbove(plan.chunks.length, 3);
+    let offset = 0;
+    for (const c of plan.chunks) {
+      assert.equal(c.offset, offset);
+      assert.isAtMost(c.estimatedGas, 5000);
+      offset += c.cidCount;
+    }
+    assert.equal(offset, cids.length);
+  });
+
+  it("throws GasCeilingError when one CID does not fit", async () => {
+    const estimate = async (slice) => 1000 + 100 * slice.length;
+    const err = await rejects(planChunks(cids, { estimate, gasCeiling: 1050 }));
+    assert.instanceOf(err, GasCeilingError);
+  });
+
+  it("throws GasCeilingError when a later CID does not fit on its own", async () => {
+    // Calldata-like cost: zero CIDs are cheap, the last one is not
+    const zero = "0x" + "00".repeat(32);
+    const cost = (cid) => (cid === zero ? 10 : 100);
+    const estimate = async (slice) => 1000 + slice.reduce((sum, cid) => sum + cost(cid), 0);
+    const err = await rejects(
+      planChunks([zero, zero, bytes32("expensive")], { estimate, gasCeiling: 1050 }),
+    );
+    assert.instanceOf(err, GasCeilingError);
+    assert.include(err.message, "offset 2");
+  });
+});
+
+/* ───────────── On chain ───────────── */
+
+contract("CIDBatchLogClient chunked sets", (accounts) => {
+  const [sender, receiver, stranger] = accounts;
+  const cids = list(60);
+
+  let client;
+  let gasCeiling;
+
+  beforeEach(async () => {
+    client = new CIDBatchLogClient(await CIDBatchLog.new(), { from: sender });
+    gasCeiling = await ceilingFor(25);
+  });
+
+  // Ceiling with room for about n CIDs per batch
+  function ceilingFor(n, mode = "packed") {
+    return client.estimateCreateGas({
+      receiver,
+      cids: cids.slice(0, n),
+      messageHash: bytes32("set"),
+      mode,
+    });
+  }
+
+  async function createSet(opts = {}) {
+    return client.createChunkedSet({
+      receiver,
+      cids,
+      gasCeiling,
+      timelock: (await chainNow()) + 3600,
+      ...opts,
+    });
+  }
+
+  it("creates linked chunks that each fit the ceiling", async () => {
+    const manifest = await createSet();
+
+    assert.isAbove(manifest.chunks.length, 2);
+    assert.equal(manifest.cidCount, cids.length);
+    assert.equal(
+      manifest.descriptor,
+      setDescriptor(cids.length, manifest.chunks.map((c) => c.aggregateHash)),
+    );
+    assert.equal(manifest.setHash, web3.utils.keccak256(manifest.descriptor));
+
+    for (const c of manifest.chunks) {
+      assert.isAtMost(c.gasUsed, gasCeiling);
+      const slice = cids.slice(c.offset, c.offset + c.cidCount);
+      const b = await client.getBatch(c.batchId);
+      assert.equal(b.aggregateHash, computeAggregate(slice));
+      assert.equal(b.messageHash, manifest.setHash);
+      assert.isTrue(await client.contract.verifyMessage.call(c.batchId, manifest.descriptor));
+    }
+  });
+
+  it("audits the whole set and recovers the CID list", async () => {
+    const manifest = await createSet({ mode: "merkle", gasCeiling: await ceilingFor(25, "merkle") });
+    const report = await client.auditChunkedSet(manifest, { cids });
+
+    assert.isTrue(report.valid, report.problems.join("; "));
+    assert.deepEqual(report.cids, cids);
+    assert.isTrue(report.chunks.every((c) => c.valid));
+  });
+
+  it("applies the duplicate policy to the whole list", async () => {
+    const repeated = [...cids, cids[10], cids[50]];
+    const refused = await rejects(createSet({ cids: repeated }));
+    assert.instanceOf(refused, DuplicateCIDsFoundError);
+
+    const manifest = await createSet({ cids: repeated, duplicates: "dedupe", strict: true });
+    assert.equal(manifest.cidCount, cids.length);
+    const report = await client.auditChunkedSet(manifest, { cids });
+    assert.isTrue(report.valid, report.problems.join("; "));
+  });
+
+  it("verifies and audits a sorted set from the CIDs in any order", async () => {
+    const shuffled = [...cids].reverse();
+    const manifest = await createSet({ cids: shuffled, mode: "sorted" });
+    await client.releaseChunkedSet(manifest);
+    await client.verifyChunkedSet(manifest, cids, { from: receiver });
+
+    const report = await client.auditChunkedSet(manifest, { cids: shuffled });
+    assert.isTrue(report.valid, report.problems.join("; "));
+    assert.deepEqual(report.cids, canonicalizeCIDs(cids));
+  });
+
+  it("reports a tampered manifest or a different CID list", async () => {
+    const manifest = await createSet();
+
+    const swapped = { ...manifest, chunks: [...manifest.chunks].reverse() };
+    const report = await client.auditChunkedSet(swapped);
+    assert.isFalse(report.valid);
+    assert.include(report.problems, "descriptor does not match the chunks' aggregate hashes");
+
+    const other = [...cids];
+    other[30] = bytes32("other");
+    const mismatch = await client.auditChunkedSet(manifest, { cids: other });
+    assert.isFalse(mismatch.valid);
+    assert.lengthOf(mismatch.chunks.filter((c) => !c.valid), 1);
+  });
+
+  it("verifies every chunk for the receiver", async () => {
+    const manifest = await createSet();
+    await client.releaseChunkedSet(manifest);
+    const verified = await client.verifyChunkedSet(manifest, cids, { from: receiver });
+
+    assert.lengthOf(verified, manifest.chunks.length);
+    for (const c of manifest.chunks) {
+      assert.equal((await client.getBatch(c.batchId)).status, "verified");
+    }
+    const err = await rejects(client.verifyChunkedSet(manifest, cids.slice(1), { from: stranger }));
+    assert.match(err.message, /CID list has 59 entries/);
+  });
+
+  it("refuses a message and chunks with identical CIDs", async () => {
+    const withMessage = await rejects(createSet({ message: "0x1234" }));
+    assert.match(withMessage.message, /no message can be attached/);
+
+    // One CID per chunk
+    const twice = await rejects(
+      createSet({ cids: [cids[0], cids[0]], duplicates: "allow", gasCeiling: await ceilingFor(1) }),
+    );
+    assert.match(twice.message, /hold the same CIDs/);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * test/cid.js
+ *
+ * CID string <-> bytes32 digest conversion (src/cid.js). The vectors are all
+ * sha256("hello world"), the digest `ipfs add --raw-leaves` gives that text.
+ *
+ * Run:
+ *   truffle test test/cid.js
+ */
+
+const { CIDError, parseCID, digestToCID, toDigest, parseCIDList } = require("../src/cid");
+
+const DIGEST = "0xb94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9";
+const V0 = "QmaozNR7DZHQK1ZcU9p7QdrshMvXqWK6gpu5rmrkPdT3L4";
+const V1_RAW_BASE32 = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+const V1_RAW_BASE36 = "k2cwued9o1pvrt3q271rrqbo49x30tbxwpoeaq75z14e5ui2rzygpbe1";
+const V1_PB_BASE58 = "zdj7WhuEjrB52m1BisYCtmjH1hSKa7yZ3jEZ9JcXaFRD51wVz";
+
+// Same digest, with the multihash or CID header changed (base58btc)
+const BAD = {
+  codec: "zdvgqDtKYckpV57zegbxwXXorzQcAELp677fQXypBB8Q3aayn", // 0x72
+  hashFunction: "zb2wwvDxNk5DhWkM6VcJzC5t6MMohXjVwUwtQwJwS7bRrEbaG", // sha3-256
+  digestLength: "z83b1AD6p8zo6kMozp3F8tf2Y8MidRUzE", // 20 bytes
+  trailingByte: "z3bDCNktDFMaTYug65PeisLQwSvGtYiRrDPbVi8FSgeFYJMtJqd",
+  version: "z22aPZu6E4roMUXSpxHTfLF6BKhZ4ugwkEvdRDC8oXHENjTvsJ",
+};
+
+function rejects(str, pattern) {
+  assert.throws(() => parseCID(str), CIDError, pattern);
+}
+
+describe("parseCID", () => {
+  it("parses CIDv0", () => {
+    assert.deepEqual(parseCID(V0), { version: 0, codec: "dag-pb", digest: DIGEST });
+  });
+
+  it("parses CIDv1 in base32, base36 and base58btc", () => {
+    assert.deepEqual(parseCID(V1_RAW_BASE32), { version: 1, codec: "raw", digest: DIGEST });
+    assert.deepEqual(parseCID(V1_RAW_BASE36), { version: 1, codec: "raw", digest: DIGEST });
+    assert.deepEqual(parseCID(V1_PB_BASE58), { version: 1, codec: "dag-pb", digest: DIGEST });
+    assert.equal(parseCID(V1_RAW_BASE32.toUpperCase()).digest, DIGEST);
+  });
+
+  it("rejects an unsupported codec, hash function, digest length or version", () => {
+    rejects(BAD.codec, /unsupported codec 0x72/);
+    rejects(BAD.hashFunction, /unsupported multihash function 0x16/);
+    rejects(BAD.digestLength, /digest length 20/);
+    rejects(BAD.version, /unsupported CID version 2/);
+  });
+
+  it("rejects trailing data instead of truncating it", () => {
+    rejects(BAD.trailingByte, /33 are present/);
+    rejects(V1_RAW_BASE32 + "q", /trailing base32 data/);
+    rejects(V1_RAW_BASE32 + "7", /trailing base32 data/);
+    rejects(V1_RAW_BASE32.slice(0, -1) + "f", /trailing base32 data/);
+  });
+
+  it("reports the length of a malformed CIDv0", () => {
+    rejects(V0.slice(0, 45), /CIDv0 must be 46 characters, got 45/);
+    rejects(V0 + "x", /CIDv0 must be 46 characters, got 47/);
+  });
+
+  it("rejects unknown multibase prefixes and characters", () => {
+    rejects("m" + V1_RAW_BASE32.slice(1), /unsupported multibase prefix "m"/);
+    rejects(V1_RAW_BASE32.slice(0, -1) + "1", /invalid base32 character "1"/);
+  });
+});
+
+describe("digestToCID", () => {
+  it("round-trips every supported form", () => {
+    assert.equal(digestToCID(DIGEST, { version: 0 }), V0);
+    assert.equal(digestToCID(DIGEST, { codec: "raw" }), V1_RAW_BASE32);
+    assert.equal(digestToCID(DIGEST, { codec: "raw", base: "base36" }), V1_RAW_BASE36);
+    assert.equal(digestToCID(DIGEST, { base: "base58btc" }), V1_PB_BASE58);
+    for (const codec of ["dag-pb", "raw", "dag-cbor", "dag-json"]) {
+      for (const base of ["base32", "base36", "base58btc"]) {
+        assert.deepEqual(parseCID(digestToCID(DIGEST, { codec, base })), {
+          version: 1,
+          codec,
+          digest: DIGEST,
+        });
+      }
+    }
+  });
+
+  it("rejects a bad digest, codec or version", () => {
+    assert.throws(() => digestToCID("0x1234"), CIDError, /bytes32/);
+    assert.throws(() => digestToCID(DIGEST, { codec: "git-raw" }), CIDError, /unsupported codec/);
+    assert.throws(() => digestToCID(DIGEST, { version: 0, codec: "raw" }), CIDError, /dag-pb/);
+  });
+});
+
+describe("toDigest / parseCIDList", () => {
+  it("accepts CIDs and digests alike", () => {
+    assert.equal(toDigest("0x" + DIGEST.slice(2).toUpperCase()), DIGEST);
+    assert.deepEqual(
+      parseCIDList(`# list\n${V0}\r\n\n  ${V1_RAW_BASE36}  \n${DIGEST}\n`),
+      [DIGEST, DIGEST, DIGEST],
+    );
+  });
+});
@@ -0,0 +1,987 @@
+/**
+ * test/cidbatchlog.js
+ *
+ * Revert paths, events and state transitions of CIDBatchLog.
+ *
+ * Run:
+ *   truffle test test/cidbatchlog.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  canonicalizeCIDs,
+  findDuplicateCIDs,
+  computeAggregate,
+  computeBatchId,
+  computeMultiBatchId,
+} = require("../src/batch");
+const { CIDBatchLogClient } = require("../src/client");
+const merkle = require("../src/merkle");
+const { ackHash, signAck } = require("../src/ack");
+const { publicKeyFromPrivate } = require("../src/ecies");
+const {
+  DecryptionError,
+  MessageMismatchError,
+  DuplicateCIDError,
+  DuplicateCIDsFoundError,
+  CIDOrderError,
+} = require("../src/errors");
+const { sealMessage, openMessage, fetchPostedMessage, MessageStore } = require("../src/message");
+const {
+  ZERO_ADDRESS,
+  ZERO_BYTES32,
+  bytes32,
+  chainNow,
+  increaseTime,
+  assertReverts,
+  assertEvent,
+} = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+const MODE = { packed: "0", merkle: "1", sorted: "2" };
+const STATUS = { none: "0", created: "1", released: "2", verified: "3", expired: "4", cancelled: "5" };
+
+contract("CIDBatchLog", (accounts) => {
+  const [sender, receiver, stranger, partner, partner2] = accounts;
+  const cids = [1, 2, 3, 4, 5].map((i) => bytes32(`cid:${i}`));
+  const message = "0x" + Buffer.from("hello receiver").toString("hex");
+  const messageHash = web3.utils.keccak256(message);
+
+  let batch;
+  let timelock;
+
+  beforeEach(async () => {
+    batch = await CIDBatchLog.new();
+    timelock = (await chainNow()) + 3600;
+  });
+
+  async function create(opts = {}) {
+    const list = opts.cids || cids;
+    const fn = opts.merkle
+      ? batch.createMerkleBatch
+      : opts.sorted
+        ? batch.createSortedBatch
+        : batch.createBatch;
+    const tx = await fn(
+      opts.receiver || receiver,
+      list,
+      opts.messageHash || messageHash,
+      opts.timelock || timelock,
+      { from: opts.from || sender },
+    );
+    const { batchId } = tx.logs.find((l) => l.event === "BatchCreated").args;
+    return { tx, batchId };
+  }
+
+  async function state(batchId) {
+    const b = await batch.getBatch(batchId);
+    return {
+      sender: b.sender,
+      receiver: b.receiver,
+      cidCount: b.cidCount.toString(),
+      aggregateHash: b.aggregateHash,
+      messageHash: b.messageHash,
+      timelock: b.timelock.toString(),
+      released: b.released,
+      verified: b.verified,
+      mode: b.mode.toString(),
+    };
+  }
+
+  /* ───────────── createBatch ───────────── */
+
+  describe("createBatch", () => {
+    it("stores the batch and emits BatchCreated and CIDsLogged", async () => {
+      const aggregate = computeAggregate(cids, "packed");
+      const expectedId = computeBatchId(sender, receiver, aggregate, messageHash, timelock);
+      const { tx, batchId } = await create();
+
+      assert.equal(batchId, expectedId);
+      assertEvent(tx, "BatchCreated", {
+        batchId: expectedId,
+        sender,
+        receiver,
+        cidCount: cids.length,
+        aggregateHash: aggregate,
+        messageHash,
+        timelock,
+      });
+      assertEvent(tx, "CIDsLogged", { batchId: expectedId, cids });
+
+      assert.deepEqual(await state(batchId), {
+        sender,
+        receiver,
+        cidCount: String(cids.length),
+        aggregateHash: aggregate,
+        messageHash,
+        timelock: String(timelock),
+        released: false,
+        verified: false,
+        mode: MODE.packed,
+      });
+    });
+
+    it("matches the on-chain computeAggregate", async () => {
+      assert.equal(await batch.computeAggregate(cids), computeAggregate(cids, "packed"));
+    });
+
+    it("accepts a zero messageHash", async () => {
+      const { batchId } = await create({ messageHash: ZERO_BYTES32 });
+      assert.equal((await state(batchId)).messageHash, ZERO_BYTES32);
+    });
+
+    it("reverts when the timelock is not in the future", async () => {
+      const now = await chainNow();
+      await assertReverts(create({ timelock: now }), "timelock time must be in the future");
+    });
+
+    it("reverts for the zero receiver", async () => {
+      await assertReverts(create({ receiver: ZERO_ADDRESS }), "receiver=0");
+    });
+
+    it("reverts for an empty CID list", async () => {
+      await assertReverts(create({ cids: [] }), "empty CID list");
+    });
+
+    it("reverts when the same batch is created twice", async () => {
+      await create();
+      await assertReverts(create(), "batch exists");
+    });
+  });
+
+  /* ───────────── createMerkleBatch ───────────── */
+
+  describe("createMerkleBatch", () => {
+    it("stores the Merkle root in merkle mode", async () => {
+      const root = merkle.merkleRoot(cids);
+      const { tx, batchId } = await create({ merkle: true });
+
+      assertEvent(tx, "BatchCreated", { batchId, aggregateHash: root, cidCount: cids.length });
+      assertEvent(tx, "CIDsLogged", { batchId, cids });
+      const s = await state(batchId);
+      assert.equal(s.aggregateHash, root);
+      assert.equal(s.mode, MODE.merkle);
+    });
+
+    it("matches the on-chain computeMerkleRoot", async () => {
+      for (const n of [1, 2, 3, 5, 8]) {
+        const list = cids.concat(cids.map((c) => bytes32(c))).slice(0, n);
+        assert.equal(await batch.computeMerkleRoot(list), merkle.merkleRoot(list), `n=${n}`);
+      }
+    });
+
+    it("reverts when the timelock is not in the future", async () => {
+      const now = await chainNow();
+      await assertReverts(
+        create({ merkle: true, timelock: now }),
+        "timelock time must be in the future",
+      );
+    });
+
+    it("reverts for the zero receiver", async () => {
+      await assertReverts(create({ merkle: true, receiver: ZERO_ADDRESS }), "receiver=0");
+    });
+
+    it("reverts for an empty CID list", async () => {
+      await assertReverts(create({ merkle: true, cids: [] }), "empty CID list");
+    });
+
+    it("reverts when the same batch is created twice", async () => {
+      await create({ merkle: true });
+      await assertReverts(create({ merkle: true }), "batch exists");
+    });
+  });
+
+  describe("createSortedBatch", () => {
+    const sorted = canonicalizeCIDs(cids);
+
+    it("commits to the CID set in ascending order", async () => {
+      const { tx, batchId } = await create({ sorted: true, cids: sorted });
+      const aggregateHash = computeAggregate([...cids].reverse(), "sorted");
+
+      assert.equal(aggregateHash, computeAggregate(sorted));
+      assertEvent(tx, "BatchCreated", { batchId, aggregateHash, cidCount: cids.length });
+      assertEvent(tx, "CIDsLogged", { batchId, cids: sorted });
+      const s = await state(batchId);
+      assert.equal(s.aggregateHash, aggregateHash);
+      assert.equal(s.mode, MODE.sorted);
+      assert.equal(await batch.computeSortedAggregate(sorted), aggregateHash);
+    });
+
+    it("reverts for CIDs out of order or duplicated", async () => {
+      await assertReverts(
+        create({ sorted: true, cids: [...sorted].reverse() }),
+        "CIDs not in canonical order",
+      );
+      await assertReverts(
+        create({ sorted: true, cids: [sorted[0], sorted[0], sorted[1]] }),
+        "duplicate CID",
+      );
+    });
+
+    it("reverts for the zero receiver or an empty CID list", async () => {
+      await assertReverts(create({ sorted: true, receiver: ZERO_ADDRESS }), "receiver=0");
+      await assertReverts(create({ sorted: true, cids: [] }), "empty CID list");
+    });
+
+    it("lets the client create and verify with the CIDs in any order", async () => {
+      const client = new CIDBatchLogClient(batch, { from: sender });
+      const shuffled = [cids[3], cids[0], cids[4], cids[2], cids[1]];
+      const created = await client.createBatch({ receiver, cids: shuffled, timelock, mode: "sorted" });
+
+      assert.equal(created.aggregateHash, computeAggregate(sorted));
+      await client.releaseAggregate(created.batchId);
+      await assertReverts(
+        batch.verifyCIDs(created.batchId, cids.slice().reverse(), { from: receiver }),
+        "CIDs not in canonical order",
+      );
+      await client.verifyCIDs(created.batchId, cids.slice().reverse(), { from: receiver });
+      assert.equal((await client.getBatch(created.batchId)).status, "verified");
+
+      let err = null;
+      try {
+        await client.createBatch({ receiver, cids: [cids[0], cids[1], cids[0]], mode: "sorted" });
+      } catch (e) {
+        err = e;
+      }
+      assert.instanceOf(err, DuplicateCIDsFoundError);
+      assert.notInstanceOf(err, CIDOrderError);
+    });
+  });
+
+  describe("createStrictBatch", () => {
+    const strict = (list, mode = MODE.packed, opts = {}) =>
+      batch.createStrictBatch(receiver, list, messageHash, opts.timelock || timelock, mode, {
+        from: sender,
+      });
+
+    it("creates the same batch as the non-strict call", async () => {
+      const tx = await strict(cids);
+      const { batchId, aggregateHash } = tx.logs.find((l) => l.event === "BatchCreated").args;
+
+      assert.equal(batchId, computeBatchId(sender, receiver, computeAggregate(cids), messageHash, timelock));
+      assertEvent(tx, "CIDsLogged", { batchId, cids });
+      assert.equal((await state(batchId)).mode, MODE.packed);
+      await assertReverts(create(), "batch exists");
+
+      const merkleTx = await strict(cids, MODE.merkle, { timelock: timelock + 1 });
+      const merkleId = merkleTx.logs.find((l) => l.event === "BatchCreated").args.batchId;
+      assert.equal((await state(merkleId)).aggregateHash, computeAggregate(cids, "merkle"));
+      assert.notEqual(aggregateHash, computeAggregate(cids, "merkle"));
+    });
+
+    it("reverts when a CID repeats, wherever it is", async () => {
+      await assertReverts(strict([cids[0], cids[0]]), "duplicate CID");
+      await assertReverts(strict([...cids, cids[4]]), "duplicate CID");
+      await assertReverts(strict([...cids, cids[0]], MODE.merkle), "duplicate CID");
+      await assertReverts(strict([ZERO_BYTES32, ...cids, ZERO_BYTES32]), "duplicate CID");
+      await assertReverts(strict(canonicalizeCIDs([...cids, cids[2]]), MODE.sorted), "duplicate CID");
+
+      await strict([ZERO_BYTES32, ...cids]);
+      await strict(canonicalizeCIDs(cids), MODE.sorted);
+    });
+
+    it("reverts for the zero receiver or an empty CID list", async () => {
+      await assertReverts(
+        batch.createStrictBatch(ZERO_ADDRESS, cids, messageHash, timelock, MODE.packed),
+        "receiver=0",
+      );
+      await assertReverts(strict([]), "empty CID list");
+    });
+
+    it("finds the same duplicates as the client", async () => {
+      const many = Array.from({ length: 40 }, (_, i) => bytes32(`many:${i}`));
+      const lists = [many, [...many, many[17]], [many[39], ...many], [cids[1]], [ZERO_BYTES32]];
+      for (const list of lists) {
+        assert.equal(await batch.hasDuplicateCIDs(list), findDuplicateCIDs(list).length > 0);
+      }
+    });
+  });
+
+  describe("duplicate CID policy (client)", () => {
+    const repeated = [...cids, cids[1], cids[3], cids[1]];
+    let client;
+
+    beforeEach(() => {
+      client = new CIDBatchLogClient(batch, { from: sender });
+    });
+
+    it("rejects a repeated CID before sending by default", async () => {
+      const before = await web3.eth.getBlockNumber();
+      let err = null;
+      try {
+        await client.createBatch({ receiver, cids: repeated, timelock });
+      } catch (e) {
+        err = e;
+      }
+      assert.instanceOf(err, DuplicateCIDsFoundError);
+      assert.notInstanceOf(err, DuplicateCIDError);
+      assert.deepEqual(err.duplicates, [
+        { cid: cids[1], indexes: [1, 5, 7] },
+        { cid: cids[3], indexes: [3, 6] },
+      ]);
+      assert.equal(await web3.eth.getBlockNumber(), before);
+    });
+
+    it("dedupes or allows the repeats when asked", async () => {
+      const deduped = await client.createBatch({ receiver, cids: repeated, timelock, duplicates: "dedupe" });
+      assert.equal(deduped.cidCount, cids.length);
+      assert.equal(deduped.duplicatesRemoved, 3);
+      assert.equal(deduped.aggregateHash, computeAggregate(cids));
+
+      const allowed = await client.createBatch({
+        receiver,
+        cids: repeated,
+        timelock: timelock + 1,
+        duplicates: "allow",
+      });
+      assert.equal(allowed.cidCount, repeated.length);
+      assert.equal((await state(allowed.batchId)).cidCount, String(repeated.length));
+
+      const lenient = new CIDBatchLogClient(batch, { from: sender, duplicates: "dedupe" });
+      const multi = await lenient.createMultiBatch({ receivers: [receiver, partner], cids: repeated, timelock });
+      assert.equal(multi.cidCount, cids.length);
+    });
+
+    it("leaves allowed repeats to strict mode on chain", async () => {
+      let err = null;
+      try {
+        await client.createBatch({ receiver, cids: repeated, timelock, duplicates: "allow", strict: true });
+      } catch (e) {
+        err = e;
+      }
+      assert.instanceOf(err, DuplicateCIDError);
+      assert.equal(err.reason, "duplicate CID");
+      assert.isUndefined(err.duplicates);
+
+      const created = await client.createBatch({ receiver, cids, timelock, strict: true });
+      const plain = await client.createBatch({ receiver, cids, timelock: timelock + 1 });
+      assert.isTrue(created.strict);
+      assert.isAbove(created.gasUsed, plain.gasUsed);
+    });
+
+    it("refuses strict mode for multi-receiver batches and unknown policies", async () => {
+      let err = null;
+      try {
+        await client.createMultiBatch({ receivers: [receiver], cids, strict: true });
+      } catch (e) {
+        err = e;
+      }
+      assert.match(err.message, /only available for single-receiver batches/);
+
+      err = null;
+      try {
+        await client.createBatch({ receiver, cids, duplicates: "ignore" });
+      } catch (e) {
+        err = e;
+      }
+      assert.match(err.message, /duplicate policy must be one of reject, dedupe, allow/);
+    });
+  });
+
+  /* ───────────── releaseAggregate ───────────── */
+
+  describe("releaseAggregate", () => {
+    it("marks the batch released and emits AggregateReleased", async () => {
+      const { batchId } = await create();
+      const tx = await batch.releaseAggregate(batchId, { from: sender });
+
+      assertEvent(tx, "AggregateReleased", {
+        batchId,
+        aggregateHash: computeAggregate(cids, "packed"),
+      });
+      const s = await state(batchId);
+      assert.isTrue(s.released);
+      assert.isFalse(s.verified);
+    });
+
+    it("reverts for an unknown batch", async () => {
+      await assertReverts(
+        batch.releaseAggregate(bytes32("nope"), { from: sender }),
+        "batch does not exist",
+      );
+    });
+
+    it("reverts when not called by the sender", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.releaseAggregate(batchId, { from: receiver }), "only sender");
+      assert.isFalse((await state(batchId)).released);
+    });
+
+    it("reverts when already released", async () => {
+      const { batchId } = await create();
+      await batch.releaseAggregate(batchId, { from: sender });
+      await assertReverts(batch.releaseAggregate(batchId, { from: sender }), "already released");
+    });
+  });
+
+  /* ───────────── verifyCIDs ───────────── */
+
+  describe("verifyCIDs", () => {
+    it("marks the batch verified and emits BatchVerified", async () => {
+      const { batchId } = await create();
+      const tx = await batch.verifyCIDs(batchId, cids, { from: stranger });
+
+      assertEvent(tx, "BatchVerified", { batchId, verifier: stranger });
+      const s = await state(batchId);
+      assert.isTrue(s.verified);
+      assert.isFalse(s.released);
+    });
+
+    it("verifies a Merkle batch against its root", async () => {
+      const { batchId } = await create({ merkle: true });
+      const tx = await batch.verifyCIDs(batchId, cids, { from: receiver });
+      assertEvent(tx, "BatchVerified", { batchId, verifier: receiver });
+    });
+
+    it("reverts for an unknown batch", async () => {
+      await assertReverts(batch.verifyCIDs(bytes32("nope"), cids), "batch does not exist");
+    });
+
+    it("reverts for a different number of CIDs", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.verifyCIDs(batchId, cids.slice(1)), "CID count mismatch");
+    });
+
+    it("reverts for a different CID list of the same length", async () => {
+      const { batchId } = await create();
+      const reordered = [...cids].reverse();
+      await assertReverts(batch.verifyCIDs(batchId, reordered), "aggregate mismatch");
+      assert.isFalse((await state(batchId)).verified);
+    });
+
+    it("reverts when already verified", async () => {
+      const { batchId } = await create();
+      await batch.verifyCIDs(batchId, cids);
+      await assertReverts(batch.verifyCIDs(batchId, cids), "already verified");
+    });
+  });
+
+  /* ───────────── verifyCIDProof ───────────── */
+
+  describe("verifyCIDProof", () => {
+    it("accepts a proof for every CID and emits CIDProofVerified", async () => {
+      const { batchId } = await create({ merkle: true });
+      const tree = merkle.buildTree(cids);
+      for (let i = 0; i < cids.length; i++) {
+        const tx = await batch.verifyCIDProof(batchId, cids[i], merkle.getProof(tree, i), {
+          from: receiver,
+        });
+        assertEvent(tx, "CIDProofVerified", { batchId, cid: cids[i], verifier: receiver });
+      }
+      // proofs do not change batch state
+      assert.isFalse((await state(batchId)).verified);
+    });
+
+    it("reverts for an unknown batch", async () => {
+      await assertReverts(
+        batch.verifyCIDProof(bytes32("nope"), cids[0], []),
+        "batch does not exist",
+      );
+    });
+
+    it("reverts for a packed batch", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.verifyCIDProof(batchId, cids[0], []), "not a merkle batch");
+    });
+
+    it("reverts for a CID outside the batch", async () => {
+      const { batchId } = await create({ merkle: true });
+      const proof = merkle.getProof(merkle.buildTree(cids), 0);
+      await assertReverts(
+        batch.verifyCIDProof(batchId, bytes32("other"), proof),
+        "invalid proof",
+      );
+    });
+  });
+
+  /* ───────────── verifyMessage ───────────── */
+
+  describe("verifyMessage", () => {
+    it("returns true for the committed message", async () => {
+      const { batchId } = await create();
+      assert.isTrue(await batch.verifyMessage.call(batchId, message));
+      const tx = await batch.verifyMessage(batchId, message, { from: receiver });
+      assert.lengthOf(tx.logs, 0);
+    });
+
+    it("reverts for an unknown batch", async () => {
+      await assertReverts(
+        batch.verifyMessage(bytes32("nope"), message),
+        "batch does not exist",
+      );
+    });
+
+    it("reverts when no messageHash was set", async () => {
+      const { batchId } = await create({ messageHash: ZERO_BYTES32 });
+      await assertReverts(batch.verifyMessage(batchId, message), "no messageHash set");
+    });
+
+    it("reverts for a different message", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.verifyMessage(batchId, "0x1234"), "message hash mismatch");
+    });
+  });
+
+  describe("postMessage", () => {
+    // Stand-in for the receiver's account key
+    const receiverKey = web3.eth.accounts.create().privateKey;
+    const receiverPublicKey = publicKeyFromPrivate(receiverKey);
+
+    function seal(batchId, msg = message) {
+      return sealMessage(web3, { batchId, message: msg, receiverPublicKey });
+    }
+
+    function tamper(hex, byteIndex) {
+      const buf = Buffer.from(hex.slice(2), "hex");
+      buf[byteIndex] ^= 1;
+      return "0x" + buf.toString("hex");
+    }
+
+    it("emits MessagePosted, and the receiver can decrypt and verify", async () => {
+      const { batchId } = await create();
+      const envelope = seal(batchId);
+      const tx = await batch.postMessage(batchId, envelope.ciphertext, { from: sender });
+      assertEvent(tx, "MessagePosted", { batchId, ciphertext: envelope.ciphertext });
+
+      const posted = await fetchPostedMessage(batch, batchId);
+      const plain = openMessage(web3, posted, { privateKey: receiverKey, messageHash });
+      assert.equal(plain, message);
+      assert.isTrue(await batch.verifyMessage.call(batchId, plain, { from: receiver }));
+    });
+
+    it("detects a tampered envelope before any call", async () => {
+      const { batchId } = await create();
+      const { ciphertext } = seal(batchId);
+      const length = (ciphertext.length - 2) / 2;
+      for (const i of [0, 1, 70, 80, length - 1]) {
+        assert.throws(
+          () => openMessage(web3, { batchId, ciphertext: tamper(ciphertext, i) }, {
+            privateKey: receiverKey,
+            messageHash,
+          }),
+          DecryptionError,
+        );
+      }
+    });
+
+    it("rejects an envelope sealed for another batch or another key", async () => {
+      const { batchId } = await create();
+      const envelope = seal(batchId);
+      assert.throws(
+        () => openMessage(web3, { ...envelope, batchId: bytes32("other") }, {
+          privateKey: receiverKey,
+          messageHash,
+        }),
+        DecryptionError,
+      );
+      assert.throws(
+        () => openMessage(web3, envelope, {
+          privateKey: web3.eth.accounts.create().privateKey,
+          messageHash,
+        }),
+        DecryptionError,
+      );
+    });
+
+    it("rejects a truncated MessageStore envelope as a DecryptionError", async () => {
+      const { batchId } = await create();
+      const store = new MessageStore(fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-messages-")));
+      try {
+        fs.writeFileSync(store.put(seal(batchId)), '{"batchId": "0x');
+        assert.throws(() => store.get(batchId), DecryptionError, /is not a JSON envelope/);
+      } finally {
+        fs.rmSync(store.dir, { recursive: true, force: true });
+      }
+    });
+
+    it("rejects a plaintext that does not match messageHash", async () => {
+      const { batchId } = await create();
+      const envelope = seal(batchId, "0x1234");
+      assert.throws(
+        () => openMessage(web3, envelope, { privateKey: receiverKey, messageHash }),
+        MessageMismatchError,
+      );
+    });
+
+    it("reverts when not called by the sender", async () => {
+      const { batchId } = await create();
+      const { ciphertext } = seal(batchId);
+      await assertReverts(batch.postMessage(batchId, ciphertext, { from: receiver }), "only sender");
+    });
+
+    it("reverts when no messageHash was set", async () => {
+      const { batchId } = await create({ messageHash: ZERO_BYTES32 });
+      await assertReverts(
+        batch.postMessage(batchId, seal(batchId).ciphertext, { from: sender }),
+        "no messageHash set",
+      );
+    });
+
+    it("reverts for an empty ciphertext", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.postMessage(batchId, "0x", { from: sender }), "empty ciphertext");
+    });
+
+    it("reverts for a cancelled batch", async () => {
+      const { batchId } = await create();
+      await batch.cancelBatch(batchId, { from: sender });
+      await assertReverts(
+        batch.postMessage(batchId, seal(batchId).ciphertext, { from: sender }),
+        "batch cancelled",
+      );
+    });
+  });
+
+  /* ───────────── Timelock ───────────── */
+
+  describe("timelock", () => {
+    async function status(batchId) {
+      const s = await batch.getBatchStatus(batchId);
+      return [s.status.toString(), s.verifiedInTime];
+    }
+
+    it("reports created, then expired once the timelock passes unreleased", async () => {
+      const { batchId } = await create();
+      assert.deepEqual(await status(batchId), [STATUS.created, false]);
+      await increaseTime(3601);
+      assert.deepEqual(await status(batchId), [STATUS.expired, false]);
+    });
+
+    it("reports none for an unknown batch", async () => {
+      assert.deepEqual(await status(bytes32("nope")), [STATUS.none, false]);
+    });
+
+    it("rejects release after the timelock", async () => {
+      const { batchId } = await create();
+      await increaseTime(3601);
+      await assertReverts(batch.releaseAggregate(batchId, { from: sender }), "timelock expired");
+    });
+
+    it("records whether verification happened before the timelock", async () => {
+      const { batchId: early } = await create();
+      await batch.verifyCIDs(early, cids, { from: receiver });
+      assert.deepEqual(await status(early), [STATUS.verified, true]);
+
+      const { batchId: late } = await create({ timelock: timelock + 1 });
+      await batch.releaseAggregate(late, { from: sender });
+      assert.deepEqual(await status(late), [STATUS.released, false]);
+      await increaseTime(3602);
+      assert.deepEqual(await status(late), [STATUS.released, false]);
+      await batch.verifyCIDs(late, cids, { from: receiver });
+      assert.deepEqual(await status(late), [STATUS.verified, false]);
+    });
+
+    it("rejects Merkle proofs once a batch is cancelled or expired", async () => {
+      const proof = merkle.getProof(merkle.buildTree(cids), 0);
+      const { batchId: cancelled } = await create({ merkle: true });
+      await batch.cancelBatch(cancelled, { from: sender });
+      await assertReverts(batch.verifyCIDProof(cancelled, cids[0], proof), "batch cancelled");
+
+      const { batchId: expired } = await create({ merkle: true, timelock: timelock + 1 });
+      await increaseTime(3602);
+      await batch.expireBatch(expired, { from: sender });
+      await assertReverts(batch.verifyCIDProof(expired, cids[0], proof), "batch expired");
+    });
+
+    describe("cancelBatch", () => {
+      it("cancels before the timelock and emits BatchCancelled", async () => {
+        const { batchId } = await create();
+        const tx = await batch.cancelBatch(batchId, { from: sender });
+
+        assertEvent(tx, "BatchCancelled", { batchId, sender });
+        assert.deepEqual(await status(batchId), [STATUS.cancelled, false]);
+        await assertReverts(batch.releaseAggregate(batchId, { from: sender }), "batch cancelled");
+        await assertReverts(batch.verifyCIDs(batchId, cids), "batch cancelled");
+      });
+
+      it("reverts for an unknown batch", async () => {
+        await assertReverts(
+          batch.cancelBatch(bytes32("nope"), { from: sender }),
+          "batch does not exist",
+        );
+      });
+
+      it("reverts when not called by the sender", async () => {
+        const { batchId } = await create();
+        await assertReverts(batch.cancelBatch(batchId, { from: receiver }), "only sender");
+      });
+
+      it("reverts after release", async () => {
+        const { batchId } = await create();
+        await batch.releaseAggregate(batchId, { from: sender });
+        await assertReverts(batch.cancelBatch(batchId, { from: sender }), "already released");
+      });
+
+      it("reverts after verification", async () => {
+        const { batchId } = await create();
+        await batch.verifyCIDs(batchId, cids);
+        await assertReverts(batch.cancelBatch(batchId, { from: sender }), "already verified");
+      });
+
+      it("reverts when already cancelled", async () => {
+        const { batchId } = await create();
+        await batch.cancelBatch(batchId, { from: sender });
+        await assertReverts(batch.cancelBatch(batchId, { from: sender }), "batch cancelled");
+      });
+
+      it("reverts after the timelock", async () => {
+        const { batchId } = await create();
+        await increaseTime(3601);
+        await assertReverts(batch.cancelBatch(batchId, { from: sender }), "timelock expired");
+      });
+    });
+
+    describe("expireBatch", () => {
+      it("closes an unreleased batch after the timelock and emits BatchExpired", async () => {
+        const { batchId } = await create();
+        await increaseTime(3601);
+        const tx = await batch.expireBatch(batchId, { from: sender });
+
+        assertEvent(tx, "BatchExpired", { batchId, sender });
+        assert.deepEqual(await status(batchId), [STATUS.expired, false]);
+        await assertReverts(batch.verifyCIDs(batchId, cids), "batch expired");
+      });
+
+      it("reverts before the timelock", async () => {
+        const { batchId } = await create();
+        await assertReverts(
+          batch.expireBatch(batchId, { from: sender }),
+          "timelock not yet passed",
+        );
+      });
+
+      it("reverts when not called by the sender", async () => {
+        const { batchId } = await create();
+        await increaseTime(3601);
+        await assertReverts(batch.expireBatch(batchId, { from: receiver }), "only sender");
+      });
+
+      it("reverts after release", async () => {
+        const { batchId } = await create();
+        await batch.releaseAggregate(batchId, { from: sender });
+        await increaseTime(3601);
+        await assertReverts(batch.expireBatch(batchId, { from: sender }), "already released");
+      });
+
+      it("reverts when already expired", async () => {
+        const { batchId } = await create();
+        await increaseTime(3601);
+        await batch.expireBatch(batchId, { from: sender });
+        await assertReverts(batch.expireBatch(batchId, { from: sender }), "batch expired");
+      });
+    });
+  });
+
+  describe("acknowledge", () => {
+    async function sign(batchId, signer) {
+      const { aggregateHash } = await batch.getBatch(batchId);
+      return signAck(web3, { contract: batch.address, batchId, aggregateHash, signer });
+    }
+
+    it("matches the off-chain ackHash", async () => {
+      const { batchId } = await create();
+      const { aggregateHash } = await batch.getBatch(batchId);
+      assert.equal(
+        await batch.ackHash(batchId),
+        ackHash(web3, { contract: batch.address, batchId, aggregateHash }),
+      );
+    });
+
+    it("accepts a receiver signature relayed by anyone", async () => {
+      const { batchId } = await create();
+      const signature = await sign(batchId, receiver);
+      const tx = await batch.acknowledge(batchId, signature, { from: stranger });
+
+      assertEvent(tx, "BatchAcknowledged", { batchId, receiver, relayer: stranger });
+      assert.equal((await batch.getBatchStatus(batchId)).acknowledged, true);
+    });
+
+    it("reverts when signed by someone other than the receiver", async () => {
+      const { batchId } = await create();
+      const signature = await sign(batchId, stranger);
+      await assertReverts(batch.acknowledge(batchId, signature), "not signed by receiver");
+    });
+
+    it("reverts for a signature over another batch", async () => {
+      const { batchId: a } = await create();
+      const { batchId: b } = await create({ timelock: timelock + 1 });
+      const signature = await sign(a, receiver);
+      await assertReverts(batch.acknowledge(b, signature), "not signed by receiver");
+    });
+
+    it("reverts for a malformed signature", async () => {
+      const { batchId } = await create();
+      await assertReverts(batch.acknowledge(batchId, "0x1234"), "invalid signature");
+      const zeroV = "0x" + "11".repeat(64) + "05";
+      await assertReverts(batch.acknowledge(batchId, zeroV), "invalid signature");
+    });
+
+    it("reverts when already acknowledged", async () => {
+      const { batchId } = await create();
+      const signature = await sign(batchId, receiver);
+      await batch.acknowledge(batchId, signature);
+      await assertReverts(batch.acknowledge(batchId, signature), "already acknowledged");
+    });
+
+    it("reverts for a cancelled batch", async () => {
+      const { batchId } = await create();
+      const signature = await sign(batchId, receiver);
+      await batch.cancelBatch(batchId, { from: sender });
+      await assertReverts(batch.acknowledge(batchId, signature), "batch cancelled");
+    });
+  });
+
+  /* ───────────── Multi-receiver ───────────── */
+
+  describe("createMultiBatch", () => {
+    const receivers = [receiver, partner, partner2];
+
+    async function createMulti(opts = {}) {
+      const tx = await batch.createMultiBatch(
+        opts.receivers || receivers,
+        opts.cids || cids,
+        messageHash,
+        opts.timelock || timelock,
+        opts.mode || MODE.packed,
+        { from: sender },
+      );
+      const { batchId } = tx.logs.find((l) => l.event === "BatchCreated").args;
+      return { tx, batchId };
+    }
+
+    async function receiverStatus(batchId, address) {
+      const r = await batch.getReceiverStatus(batchId, address);
+      return [r.listed, r.verified, r.acknowledged];
+    }
+
+    it("stores the batch once, lists the receivers and logs the CIDs once", async () => {
+      const { tx, batchId } = await createMulti();
+      const aggregateHash = computeAggregate(cids);
+
+      assert.equal(
+        batchId,
+        computeMultiBatchId(sender, receivers, aggregateHash, messageHash, timelock),
+      );
+      assertEvent(tx, "BatchCreated", { batchId, receiver: ZERO_ADDRESS, aggregateHash });
+      assertEvent(tx, "ReceiversListed", { batchId, receivers });
+      assert.lengthOf(tx.logs.filter((l) => l.event === "CIDsLogged"), 1);
+      assert.deepEqual(await batch.getReceivers(batchId), receivers);
+      assert.deepEqual(await receiverStatus(batchId, partner), [true, false, false]);
+      assert.deepEqual(await receiverStatus(batchId, stranger), [false, false, false]);
+    });
+
+    it("reverts for an empty, zero or duplicated receiver list", async () => {
+      await assertReverts(createMulti({ receivers: [] }), "empty receiver list");
+      await assertReverts(createMulti({ receivers: [receiver, ZERO_ADDRESS] }), "receiver=0");
+      await assertReverts(
+        createMulti({ receivers: [receiver, partner, receiver] }),
+        "duplicate receiver",
+      );
+      await assertReverts(createMulti({ cids: [] }), "empty CID list");
+    });
+
+    it("lets each receiver verify once and marks the batch verified after the last", async () => {
+      const { batchId } = await createMulti();
+
+      await batch.verifyCIDs(batchId, cids, { from: partner });
+      assert.deepEqual(await receiverStatus(batchId, partner), [true, true, false]);
+      assert.deepEqual(await receiverStatus(batchId, receiver), [true, false, false]);
+      assert.equal((await batch.getBatchStatus(batchId)).status.toString(), STATUS.created);
+
+      await assertReverts(batch.verifyCIDs(batchId, cids, { from: partner }), "already verified");
+      await assertReverts(batch.verifyCIDs(batchId, cids, { from: stranger }), "only receiver");
+
+      await batch.verifyCIDs(batchId, cids, { from: receiver });
+      const tx = await batch.verifyCIDs(batchId, cids, { from: partner2 });
+      assertEvent(tx, "BatchVerified", { batchId, verifier: partner2 });
+
+      const s = await batch.getBatchStatus(batchId);
+      assert.equal(s.status.toString(), STATUS.verified);
+      assert.isTrue(s.verifiedInTime);
+    });
+
+    it("supports merkle mode and per-CID proofs", async () => {
+      const { batchId } = await createMulti({ mode: MODE.merkle });
+      assert.equal((await state(batchId)).aggregateHash, merkle.merkleRoot(cids));
+
+      const tree = merkle.buildTree(cids);
+      await batch.verifyCIDProof(batchId, cids[2], merkle.getProof(tree, 2), { from: partner });
+      await batch.verifyCIDs(batchId, cids, { from: partner });
+      assert.deepEqual(await receiverStatus(batchId, partner), [true, true, false]);
+    });
+
+    it("supports sorted mode", async () => {
+      const sorted = canonicalizeCIDs(cids);
+      await assertReverts(
+        createMulti({ mode: MODE.sorted, cids: [...sorted].reverse() }),
+        "CIDs not in canonical order",
+      );
+      const { batchId } = await createMulti({ mode: MODE.sorted, cids: sorted });
+      assert.equal((await state(batchId)).aggregateHash, computeAggregate(cids, "sorted"));
+
+      await batch.verifyCIDs(batchId, sorted, { from: partner });
+      assert.deepEqual(await receiverStatus(batchId, partner), [true, true, false]);
+    });
+
+    it("accepts one acknowledgment per listed receiver", async () => {
+      const { batchId } = await createMulti({ receivers: [receiver, partner] });
+      const { aggregateHash } = await batch.getBatch(batchId);
+      const sign = (signer) =>
+        signAck(web3, { contract: batch.address, batchId, aggregateHash, signer });
+
+      const tx = await batch.acknowledge(batchId, await sign(partner), { from: stranger });
+      assertEvent(tx, "BatchAcknowledged", { batchId, receiver: partner, relayer: stranger });
+      assert.deepEqual(await receiverStatus(batchId, partner), [true, false, true]);
+      assert.isFalse((await batch.getBatchStatus(batchId)).acknowledged);
+
+      await assertReverts(batch.acknowledge(batchId, await sign(partner)), "already acknowledged");
+      await assertReverts(batch.acknowledge(batchId, await sign(stranger)), "not signed by receiver");
+
+      await batch.acknowledge(batchId, await sign(receiver));
+      assert.isTrue((await batch.getBatchStatus(batchId)).acknowledged);
+    });
+
+    it("can't be cancelled once any receiver verified", async () => {
+      const { batchId } = await createMulti();
+      await batch.verifyCIDs(batchId, cids, { from: partner });
+      await assertReverts(batch.cancelBatch(batchId, { from: sender }), "already verified");
+    });
+
+    it("reports single-receiver batches through getReceiverStatus too", async () => {
+      const { batchId } = await create();
+      assert.deepEqual(await batch.getReceivers(batchId), []);
+      assert.deepEqual(await receiverStatus(batchId, receiver), [true, false, false]);
+      await batch.verifyCIDs(batchId, cids, { from: stranger });
+      assert.deepEqual(await receiverStatus(batchId, receiver), [true, true, false]);
+      assert.deepEqual(await receiverStatus(batchId, stranger), [false, false, false]);
+    });
+  });
+
+  /* ───────────── Lifecycle ───────────── */
+
+  it("goes through create → release → verify", async () => {
+    const { batchId } = await create();
+    let s = await state(batchId);
+    assert.deepEqual([s.released, s.verified], [false, false]);
+
+    await batch.releaseAggregate(batchId, { from: sender });
+    s = await state(batchId);
+    assert.deepEqual([s.released, s.verified], [true, false]);
+
+    await batch.verifyCIDs(batchId, cids, { from: receiver });
+    s = await state(batchId);
+    assert.deepEqual([s.released, s.verified], [true, true]);
+    assert.equal((await batch.getBatchStatus(batchId)).status.toString(), STATUS.verified);
+  });
+
+  it("returns an empty batch for an unknown id", async () => {
+    const s = await state(bytes32("nope"));
+    assert.equal(s.sender, ZERO_ADDRESS);
+    assert.equal(s.cidCount, "0");
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * test/ec_reference.js
+ *
+ * Plain BigInt short-Weierstrass arithmetic (y^2 = x^3 + ax + b mod p), the
+ * reference test/ellipticcurve.js checks contracts/EllipticCurve.sol against.
+ * Written for clarity, not speed or constant time. The point at infinity is
+ * null.
+ */
+
+const CURVES = {
+  secp256k1: {
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+    a: 0n,
+    b: 7n,
+    n: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+    g: {
+      x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+      y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+    },
+  },
+  p256: {
+    p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+    a: 0xffffffff00000001000000000000000000000000fffffffffffffffffffffffcn,
+    b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+    n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+    g: {
+      x: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+      y: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n,
+    },
+  },
+};
+
+function mod(x, m) {
+  const r = x % m;
+  return r < 0n ? r + m : r;
+}
+
+function expMod(base, exp, m) {
+  let result = 1n;
+  let b = mod(base, m);
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % m;
+    b = (b * b) % m;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Extended Euclid
+function invMod(x, m) {
+  let [r0, r1] = [mod(x, m), m];
+  let [s0, s1] = [1n, 0n];
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  if (r0 !== 1n) throw new Error(`${x} has no inverse mod ${m}`);
+  return mod(s0, m);
+}
+
+/* ───────────── Affine points ───────────── */
+
+function isOnCurve(c, P) {
+  if (P === null) return false;
+  return mod(P.y * P.y, c.p) === mod(P.x * P.x * P.x + c.a * P.x + c.b, c.p);
+}
+
+function neg(c, P) {
+  return P === null ? null : { x: P.x, y: mod(-P.y, c.p) };
+}
+
+function add(c, P, Q) {
+  if (P === null) return Q;
+  if (Q === null) return P;
+  if (P.x === Q.x && mod(P.y + Q.y, c.p) === 0n) return null;
+
+  const lambda =
+    P.x === Q.x
+      ? mod((3n * P.x * P.x + c.a) * invMod(2n * P.y, c.p), c.p)
+      : mod((Q.y - P.y) * invMod(Q.x - P.x, c.p), c.p);
+  const x = mod(lambda * lambda - P.x - Q.x, c.p);
+  return { x, y: mod(lambda * (P.x - x) - P.y, c.p) };
+}
+
+function sub(c, P, Q) {
+  return add(c, P, neg(c, Q));
+}
+
+function mul(c, k, P) {
+  let result = null;
+  let addend = P;
+  for (let e = k; e > 0n; e >>= 1n) {
+    if (e & 1n) result = add(c, result, addend);
+    addend = add(c, addend, addend);
+  }
+  return result;
+}
+
+/**
+ * y for x with the parity of a SEC-1 prefix (2 even, 3 odd). Uses the
+ * p = 3 (mod 4) square root, like the library; both curves qualify.
+ */
+function deriveY(c, prefix, x) {
+  const y2 = mod(x * x * x + c.a * x + c.b, c.p);
+  const y = expMod(y2, (c.p + 1n) / 4n, c.p);
+  return (y & 1n) === BigInt(prefix & 1) ? y : c.p - y;
+}
+
+/* ───────────── Jacobian ───────────── */
+
+// (X, Y, Z) with x = X/Z^2, y = Y/Z^3; Z = 0 is infinity
+function toAffine(c, J) {
+  if (J.z === 0n) return null;
+  const zInv = invMod(J.z, c.p);
+  const zInv2 = mod(zInv * zInv, c.p);
+  return { x: mod(J.x * zInv2, c.p), y: mod(J.y * zInv2 * zInv, c.p) };
+}
+
+module.exports = {
+  CURVES,
+  mod,
+  expMod,
+  invMod,
+  isOnCurve,
+  neg,
+  add,
+  sub,
+  mul,
+  deriveY,
+  toAffine,
+};
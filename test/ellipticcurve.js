@@ -0,0 +1,278 @@
+/**
+ * test/ellipticcurve.js
+ *
+ * Cross-checks every EllipticCurve library function, through
+ * EllipticCurveHarness, against the BigInt reference in test/ec_reference.js
+ * on secp256k1 and P-256: published vectors, OpenSSL (node crypto) public
+ * keys, and seeded random points. Prints gas estimates for ecMul and deriveY.
+ *
+ * Run:
+ *   truffle test test/ellipticcurve.js
+ *   EC_SEED=<seed> truffle test test/ellipticcurve.js     # replay a run
+ */
+
+const crypto = require("crypto");
+
+const { SeededRandom, resolveSeed, seedLine } = require("../src/seed");
+const ref = require("./ec_reference");
+const { assertReverts } = require("./helpers");
+
+const EllipticCurveHarness = artifacts.require("EllipticCurveHarness");
+
+const SEED = resolveSeed(process.env.EC_SEED);
+const RANDOM_POINTS = 4;
+
+const OPENSSL_NAMES = { secp256k1: "secp256k1", p256: "prime256v1" };
+
+// 2G and 3G from the SEC 2 / NIST published test vectors
+const KNOWN_MULTIPLES = {
+  secp256k1: [
+    [
+      2n,
+      0xc6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5n,
+      0x1ae168fea63dc339a3c58419466ceaeef7f632653266d0e1236431a950cfe52an,
+    ],
+    [
+      3n,
+      0xf9308a019258c31049344f85f89d5229b531c845836f99b08601f113bce036f9n,
+      0x388f7b0f632de8140fe337e62a37f3566500a99934c2231b6cb9fd7584b8e672n,
+    ],
+  ],
+  p256: [
+    [
+      2n,
+      0x7cf27b188d034f7e8a52380304b51ac3c08969e277f21b35a60b48fc47669978n,
+      0x07775510db8ed040293d9ac69f7430dbba7dade63ce982299e04b79d227873d1n,
+    ],
+    [
+      3n,
+      0x5ecbe4d1a6330a44c8f7ef951d4bf165e6c6b721efada985fb41661bc6e7fd6cn,
+      0x8734640c4998ff7e374b06ce1a64a2ecd82ab036384fb83d9a79b127a27d5032n,
+    ],
+  ],
+};
+
+/* ───────────── Helpers ───────────── */
+
+const big = (bn) => BigInt(bn.toString());
+const u = (n) => n.toString();
+
+function pair(result) {
+  return { x: big(result[0]), y: big(result[1]) };
+}
+
+function triple(result) {
+  return { x: big(result[0]), y: big(result[1]), z: big(result[2]) };
+}
+
+// Scalar in [1, n)
+function randomScalar(rng, c) {
+  return (BigInt(rng.hex(32)) % (c.n - 1n)) + 1n;
+}
+
+// k*G as computed by OpenSSL
+function opensslPublicKey(curveName, k) {
+  const ecdh = crypto.createECDH(OPENSSL_NAMES[curveName]);
+  ecdh.setPrivateKey(Buffer.from(k.toString(16).padStart(64, "0"), "hex"));
+  const pub = ecdh.getPublicKey("hex", "uncompressed");
+  return { x: BigInt("0x" + pub.slice(2, 66)), y: BigInt("0x" + pub.slice(66)) };
+}
+
+// Same point in Jacobian coordinates with a non-trivial z
+function toJacobian(c, P, z) {
+  const z2 = ref.mod(z * z, c.p);
+  return { x: ref.mod(P.x * z2, c.p), y: ref.mod(P.y * z2 * z, c.p), z };
+}
+
+function formatGasTable(rows) {
+  const header = ["operation", "curve", "gas"];
+  const lines = [header, ...rows.map((r) => [r.op, r.curve, String(r.gas)])];
+  const widths = header.map((_, i) => Math.max(...lines.map((l) => l[i].length)));
+  return lines
+    .map((l) => l.map((cell, i) => (i === 2 ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join("  "))
+    .join("\n");
+}
+
+/* ───────────── Tests ───────────── */
+
+contract("EllipticCurve", () => {
+  let ec;
+  const gasRows = [];
+
+  before(async () => {
+    ec = await EllipticCurveHarness.new();
+    console.log(`      ${seedLine(SEED)}`);
+  });
+
+  after(() => {
+    console.log(`\n${formatGasTable(gasRows)}\n`);
+  });
+
+  for (const [name, c] of Object.entries(ref.CURVES)) {
+    describe(name, () => {
+      const rng = new SeededRandom(SEED).fork(`ellipticcurve:${name}`);
+      const scalars = Array.from({ length: RANDOM_POINTS }, () => randomScalar(rng, c));
+      const points = scalars.map((k) => ref.mul(c, k, c.g));
+      const curveArgs = [u(c.a), u(c.p)];
+
+      it("matches the reference for invMod and expMod", async () => {
+        for (const k of scalars) {
+          assert.equal(big(await ec.invMod(u(k), u(c.p))), ref.invMod(k, c.p));
+          const e = randomScalar(rng, c);
+          assert.equal(big(await ec.expMod(u(k), u(e), u(c.p))), ref.expMod(k, e, c.p));
+        }
+        assert.equal(big(await ec.expMod(0, 5, u(c.p))), 0n);
+        assert.equal(big(await ec.expMod(5, 0, u(c.p))), 1n);
+        await assertReverts(ec.invMod(0, u(c.p)), "Invalid number");
+        await assertReverts(ec.expMod(2, 3, 0), "Modulus is zero");
+      });
+
+      it("matches the published multiples of G", async () => {
+        for (const [k, x, y] of KNOWN_MULTIPLES[name]) {
+          assert.deepEqual(pair(await ec.ecMul(u(k), u(c.g.x), u(c.g.y), ...curveArgs)), { x, y });
+          assert.deepEqual(ref.mul(c, k, c.g), { x, y });
+        }
+      });
+
+      it("matches OpenSSL and the reference for ecMul on random scalars", async () => {
+        for (const [i, k] of scalars.entries()) {
+          const onChain = pair(await ec.ecMul(u(k), u(c.g.x), u(c.g.y), ...curveArgs));
+          assert.deepEqual(onChain, points[i], `k=${k}`);
+          assert.deepEqual(opensslPublicKey(name, k), points[i], `k=${k}`);
+
+          // Non-generator base point
+          const P = points[(i + 1) % points.length];
+          assert.deepEqual(
+            pair(await ec.ecMul(u(k), u(P.x), u(P.y), ...curveArgs)),
+            ref.mul(c, k, P),
+          );
+        }
+      });
+
+      it("matches the reference for isOnCurve", async () => {
+        const isOnCurve = (P) => ec.isOnCurve(u(P.x), u(P.y), u(c.a), u(c.b), u(c.p));
+        for (const P of [c.g, ...points]) {
+          assert.isTrue(await isOnCurve(P));
+          const off = { x: P.x, y: ref.mod(P.y + 1n, c.p) };
+          assert.isFalse(await isOnCurve(off));
+          assert.isFalse(ref.isOnCurve(c, off));
+        }
+        assert.isFalse(await isOnCurve({ x: 0n, y: c.g.y }));
+        assert.isFalse(await isOnCurve({ x: c.g.x, y: c.p }));
+      });
+
+      it("matches the reference for deriveY with both prefixes", async () => {
+        for (const P of [c.g, ...points]) {
+          for (const prefix of [2, 3]) {
+            const y = big(await ec.deriveY(prefix, u(P.x), u(c.a), u(c.b), u(c.p)));
+            assert.equal(y, ref.deriveY(c, prefix, P.x));
+            assert.equal(y & 1n, BigInt(prefix & 1));
+            assert.oneOf(y, [P.y, c.p - P.y]);
+          }
+        }
+        await assertReverts(
+          ec.deriveY(4, u(c.g.x), u(c.a), u(c.b), u(c.p)),
+          "Invalid compressed EC point prefix",
+        );
+      });
+
+      it("matches the reference for ecInv, ecAdd and ecSub", async () => {
+        for (const [i, P] of points.entries()) {
+          const Q = points[(i + 1) % points.length];
+          assert.deepEqual(pair(await ec.ecInv(u(P.x), u(P.y), u(c.p))), ref.neg(c, P));
+          assert.deepEqual(
+            pair(await ec.ecAdd(u(P.x), u(P.y), u(Q.x), u(Q.y), ...curveArgs)),
+            ref.add(c, P, Q),
+          );
+          assert.deepEqual(
+            pair(await ec.ecSub(u(P.x), u(P.y), u(Q.x), u(Q.y), ...curveArgs)),
+            ref.sub(c, P, Q),
+          );
+          // Doubling path
+          assert.deepEqual(
+            pair(await ec.ecAdd(u(P.x), u(P.y), u(P.x), u(P.y), ...curveArgs)),
+            ref.add(c, P, P),
+          );
+        }
+      });
+
+      it("returns (0, 0) for P + (-P) and P - P", async () => {
+        const P = points[0];
+        const N = ref.neg(c, P);
+        assert.isNull(ref.add(c, P, N));
+        assert.deepEqual(
+          pair(await ec.ecAdd(u(P.x), u(P.y), u(N.x), u(N.y), ...curveArgs)),
+          { x: 0n, y: 0n },
+        );
+        assert.deepEqual(
+          pair(await ec.ecSub(u(P.x), u(P.y), u(P.x), u(P.y), ...curveArgs)),
+          { x: 0n, y: 0n },
+        );
+      });
+
+      it("matches the reference for toAffine", async () => {
+        for (const P of points) {
+          const J = toJacobian(c, P, randomScalar(rng, c) % c.p);
+          assert.deepEqual(pair(await ec.toAffine(u(J.x), u(J.y), u(J.z), u(c.p))), P);
+          assert.deepEqual(ref.toAffine(c, J), P);
+        }
+      });
+
+      it("matches the reference for jacAdd, jacDouble and jacMul", async () => {
+        const affine = (result) => ref.toAffine(c, triple(result));
+        for (const [i, P] of points.entries()) {
+          const Q = points[(i + 1) % points.length];
+          const JP = toJacobian(c, P, randomScalar(rng, c) % c.p);
+          const JQ = toJacobian(c, Q, randomScalar(rng, c) % c.p);
+
+          assert.deepEqual(
+            affine(await ec.jacAdd(u(JP.x), u(JP.y), u(JP.z), u(JQ.x), u(JQ.y), u(JQ.z), u(c.p))),
+            ref.add(c, P, Q),
+          );
+          assert.deepEqual(
+            affine(await ec.jacDouble(u(JP.x), u(JP.y), u(JP.z), u(c.a), u(c.p))),
+            ref.add(c, P, P),
+          );
+          const k = scalars[i];
+          assert.deepEqual(
+            affine(await ec.jacMul(u(k), u(JQ.x), u(JQ.y), u(JQ.z), u(c.a), u(c.p))),
+            ref.mul(c, k, Q),
+          );
+        }
+      });
+
+      it("keeps the library's edge-case behaviour", async () => {
+        const G = c.g;
+        // jacAdd refuses equal points; callers must double instead
+        await assertReverts(
+          ec.jacAdd(u(G.x), u(G.y), 1, u(G.x), u(G.y), 1, u(c.p)),
+          "Use jacDouble function instead",
+        );
+        // jacMul(0, P) returns P unchanged rather than infinity
+        const J = triple(await ec.jacMul(0, u(G.x), u(G.y), 1, u(c.a), u(c.p)));
+        assert.deepEqual(J, { x: G.x, y: G.y, z: 1n });
+        // n*G is infinity (z = 0), which toAffine cannot invert
+        await assertReverts(ec.ecMul(u(c.n), u(G.x), u(G.y), ...curveArgs), "Invalid number");
+      });
+
+      it("reports gas for ecMul and deriveY", async () => {
+        const G = c.g;
+        const measured = [
+          ["ecMul k=2", ec.ecMul.estimateGas(2, u(G.x), u(G.y), ...curveArgs)],
+          [
+            "ecMul k=2^128-1",
+            ec.ecMul.estimateGas(u((1n << 128n) - 1n), u(G.x), u(G.y), ...curveArgs),
+          ],
+          ["ecMul k=random", ec.ecMul.estimateGas(u(scalars[0]), u(G.x), u(G.y), ...curveArgs)],
+          ["ecMul k=n-1", ec.ecMul.estimateGas(u(c.n - 1n), u(G.x), u(G.y), ...curveArgs)],
+          ["deriveY", ec.deriveY.estimateGas(2, u(G.x), u(c.a), u(c.b), u(c.p))],
+        ];
+        for (const [op, pending] of measured) {
+          const gas = await pending;
+          assert.isAbove(gas, 21000, op);
+          gasRows.push({ op, curve: name, gas });
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,130 @@
+/**
+ * test/faults.js
+ *
+ * Failure injection (src/faults.js) and the local pre-checks it is measured
+ * against (src/precheck.js).
+ *
+ * Run:
+ *   truffle test test/faults.js
+ */
+
+const { CIDBatchLogClient } = require("../src/client");
+const { FAULT_NAMES, parseFaultList, injectFaults, faultRecord } = require("../src/faults");
+const { list, chainNow, increaseTime } = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+contract("Failure injection", (accounts) => {
+  const [sender, receiver, stranger, other] = accounts;
+  const cids = list(8);
+  const message = "0x" + "ab".repeat(32);
+
+  let client;
+
+  beforeEach(async () => {
+    client = new CIDBatchLogClient(await CIDBatchLog.new(), { from: sender });
+  });
+
+  async function released(params) {
+    const timelock = (await chainNow()) + 3600;
+    const created = params.receivers
+      ? await client.createMultiBatch({ cids, timelock, ...params })
+      : await client.createBatch({ receiver, cids, message, timelock, ...params });
+    await client.releaseAggregate(created.batchId);
+    return created.batchId;
+  }
+
+  const byName = (outcomes) => Object.fromEntries(outcomes.map((o) => [o.fault, o]));
+
+  it("parses --inject values", () => {
+    assert.deepEqual(parseFaultList(true), FAULT_NAMES);
+    assert.deepEqual(parseFaultList("padded, truncated"), ["padded", "truncated"]);
+    assert.throws(() => parseFaultList("padded,shuffled"), /unknown fault "shuffled"/);
+  });
+
+  it("mines each bad call, records its revert and leaves the batch untouched", async () => {
+    const batchId = await released({});
+    const before = await web3.eth.getBlockNumber();
+    const o = byName(await injectFaults(client, { batchId, cids, message, receiver, stranger }));
+
+    const expected = {
+      "tampered-cid": "aggregate mismatch",
+      reordered: "aggregate mismatch",
+      truncated: "CID count mismatch",
+      padded: "CID count mismatch",
+      "wrong-message": "message hash mismatch",
+      "release-by-receiver": "only sender",
+    };
+    for (const [name, reason] of Object.entries(expected)) {
+      assert.isTrue(o[name].sent, name);
+      assert.isTrue(o[name].reverted, name);
+      assert.equal(o[name].revertReason, reason, name);
+      assert.equal(o[name].predicted, reason, name);
+      assert.isTrue(o[name].caughtLocally, name);
+      assert.isAbove(o[name].gasUsed, 21000, name);
+      const receipt = await web3.eth.getTransactionReceipt(o[name].txHash);
+      assert.isFalse(receipt.status, name);
+    }
+    assert.equal(await web3.eth.getBlockNumber(), before + Object.keys(expected).length);
+
+    // Anyone may verify a single-receiver batch: accepted, so never sent
+    const s = o["verify-by-stranger"];
+    assert.isFalse(s.reverted);
+    assert.isFalse(s.sent);
+    assert.isFalse(s.caughtLocally);
+
+    const record = faultRecord(o.padded, cids.length);
+    assert.equal(record.operation, "verifyCIDs[padded]");
+    assert.isFalse(record.success);
+
+    await client.verifyCIDs(batchId, cids, { from: receiver });
+    await client.verifyMessage(batchId, message, { from: receiver });
+    assert.equal((await client.getBatch(batchId)).status, "verified");
+  });
+
+  it("turns a stranger away from a multi-receiver batch", async () => {
+    const batchId = await released({ receivers: [receiver, other] });
+    const [o] = await injectFaults(
+      client,
+      { batchId, cids, receiver, stranger },
+      { faults: ["verify-by-stranger"] },
+    );
+
+    assert.isTrue(o.reverted);
+    assert.equal(o.revertReason, "only receiver");
+    assert.isTrue(o.caughtLocally);
+  });
+
+  it("skips faults that do not apply", async () => {
+    const single = [cids[0]];
+    const batchId = await released({ cids: single, message: undefined });
+    const o = byName(
+      await injectFaults(
+        client,
+        { batchId, cids: single, receiver, stranger },
+        { faults: ["reordered", "wrong-message"] },
+      ),
+    );
+
+    assert.isTrue(o.reordered.skipped);
+    assert.isFalse(o.reordered.sent);
+    assert.equal(o["wrong-message"].revertReason, "no messageHash set");
+    assert.isTrue(o["wrong-message"].caughtLocally);
+  });
+
+  it("reports a revert the pre-check cannot see", async () => {
+    const timelock = (await chainNow()) + 60;
+    const { batchId } = await client.createBatch({ receiver, cids, message, timelock });
+    await increaseTime(61);
+    await client.expireBatch(batchId);
+
+    const [o] = await injectFaults(
+      client,
+      { batchId, cids, message, receiver, stranger },
+      { faults: ["verify-by-stranger"] },
+    );
+    assert.isTrue(o.reverted);
+    assert.equal(o.revertReason, "batch expired");
+    assert.isFalse(o.caughtLocally);
+  });
+});
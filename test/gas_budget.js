@@ -0,0 +1,55 @@
+/**
+ * test/gas_budget.js
+ *
+ * Fails when an operation costs more gas than recorded in
+ * test/gas_baseline.json (plus a tolerance). Cheaper is always fine.
+ *
+ * Run:
+ *   truffle test test/gas_budget.js
+ *   GAS_TOLERANCE=2.5 truffle test test/gas_budget.js     # percent
+ *
+ * Re-record the baseline after an intentional change:
+ *   truffle exec scripts/record_gas_baseline.js --network development
+ */
+
+const {
+  DEFAULT_TOLERANCE_PERCENT,
+  measureGas,
+  loadBaseline,
+  compareToBaseline,
+  formatDiffTable,
+} = require("../src/gasbudget");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+const HashedTimelock = artifacts.require("HashedTimelock");
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+
+const TOLERANCE = process.env.GAS_TOLERANCE
+  ? Number(process.env.GAS_TOLERANCE)
+  : DEFAULT_TOLERANCE_PERCENT;
+
+contract("Gas budget", (accounts) => {
+  let rows;
+
+  before(async () => {
+    const measured = await measureGas({
+      web3,
+      sender: accounts[0],
+      receiver: accounts[1],
+      cidBatchLog: await CIDBatchLog.new(),
+      hashedTimelock: await HashedTimelock.new(),
+      hashedTimelockLog: await HashedTimelockLog.new(),
+    });
+    rows = compareToBaseline(measured, loadBaseline().gas, TOLERANCE);
+  });
+
+  for (const contractName of ["CIDBatchLog", "HashedTimelock", "HashedTimelockLog"]) {
+    it(`${contractName} operations stay within ${TOLERANCE}% of the baseline`, () => {
+      const own = rows.filter((r) => r.key.startsWith(`${contractName}.`));
+      assert.isAbove(own.length, 0, "no measurements");
+      if (own.some((r) => !r.ok)) {
+        assert.fail(`gas budget exceeded:\n\n${formatDiffTable(own)}\n`);
+      }
+    });
+  }
+});
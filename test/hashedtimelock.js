@@ -0,0 +1,247 @@
+/**
+ * test/hashedtimelock.js
+ *
+ * Revert paths, events, balances and state transitions of HashedTimelock.
+ *
+ * Run:
+ *   truffle test test/hashedtimelock.js
+ */
+
+const {
+  ZERO_ADDRESS,
+  ZERO_BYTES32,
+  bytes32,
+  sha256Hex,
+  chainNow,
+  increaseTime,
+  assertReverts,
+  assertEvent,
+} = require("./helpers");
+
+const HashedTimelock = artifacts.require("HashedTimelock");
+
+const AMOUNT = web3.utils.toWei("0.01", "ether");
+const { BN } = web3.utils;
+
+contract("HashedTimelock", (accounts) => {
+  const [sender, receiver, stranger] = accounts;
+  const preimage = bytes32("preimage");
+  const hashlock = sha256Hex(preimage);
+
+  let htlc;
+  let timelock;
+
+  beforeEach(async () => {
+    htlc = await HashedTimelock.new();
+    timelock = (await chainNow()) + 3600;
+  });
+
+  async function create(opts = {}) {
+    const tx = await htlc.newContract(
+      opts.receiver || receiver,
+      opts.hashlock || hashlock,
+      opts.timelock || timelock,
+      { from: sender, value: opts.value === undefined ? AMOUNT : opts.value },
+    );
+    return { tx, contractId: tx.logs[0].args.contractId };
+  }
+
+  async function state(contractId) {
+    const c = await htlc.getContract(contractId);
+    return {
+      sender: c.sender,
+      receiver: c.receiver,
+      amount: c.amount.toString(),
+      hashlock: c.hashlock,
+      timelock: c.timelock.toString(),
+      withdrawn: c.withdrawn,
+      refunded: c.refunded,
+      preimage: c.preimage,
+    };
+  }
+
+  async function balance(address) {
+    return new BN(await web3.eth.getBalance(address));
+  }
+
+  async function gasCost(tx) {
+    const t = await web3.eth.getTransaction(tx.tx);
+    return new BN(t.gasPrice).mul(new BN(tx.receipt.gasUsed));
+  }
+
+  /* ───────────── newContract ───────────── */
+
+  describe("newContract", () => {
+    it("locks the funds and emits LogHTLCNew", async () => {
+      const { tx, contractId } = await create();
+
+      assertEvent(tx, "LogHTLCNew", {
+        contractId,
+        sender,
+        receiver,
+        amount: AMOUNT,
+        hashlock,
+        timelock,
+      });
+      assert.equal(await web3.eth.getBalance(htlc.address), AMOUNT);
+      assert.deepEqual(await state(contractId), {
+        sender,
+        receiver,
+        amount: AMOUNT,
+        hashlock,
+        timelock: String(timelock),
+        withdrawn: false,
+        refunded: false,
+        preimage: ZERO_BYTES32,
+      });
+    });
+
+    it("reverts without value", async () => {
+      await assertReverts(create({ value: 0 }), "msg.value must be > 0");
+    });
+
+    it("reverts when the timelock is not in the future", async () => {
+      const now = await chainNow();
+      await assertReverts(create({ timelock: now }), "timelock time must be in the future");
+    });
+
+    it("reverts when the same contract is created twice", async () => {
+      await create();
+      await assertReverts(create(), "Contract already exists");
+    });
+  });
+
+  /* ───────────── withdraw ───────────── */
+
+  describe("withdraw", () => {
+    it("pays the receiver, records the preimage and emits LogHTLCWithdraw", async () => {
+      const { contractId } = await create();
+      const before = await balance(receiver);
+
+      const tx = await htlc.withdraw(contractId, preimage, { from: receiver });
+
+      assertEvent(tx, "LogHTLCWithdraw", { contractId });
+      const after = await balance(receiver);
+      assert.equal(after.sub(before).add(await gasCost(tx)).toString(), AMOUNT);
+      assert.equal(await web3.eth.getBalance(htlc.address), "0");
+
+      const s = await state(contractId);
+      assert.isTrue(s.withdrawn);
+      assert.isFalse(s.refunded);
+      assert.equal(s.preimage, preimage);
+    });
+
+    it("reverts for an unknown contract", async () => {
+      await assertReverts(
+        htlc.withdraw(bytes32("nope"), preimage, { from: receiver }),
+        "contractId does not exist",
+      );
+    });
+
+    it("reverts for a wrong preimage", async () => {
+      const { contractId } = await create();
+      await assertReverts(
+        htlc.withdraw(contractId, bytes32("wrong"), { from: receiver }),
+        "hashlock hash does not match",
+      );
+    });
+
+    it("reverts when not called by the receiver", async () => {
+      const { contractId } = await create();
+      await assertReverts(
+        htlc.withdraw(contractId, preimage, { from: stranger }),
+        "withdrawable: not receiver",
+      );
+    });
+
+    it("reverts when already withdrawn", async () => {
+      const { contractId } = await create();
+      await htlc.withdraw(contractId, preimage, { from: receiver });
+      await assertReverts(
+        htlc.withdraw(contractId, preimage, { from: receiver }),
+        "withdrawable: already withdrawn",
+      );
+    });
+
+    it("reverts after the timelock has passed", async () => {
+      const { contractId } = await create();
+      await increaseTime(3601);
+      await assertReverts(
+        htlc.withdraw(contractId, preimage, { from: receiver }),
+        "withdrawable: timelock time must be in the future",
+      );
+    });
+  });
+
+  /* ───────────── refund ───────────── */
+
+  describe("refund", () => {
+    it("returns the funds to the sender after expiry and emits LogHTLCRefund", async () => {
+      const { contractId } = await create();
+      await increaseTime(3601);
+      const before = await balance(sender);
+
+      const tx = await htlc.refund(contractId, { from: sender });
+
+      assertEvent(tx, "LogHTLCRefund", { contractId });
+      const after = await balance(sender);
+      assert.equal(after.sub(before).add(await gasCost(tx)).toString(), AMOUNT);
+      assert.equal(await web3.eth.getBalance(htlc.address), "0");
+
+      const s = await state(contractId);
+      assert.isTrue(s.refunded);
+      assert.isFalse(s.withdrawn);
+      assert.equal(s.preimage, ZERO_BYTES32);
+    });
+
+    it("reverts for an unknown contract", async () => {
+      await assertReverts(
+        htlc.refund(bytes32("nope"), { from: sender }),
+        "contractId does not exist",
+      );
+    });
+
+    it("reverts when not called by the sender", async () => {
+      const { contractId } = await create();
+      await increaseTime(3601);
+      await assertReverts(htlc.refund(contractId, { from: receiver }), "refundable: not sender");
+    });
+
+    it("reverts before the timelock has passed", async () => {
+      const { contractId } = await create();
+      await assertReverts(
+        htlc.refund(contractId, { from: sender }),
+        "refundable: timelock not yet passed",
+      );
+    });
+
+    it("reverts when already refunded", async () => {
+      const { contractId } = await create();
+      await increaseTime(3601);
+      await htlc.refund(contractId, { from: sender });
+      await assertReverts(
+        htlc.refund(contractId, { from: sender }),
+        "refundable: already refunded",
+      );
+    });
+
+    it("reverts when already withdrawn", async () => {
+      const { contractId } = await create();
+      await htlc.withdraw(contractId, preimage, { from: receiver });
+      await increaseTime(3601);
+      await assertReverts(
+        htlc.refund(contractId, { from: sender }),
+        "refundable: already withdrawn",
+      );
+    });
+  });
+
+  /* ───────────── getContract ───────────── */
+
+  it("returns an empty contract for an unknown id", async () => {
+    const s = await state(bytes32("nope"));
+    assert.equal(s.sender, ZERO_ADDRESS);
+    assert.equal(s.receiver, ZERO_ADDRESS);
+    assert.equal(s.amount, "0");
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * test/hashedtimelocklog.js
+ *
+ * Revert paths, events and state transitions of HashedTimelockLog.
+ *
+ * Run:
+ *   truffle test test/hashedtimelocklog.js
+ */
+
+const {
+  ZERO_ADDRESS,
+  bytes32,
+  sha256Hex,
+  chainNow,
+  assertReverts,
+  assertEvent,
+} = require("./helpers");
+
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+
+contract("HashedTimelockLog", (accounts) => {
+  const [sender, receiver, stranger] = accounts;
+  const hashlock = sha256Hex(bytes32("preimage"));
+  const message = "0x" + Buffer.from("hello receiver").toString("hex");
+  const messageHash = web3.utils.keccak256(message);
+
+  let htlc;
+  let timelock;
+
+  beforeEach(async () => {
+    htlc = await HashedTimelockLog.new();
+    timelock = (await chainNow()) + 3600;
+  });
+
+  async function create(opts = {}) {
+    const tx = await htlc.newContract(
+      opts.receiver || receiver,
+      hashlock,
+      messageHash,
+      opts.timelock || timelock,
+      { from: sender },
+    );
+    return { tx, contractId: tx.logs[0].args.contractId };
+  }
+
+  async function state(contractId) {
+    const c = await htlc.getContract(contractId);
+    return {
+      sender: c.sender,
+      receiver: c.receiver,
+      hashlock: c.hashlock,
+      messageHash: c.messageHash,
+      timelock: c.timelock.toString(),
+      verified: c.verified,
+    };
+  }
+
+  /* ───────────── newContract ───────────── */
+
+  describe("newContract", () => {
+    it("stores the contract and emits LogHTLCNew", async () => {
+      const { tx, contractId } = await create();
+
+      assertEvent(tx, "LogHTLCNew", {
+        contractId,
+        sender,
+        receiver,
+        hashlock,
+        messageHash,
+        timelock,
+      });
+      assert.deepEqual(await state(contractId), {
+        sender,
+        receiver,
+        hashlock,
+        messageHash,
+        timelock: String(timelock),
+        verified: false,
+      });
+    });
+
+    it("reverts when the timelock is not in the future", async () => {
+      const now = await chainNow();
+      await assertReverts(create({ timelock: now }), "timelock time must be in the future");
+    });
+
+    it("reverts for the zero receiver", async () => {
+      await assertReverts(create({ receiver: ZERO_ADDRESS }), "receiver=0");
+    });
+
+    it("reverts when the same contract is created twice", async () => {
+      await create();
+      await assertReverts(create(), "contract exists");
+    });
+  });
+
+  /* ───────────── verifyLog ───────────── */
+
+  describe("verifyLog", () => {
+    it("marks the contract verified and emits LogVerified", async () => {
+      const { contractId } = await create();
+      const tx = await htlc.verifyLog(contractId, message, { from: receiver });
+
+      assertEvent(tx, "LogVerified", { contractId });
+      assert.isTrue((await state(contractId)).verified);
+    });
+
+    it("reverts for an unknown contract", async () => {
+      await assertReverts(
+        htlc.verifyLog(bytes32("nope"), message, { from: receiver }),
+        "contract does not exist",
+      );
+    });
+
+    it("reverts when not called by the receiver", async () => {
+      const { contractId } = await create();
+      await assertReverts(
+        htlc.verifyLog(contractId, message, { from: stranger }),
+        "only receiver",
+      );
+    });
+
+    it("reverts for a different message", async () => {
+      const { contractId } = await create();
+      await assertReverts(
+        htlc.verifyLog(contractId, "0x1234", { from: receiver }),
+        "message hash mismatch",
+      );
+      assert.isFalse((await state(contractId)).verified);
+    });
+
+    it("reverts when already verified", async () => {
+      const { contractId } = await create();
+      await htlc.verifyLog(contractId, message, { from: receiver });
+      await assertReverts(
+        htlc.verifyLog(contractId, message, { from: receiver }),
+        "already verified",
+      );
+    });
+  });
+
+  it("returns an empty contract for an unknown id", async () => {
+    const s = await state(bytes32("nope"));
+    assert.equal(s.sender, ZERO_ADDRESS);
+    assert.isFalse(s.verified);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * test/helpers.js
+ *
+ * Shared assertions and fixtures for the truffle test suites. Contains no
+ * tests itself.
+ */
+
+const crypto = require("crypto");
+
+const evm = require("../src/evm");
+const { revertReason } = require("../src/errors");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ZERO_BYTES32 = "0x" + "00".repeat(32);
+
+// Deterministic bytes32 fixture derived from a label
+function bytes32(label) {
+  return "0x" + crypto.createHash("sha256").update(String(label)).digest("hex");
+}
+
+// n distinct bytes32 fixtures: bytes32("<label>:0"), bytes32("<label>:1"), ...
+function list(n, label = "cid") {
+  return Array.from({ length: n }, (_, i) => bytes32(`${label}:${i}`));
+}
+
+// sha256 of raw bytes, as the HTLC hashlocks use
+function sha256Hex(hex) {
+  return "0x" + crypto.createHash("sha256").update(Buffer.from(hex.slice(2), "hex")).digest("hex");
+}
+
+function chainNow() {
+  return evm.chainNow(web3);
+}
+
+function increaseTime(seconds) {
+  return evm.increaseTime(web3, seconds);
+}
+
+/**
+ * Awaits a transaction that must revert with exactly `reason`.
+ */
+async function assertReverts(promise, reason) {
+  let err = null;
+  try {
+    await promise;
+  } catch (e) {
+    err = e;
+  }
+  assert.isNotNull(err, `expected revert "${reason}", but the call succeeded`);
+  assert.equal(revertReason(err), reason, `unexpected error: ${err.message}`);
+}
+
+/**
+ * Awaits a promise that must reject, and returns the error for further
+ * checks (off-chain errors, which assertReverts does not cover).
+ */
+async function rejects(promise) {
+  try {
+    await promise;
+  } catch (err) {
+    return err;
+  }
+  assert.fail("expected a rejection");
+}
+
+/**
+ * Finds the single `name` event in a truffle result and checks the given
+ * arguments. Numbers are compared as strings.
+ */
+function assertEvent(result, name, args = {}) {
+  const logs = result.logs.filter((l) => l.event === name);
+  assert.lengthOf(logs, 1, `expected one ${name} event`);
+  for (const [key, expected] of Object.entries(args)) {
+    const actual = logs[0].args[key];
+    if (Array.isArray(expected)) {
+      assert.deepEqual(actual, expected, `${name}.${key}`);
+    } else {
+      assert.equal(String(actual), String(expected), `${name}.${key}`);
+    }
+  }
+  return logs[0].args;
+}
+
+module.exports = {
+  ZERO_ADDRESS,
+  ZERO_BYTES32,
+  bytes32,
+  list,
+  sha256Hex,
+  chainNow,
+  increaseTime,
+  assertReverts,
+  rejects,
+  assertEvent,
+};
@@ -0,0 +1,206 @@
+/**
+ * test/indexer.js
+ *
+ * Local event index (src/indexer.js): resuming from a saved store, rolling
+ * back after a reorg, and the findBatches / findHTLCs filters.
+ *
+ * Run:
+ *   truffle test test/indexer.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { digestToCID } = require("../src/cid");
+const { CIDBatchLogClient } = require("../src/client");
+const evm = require("../src/evm");
+const { FileStore, EventIndexer } = require("../src/indexer");
+const { bytes32, list, sha256Hex, chainNow, increaseTime } = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+const HashedTimelock = artifacts.require("HashedTimelock");
+const HashedTimelockLog = artifacts.require("HashedTimelockLog");
+
+contract("EventIndexer", (accounts) => {
+  const [sender, receiver, partner, other] = accounts;
+  const cids = list(4);
+
+  let client;
+  let contracts;
+  let dir;
+  let startBlock;
+
+  beforeEach(async () => {
+    const batchLog = await CIDBatchLog.new();
+    client = new CIDBatchLogClient(batchLog, { from: sender });
+    contracts = {
+      CIDBatchLog: batchLog,
+      HashedTimelock: await HashedTimelock.new(),
+      HashedTimelockLog: await HashedTimelockLog.new(),
+    };
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-index-"));
+    startBlock = await web3.eth.getBlockNumber();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function indexer(opts = {}) {
+    return new EventIndexer({
+      web3,
+      contracts,
+      store: new FileStore(path.join(dir, "index.json")),
+      startBlock,
+      ...opts,
+    });
+  }
+
+  const ids = (batches) => batches.map((b) => b.batchId).sort();
+
+  it("resumes from the saved store without indexing an event twice", async () => {
+    const first = await client.createBatch({ receiver, cids });
+    const synced = await indexer().sync();
+    assert.equal(synced.fromBlock, startBlock);
+
+    const second = await client.createBatch({ receiver, cids: list(2, "second") });
+    const resumed = indexer();
+    assert.isNotNull(resumed.getBatch(first.batchId));
+    assert.isNull(resumed.getBatch(second.batchId));
+
+    const { fromBlock, events } = await resumed.sync();
+    assert.equal(fromBlock, synced.toBlock + 1);
+    assert.equal(events, 2); // BatchCreated + CIDsLogged
+    assert.deepEqual(ids(resumed.findBatches()), [first.batchId, second.batchId].sort());
+    const created = resumed.state.events.filter((e) => e.event === "BatchCreated");
+    assert.lengthOf(created, 2);
+  });
+
+  it("rolls back and re-scans blocks replaced by a reorg", async () => {
+    const kept = await client.createBatch({ receiver, cids });
+    const idx = indexer({ confirmations: 6 });
+    await idx.sync();
+
+    const snapshot = await evm.snapshot(web3);
+    const dropped = await client.createBatch({ receiver, cids: list(2, "dropped") });
+    await idx.sync();
+    assert.isNotNull(idx.getBatch(dropped.batchId));
+    const forkPoint = await web3.eth.getBlockNumber();
+
+    // Same heights, different blocks, then a longer chain
+    await evm.revert(web3, snapshot);
+    const replacement = await client.createBatch({ receiver: partner, cids: list(2, "replacement") });
+    await evm.mine(web3);
+    assert.isAbove(await web3.eth.getBlockNumber(), forkPoint);
+
+    const { rolledBack } = await idx.sync();
+    assert.isNotNull(rolledBack);
+    assert.isBelow(rolledBack, forkPoint);
+    assert.isNull(idx.getBatch(dropped.batchId));
+    assert.isNotNull(idx.getBatch(kept.batchId));
+    assert.isNotNull(idx.getBatch(replacement.batchId));
+    assert.deepEqual(idx.batchesByCID(list(2, "dropped")[0]), []);
+
+    // The rollback was saved, so a fresh indexer agrees
+    const reloaded = indexer({ confirmations: 6 });
+    assert.deepEqual(ids(reloaded.findBatches()), ids(idx.findBatches()));
+  });
+
+  it("filters batches by CID, sender, receiver, status and creation time", async () => {
+    const t0 = await chainNow();
+    const timelock = t0 + 3600;
+    const released = await client.createBatch({ receiver, cids, timelock });
+    await client.releaseAggregate(released.batchId);
+    const verified = await client.createBatch({ receiver, cids: list(2, "v"), timelock });
+    await client.releaseAggregate(verified.batchId);
+    await client.verifyCIDs(verified.batchId, list(2, "v"), { from: receiver });
+
+    await increaseTime(1000);
+    const t1 = await chainNow();
+    const cancelled = await client.createBatch({ receiver: other, cids, timelock: timelock + 1 });
+    await client.cancelBatch(cancelled.batchId);
+    const multi = await client.createMultiBatch({
+      receivers: [receiver, partner],
+      cids: list(3, "multi"),
+      timelock,
+      from: partner,
+    });
+
+    const idx = indexer();
+    await idx.sync();
+
+    assert.deepEqual(
+      ids(idx.findBatches({ cid: cids[0] })),
+      [released.batchId, cancelled.batchId].sort(),
+    );
+    // A CID string finds the same batches as its digest
+    assert.deepEqual(
+      ids(idx.findBatches({ cid: digestToCID(cids[0]) })),
+      ids(idx.findBatches({ cid: cids[0] })),
+    );
+    assert.deepEqual(ids(idx.findBatches({ sender: partner })), [multi.batchId]);
+    assert.deepEqual(
+      ids(idx.findBatches({ receiver })),
+      [released.batchId, verified.batchId, multi.batchId].sort(),
+    );
+    assert.deepEqual(ids(idx.findBatches({ receiver: partner })), [multi.batchId]);
+    assert.deepEqual(ids(idx.findBatches({ status: "released" })), [released.batchId]);
+    assert.deepEqual(ids(idx.findBatches({ status: "verified" })), [verified.batchId]);
+    assert.deepEqual(ids(idx.findBatches({ status: "cancelled" })), [cancelled.batchId]);
+    assert.deepEqual(ids(idx.findBatches({ status: "created" })), [multi.batchId]);
+    assert.deepEqual(
+      ids(idx.findBatches({ until: t1 - 1 })),
+      [released.batchId, verified.batchId].sort(),
+    );
+    assert.deepEqual(
+      ids(idx.findBatches({ since: t1 })),
+      [cancelled.batchId, multi.batchId].sort(),
+    );
+    assert.deepEqual(
+      ids(idx.findBatches({ cid: cids[0], receiver, since: t0, until: t1 - 1 })),
+      [released.batchId],
+    );
+  });
+
+  it("filters HTLCs by contract, sender, receiver, status and creation time", async () => {
+    const preimage = bytes32("preimage");
+    const hashlock = sha256Hex(preimage);
+    const timelock = (await chainNow()) + 3600;
+    const { HashedTimelock: htlc, HashedTimelockLog: htlcLog } = contracts;
+
+    const newHTLC = async (from, to) => {
+      const tx = await htlc.newContract(to, hashlock, timelock, { from, value: "1000" });
+      return tx.logs.find((l) => l.event === "LogHTLCNew").args.contractId;
+    };
+    const withdrawn = await newHTLC(sender, receiver);
+    await htlc.withdraw(withdrawn, preimage, { from: receiver });
+    const open = await newHTLC(partner, receiver);
+
+    await increaseTime(1000);
+    const t1 = await chainNow();
+    const tx = await htlcLog.newContract(other, hashlock, web3.utils.keccak256(preimage), timelock, {
+      from: sender,
+    });
+    const logged = tx.logs.find((l) => l.event === "LogHTLCNew").args.contractId;
+    await htlcLog.verifyLog(logged, preimage, { from: other });
+
+    const idx = indexer();
+    await idx.sync();
+    const found = (filter) => idx.findHTLCs(filter).map((h) => h.contractId).sort();
+
+    assert.deepEqual(found({ contract: "HashedTimelock" }), [withdrawn, open].sort());
+    assert.deepEqual(found({ contract: "HashedTimelockLog" }), [logged]);
+    assert.deepEqual(found({ sender }), [withdrawn, logged].sort());
+    assert.deepEqual(found({ receiver }), [withdrawn, open].sort());
+    assert.deepEqual(found({ status: "withdrawn" }), [withdrawn]);
+    assert.deepEqual(found({ status: "open" }), [open]);
+    assert.deepEqual(found({ status: "verified" }), [logged]);
+    assert.deepEqual(found({ since: t1 }), [logged]);
+    assert.deepEqual(found({ until: t1 - 1 }), [withdrawn, open].sort());
+
+    const { batches, htlcs } = idx.transfers(sender, receiver);
+    assert.lengthOf(batches, 0);
+    assert.deepEqual(htlcs.map((h) => h.contractId), [withdrawn]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * test/logparse.js
+ *
+ * Text benchmark logs -> result records (src/logparse.js), on the committed
+ * test/cidbatchlog_*.log files and a sample HTLC log.
+ *
+ * Run:
+ *   truffle test test/logparse.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { detectFormat, parseLogText, parseLogFile } = require("../src/logparse");
+
+const LOG_DIR = __dirname;
+
+const HTLC_LOG = `HashedTimelock 10-test run @ 2026-01-15T10:00:00.000Z
+Seed: 5eed
+
+[2026-01-15T10:00:00.010Z] Using sender:   0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1
+[2026-01-15T10:00:00.020Z]
+=== TEST 1/10 ===
+[2026-01-15T10:00:00.030Z] preimage(32B): 0x${"11".repeat(32)}
+[2026-01-15T10:00:00.100Z] create tx: 0x${"aa".repeat(32)}
+[2026-01-15T10:00:00.100Z] create gasUsed: 121,733
+[2026-01-15T10:00:00.101Z] contractId: 0x${"cc".repeat(32)}
+[2026-01-15T10:00:00.150Z] withdraw tx: 0x${"bb".repeat(32)}
+[2026-01-15T10:00:00.150Z] withdraw gasUsed: 54021
+[2026-01-15T10:00:00.150Z] WITHDRAW SUCCESS
+[2026-01-15T10:00:00.160Z]
+=== TEST 2/10 ===
+[2026-01-15T10:00:00.200Z] CREATE FAILED (test 2): revert timelock must be in the future
+`;
+
+describe("parseLogFile (CIDBatchLog logs)", () => {
+  const logs = fs.readdirSync(LOG_DIR).filter((f) => /^cidbatchlog_\d+cids\.log$/.test(f));
+
+  it("finds the committed logs", () => {
+    assert.isAtLeast(logs.length, 7);
+  });
+
+  it("reads one create, release, verifyCIDs and verifyMessage per log", () => {
+    for (const name of logs) {
+      const size = Number(name.match(/_(\d+)cids/)[1]);
+      const records = parseLogFile(path.join(LOG_DIR, name));
+      assert.deepEqual(
+        records.map((r) => r.operation),
+        ["createBatch", "releaseAggregate", "verifyCIDs", "verifyMessage"],
+        name,
+      );
+      for (const r of records) {
+        assert.equal(r.contract, "CIDBatchLog", name);
+        assert.equal(r.batchSize, size, name);
+        assert.isTrue(r.success, name);
+        assert.isAbove(r.gasUsed, 0, name);
+        assert.isAtLeast(r.latencyMs, 0, name);
+        assert.match(r.timestamp, /^2026-01-\d\dT/, name);
+      }
+      // createBatch(receiver, aggregate, messageHash, timelock, bytes32[] cids)
+      assert.equal(records[0].calldataBytes, 4 + 32 * 5 + 32 * size, name);
+      assert.equal(records[1].calldataBytes, 36, name);
+    }
+  });
+
+  it("keeps the logged gas and the time since the step started", () => {
+    const records = parseLogFile(path.join(LOG_DIR, "cidbatchlog_10cids.log"));
+    assert.deepEqual(records.map((r) => r.gasUsed), [175629, 50559, 43871, 28142]);
+    // "Creating batch..." at 28.990, "create gasUsed" at 29.067
+    assert.equal(records[0].latencyMs, 77);
+    assert.equal(records[0].timestamp, "2026-01-14T22:56:29.067Z");
+  });
+
+  it("names the create operation after the log's mode", () => {
+    const text = fs
+      .readFileSync(path.join(LOG_DIR, "cidbatchlog_5cids.log"), "utf8")
+      .replace(/^CIDBatchLog/, "CIDBatchLog (merkle)");
+    assert.equal(detectFormat(text), "CIDBatchLog-merkle");
+    assert.equal(parseLogText(text)[0].operation, "createMerkleBatch");
+  });
+});
+
+describe("parseLogText (HTLC logs)", () => {
+  it("reads gas, tx hashes and failures", () => {
+    const records = parseLogText(HTLC_LOG);
+    assert.equal(detectFormat(HTLC_LOG), "HashedTimelock");
+    assert.lengthOf(records, 3);
+
+    const [create, withdraw, failed] = records;
+    assert.include(create, {
+      contract: "HashedTimelock",
+      operation: "newContract",
+      batchSize: 1,
+      gasUsed: 121733,
+      calldataBytes: 4 + 32 * 3,
+      txHash: "0x" + "aa".repeat(32),
+      success: true,
+    });
+    assert.include(withdraw, { operation: "withdraw", gasUsed: 54021, txHash: "0x" + "bb".repeat(32) });
+    assert.include(failed, {
+      operation: "newContract",
+      success: false,
+      revertReason: "revert timelock must be in the future",
+      timestamp: "2026-01-15T10:00:00.200Z",
+    });
+  });
+
+  it("tells HashedTimelockLog logs apart", () => {
+    const text = HTLC_LOG.replace(/^HashedTimelock /, "HashedTimelockLog ");
+    assert.equal(detectFormat(text), "HashedTimelockLog");
+    assert.equal(parseLogText(text)[0].calldataBytes, 4 + 32 * 4);
+  });
+
+  it("rejects an unknown format, naming the file", () => {
+    assert.throws(() => parseLogText("something else\n"), /unrecognised benchmark log format/);
+    const file = path.join(LOG_DIR, "helpers.js");
+    assert.throws(() => parseLogFile(file), /helpers\.js: unrecognised/);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * test/report.js
+ *
+ * Gas-per-CID aggregation (src/report.js) over result record sequences the
+ * benchmarks write: chunked sets, multi-receiver batches and converted text
+ * logs without batch ids.
+ *
+ * Run:
+ *   truffle test test/report.js
+ */
+
+const { computeGasPerCID } = require("../src/report");
+
+function rec(operation, batchId, batchSize, gasUsed) {
+  return { contract: "CIDBatchLog", operation, batchId, batchSize, gasUsed, success: true };
+}
+
+// The one series of a single-kind record set
+function points(records) {
+  const { batch } = computeGasPerCID(records);
+  assert.lengthOf(batch, 1);
+  return batch[0].points.map((p) => [p.batchSize, p.runs, p.totalGas]);
+}
+
+describe("computeGasPerCID", () => {
+  it("keeps each chunk's release and verify with its own chunk", () => {
+    // createChunkedSet sends every create before any release or verify
+    const records = [
+      rec("createBatch", "0xA1", 30, 1000),
+      rec("createBatch", "0xA2", 30, 2000),
+      rec("createBatch", "0xA3", 10, 500),
+      rec("releaseAggregate", "0xa1", 30, 10),
+      rec("releaseAggregate", "0xa2", 30, 20),
+      rec("releaseAggregate", "0xa3", 10, 5),
+      rec("verifyCIDs", "0xa1", 30, 100),
+      rec("verifyCIDs", "0xa2", 30, 200),
+      rec("verifyCIDs", "0xa3", 10, 50),
+    ];
+    assert.deepEqual(points(records), [
+      [10, 1, 555],
+      [30, 2, (1110 + 2220) / 2],
+    ]);
+  });
+
+  it("leaves multi-receiver batches out of the single batch before them", () => {
+    const records = [
+      rec("createBatch", "0xb1", 25, 1000),
+      rec("releaseAggregate", "0xb1", 25, 10),
+      rec("verifyCIDs", "0xb1", 25, 100),
+      rec("createMultiBatch[2]", "0xb2", 25, 5000),
+      rec("releaseAggregate[2]", "0xb2", 25, 50),
+      rec("verifyCIDs[2]", "0xb2", 25, 300),
+      rec("verifyCIDs[2]", "0xb2", 25, 300),
+      rec("createBatch[2]", "0xb3", 25, 4000),
+      rec("releaseAggregate[2]", "0xb3", 25, 40),
+    ];
+    assert.deepEqual(points(records), [[25, 1, 1110]]);
+  });
+
+  it("groups records without a batchId by order, ending a run at any create", () => {
+    const records = [
+      rec("createMerkleBatch", undefined, 5, 1000),
+      rec("releaseAggregate", undefined, 5, 10),
+      rec("verifyCIDProof", undefined, 5, 7),
+      rec("verifyCIDs", undefined, 5, 100),
+      rec("verifyCIDs", undefined, 5, 100),
+      rec("createMultiBatch", undefined, 5, 9000),
+      rec("releaseAggregate", undefined, 5, 90),
+    ];
+    assert.deepEqual(points(records), [[5, 1, 1210]]);
+    assert.equal(computeGasPerCID(records).batch[0].label, "CIDBatchLog (merkle)");
+  });
+
+  it("skips failed transactions", () => {
+    const records = [
+      rec("createBatch", "0xc1", 4, 1000),
+      { ...rec("verifyCIDs[tampered-cid]", "0xc1", 4, 30), success: false },
+      rec("verifyCIDs", "0xc1", 4, 100),
+    ];
+    assert.deepEqual(points(records), [[4, 1, 1100]]);
+  });
+});
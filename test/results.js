@@ -0,0 +1,143 @@
+/**
+ * test/results.js
+ *
+ * Structured benchmark results (src/results.js): every record goes to both
+ * the JSONL and the CSV file, and both read back to the same values,
+ * including revert reasons with commas, quotes and line breaks.
+ *
+ * Run:
+ *   truffle test test/results.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { RESULT_FIELDS, ResultsWriter, writeResults, readResults, toCSV } = require("../src/results");
+
+// RFC 4180 reader, enough for what toCSV writes
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n") {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  return rows;
+}
+
+// CSV row -> record, as strings, with "" for null
+function csvRecords(file) {
+  const [header, ...rows] = parseCSV(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(header, RESULT_FIELDS);
+  return rows.map((cells) => Object.fromEntries(header.map((f, i) => [f, cells[i]])));
+}
+
+function asStrings(record) {
+  return Object.fromEntries(
+    RESULT_FIELDS.map((f) => [f, record[f] === null ? "" : String(record[f])]),
+  );
+}
+
+describe("ResultsWriter", () => {
+  const reason = 'only receiver, "strict" mode\nsecond line';
+  let dir;
+  let base;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-results-"));
+    base = path.join(dir, "nested", "bench_results");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes the same records to JSONL and CSV", async () => {
+    const results = new ResultsWriter(base);
+    results.record({
+      contract: "CIDBatchLog",
+      operation: "createBatch",
+      batchSize: 10,
+      gasUsed: 175629,
+    });
+    const sent = await results.measure(
+      { contract: "CIDBatchLog", operation: "verifyCIDs", batchSize: 10 },
+      async () => ({
+        batchId: "0x" + "ab".repeat(32),
+        txHash: "0x" + "01".repeat(32),
+        gasUsed: 43871,
+        blockNumber: 7,
+      }),
+    );
+    const err = await results
+      .measure({ contract: "CIDBatchLog", operation: "verifyCIDs[padded]", batchSize: 11 }, async () => {
+        throw Object.assign(new Error("VM Exception"), { reason });
+      })
+      .catch((e) => e);
+
+    assert.equal(sent.gasUsed, 43871);
+    assert.equal(err.reason, reason);
+
+    const jsonl = readResults(base + ".jsonl");
+    assert.lengthOf(jsonl, 3);
+    for (const r of jsonl) assert.sameMembers(Object.keys(r), RESULT_FIELDS);
+    assert.include(jsonl[1], {
+      operation: "verifyCIDs",
+      batchId: "0x" + "ab".repeat(32),
+      gasUsed: 43871,
+      blockNumber: 7,
+      success: true,
+    });
+    assert.include(jsonl[2], { success: false, revertReason: reason, gasUsed: null });
+    assert.isNull(jsonl[0].batchId);
+
+    assert.deepEqual(csvRecords(base + ".csv"), jsonl.map(asStrings));
+  });
+
+  it("round-trips a record set written in one go", () => {
+    const htlc = { contract: "HashedTimelock", batchSize: 1 };
+    const records = [
+      { ...htlc, operation: "newContract", gasUsed: 121733, timestamp: "2026-01-15T10:00:00.100Z" },
+      {
+        ...htlc,
+        operation: "withdraw",
+        success: false,
+        revertReason: reason,
+        timestamp: "2026-01-15T10:00:00.200Z",
+      },
+    ];
+    writeResults(base, records);
+
+    const jsonl = readResults(base + ".jsonl");
+    assert.equal(jsonl[0].gasUsed, 121733);
+    assert.isTrue(jsonl[0].success);
+    assert.equal(jsonl[1].revertReason, reason);
+    assert.deepEqual(csvRecords(base + ".csv"), jsonl.map(asStrings));
+    assert.equal(fs.readFileSync(base + ".csv", "utf8"), toCSV(jsonl));
+    assert.include(toCSV(jsonl), '"only receiver, ""strict"" mode\nsecond line"');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * test/seed.js
+ *
+ * Seeded benchmark inputs (src/seed.js): the same seed gives the same bytes,
+ * forks are independent streams, and a seed survives the trip through a log
+ * header for --replay.
+ *
+ * Run:
+ *   truffle test test/seed.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  SeededRandom,
+  seedLine,
+  readSeed,
+  replaySeed,
+  replayDir,
+  checkReplay,
+} = require("../src/seed");
+
+describe("SeededRandom", () => {
+  it("gives the same stream for the same seed", () => {
+    const a = new SeededRandom("s1");
+    const b = new SeededRandom("s1");
+    assert.deepEqual(
+      [a.bytes32(), a.hex(64), a.int(1000)],
+      [b.bytes32(), b.hex(64), b.int(1000)],
+    );
+    assert.notEqual(new SeededRandom("s2").bytes32(), new SeededRandom("s1").bytes32());
+  });
+
+  it("reads one continuous stream whatever the chunk sizes", () => {
+    const whole = new SeededRandom("s1").bytes(80);
+    const parts = new SeededRandom("s1");
+    assert.deepEqual(Buffer.concat([parts.bytes(7), parts.bytes(33), parts.bytes(40)]), whole);
+  });
+
+  it("forks streams that do not depend on what the parent drew", () => {
+    const fresh = new SeededRandom("s1");
+    const used = new SeededRandom("s1");
+    used.bytes(100);
+    assert.equal(used.fork("size:10").bytes32(), fresh.fork("size:10").bytes32());
+    assert.notEqual(fresh.fork("size:10").bytes32(), fresh.fork("size:25").bytes32());
+    assert.notEqual(fresh.fork("size:10").bytes32(), new SeededRandom("s1").bytes32());
+  });
+
+  it("rejects an empty seed and a bad int range", () => {
+    assert.throws(() => new SeededRandom(""), /seed must not be empty/);
+    assert.throws(() => new SeededRandom("s1").int(0), /positive integer/);
+  });
+});
+
+describe("readSeed / replaySeed", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-seed-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeLog(name, text) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  }
+
+  it("reads back the seed written by seedLine", () => {
+    const header = `HashedTimelock 10-test run @ 2026-01-01T00:00:00.000Z\n${seedLine("a1b2")}\n\n`;
+    assert.equal(readSeed(header), "a1b2");
+    assert.equal(replaySeed(writeLog("run.txt", header)), "a1b2");
+  });
+
+  it("reports a log written before seeding", () => {
+    const file = writeLog("old.log", "CIDBatchLog – 10 CID test\n\n");
+    assert.isNull(readSeed("CIDBatchLog – 10 CID test\n"));
+    assert.throws(() => replaySeed(file), /no "Seed:" header/);
+    assert.throws(() => replaySeed(true), /--replay needs a log file/);
+  });
+
+  it("checks regenerated inputs against the logged ones", () => {
+    const rng = new SeededRandom("s1");
+    const preimages = [rng.bytes32(), rng.bytes32()];
+    const file = writeLog(
+      "run.txt",
+      `${seedLine("s1")}\n` +
+        preimages.map((p) => `[2026-01-01T00:00:00.000Z] preimage32: ${p}`).join("\n") +
+        "\n",
+    );
+
+    checkReplay(file, "preimage32", preimages);
+    assert.throws(() => checkReplay(file, "preimage32", preimages.slice(1)), /do not match/);
+    assert.throws(() => checkReplay(file, "preimage32", [...preimages].reverse()), /do not match/);
+    assert.equal(replayDir(file), path.join(dir, "replay"));
+  });
+});
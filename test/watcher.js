@@ -0,0 +1,267 @@
+/**
+ * test/watcher.js
+ *
+ * Receiver watch service (src/watcher.js): tracking batches for watched
+ * receivers, matching them to local CID lists, verifying on release, and
+ * resuming from saved progress.
+ *
+ * Run:
+ *   truffle test test/watcher.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { CIDBatchLogClient } = require("../src/client");
+const { publicKeyFromPrivate } = require("../src/ecies");
+const evm = require("../src/evm");
+const { FileStore } = require("../src/indexer");
+const { MessageStore } = require("../src/message");
+const { CIDLibrary, ReceiverWatcher, EMPTY_WATCH_STATE } = require("../src/watcher");
+const { list } = require("./helpers");
+
+const CIDBatchLog = artifacts.require("CIDBatchLog");
+
+contract("ReceiverWatcher", (accounts) => {
+  const [sender, receiver, partner, stranger] = accounts;
+  const cids = list(5);
+
+  let client;
+  let dir;
+  let startBlock;
+
+  beforeEach(async () => {
+    client = new CIDBatchLogClient(await CIDBatchLog.new(), { from: sender });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cidbatch-watch-"));
+    fs.mkdirSync(path.join(dir, "cids"));
+    startBlock = await web3.eth.getBlockNumber();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeList(name, items) {
+    fs.writeFileSync(path.join(dir, "cids", name), ["# test list", ...items].join("\n") + "\n");
+  }
+
+  function watcher(opts = {}) {
+    const events = [];
+    const w = new ReceiverWatcher({
+      client,
+      receivers: opts.receivers || [{ address: receiver }],
+      library: CIDLibrary.fromDir(path.join(dir, "cids")),
+      store: new FileStore(path.join(dir, "watch.json"), EMPTY_WATCH_STATE),
+      submit: opts.submit !== false,
+      messageStore: opts.messageStore,
+      confirmations: opts.confirmations || 0,
+      startBlock,
+      onEvent: (e) => events.push(e),
+    });
+    w.events = events;
+    return w;
+  }
+
+  async function releasedBatch(params = {}) {
+    const created = await client.createBatch({ receiver, cids, ...params });
+    await client.releaseAggregate(created.batchId);
+    return created;
+  }
+
+  const types = (w) => w.events.map((e) => e.type);
+
+  it("verifies a released batch that matches a local list", async () => {
+    writeList("set-a.txt", cids);
+    const { batchId } = await releasedBatch();
+
+    const w = watcher();
+    const { processed } = await w.poll();
+
+    assert.equal(processed, 1);
+    const entry = w.getBatch(batchId);
+    assert.equal(entry.status, "done");
+    assert.equal(entry.list, "set-a.txt");
+    assert.equal(entry.receivers[receiver.toLowerCase()].verify, "verified");
+    assert.equal(entry.receivers[receiver.toLowerCase()].message, "none");
+    assert.equal((await client.getBatch(batchId)).status, "verified");
+    assert.includeMembers(types(w), ["tracked", "released", "matched", "verified"]);
+  });
+
+  it("ignores batches for other receivers and unreleased batches", async () => {
+    writeList("set-a.txt", cids);
+    await client.createBatch({ receiver: stranger, cids });
+    const pending = await client.createBatch({ receiver, cids, timelock: (await client.chainNow()) + 900 });
+
+    const w = watcher();
+    assert.equal((await w.poll()).processed, 0);
+    assert.lengthOf(w.batches, 1);
+    assert.equal(w.getBatch(pending.batchId).status, "created");
+
+    await client.releaseAggregate(pending.batchId);
+    assert.equal((await w.poll()).processed, 1);
+    assert.equal(w.getBatch(pending.batchId).status, "done");
+  });
+
+  it("resumes from the saved state without sending twice", async () => {
+    writeList("set-a.txt", cids);
+    const first = await releasedBatch();
+    await watcher().poll();
+
+    const second = await releasedBatch({ timelock: (await client.chainNow()) + 900 });
+    const w = watcher();
+    assert.equal(w.getBatch(first.batchId).status, "done");
+    const { processed } = await w.poll();
+
+    assert.equal(processed, 1);
+    assert.equal(w.getBatch(second.batchId).status, "done");
+    assert.deepEqual(
+      w.events.filter((e) => e.type === "verified").map((e) => e.batchId),
+      [second.batchId],
+    );
+  });
+
+  it("retries an unmatched batch once its list appears", async () => {
+    const { batchId } = await releasedBatch();
+    const w = watcher();
+
+    await w.poll();
+    assert.equal(w.getBatch(batchId).status, "unmatched");
+
+    writeList("late.txt", cids);
+    await w.poll();
+    assert.equal(w.getBatch(batchId).status, "done");
+    assert.equal(w.getBatch(batchId).list, "late.txt");
+    assert.deepEqual(types(w).slice(-3), ["list-loaded", "matched", "verified"]);
+  });
+
+  it("matches a sorted batch whatever the order of the local list", async () => {
+    writeList("shuffled.txt", cids.slice().reverse());
+    const { batchId } = await releasedBatch({ mode: "sorted" });
+
+    const w = watcher();
+    await w.poll();
+    assert.equal(w.getBatch(batchId).status, "done");
+    assert.equal((await client.getBatch(batchId)).status, "verified");
+  });
+
+  it("waits for the configured confirmations", async () => {
+    writeList("set-a.txt", cids);
+    const { batchId } = await releasedBatch();
+
+    const w = watcher({ confirmations: 3 });
+    await w.poll();
+    assert.isNull(w.getBatch(batchId));
+
+    for (let i = 0; i < 3; i++) await evm.mine(web3);
+    await w.poll();
+    assert.equal(w.getBatch(batchId).status, "done");
+  });
+
+  it("only marks batches ready without submit, and sends them once submit is on", async () => {
+    writeList("set-a.txt", cids);
+    const { batchId } = await releasedBatch();
+
+    const checking = watcher({ submit: false });
+    await checking.poll();
+    assert.equal(checking.getBatch(batchId).receivers[receiver.toLowerCase()].verify, "ready");
+    assert.equal((await client.getBatch(batchId)).status, "released");
+    assert.equal((await checking.poll()).processed, 0);
+
+    const submitting = watcher();
+    await submitting.poll();
+    assert.equal(submitting.getBatch(batchId).receivers[receiver.toLowerCase()].verify, "verified");
+    assert.equal((await client.getBatch(batchId)).status, "verified");
+  });
+
+  it("verifies a multi-receiver batch for every watched receiver", async () => {
+    writeList("set-a.txt", cids);
+    const { batchId } = await client.createMultiBatch({ receivers: [receiver, partner, stranger], cids });
+    await client.releaseAggregate(batchId);
+
+    const w = watcher({ receivers: [{ address: receiver }, { address: partner }] });
+    await w.poll();
+
+    const entry = w.getBatch(batchId);
+    assert.equal(entry.status, "done");
+    assert.sameMembers(Object.keys(entry.receivers), [receiver, partner].map((a) => a.toLowerCase()));
+    const b = await client.getBatch(batchId);
+    assert.deepEqual(b.receivers.map((r) => r.verified), [true, true, false]);
+  });
+
+  it("decrypts the posted message and verifies it", async () => {
+    const receiverKey = web3.eth.accounts.create().privateKey;
+    const message = "0x" + Buffer.from("watched message").toString("hex");
+    writeList("set-a.txt", cids);
+    const created = await releasedBatch({
+      message,
+      receiverPublicKey: publicKeyFromPrivate(receiverKey),
+    });
+
+    const w = watcher({ receivers: [{ address: receiver, privateKey: receiverKey }] });
+    await w.poll();
+    const r = w.getBatch(created.batchId).receivers[receiver.toLowerCase()];
+    assert.equal(r.verify, "verified");
+    assert.equal(r.message, "waiting");
+    assert.equal(w.getBatch(created.batchId).status, "released");
+
+    await client.postMessage(created.batchId, created.envelope.ciphertext);
+    await w.poll();
+    assert.equal(r.message, "verified");
+    assert.isNotNull(r.messageTx);
+    assert.equal(w.getBatch(created.batchId).status, "done");
+  });
+
+  it("keeps going past a batch that fails, and retries it on the next poll", async () => {
+    const receiverKey = web3.eth.accounts.create().privateKey;
+    const withMessage = async () =>
+      releasedBatch({
+        message: "0x" + Buffer.from("stored message").toString("hex"),
+        receiverPublicKey: publicKeyFromPrivate(receiverKey),
+        timelock: (await client.chainNow()) + 900,
+      });
+    writeList("set-a.txt", cids);
+    const corrupt = await withMessage();
+    const unreadable = await withMessage();
+    const good = await releasedBatch({ timelock: (await client.chainNow()) + 900 });
+
+    // In front of the good batch: a truncated envelope, and one the store
+    // cannot read at all
+    const store = new MessageStore(path.join(dir, "messages"));
+    fs.writeFileSync(store.put(corrupt.envelope), '{"batchId": "0x');
+    fs.mkdirSync(store.pathFor(unreadable.batchId));
+
+    const w = watcher({ receivers: [{ address: receiver, privateKey: receiverKey }], messageStore: store });
+    const { processed } = await w.poll();
+
+    assert.equal(processed, 2);
+    assert.equal(w.getBatch(good.batchId).status, "done");
+    assert.equal((await client.getBatch(good.batchId)).status, "verified");
+    const r = w.getBatch(corrupt.batchId).receivers[receiver.toLowerCase()];
+    assert.equal(r.message, "failed");
+    assert.match(r.reason, /is not a JSON envelope/);
+    const errors = w.events.filter((e) => e.type === "error");
+    assert.deepEqual(errors.map((e) => e.batchId), [unreadable.batchId]);
+    assert.equal(w.getBatch(unreadable.batchId).status, "released");
+
+    await w.poll();
+    assert.lengthOf(w.events.filter((e) => e.type === "error"), 2);
+  });
+
+  it("accepts a batch verified by hand and closes a cancelled one", async () => {
+    writeList("set-a.txt", cids);
+    const manual = await releasedBatch();
+    await client.verifyCIDs(manual.batchId, cids, { from: receiver });
+    const cancelled = await client.createBatch({ receiver, cids, timelock: (await client.chainNow()) + 900 });
+    await client.cancelBatch(cancelled.batchId);
+
+    const w = watcher();
+    await w.poll();
+
+    assert.equal(w.getBatch(manual.batchId).status, "done");
+    assert.equal(w.getBatch(manual.batchId).receivers[receiver.toLowerCase()].verifyTx, null);
+    assert.equal(w.getBatch(cancelled.batchId).status, "closed");
+    assert.equal(w.getBatch(cancelled.batchId).reason, "batch cancelled");
+    assert.notInclude(types(w), "verify-failed");
+  });
+});